@@ -53,6 +53,9 @@ const ENDPOINT_PERMISSIONS = {
   'POST:/api/equity/snapshot': 'equity:write',
   'GET:/api/revocation/status': 'revocation:read',
   'POST:/api/revocation/revoke': 'revocation:revoke',
+  'POST:/api/revocation/suspend': 'revocation:revoke',
+  'POST:/api/revocation/reinstate': 'revocation:revoke',
+  'POST:/api/revocation/register': 'revocation:register',
 };
 
 /**
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * chain-migrate-v2.js
+ * Re-anchor a legacy (v1) hash chain log into the v2 entry format (see tools/lib/chain-entry.js).
+ * - Reads artifacts/chain.ndjson and keeps the current epoch (entries from the last seq=0 onward;
+ *   earlier lines are leftovers from dev resets).
+ * - Refuses to migrate a v1 segment that does not verify, unless --force.
+ * - Keeps seq, ts, canonical, contentHash and signature; rewrites prevHash and adds v/entryHash.
+ * - Backs up chain.json/chain.ndjson to chain-archive-<UTC>.{json,ndjson} before writing.
+ * - Writes artifacts/chain-migration-v2.json (legacy vs migrated heads and Merkle roots).
+ * Flags: --dry-run (report only), --force, --dir=<data dir> (default CHAIN_DATA_DIR or artifacts)
+ * Stop the chain service (or POST /reload) around a migration.
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import { merkleRoot } from './lib/merkle.js';
+import {
+  CHAIN_ENTRY_VERSION,
+  computeEntryHash,
+  entryLeafHash,
+  entryVersion,
+  expectedPrevHash,
+  verifyChainEntries,
+} from './lib/chain-entry.js';
+import { currentEpoch } from './lib/chain-store.js';
+
+function arg(name, fallback){
+  const hit = process.argv.find(a=>a.startsWith(`--${name}=`));
+  return hit ? hit.split('=').slice(1).join('=') : fallback;
+}
+
+async function exists(p){
+  try { await fs.access(p); return true; } catch { return false; }
+}
+
+async function readLog(logPath){
+  const txt = await fs.readFile(logPath,'utf8');
+  return txt.split(/\r?\n/).filter(Boolean).map(l=>{ try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
+}
+
+/**
+ * Convert entries to v2, re-linking every prevHash over the full previous entry
+ * @param {object[]} chain - Entries in seq order (v1, v2 or mixed)
+ * @returns {object[]} v2 entries
+ */
+export function migrateEntries(chain){
+  const out = [];
+  for (const entry of chain){
+    const prev = out[out.length-1] || null;
+    const { entryHash: _entryHash, ...rest } = entry;
+    const migrated = { v: CHAIN_ENTRY_VERSION, ...rest, prevHash: expectedPrevHash(prev, CHAIN_ENTRY_VERSION) };
+    migrated.entryHash = computeEntryHash(migrated);
+    out.push(migrated);
+  }
+  return out;
+}
+
+async function main(){
+  const dir = arg('dir', process.env.CHAIN_DATA_DIR || 'artifacts');
+  const dryRun = process.argv.includes('--dry-run');
+  const force = process.argv.includes('--force');
+  const logPath = path.join(dir, 'chain.ndjson');
+  const snapshotPath = path.join(dir, 'chain.json');
+  const reportPath = path.join(dir, 'chain-migration-v2.json');
+
+  if (!(await exists(logPath))){
+    console.error(`[chain-migrate-v2] ${logPath} not found`);
+    process.exit(1);
+  }
+  const legacy = currentEpoch(await readLog(logPath));
+  if (!legacy.length){
+    console.error('[chain-migrate-v2] no genesis entry (seq 0) in log; nothing to migrate');
+    process.exit(1);
+  }
+  if (legacy.every(e=>entryVersion(e) === CHAIN_ENTRY_VERSION)){
+    console.log('[chain-migrate-v2] chain already v2; nothing to do');
+    return;
+  }
+  const legacyCheck = verifyChainEntries(legacy);
+  if (!legacyCheck.ok && !force){
+    console.error('[chain-migrate-v2] legacy chain does not verify; fix or re-run with --force', legacyCheck.issues);
+    process.exit(1);
+  }
+  if (await exists(snapshotPath)){
+    const snapshot = JSON.parse(await fs.readFile(snapshotPath,'utf8'));
+    const snapHead = snapshot[snapshot.length-1];
+    const logHead = legacy[legacy.length-1];
+    if (!snapHead || snapHead.seq !== logHead.seq || snapHead.contentHash !== logHead.contentHash){
+      console.warn('[chain-migrate-v2] warning: snapshot head differs from log head; migrating the log');
+    }
+  }
+
+  const migrated = migrateEntries(legacy);
+  const migratedCheck = verifyChainEntries(migrated);
+  const report = {
+    version: 1,
+    generated_utc: new Date().toISOString(),
+    dry_run: dryRun,
+    from_versions: [...new Set(legacy.map(entryVersion))],
+    to_version: CHAIN_ENTRY_VERSION,
+    length: migrated.length,
+    legacy: {
+      verified: legacyCheck.ok,
+      issues: legacyCheck.issues,
+      head_content_hash: legacy[legacy.length-1].contentHash,
+      merkle_root: merkleRoot(legacy.map(entryLeafHash)),
+    },
+    migrated: {
+      verified: migratedCheck.ok,
+      head_entry_hash: migrated[migrated.length-1].entryHash,
+      merkle_root: merkleRoot(migrated.map(entryLeafHash)),
+    },
+    backups: [],
+  };
+
+  if (!dryRun){
+    const ts = new Date().toISOString().replace(/[:.]/g,'-');
+    for (const [src, ext] of [[snapshotPath,'json'],[logPath,'ndjson']]){
+      if (await exists(src)){
+        const backup = path.join(dir, `chain-archive-${ts}.${ext}`);
+        await fs.copyFile(src, backup);
+        report.backups.push(backup);
+      }
+    }
+    await fs.writeFile(logPath, migrated.map(e=>JSON.stringify(e)).join('\n')+'\n');
+    await fs.writeFile(snapshotPath, JSON.stringify(migrated,null,2));
+    await fs.writeFile(path.join(dir, 'chain-head.json'), JSON.stringify(migrated[migrated.length-1],null,2));
+  }
+  await fs.mkdir(dir,{recursive:true});
+  await fs.writeFile(reportPath, JSON.stringify(report,null,2));
+  console.log(`[chain-migrate-v2] ${dryRun? 'DRY RUN ' : ''}migrated ${migrated.length} entries; head entryHash=${report.migrated.head_entry_hash}`);
+  if (!migratedCheck.ok){ console.error('[chain-migrate-v2] migrated chain failed verification', migratedCheck.issues); process.exit(2); }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`){
+  main().catch(e=>{ console.error('[chain-migrate-v2] error', e); process.exit(2); });
+}
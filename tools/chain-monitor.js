@@ -1,15 +1,14 @@
 #!/usr/bin/env node
 import { promises as fs } from 'fs';
+import { verifyChainEntries } from './lib/chain-entry.js';
+import { createChainStore } from './lib/chain-store.js';
 
 async function main(){
-  const path = 'artifacts/chain.json';
-  let chain=[]; try { chain = JSON.parse(await fs.readFile(path,'utf8')); } catch {}
-  const issues=[];
-  for (let i=0;i<chain.length;i++){
-    const prev = i? chain[i-1].contentHash : null;
-    if (chain[i].prevHash !== prev) {issues.push({ seq: i, code:'PREV_HASH_MISSING_OR_MISMATCH' });}
-  }
-  const report = { version:'1.0.0', generated_utc: new Date().toISOString(), length: chain.length, issues };
+  // Same backend selection as the chain service (CHAIN_STORE etc.); the file store includes the unsnapshotted log tail
+  let chain=[];
+  try { const store = await createChainStore(); chain = await store.all(); await store.close(); } catch (e){ console.warn('[chain-monitor] store unavailable:', e.message); }
+  const { issues, segments } = verifyChainEntries(chain);
+  const report = { version:'1.1.0', generated_utc: new Date().toISOString(), length: chain.length, segments, issues };
   await fs.mkdir('artifacts',{recursive:true});
   await fs.writeFile('artifacts/chain-monitor.json', JSON.stringify(report,null,2));
   if (issues.length){ console.error('[chain-monitor] FAIL', issues); process.exit(1); }
@@ -1,9 +1,11 @@
 #!/usr/bin/env node
 /**
  * Dev-only chain reset helper.
- * - Backs up existing artifacts/chain.json to artifacts/chain-archive-<UTC>.json
- * - Writes an empty array to artifacts/chain.json
+ * - Backs up existing artifacts/chain.json and artifacts/chain.ndjson to artifacts/chain-archive-<UTC>.{json,ndjson}
+ * - Writes an empty array to artifacts/chain.json and removes the log and head files
+ *   (the file chain store replays chain.ndjson on load, so it must go too)
  * Use when local chain continuity is broken during development.
+ * SQL backends (CHAIN_STORE=sqlite|postgres) are not touched; drop their chain_entries table instead.
  * This does NOT modify any governed specs.
  */
 import { promises as fs } from 'fs';
@@ -16,11 +18,13 @@ async function exists(p){
 async function main(){
   const dir = 'artifacts';
   const chainPath = path.join(dir, 'chain.json');
+  const logPath = path.join(dir, 'chain.ndjson');
+  const headPath = path.join(dir, 'chain-head.json');
   await fs.mkdir(dir, { recursive: true });
+  const ts = new Date().toISOString().replace(/[:.]/g,'-');
 
   if (await exists(chainPath)){
     try {
-      const ts = new Date().toISOString().replace(/[:.]/g,'-');
       const backup = path.join(dir, `chain-archive-${ts}.json`);
       const data = await fs.readFile(chainPath, 'utf8');
       await fs.writeFile(backup, data);
@@ -31,6 +35,12 @@ async function main(){
   } else {
     console.log('[chain-reset-dev] No existing chain.json found; creating a new empty chain.');
   }
+  if (await exists(logPath)){
+    const backup = path.join(dir, `chain-archive-${ts}.ndjson`);
+    await fs.rename(logPath, backup);
+    console.log(`[chain-reset-dev] Moved chain log to ${backup}`);
+  }
+  await fs.rm(headPath, { force: true });
 
   await fs.writeFile(chainPath, '[]\n');
   console.log('[chain-reset-dev] chain.json has been reset to an empty chain ([]).');
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * credential-issue.js
+ * Issue an Integrity Credential (W3C VC-compatible JSON-LD, see tools/lib/credential.js):
+ *  1. build from the subject input and validate (JSON Schema + spec section 15 policies; deny => exit 1)
+ *  2. optionally register a status list index with the revocation service (credentialStatus)
+ *  3. sign the detached-JWS signing input through the signer service
+ *  4. anchor a CREDENTIAL_ISSUED event { credId, contentHash } in the hash chain
+ *  5. write the credential file and artifacts/credential-issue-report.json
+ * Usage: npm run credential:issue -- --subject=data/credential-subject-sample.json [--out=<file>] [--expires=<ISO>] [--regions=<json array file>]
+ * Env / flags: SIGNER_ORIGIN (--signer=), CHAIN_ORIGIN (--chain=), REVOCATION_ORIGIN (--revocation=, optional),
+ *   REVOCATION_REGISTER_TOKEN (bearer token of the revocation service's /register)
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  attachCredentialProof,
+  buildCredential,
+  checkIssuancePolicies,
+  createCredentialValidator,
+  credentialContentHash,
+  jwsSigningInput,
+  verificationMethodFor,
+} from './lib/credential.js';
+
+export class IssuanceError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} [details] - Validation or policy findings
+   */
+  constructor(message, details = []){
+    super(message);
+    this.name = 'IssuanceError';
+    this.details = details;
+  }
+}
+
+function arg(name, fallback){
+  const hit = process.argv.find(a=>a.startsWith(`--${name}=`));
+  return hit ? hit.split('=').slice(1).join('=') : fallback;
+}
+
+async function request(origin, pathname, body, headers = {}){
+  const res = await fetch(new URL(pathname, origin), {
+    method: body === undefined ? 'GET' : 'POST',
+    headers: { 'content-type':'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(5000),
+  });
+  const json = await res.json().catch(()=>null);
+  if (!res.ok) {throw new Error(`${origin}${pathname} status ${res.status}${json?.error ? ` (${json.error})` : ''}`);}
+  return json;
+}
+
+// Accept either the full input object or a bare credentialSubject
+function normalizeInput(input){
+  return input.credentialSubject ? input : { credentialSubject: input };
+}
+
+/**
+ * Issue one credential through the signer and chain services
+ * @param {object} input - Subject input (see buildCredential)
+ * @param {object} opts
+ * @param {string} opts.signerOrigin
+ * @param {string} opts.chainOrigin
+ * @param {string} [opts.revocationOrigin] - Register a status list index when set
+ * @param {string} [opts.revocationToken] - Bearer token for the revocation service's /register
+ * @param {string[]} [opts.allowedRegions]
+ * @param {string} [opts.expirationDate]
+ * @returns {Promise<{credential:object, content_hash:string, key_id:string, chain:{seq:number, entryHash:string}, warnings:object[]}>}
+ */
+export async function issueCredential(input, { signerOrigin, chainOrigin, revocationOrigin, revocationToken, allowedRegions, expirationDate }){
+  const validator = await createCredentialValidator();
+  const draft = buildCredential({ ...normalizeInput(input), ...(expirationDate ? { expirationDate } : {}) });
+  const schemaErrors = validator.validateUnsigned(draft);
+  if (schemaErrors.length) {throw new IssuanceError('credential does not match schema', schemaErrors);}
+  const findings = checkIssuancePolicies(draft, { allowedRegions });
+  const denied = findings.filter(f=>f.level === 'deny');
+  if (denied.length) {throw new IssuanceError('issuance denied by policy', denied.map(f=>`${f.policy}: ${f.message}`));}
+
+  // Only allocate a status list index once the draft is known to be issuable
+  if (revocationOrigin){
+    const reg = await request(revocationOrigin, '/register', { credential_id: draft.id }, revocationToken ? { authorization: `Bearer ${revocationToken}` } : {});
+    const listUrl = new URL('/status-list', revocationOrigin).toString();
+    draft.revocation.registry = listUrl;
+    draft.credentialStatus = {
+      id: `${listUrl}#${reg.status_index}`,
+      type: 'StatusList2021Entry',
+      statusPurpose: 'revocation',
+      statusListIndex: String(reg.status_index),
+      statusListCredential: listUrl,
+    };
+  }
+
+  const { activeIndex, keys } = await request(signerOrigin, '/pubkeys');
+  const activeKeyId = keys[activeIndex]?.id;
+  const verificationMethod = verificationMethodFor(keys, activeKeyId);
+  const { signingInput } = jwsSigningInput(draft, verificationMethod);
+  const signed = await request(signerOrigin, '/sign', { payload: signingInput });
+  if (signed.key_id !== activeKeyId) {throw new IssuanceError('signer key rotated during issuance; retry');}
+  const credential = attachCredentialProof(draft, { verificationMethod, signature: signed.signature });
+  const finalErrors = validator.validateSigned(credential);
+  if (finalErrors.length) {throw new IssuanceError('signed credential does not match schema', finalErrors);}
+
+  const contentHash = credentialContentHash(credential);
+  const event = await request(signerOrigin, '/sign', { payload: { type:'CREDENTIAL_ISSUED', credId: credential.id, contentHash, issuer: credential.issuer, ts: credential.issuanceDate } });
+  const entry = await request(chainOrigin, '/append', { canonical: event.canonical, signature: event.signature, key_id: event.key_id });
+  return { credential, content_hash: contentHash, key_id: signed.key_id, chain: { seq: entry.seq, entryHash: entry.entryHash }, warnings: findings.filter(f=>f.level === 'warn') };
+}
+
+async function main(){
+  const subjectPath = arg('subject');
+  if (!subjectPath){
+    console.error('usage: credential-issue --subject=<input.json> [--out=<file>] [--expires=<ISO>] [--regions=<file>]');
+    process.exit(1);
+  }
+  const input = JSON.parse(await fs.readFile(subjectPath,'utf8'));
+  const regionsPath = arg('regions');
+  const result = await issueCredential(input, {
+    signerOrigin: arg('signer', process.env.SIGNER_ORIGIN || 'http://127.0.0.1:4601'),
+    chainOrigin: arg('chain', process.env.CHAIN_ORIGIN || 'http://127.0.0.1:4602'),
+    revocationOrigin: arg('revocation', process.env.REVOCATION_ORIGIN || null),
+    revocationToken: process.env.REVOCATION_REGISTER_TOKEN,
+    allowedRegions: regionsPath ? JSON.parse(await fs.readFile(regionsPath,'utf8')) : undefined,
+    expirationDate: arg('expires'),
+  });
+  const out = arg('out', path.join('artifacts','credentials',`${result.credential.id.split(':').pop()}.json`));
+  await fs.mkdir(path.dirname(out),{recursive:true});
+  await fs.writeFile(out, JSON.stringify(result.credential,null,2));
+  await fs.mkdir('artifacts',{recursive:true});
+  await fs.writeFile('artifacts/credential-issue-report.json', JSON.stringify({
+    version: 1,
+    generated_utc: new Date().toISOString(),
+    credential_id: result.credential.id,
+    file: out,
+    content_hash: result.content_hash,
+    key_id: result.key_id,
+    verification_method: result.credential.proof.verificationMethod,
+    chain: result.chain,
+    credential_status: result.credential.credentialStatus || null,
+    warnings: result.warnings,
+  },null,2));
+  result.warnings.forEach(w=>console.warn(`[credential-issue] WARN ${w.policy}: ${w.message}`));
+  console.log(`[credential-issue] OK ${result.credential.id} -> ${out} (chain seq=${result.chain.seq})`);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`){
+  main().catch(e=>{
+    console.error('[credential-issue] FAIL', e.message);
+    (e.details || []).forEach(d=>console.error('  -', d));
+    process.exit(e instanceof IssuanceError ? 1 : 2);
+  });
+}
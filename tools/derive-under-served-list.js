@@ -1,40 +1,22 @@
 #!/usr/bin/env node
 /**
  * derive-under-served-list.js
- * H1-B1: Produce under-served units list from snapshots using hysteresis engine params.
+ * H1-B1: Produce under-served units list from the hysteresis engine state.
+ * Applies new snapshots through the incremental engine runner (fairness/engine-runner.js), then lists the units the
+ * engine holds in ACTIVE or STALLED; nothing is recomputed outside the engine log.
  * Input: artifacts/equity-snapshots.json
- * Output: artifacts/under-served.json [{ unit, state, last_ratio, last_ts }]
+ * Output: artifacts/under-served.json [{ unit, state, last_ratio, last_ts, params_version }]
  */
 import { promises as fs } from 'fs';
-import yaml from 'yaml';
-import { decide } from './fairness/engine-core.js';
-
-async function loadParams(){
-  const raw = await fs.readFile('docs/fairness/hysteresis-config-v1.yml','utf8');
-  return yaml.parse(raw).parameters;
-}
+import { runEngine } from './fairness/engine-runner.js';
 
 async function main(){
   await fs.mkdir('artifacts',{recursive:true});
-  const params = await loadParams();
-  const snaps = JSON.parse(await fs.readFile('artifacts/equity-snapshots.json','utf8'));
-  const byUnit = new Map();
-  for (const s of snaps){
-    if (!byUnit.has(s.unit)) {byUnit.set(s.unit, []);}
-    byUnit.get(s.unit).push(s);
-  }
-  const out=[];
-  for (const [unit, arr] of byUnit.entries()){
-    const sorted = arr.slice().sort((a,b)=> a.ts.localeCompare(b.ts));
-    let st=null; let lastRatio=null; let lastTs=null;
-    for (const s of sorted){
-      const res = decide(params, st, s.ratio);
-      st = res; lastRatio = s.ratio; lastTs = s.ts;
-    }
-    out.push({ unit, state: st?.state || 'NONE', last_ratio: lastRatio, last_ts: lastTs });
-  }
-  const underServed = out.filter(u=> u.state==='ACTIVE' || u.state==='STALLED');
-  await fs.writeFile('artifacts/under-served.json', JSON.stringify({ version:'1.0.0', generated_utc: new Date().toISOString(), total: underServed.length, units: underServed }, null, 2));
+  const { state } = await runEngine();
+  const underServed = Object.entries(state.units)
+    .filter(([, u])=> u.state==='ACTIVE' || u.state==='STALLED')
+    .map(([unit, u])=> ({ unit, state: u.state, last_ratio: u.lastRatio, last_ts: u.lastTs, params_version: u.params_version }));
+  await fs.writeFile('artifacts/under-served.json', JSON.stringify({ version:'1.0.0', generated_utc: new Date().toISOString(), total: underServed.length, units: underServed, source: { log_head_hash: state.log.head_hash, log_records: state.log.records } }, null, 2));
   console.log(`[under-served] total=${underServed.length}`);
 }
 
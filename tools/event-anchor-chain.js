@@ -1,10 +1,19 @@
 #!/usr/bin/env node
 /**
  * event-anchor-chain.js
- * Batches selected events (fairness enter/exit & verify attempts) from a sample NDJSON and appends a summary canonical to the chain.
+ * Batches selected events (fairness enter/exit & verify attempts) from a sample NDJSON, signs them with the signer's
+ * POST /sign-batch (one signature per event plus one over the batch Merkle root) and appends the signed root statement
+ * to the chain. artifacts/event-anchor-latest.json keeps the per-event signatures and audit paths, so any single event
+ * can later be proven against the anchored root (tools/lib/sign-batch.js verifyBatchItem).
+ * Events go out in chunks of at most SIGNER_BATCH_MAX (default 1000, the signer's default), smaller when the signer
+ * answers 413 with a lower max; each chunk's root is anchored on its own, so the artifact lists one batch per chunk
+ * (item indexes and audit paths are relative to that batch's root).
  */
 import { promises as fs } from 'fs';
 
+const OUT_PATH = 'artifacts/event-anchor-latest.json';
+const BATCH_MAX = Number(process.env.SIGNER_BATCH_MAX || 1000);
+
 async function* readNdjson(path){
   const txt = await fs.readFile(path,'utf8');
   for (const line of txt.split(/\r?\n/)){
@@ -23,19 +32,41 @@ async function main(){
       out.counts[evt.event_name] = (out.counts[evt.event_name]||0) + 1;
     }
   }
-  const canonical = JSON.stringify(out, Object.keys(out).sort());
+  const batches = [];
   try {
-    const signerRes = await fetch(`http://127.0.0.1:${process.env.SIGNER_PORT||4601}/sign`, { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify({ payload: canonical }) });
-    if (!signerRes.ok) {throw new Error('signer not reachable');}
-    const sig = await signerRes.json();
-    const pub = await (await fetch(`http://127.0.0.1:${process.env.SIGNER_PORT||4601}/pubkey`)).json();
-    const chainRes = await fetch(`http://127.0.0.1:${process.env.CHAIN_PORT||4602}/append`, { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify({ canonical: sig.canonical, signature: sig.signature, publicKeyPem: pub.publicKeyPem }) });
-    if (!chainRes.ok) {throw new Error('chain append failed');}
-    const entry = await chainRes.json();
-    await fs.writeFile('artifacts/event-anchor-latest.json', JSON.stringify({ appended: { seq: entry.seq, contentHash: entry.contentHash, prevHash: entry.prevHash, ts: entry.ts } }, null, 2));
+    if (!out.items.length) {throw new Error('no events to anchor');}
+    let max = BATCH_MAX;
+    for (let i = 0; i < out.items.length;){
+      const chunk = out.items.slice(i, i + max);
+      const signerRes = await fetch(`http://127.0.0.1:${process.env.SIGNER_PORT||4601}/sign-batch`, { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify({ items: chunk }) });
+      if (signerRes.status === 413){
+        const limit = (await signerRes.json().catch(()=>null))?.max;
+        if (Number.isInteger(limit) && limit > 0 && limit < chunk.length){ max = limit; continue; }
+      }
+      if (!signerRes.ok) {throw new Error(`signer batch failed (${signerRes.status})`);}
+      const batch = await signerRes.json();
+      const chainRes = await fetch(`http://127.0.0.1:${process.env.CHAIN_PORT||4602}/append`, { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify({ canonical: batch.root.canonical, signature: batch.root.signature, key_id: batch.key_id }) });
+      if (!chainRes.ok) {throw new Error('chain append failed');}
+      const entry = await chainRes.json();
+      batches.push({
+        appended: { seq: entry.seq, contentHash: entry.contentHash, prevHash: entry.prevHash, ts: entry.ts },
+        root: batch.root,
+        items: batch.items,
+      });
+      i += chunk.length;
+    }
+    await writeArtifact({ schema_version: out.schema_version, type: out.type, counts: out.counts, batches });
   } catch(e){
-    await fs.writeFile('artifacts/event-anchor-latest.json', JSON.stringify({ skipped: true, reason: e.message }, null, 2));
+    // Chunks anchored before the failure stay provable
+    await writeArtifact(batches.length
+      ? { schema_version: out.schema_version, type: out.type, counts: out.counts, batches, incomplete: true, reason: e.message }
+      : { skipped: true, reason: e.message });
   }
 }
 
+async function writeArtifact(doc){
+  await fs.mkdir('artifacts', { recursive: true });
+  await fs.writeFile(OUT_PATH, JSON.stringify(doc, null, 2));
+}
+
 main().catch(e=>{ console.error('[event-anchor-chain] error', e); process.exit(2); });
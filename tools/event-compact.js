@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+/**
+ * event-compact.js
+ * Retention compaction for the collector's partitioned event store (tools/lib/event-store.js).
+ * Drops events past their classification level's retention and appends hash tombstones to
+ * <EVENTS_DATA_DIR>/events/tombstones.ndjson. When the collector is running the job goes through its
+ * POST /compact (the collector owns the index); otherwise it compacts the files directly.
+ * Outputs artifacts/event-compaction-report.json.
+ */
+import { promises as fs } from 'fs';
+import { createEventStore } from './lib/event-store.js';
+
+const BASE = process.env.COLLECTOR_BASE || `http://127.0.0.1:${process.env.COLLECTOR_PORT || 4603}`;
+
+async function viaCollector(){
+  try {
+    const res = await fetch(`${BASE}/compact`, { method:'POST' });
+    if (!res.ok) {throw new Error(`collector /compact ${res.status}`);}
+    return { mode:'collector', ...(await res.json()) };
+  } catch (e) {
+    if (e.cause?.code === 'ECONNREFUSED') {return null;}
+    throw e;
+  }
+}
+
+async function main(){
+  let report = await viaCollector();
+  if (!report){
+    const store = await createEventStore();
+    report = { mode:'offline', status:'COMPACTED', ...(await store.compact()), stats: store.stats() };
+    await store.close();
+  }
+  await fs.mkdir('artifacts',{recursive:true});
+  await fs.writeFile('artifacts/event-compaction-report.json', JSON.stringify(report,null,2));
+  console.log(`[event-compact] ${report.mode}: removed ${report.removed} event(s) from ${report.segments_compacted} segment(s)`);
+}
+
+main().catch(e=>{ console.error('[event-compact] error', e); process.exit(2); });
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * event-schema-compat.js
+ * CI gate for the event schema registry (schemas/events/registry.json, tools/lib/schema-registry.js).
+ *  - Every registered version must load and compile
+ *  - Each version is compared with the previous one; changes that break the registry's compatibility mode need a DEC
+ *    listed in the new version's `decs`
+ *  - With --base=<git ref> (or SCHEMA_COMPAT_BASE) every version already registered at the base is compared with its
+ *    base content: a breaking in-place edit needs a DEC added to the version's `decs` by the change; versions are never
+ *    removed
+ *  - Listed DECs must exist in docs/governance/dec (DEC-YYYYMMDD-NN*)
+ * Output: artifacts/schema-compat-report.json. Exit 1 on violations.
+ * Usage: node tools/event-schema-compat.js [--base=origin/main] [--registry=schemas/events/registry.json]
+ */
+import { promises as fs } from 'fs';
+import { execFileSync } from 'child_process';
+import {
+  LEGACY_INDEX, SCHEMA_REGISTRY_PATH, breakingIssues, checkCompatibility, compareVersions, createSchemaRegistry,
+  readRegistryIndex, readSchemaSet,
+} from './lib/schema-registry.js';
+
+const OUT_PATH = 'artifacts/schema-compat-report.json';
+const DEC_DIR = 'docs/governance/dec';
+const DEC_ID_RE = /^DEC-\d{8}-\d{2}$/;
+
+function parseArg(name, defVal) {
+  const prefix = `--${name}=`;
+  const found = process.argv.find(a => a.startsWith(prefix));
+  return found ? found.slice(prefix.length) : defVal;
+}
+
+function git(args){
+  return execFileSync('git', args, { encoding:'utf8', stdio:['ignore','pipe','ignore'] });
+}
+
+// Registry files as they were at a git revision
+function gitSource(ref){
+  return {
+    async read(file){
+      try { return git(['show', `${ref}:${file}`]); } catch { return null; }
+    },
+    async list(dir){
+      try { return git(['ls-tree', '--name-only', ref, `${dir}/`]).split('\n').filter(Boolean).map(p => p.slice(dir.length + 1)); } catch { return []; }
+    },
+  };
+}
+
+async function main(){
+  const file = parseArg('registry', SCHEMA_REGISTRY_PATH);
+  const base = parseArg('base', process.env.SCHEMA_COMPAT_BASE || '');
+  const decDir = parseArg('dec-dir', DEC_DIR);
+  await fs.mkdir('artifacts',{recursive:true});
+  const violations = [];
+  const comparisons = [];
+  const notes = [];
+
+  const index = await readRegistryIndex({ file });
+  if (!index) {throw new Error(`${file} not found`);}
+  const mode = index.compatibility;
+  try { await createSchemaRegistry({ file }); }
+  catch (e) { violations.push({ code:'REGISTRY_INVALID', detail: e.message }); }
+
+  let decFiles = [];
+  try { decFiles = await fs.readdir(decDir); } catch { /* no DEC directory */ }
+  const decExists = id => DEC_ID_RE.test(id) && decFiles.some(n => n === `${id}.md` || n === `${id}.yml` || n.startsWith(`${id}-`));
+  const versions = Object.keys(index.versions).sort(compareVersions);
+  for (const version of versions){
+    for (const dec of index.versions[version].decs || []){
+      if (!decExists(dec)) {violations.push({ code:'DEC_NOT_FOUND', version, dec });}
+    }
+  }
+  const sets = new Map();
+  for (const version of versions){
+    try { sets.set(version, await readSchemaSet(index, version, { file })); }
+    catch (e) { violations.push({ code:'REGISTRY_INVALID', version, detail: e.message }); }
+  }
+
+  for (let i = 1; i < versions.length; i++){
+    const from = versions[i-1]; const to = versions[i];
+    if (!sets.has(from) || !sets.has(to)) {continue;}
+    const result = checkCompatibility(sets.get(from), sets.get(to));
+    const breaking = breakingIssues(mode, result);
+    const decs = (index.versions[to].decs || []).filter(decExists);
+    comparisons.push({ kind:'version', from, to, ...result, breaking, decs });
+    if (breaking.length && !decs.length) {violations.push({ code:'BREAKING_VERSION_WITHOUT_DEC', from, to, issues: breaking });}
+  }
+
+  if (base){
+    let baseOk = true;
+    try { git(['rev-parse', '--verify', '--quiet', `${base}^{commit}`]); } catch { baseOk = false; }
+    if (!baseOk) {notes.push(`base ${base} not found, in-place edits not checked`);}
+    else {
+      const source = gitSource(base);
+      const baseIndex = await readRegistryIndex({ file, source }) || LEGACY_INDEX;
+      for (const version of Object.keys(baseIndex.versions).sort(compareVersions)){
+        if (!index.versions[version]) { violations.push({ code:'VERSION_REMOVED', version }); continue; }
+        let before;
+        try { before = await readSchemaSet(baseIndex, version, { file, source }); }
+        catch (e) { notes.push(`base ${version} unreadable: ${e.message}`); continue; }
+        if (!sets.has(version)) {continue;}
+        const result = checkCompatibility(before, sets.get(version));
+        const breaking = breakingIssues(mode, result);
+        const baseDecs = baseIndex.versions[version].decs || [];
+        const decs = (index.versions[version].decs || []).filter(d => !baseDecs.includes(d) && decExists(d));
+        comparisons.push({ kind:'edit', base, version, ...result, breaking, decs });
+        if (breaking.length && !decs.length) {violations.push({ code:'BREAKING_EDIT_WITHOUT_DEC', version, issues: breaking });}
+      }
+    }
+  }
+
+  const status = violations.length ? 'FAIL' : 'PASS';
+  const report = { version:1, generated_utc: new Date().toISOString(), registry: file, compatibility: mode, current: index.current, versions, base: base || null, comparisons, violations, notes, status };
+  await fs.writeFile(parseArg('out', OUT_PATH), JSON.stringify(report,null,2));
+  notes.forEach(n => console.warn('[event-schema-compat] note:', n));
+  if (violations.length){ console.error('[event-schema-compat] FAIL', JSON.stringify(violations,null,2)); process.exit(1); }
+  console.log(`[event-schema-compat] PASS versions=${versions.join(',')} mode=${mode} comparisons=${comparisons.length}`);
+}
+
+main().catch(e=>{ console.error('[event-schema-compat] error', e); process.exit(2); });
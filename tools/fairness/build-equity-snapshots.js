@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * build-equity-snapshots.js
+ * Equity snapshots from collected events: exposures per unit over closed 24h windows, turned into fulfilment ratios
+ * with the minimum cell threshold applied (snapshot-core.js). Replaces the synthetic generate-equity-snapshots.js as
+ * input for hysteresis-engine.js, equity-anomaly-detector.js and derive-under-served-list.js.
+ * Sources:
+ *  - event store (default): segments under --data-dir (EVENTS_DATA_DIR, default artifacts)
+ *  - query API: --collector=<origin> asks the collector's POST /query for day buckets per meta.unit_id; cells below the
+ *    threshold are already suppressed there and count as 0 here; such a unit is only known from --units or earlier
+ *    windows, so pass the roster to keep the mean per unit the same as from the event store
+ * Incremental: windows before the watermark in artifacts/equity-snapshot-windows.json are not rebuilt; new windows are
+ * appended to artifacts/equity-snapshots.json. Entries without window_start (synthetic generator output) are dropped
+ * on the first build.
+ * Options: --units=<file> JSON array of unit ids expected in every window (a unit without exposures is at ratio 0);
+ *          --from=<ISO> first window when there is no watermark; --now=<ISO> (default: current time)
+ * Env: POLICY_MIN_CELL_THRESHOLD (default 20, DEC-20250812-04)
+ * Outputs: artifacts/equity-snapshots.json, artifacts/equity-snapshot-windows.json, artifacts/equity-summary.json
+ * (latest built window)
+ */
+import { promises as fs } from 'fs';
+import yaml from 'yaml';
+import { readStoredEvents } from '../lib/event-store.js';
+import { minCellThreshold } from '../lib/event-query.js';
+import { canonicalize } from '../lib/canonical.js';
+import { computeEquityIndex } from './rounding-util.js';
+import { EXPOSURE_EVENTS, WINDOW_MS, countExposures, paramsHash, sha256Hex, windowSnapshots, windowStart } from './snapshot-core.js';
+
+const CONFIG_PATH = 'docs/fairness/hysteresis-config-v1.yml';
+const SNAPSHOTS_PATH = 'artifacts/equity-snapshots.json';
+const WINDOWS_PATH = 'artifacts/equity-snapshot-windows.json';
+const SUMMARY_PATH = 'artifacts/equity-summary.json';
+
+function parseArg(name, defVal) {
+  const prefix = `--${name}=`;
+  const found = process.argv.find(a => a.startsWith(prefix));
+  return found ? found.slice(prefix.length) : defVal;
+}
+
+async function readJson(p, fallback){ try { return JSON.parse(await fs.readFile(p,'utf8')); } catch { return fallback; } }
+
+function parseTime(value, name){
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {throw new Error(`--${name} must be an ISO date-time, got ${value}`);}
+  return ms;
+}
+
+/** Exposure counts per window from the collector's query API */
+async function queryExposures(origin, { from, to }){
+  const res = await fetch(new URL('/query', origin), {
+    method: 'POST',
+    headers: { 'content-type':'application/json' },
+    body: JSON.stringify({ from: new Date(from).toISOString(), to: new Date(to).toISOString(), bucket: 'day', group_by: ['meta.unit_id'], where: { event_name: EXPOSURE_EVENTS }, suppression: 'suppress' }),
+    signal: AbortSignal.timeout(30000),
+  });
+  const body = await res.json().catch(()=>null);
+  if (!res.ok || body?.status !== 'OK') {throw new Error(`${origin}/query status ${res.status}${body?.error ? ` (${body.error})` : ''}`);}
+  const windows = new Map();
+  for (const cell of body.cells){
+    const unit = cell.key['meta.unit_id'];
+    if (!unit) {continue;}
+    const start = Date.parse(`${cell.bucket}T00:00:00.000Z`);
+    const w = windows.get(start) || { counts: new Map(), cells: [] };
+    w.counts.set(unit, cell.count);
+    w.cells.push(cell);
+    windows.set(start, w);
+  }
+  return { threshold: body.min_cell_threshold, windows: new Map([...windows].map(([start, w]) => [start, { counts: w.counts, sourceHash: sha256Hex(canonicalize({ cells: w.cells.sort((a, b) => a.id.localeCompare(b.id)) })) }])) };
+}
+
+async function main(){
+  const collector = parseArg('collector', null);
+  const dataDir = parseArg('data-dir', process.env.EVENTS_DATA_DIR || 'artifacts');
+  const unitsFile = parseArg('units', null);
+  const now = parseArg('now', null) ? parseTime(parseArg('now'), 'now') : Date.now();
+  const { T_enter_major } = yaml.parse(await fs.readFile(CONFIG_PATH,'utf8')).parameters;
+  let threshold = minCellThreshold();
+
+  const log = await readJson(WINDOWS_PATH, { version: 1, watermark_utc: null, windows: [] });
+  const previous = (await readJson(SNAPSHOTS_PATH, [])).filter(s => s && s.window_start);
+  const roster = unitsFile ? JSON.parse(await fs.readFile(unitsFile,'utf8')) : [];
+  if (!Array.isArray(roster) || roster.some(u => typeof u !== 'string')) {throw new Error(`--units ${unitsFile} must be a JSON array of unit ids`);}
+  const units = new Set([...roster, ...previous.map(s => s.unit)]);
+
+  const to = windowStart(now); // end of the last closed window
+  let from = log.watermark_utc ? Date.parse(log.watermark_utc) : (parseArg('from', null) ? windowStart(parseTime(parseArg('from'), 'from')) : -Infinity);
+  let windows;
+  if (collector){
+    const result = await queryExposures(collector, { from: Number.isFinite(from) ? from : 0, to });
+    threshold = Math.max(threshold, result.threshold);
+    windows = result.windows;
+  } else {
+    windows = await countExposures(readStoredEvents(dataDir), { from, to });
+  }
+  if (!Number.isFinite(from)) {from = windows.size ? Math.min(...windows.keys()) : to;}
+
+  const provenanceBase = { source: collector ? 'query-api' : 'event-store', params_sha256: paramsHash({ threshold, T_enter_major, exposure_events: EXPOSURE_EVENTS }) };
+  const built = [];
+  const snapshots = [];
+  let latest = null;
+  for (let start = from; start < to; start += WINDOW_MS){
+    const w = windows.get(start) || { counts: new Map(), sourceHash: sha256Hex('') };
+    const result = windowSnapshots({ start, counts: w.counts, units, threshold, T_enter_major, provenance: { ...provenanceBase, source_sha256: w.sourceHash } });
+    result.snapshots.forEach(s => units.add(s.unit));
+    built.push(result.window);
+    snapshots.push(...result.snapshots);
+    if (result.window.status === 'BUILT') {latest = result;}
+  }
+
+  await fs.mkdir('artifacts',{recursive:true});
+  // Nothing seen yet: leave the watermark unset so the first events still get their windows built
+  const watermark_utc = built.length ? new Date(to).toISOString() : log.watermark_utc;
+  await fs.writeFile(WINDOWS_PATH, JSON.stringify({ version: 1, updated_utc: new Date().toISOString(), watermark_utc, min_cell_threshold: threshold, windows: [...log.windows, ...built] }, null, 2));
+  if (snapshots.length || previous.length) {await fs.writeFile(SNAPSHOTS_PATH, JSON.stringify([...previous, ...snapshots], null, 2));}
+  if (latest){
+    const equity = computeEquityIndex(latest.buckets);
+    await fs.writeFile(SUMMARY_PATH, JSON.stringify({
+      version: '0.2.0',
+      generated_utc: new Date().toISOString(),
+      window_start: latest.window.window_start,
+      window_end: latest.window.window_end,
+      buckets: latest.buckets,
+      equity_index_raw: equity.raw,
+      equity_index: equity.rounded,
+      rounding_decimals: 2,
+      rounding_method: 'half_up',
+      provenance: latest.window.provenance,
+    }, null, 2));
+  }
+  const count = status => built.filter(w => w.status === status).length;
+  console.log(`[equity-snapshots] windows built=${count('BUILT')} insufficient=${count('INSUFFICIENT_DATA')} snapshots=${snapshots.length} watermark=${watermark_utc}`);
+}
+
+main().catch(e=>{ console.error('[equity-snapshots] error', e); process.exit(2); });
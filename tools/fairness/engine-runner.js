@@ -0,0 +1,222 @@
+/**
+ * engine-runner.js
+ * Incremental hysteresis runner shared by hysteresis-engine.js and derive-under-served-list.js.
+ *  - Source of truth: append-only log artifacts/hysteresis-log.ndjson, one record per applied snapshot (unit, ts,
+ *    ratio, snapshot_id, parameter version / DEC / hash, resulting state, events), each carrying the hash of the
+ *    previous record
+ *  - Parameters: the version of param-registry.js effective at each snapshot's ts; a record the registry now assigns
+ *    to another version (one registered later with an earlier effective_from) is reported as superseded, not redone
+ *  - Per-unit watermark: the ts of the unit's last record. Only snapshots after it are applied, so running again over
+ *    the same snapshots appends nothing; a snapshot at or before the watermark is counted as duplicate (same content
+ *    already in the log) or late (anything else) and never applied
+ *  - Trace mode (opts.trace, HYST_TRACE=1): each record also carries the decision trace of engine-trace.js
+ *  - Derived views, rewritten from the log on every run: artifacts/hysteresis-state.json (latest state per unit and the
+ *    log head) and artifacts/hysteresis-events.json (every transition event in log order, with the parameter version
+ *    that produced it)
+ * A torn last line (interrupted append) is cut off on load; any other break in the hash chain stops the runner.
+ * Readers that must not change the log (explain-unit.js, whatif.js) load it with init({ readOnly: true }), which leaves
+ * a torn tail in place and reports it as log.tornTail.
+ * The log is committed together with its derived views. A v2 state file naming more records than the log holds (log
+ * lost or not checked out) stops the runner instead of restarting every unit from NONE; with opts.importState
+ * (HYST_IMPORT_STATE=1) and no log at all, the state's units are imported as the first records of a new log.
+ */
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import { canonicalize } from '../lib/canonical.js';
+import { decide } from './engine-core.js';
+import { decideTraced } from './engine-trace.js';
+import { PARAM_REGISTRY_PATH, loadParamRegistry } from './param-registry.js';
+
+export const SNAPSHOTS_PATH = 'artifacts/equity-snapshots.json';
+export const LOG_PATH = 'artifacts/hysteresis-log.ndjson';
+export const STATE_PATH = 'artifacts/hysteresis-state.json';
+export const EVENTS_PATH = 'artifacts/hysteresis-events.json';
+export const STATE_VERSION = 2;
+
+const STATE_FIELDS = ['state', 'consecutive', 'cooldownLeft', 'stallConsec'];
+
+function sha256Hex(text){ return createHash('sha256').update(text,'utf8').digest('hex'); }
+
+export class EngineLogError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} line - 1-based line of the log
+   * @param {string} [code]
+   */
+  constructor(message, line, code = 'HYSTERESIS_LOG_INVALID'){
+    super(message);
+    this.name = 'EngineLogError';
+    this.code = code;
+    this.line = line;
+  }
+}
+
+/** @returns {string} Content hash of a snapshot as read from the input */
+export function snapshotId(snapshot){
+  return sha256Hex(canonicalize(snapshot));
+}
+
+/** @returns {string} Hash of a log record (everything but its own hash) */
+export function recordHash(record){
+  const { hash: _hash, ...body } = record;
+  return sha256Hex(canonicalize(body));
+}
+
+export class HysteresisLog {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.file]
+   */
+  constructor({ file = LOG_PATH } = {}){
+    this.file = file;
+    this.records = [];
+    /** @type {{line:number, bytes:number}|null} Incomplete last line found by init() */
+    this.tornTail = null;
+  }
+
+  get head(){ return this.records.at(-1) || null; }
+
+  /**
+   * Load and verify the chain; a torn last line is truncated, or with readOnly only reported in tornTail
+   * @param {object} [opts]
+   * @param {boolean} [opts.readOnly]
+   */
+  async init({ readOnly = false } = {}){
+    let text;
+    try { text = await fs.readFile(this.file,'utf8'); } catch (e) {
+      if (e.code === 'ENOENT') {return this;}
+      throw e;
+    }
+    const lines = text.split('\n');
+    const tail = lines.pop(); // '' unless the last append was cut short
+    let bytes = 0;
+    for (const [i, line] of lines.entries()){
+      let record = null;
+      try { record = JSON.parse(line); } catch { record = null; }
+      if (!record) {throw new EngineLogError(`${this.file}:${i + 1} is not a log record`, i + 1);}
+      if (record.seq !== this.records.length + 1 || record.prev_hash !== (this.head?.hash ?? null) || record.hash !== recordHash(record)){
+        throw new EngineLogError(`${this.file}:${i + 1} breaks the hash chain (seq ${record.seq})`, i + 1);
+      }
+      this.records.push(record);
+      bytes += Buffer.byteLength(line,'utf8') + 1;
+    }
+    if (tail){
+      this.tornTail = { line: lines.length + 1, bytes: Buffer.byteLength(tail,'utf8') };
+      if (!readOnly) {await fs.truncate(this.file, bytes);}
+    }
+    return this;
+  }
+
+  /**
+   * Chain and append records (without seq, prev_hash and hash)
+   * @param {object[]} bodies
+   * @returns {Promise<object[]>} The appended records
+   */
+  async append(bodies){
+    const added = [];
+    for (const body of bodies){
+      const record = { seq: this.records.length + 1, ...body, prev_hash: this.head?.hash ?? null };
+      record.hash = recordHash(record);
+      this.records.push(record);
+      added.push(record);
+    }
+    if (added.length){
+      await fs.mkdir(path.dirname(this.file),{recursive:true});
+      await fs.appendFile(this.file, added.map(r => JSON.stringify(r) + '\n').join(''));
+    }
+    return added;
+  }
+
+  /** @returns {Map<string, object>} Last record per unit */
+  latest(){
+    const units = new Map();
+    for (const r of this.records) {units.set(r.unit, r);}
+    return units;
+  }
+}
+
+async function readJson(p, fallback){ try { return JSON.parse(await fs.readFile(p,'utf8')); } catch { return fallback; } }
+
+async function writeAtomic(file, value){
+  const tmp = file + '.tmp';
+  await fs.mkdir(path.dirname(file),{recursive:true});
+  await fs.writeFile(tmp, JSON.stringify(value, null, 2));
+  await fs.rename(tmp, file);
+}
+
+// Records seeding a new log from a pre-log state file or the units of a v2 one ({ unit: { state, ..., lastRatio, lastTs } })
+function importRecords(legacy){
+  return Object.keys(legacy).sort().filter(unit => legacy[unit]?.lastTs).map(unit => ({
+    kind: 'import', unit, ts: legacy[unit].lastTs, ratio: legacy[unit].lastRatio ?? null, snapshot_id: null, params_sha256: null,
+    state: Object.fromEntries(STATE_FIELDS.map(f => [f, legacy[unit][f] ?? (f === 'state' ? 'NONE' : 0)])), events: [],
+  }));
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.registryPath]
+ * @param {string} [opts.configPath] - Decide every snapshot with this one config instead of the registry
+ * @param {string} [opts.snapshotsPath]
+ * @param {string} [opts.logPath]
+ * @param {string} [opts.statePath]
+ * @param {string} [opts.eventsPath]
+ * @param {boolean} [opts.trace] - Record decision traces (default HYST_TRACE=1)
+ * @param {boolean} [opts.importState] - Seed a missing log from the units of a v2 state file (default HYST_IMPORT_STATE=1)
+ * @returns {Promise<{processed:number, duplicates:number, late:object[], superseded:object[], state:object}>} state as
+ *   written to statePath
+ */
+export async function runEngine({ registryPath = PARAM_REGISTRY_PATH, configPath, snapshotsPath = SNAPSHOTS_PATH, logPath = LOG_PATH, statePath = STATE_PATH, eventsPath = EVENTS_PATH, trace = process.env.HYST_TRACE === '1', importState = process.env.HYST_IMPORT_STATE === '1' } = {}){
+  const registry = await loadParamRegistry({ file: registryPath, configPath });
+  const snapshots = await readJson(snapshotsPath, []);
+  const log = await new HysteresisLog({ file: logPath }).init();
+  const prior = await readJson(statePath, null);
+  if (prior && !prior.version && !log.records.length) {await log.append(importRecords(prior));}
+  else if (prior?.version && (prior.log?.records ?? 0) > log.records.length){
+    if (!importState || log.records.length){
+      throw new EngineLogError(`${statePath} was derived from ${prior.log.records} log records but ${logPath} holds ${log.records.length}; restore the log committed with it, or rerun with HYST_IMPORT_STATE=1 to start a new log from the state`, log.records.length, 'HYSTERESIS_LOG_MISSING');
+    }
+    await log.append(importRecords(prior.units || {}));
+  }
+
+  const latest = log.latest();
+  const seen = new Map(log.records.map(r => [`${r.unit}|${r.ts}`, r.snapshot_id]));
+  const ordered = snapshots.filter(s => s && typeof s.unit === 'string' && !Number.isNaN(Date.parse(s.ts)))
+    .map(s => ({ s, at: Date.parse(s.ts) }))
+    .sort((a, b) => a.at - b.at || a.s.unit.localeCompare(b.s.unit));
+  const bodies = [];
+  const late = [];
+  let duplicates = 0;
+  for (const { s, at } of ordered){
+    const id = snapshotId(s);
+    const prev = latest.get(s.unit);
+    if (prev && at <= Date.parse(prev.ts)){
+      if (seen.get(`${s.unit}|${s.ts}`) === id) {duplicates++;}
+      else {late.push({ unit: s.unit, ts: s.ts, snapshot_id: id, watermark: prev.ts });}
+      continue;
+    }
+    const v = registry.at(at);
+    const r = trace ? decideTraced(v.params, prev?.state, s.ratio) : decide(v.params, prev?.state, s.ratio);
+    const body = { kind: 'snapshot', unit: s.unit, ts: s.ts, ratio: s.ratio, snapshot_id: id, params_version: v.version, dec_id: v.dec_id, params_sha256: v.params_sha256, state: Object.fromEntries(STATE_FIELDS.map(f => [f, r[f]])), events: r.events };
+    if (trace) {body.trace = r.trace;}
+    bodies.push(body);
+    latest.set(s.unit, body);
+    seen.set(`${s.unit}|${s.ts}`, id);
+  }
+  await log.append(bodies);
+  const superseded = log.records.filter(r => r.kind === 'snapshot' && r.params_version && registry.at(r.ts).version !== r.params_version)
+    .map(r => ({ seq: r.seq, unit: r.unit, ts: r.ts, params_version: r.params_version, effective_version: registry.at(r.ts).version }));
+
+  const state = {
+    version: STATE_VERSION,
+    log: { file: logPath, records: log.records.length, head_hash: log.head?.hash ?? null },
+    params: { current: registry.current.version, dec_id: registry.current.dec_id, params_sha256: registry.current.params_sha256, versions: registry.versions.map(v => ({ version: v.version, dec_id: v.dec_id, effective_from: v.effective_from })) },
+    units: Object.fromEntries([...log.latest()].sort(([a], [b]) => a.localeCompare(b)).map(([unit, r]) => [unit, {
+      ...r.state, lastRatio: r.ratio, lastTs: r.ts, watermark: r.ts, events: r.events, seq: r.seq, snapshot_id: r.snapshot_id, params_version: r.params_version ?? null,
+    }])),
+  };
+  const events = log.records.flatMap(r => r.events.map(ev => ({ unit: r.unit, ts: r.ts, ratio: r.ratio, ...ev, params_version: r.params_version ?? null, dec_id: r.dec_id ?? null, seq: r.seq, record_hash: r.hash })));
+  await writeAtomic(statePath, state);
+  await writeAtomic(eventsPath, events);
+  return { processed: bodies.length, duplicates, late, superseded, state };
+}
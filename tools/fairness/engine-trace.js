@@ -0,0 +1,144 @@
+/**
+ * engine-trace.js
+ * Decision trace for the hysteresis engine: which thresholds were compared, the branch of engine-core.decide() taken
+ * and how the counters moved, per snapshot. decide() itself is governed (DEC-20250812-02) and left untouched; the
+ * trace re-evaluates the same predicates next to it and marks itself inconsistent if it predicts a different state,
+ * so a trace never explains a decision the engine did not make. Does not perform I/O.
+ */
+import { decide } from './engine-core.js';
+
+export const TRACE_VERSION = 1;
+/** Parameters decide() reads */
+export const TRACE_PARAMS = ['T_enter_major', 'T_enter_standard', 'consecutive_required_standard', 'T_exit', 'cooldown_snapshots_after_exit', 'stalled_window_snapshots', 'stalled_min_ratio', 'stalled_max_ratio_below_exit'];
+const COUNTERS = ['consecutive', 'cooldownLeft', 'stallConsec'];
+
+// Branch ids per state: [next state, explanation]
+const BRANCHES = {
+  'NONE.severe': ['ACTIVE', (c, p) => `ratio ${c.ratio} below T_enter_major ${p.T_enter_major}: severe, enters immediately`],
+  'NONE.borderline': ['CANDIDATE', (c, p) => `ratio ${c.ratio} borderline (${p.T_enter_major} <= ratio < ${p.T_enter_standard}): candidate, 1 of ${p.consecutive_required_standard} consecutive`],
+  'NONE.stay': ['NONE', (c, p) => `ratio ${c.ratio} at or above T_enter_standard ${p.T_enter_standard}: no action`],
+  'CANDIDATE.severe': ['ACTIVE', (c, p) => `ratio ${c.ratio} below T_enter_major ${p.T_enter_major}: severe, enters immediately`],
+  'CANDIDATE.consecutive': ['ACTIVE', (c, p) => `ratio ${c.ratio} borderline again: ${c.consecutive + 1} of ${p.consecutive_required_standard} consecutive reached, enters`],
+  'CANDIDATE.borderline': ['CANDIDATE', (c, p) => `ratio ${c.ratio} borderline again: ${c.consecutive + 1} of ${p.consecutive_required_standard} consecutive`],
+  'CANDIDATE.reset': ['NONE', (c, p) => `ratio ${c.ratio} at or above T_enter_standard ${p.T_enter_standard}: candidate dropped, consecutive count reset`],
+  'ACTIVE.exit': ['CLEARED', (c, p) => `ratio ${c.ratio} at or above T_exit ${p.T_exit}: exits, cooldown of ${p.cooldown_snapshots_after_exit} snapshot(s) starts`],
+  'ACTIVE.stall': ['STALLED', (c, p) => `ratio ${c.ratio} in stall band [${p.stalled_min_ratio}, ${p.stalled_max_ratio_below_exit}) for ${c.stallConsec + 1} of ${p.stalled_window_snapshots} snapshots: stalled`],
+  'ACTIVE.stall_count': ['ACTIVE', (c, p) => `ratio ${c.ratio} below T_exit ${p.T_exit}, in stall band: ${c.stallConsec + 1} of ${p.stalled_window_snapshots} snapshots toward stalled`],
+  'ACTIVE.stay': ['ACTIVE', (c, p) => `ratio ${c.ratio} below T_exit ${p.T_exit} and outside the stall band: stays listed, stall count reset`],
+  'STALLED.exit': ['CLEARED', (c, p) => `ratio ${c.ratio} at or above T_exit ${p.T_exit}: exits, cooldown of ${p.cooldown_snapshots_after_exit} snapshot(s) starts`],
+  'STALLED.break_severe': ['ACTIVE', (c, p) => `ratio ${c.ratio} left the stall band downward, below T_enter_major ${p.T_enter_major}: back to active`],
+  'STALLED.break_borderline': ['ACTIVE', c => `ratio ${c.ratio} left the stall band downward, borderline: back to active`],
+  'STALLED.break_drift': ['ACTIVE', (c, p) => `ratio ${c.ratio} left the stall band but is below T_exit ${p.T_exit}: back to active`],
+  'STALLED.stay': ['STALLED', (c, p) => `ratio ${c.ratio} still in stall band [${p.stalled_min_ratio}, ${p.stalled_max_ratio_below_exit}): stays stalled`],
+  'CLEARED.severe': ['ACTIVE', (c, p) => `ratio ${c.ratio} below T_enter_major ${p.T_enter_major}: re-enters regardless of cooldown`],
+  'CLEARED.borderline': ['CANDIDATE', (c, p) => `ratio ${c.ratio} borderline after cooldown ended: candidate again, 1 of ${p.consecutive_required_standard} consecutive`],
+  'CLEARED.cooldown_blocked': ['CLEARED', c => `ratio ${c.ratio} borderline but cooldown has ${c.cooldownLeft} snapshot(s) left: candidate tracking not restarted`],
+  'CLEARED.stay': ['CLEARED', (c, p) => `ratio ${c.ratio} at or above T_enter_standard ${p.T_enter_standard}: stays cleared`],
+};
+
+/**
+ * @param {object} params - Hysteresis parameters
+ * @param {object|undefined} prevState - Previous decide() result (or undefined for a new unit)
+ * @param {number} ratio
+ * @returns {{checks:object[], branch:string}}
+ */
+function evaluate(params, prevState, ratio){
+  const p = params;
+  const state = prevState?.state || 'NONE';
+  const check = (name, test, operands, value) => ({ name, test, operands, value });
+  const severe = check('severe', 'ratio < T_enter_major', { ratio, T_enter_major: p.T_enter_major }, ratio < p.T_enter_major);
+  const borderline = check('borderline', 'T_enter_major <= ratio < T_enter_standard', { ratio, T_enter_major: p.T_enter_major, T_enter_standard: p.T_enter_standard }, ratio < p.T_enter_standard && ratio >= p.T_enter_major);
+  const exit = check('exit', 'ratio >= T_exit', { ratio, T_exit: p.T_exit }, ratio >= p.T_exit);
+  const stallBand = check('stall_band', 'stalled_min_ratio <= ratio < stalled_max_ratio_below_exit', { ratio, stalled_min_ratio: p.stalled_min_ratio, stalled_max_ratio_below_exit: p.stalled_max_ratio_below_exit }, ratio >= p.stalled_min_ratio && ratio < p.stalled_max_ratio_below_exit);
+  switch (state){
+  case 'NONE':
+    return { checks: [severe, borderline], branch: severe.value ? 'NONE.severe' : borderline.value ? 'NONE.borderline' : 'NONE.stay' };
+  case 'CANDIDATE': {
+    const met = check('consecutive_met', 'consecutive + 1 >= consecutive_required_standard', { consecutive: prevState?.consecutive || 0, consecutive_required_standard: p.consecutive_required_standard }, (prevState?.consecutive || 0) + 1 >= p.consecutive_required_standard);
+    if (severe.value) {return { checks: [severe], branch: 'CANDIDATE.severe' };}
+    if (borderline.value) {return { checks: [severe, borderline, met], branch: met.value ? 'CANDIDATE.consecutive' : 'CANDIDATE.borderline' };}
+    return { checks: [severe, borderline], branch: 'CANDIDATE.reset' };
+  }
+  case 'ACTIVE': {
+    const stalled = check('stall_window_met', 'stallConsec + 1 >= stalled_window_snapshots', { stallConsec: prevState?.stallConsec || 0, stalled_window_snapshots: p.stalled_window_snapshots }, (prevState?.stallConsec || 0) + 1 >= p.stalled_window_snapshots);
+    if (exit.value) {return { checks: [exit], branch: 'ACTIVE.exit' };}
+    if (stallBand.value) {return { checks: [exit, stallBand, stalled], branch: stalled.value ? 'ACTIVE.stall' : 'ACTIVE.stall_count' };}
+    return { checks: [exit, stallBand], branch: 'ACTIVE.stay' };
+  }
+  case 'STALLED':
+    if (exit.value) {return { checks: [exit], branch: 'STALLED.exit' };}
+    if (stallBand.value) {return { checks: [exit, stallBand], branch: 'STALLED.stay' };}
+    return { checks: [exit, stallBand, severe, borderline], branch: severe.value ? 'STALLED.break_severe' : borderline.value ? 'STALLED.break_borderline' : 'STALLED.break_drift' };
+  case 'CLEARED': {
+    const cooled = check('cooldown_over', 'cooldownLeft == 0', { cooldownLeft: prevState?.cooldownLeft || 0 }, (prevState?.cooldownLeft || 0) === 0);
+    if (severe.value) {return { checks: [severe], branch: 'CLEARED.severe' };}
+    if (borderline.value) {return { checks: [severe, borderline, cooled], branch: cooled.value ? 'CLEARED.borderline' : 'CLEARED.cooldown_blocked' };}
+    return { checks: [severe, borderline], branch: 'CLEARED.stay' };
+  }
+  default:
+    return { checks: [], branch: `${state}.unknown` };
+  }
+}
+
+/**
+ * Trace of one decide() step; result is taken from decide(), not from the trace
+ * @param {object} params
+ * @param {object|undefined} prevState
+ * @param {number} ratio
+ * @param {object} result - decide(params, prevState, ratio)
+ * @returns {object} { version, input, params, checks, branch, explanation, output, deltas, consistent }
+ */
+export function traceStep(params, prevState, ratio, result){
+  const input = { ratio, state: prevState?.state || 'NONE', ...Object.fromEntries(COUNTERS.map(k => [k, prevState?.[k] || 0])) };
+  const { checks, branch } = evaluate(params, prevState, ratio);
+  const [expected, explain] = BRANCHES[branch] || [null, () => 'state not known to the trace'];
+  const output = { state: result.state, ...Object.fromEntries(COUNTERS.map(k => [k, result[k]])) };
+  return {
+    version: TRACE_VERSION,
+    input,
+    params: Object.fromEntries(TRACE_PARAMS.map(k => [k, params[k] ?? null])),
+    checks,
+    branch,
+    explanation: explain(input, params),
+    output,
+    deltas: Object.fromEntries(COUNTERS.map(k => [k, output[k] - input[k]])),
+    events: result.events,
+    consistent: expected === result.state,
+  };
+}
+
+/**
+ * decide() with its trace attached
+ * @returns {object} decide() result plus trace
+ */
+export function decideTraced(params, prevState, ratio){
+  const result = decide(params, prevState, ratio);
+  return { ...result, trace: traceStep(params, prevState, ratio, result) };
+}
+
+/**
+ * Timeline of one unit from hysteresis log records. Records without a recorded trace are replayed against the
+ * registry version they name (or the one effective at their ts); replayed steps keep the recorded decision and only
+ * borrow the explanation
+ * @param {object[]} records - Log records in order (engine-runner.js HysteresisLog)
+ * @param {string} unit
+ * @param {object} opts
+ * @param {import('./param-registry.js').ParamRegistry} opts.registry
+ * @returns {object[]} { seq, ts, ratio, kind, params_version, dec_id, source: recorded|replayed|import, params_match,
+ *   trace|null, state, events, record_hash }; params_match is false when the parameters replayed or registered now
+ *   differ from the ones the record was decided with
+ */
+export function unitTimeline(records, unit, { registry }){
+  const out = [];
+  let prev;
+  for (const r of records){
+    if (r.unit !== unit) {continue;}
+    const v = (r.params_version && registry.get(r.params_version)) || registry.at(r.ts);
+    const entry = { seq: r.seq, ts: r.ts, ratio: r.ratio, kind: r.kind, params_version: r.params_version ?? null, dec_id: r.dec_id ?? null, state: r.state.state, events: r.events, record_hash: r.hash, params_match: r.params_sha256 === v.params_sha256 };
+    if (r.kind === 'import') {out.push({ ...entry, source: 'import', params_match: null, trace: null });}
+    else if (r.trace) {out.push({ ...entry, source: 'recorded', trace: r.trace });}
+    else {out.push({ ...entry, source: 'replayed', trace: traceStep(v.params, prev, r.ratio, { ...r.state, events: r.events }) });}
+    prev = r.state;
+  }
+  return out;
+}
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * explain-unit.js
+ * Renders one unit's hysteresis decisions as a timeline from artifacts/hysteresis-log.ndjson: per snapshot the ratio,
+ * the thresholds compared, the branch taken, counter changes and events, to answer "why is this unit (not) listed as
+ * under-served?". Uses the trace recorded by a traced engine run (HYST_TRACE=1); other records are replayed against
+ * the parameter version they were decided with (param-registry.js) and marked when that version's parameters changed
+ * since. Each step names its parameter version and DEC. The log is only read: an incomplete last line is reported on
+ * stderr and left for the engine.
+ * Usage: npm run fairness:explain -- --unit U2 [--last=N] [--json]
+ */
+import { HysteresisLog, LOG_PATH } from './engine-runner.js';
+import { unitTimeline } from './engine-trace.js';
+import { loadParamRegistry } from './param-registry.js';
+
+const UNDER_SERVED = ['ACTIVE', 'STALLED'];
+
+// Accepts --name=value and --name value
+function parseArg(name, defVal) {
+  const args = process.argv.slice(2);
+  const prefix = `--${name}=`;
+  const found = args.find(a => a.startsWith(prefix));
+  if (found) {return found.slice(prefix.length);}
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] && !args[i + 1].startsWith('--') ? args[i + 1] : defVal;
+}
+
+// 'ratio >= T_exit' with { ratio: 0.59, T_exit: 0.65 } -> '0.59 >= 0.65'
+function substitute(test, operands){
+  return test.replace(/\b[A-Za-z_]+\b/g, name => name in operands ? String(operands[name]) : name);
+}
+
+function renderEntry(e){
+  const lines = [];
+  const events = e.events.map(ev => `[${ev.type}${ev.reason ? ` ${ev.reason}` : ''}]`).join(' ');
+  if (!e.trace){
+    lines.push(`${e.ts}  #${e.seq}  ratio ${e.ratio ?? '-'}  imported as ${e.state}`);
+    lines.push('    state carried over from a state file written before the engine log; no trace available');
+    return lines;
+  }
+  const t = e.trace;
+  const move = t.input.state === t.output.state ? t.output.state : `${t.input.state} -> ${t.output.state}`;
+  lines.push(`${e.ts}  #${e.seq}  ratio ${e.ratio}  ${move}${events ? `  ${events}` : ''}  (params ${e.params_version ?? '?'}${e.dec_id ? `, ${e.dec_id}` : ''})`);
+  lines.push(`    ${t.explanation}`);
+  lines.push(`    checks: ${t.checks.map(c => `${c.name} ${c.value ? 'yes' : 'no'} (${substitute(c.test, c.operands)})`).join('; ')}`);
+  const deltas = Object.entries(t.deltas).filter(([, d]) => d !== 0).map(([k]) => `${k} ${t.input[k]} -> ${t.output[k]}`);
+  if (deltas.length) {lines.push(`    counters: ${deltas.join(', ')}`);}
+  const notes = [];
+  if (e.source === 'replayed') {notes.push('trace replayed from the log');}
+  if (e.params_match === false) {notes.push('parameters differ from the ones this snapshot was decided with');}
+  if (!t.consistent) {notes.push('trace does not match the recorded decision');}
+  if (notes.length) {lines.push(`    note: ${notes.join('; ')}`);}
+  return lines;
+}
+
+async function main(){
+  const unit = parseArg('unit', null);
+  if (!unit) {throw new Error('--unit is required (e.g. --unit U2)');}
+  const last = Number(parseArg('last', 0));
+  const registry = await loadParamRegistry();
+  // Read only: a torn tail is the engine's to cut off on its next run
+  const log = await new HysteresisLog({ file: parseArg('log', LOG_PATH) }).init({ readOnly: true });
+  if (log.tornTail) {console.warn(`[fairness-explain] ${log.file}:${log.tornTail.line} is an incomplete record (interrupted append), ignored`);}
+  const timeline = unitTimeline(log.records, unit, { registry });
+  if (!timeline.length) {throw new Error(`unit ${unit} not in ${log.file} (run the hysteresis engine first)`);}
+  const current = timeline.at(-1).state;
+  // Start of the current listed / not-listed stretch
+  let since = timeline.length - 1;
+  while (since > 0 && UNDER_SERVED.includes(timeline[since - 1].state) === UNDER_SERVED.includes(current)) {since--;}
+  const summary = { unit, state: current, under_served: UNDER_SERVED.includes(current), since: timeline[since].ts, snapshots: timeline.length, log_head_hash: log.head.hash };
+  const shown = last > 0 ? timeline.slice(-last) : timeline;
+  if (process.argv.includes('--json')){
+    console.log(JSON.stringify({ ...summary, timeline: shown }, null, 2));
+    return;
+  }
+  console.log(`Unit ${unit}: ${current} (${summary.under_served ? 'listed as under-served' : 'not listed as under-served'}) since ${summary.since}`);
+  console.log(`${timeline.length} snapshot(s) in the engine log, head ${log.head.hash.slice(0, 12)}${shown.length < timeline.length ? `; last ${shown.length} shown` : ''}`);
+  console.log('');
+  for (const e of shown) {console.log(renderEntry(e).join('\n'));}
+}
+
+main().catch(e=>{ console.error('[fairness-explain] error', e.message); process.exit(2); });
@@ -1,41 +1,19 @@
 #!/usr/bin/env node
 /**
  * hysteresis-engine.js
- * Applies Option F hysteresis logic to equity ratio snapshots.
+ * Applies Option F hysteresis logic to equity ratio snapshots, incrementally (engine-runner.js): only snapshots past
+ * each unit's watermark are applied and appended to artifacts/hysteresis-log.ndjson; hysteresis-state.json and
+ * hysteresis-events.json are derived from that log. Parameters come from the version of
+ * docs/fairness/hysteresis-param-registry.json effective at each snapshot.
+ * Env: HYST_SNAPSHOT_INPUT (default artifacts/equity-snapshots.json); HYST_TRACE=1 or --trace records decision traces
+ * (explain-unit.js); HYST_IMPORT_STATE=1 starts a new log from hysteresis-state.json when its log is missing
  */
-import { promises as fs } from 'fs';
-import yaml from 'yaml';
-import { decide } from './engine-core.js';
-
-const CONFIG_PATH = 'docs/fairness/hysteresis-config-v1.yml';
-const SNAPSHOT_INPUT = process.env.HYST_SNAPSHOT_INPUT || 'artifacts/equity-snapshots.json';
-const STATE_PATH = 'artifacts/hysteresis-state.json';
-const EVENTS_PATH = 'artifacts/hysteresis-events.json';
-
-async function loadConfig(){
-  const raw = await fs.readFile(CONFIG_PATH,'utf8');
-  return yaml.parse(raw).parameters;
-}
-async function loadSnapshots(){ try { return JSON.parse(await fs.readFile(SNAPSHOT_INPUT,'utf8')); } catch { return []; } }
-async function loadState(){ try { return JSON.parse(await fs.readFile(STATE_PATH,'utf8')); } catch { return {}; } }
-async function loadEvents(){ try { return JSON.parse(await fs.readFile(EVENTS_PATH,'utf8')); } catch { return []; } }
-
-// decide() now imported from engine-core.js
+import { SNAPSHOTS_PATH, runEngine } from './engine-runner.js';
 
 async function main(){
-  const p = await loadConfig();
-  const snaps = await loadSnapshots();
-  const state = await loadState();
-  const allEvents = await loadEvents();
-  for (const s of snaps){
-    const prev = state[s.unit];
-    const r = decide(p, prev, s.ratio);
-    state[s.unit] = { ...r, lastRatio:s.ratio, lastTs:s.ts };
-    r.events.forEach(ev=> allEvents.push({ unit:s.unit, ts:s.ts, ratio:s.ratio, ...ev }));
-  }
-  await fs.mkdir('artifacts',{recursive:true});
-  await fs.writeFile(STATE_PATH, JSON.stringify(state,null,2));
-  await fs.writeFile(EVENTS_PATH, JSON.stringify(allEvents,null,2));
-  console.log(`[hysteresis] processed ${snaps.length} snapshots; units=${Object.keys(state).length}`);
+  const result = await runEngine({ snapshotsPath: process.env.HYST_SNAPSHOT_INPUT || SNAPSHOTS_PATH, trace: process.argv.includes('--trace') || process.env.HYST_TRACE === '1' });
+  if (result.late.length) {console.warn(`[hysteresis] ${result.late.length} snapshot(s) at or before their unit's watermark not applied`, result.late.slice(0, 5));}
+  if (result.superseded.length) {console.warn(`[hysteresis] ${result.superseded.length} logged decision(s) made with a parameter version the registry no longer assigns to their ts; start a new log to redo them`, result.superseded.slice(0, 5));}
+  console.log(`[hysteresis] processed ${result.processed} new snapshots; duplicates=${result.duplicates} late=${result.late.length} units=${Object.keys(result.state.units).length} log_head=${result.state.log.head_hash}`);
 }
 main().catch(e=>{ console.error('hysteresis engine error', e); process.exit(2); });
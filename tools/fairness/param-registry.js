@@ -0,0 +1,116 @@
+/**
+ * param-registry.js
+ * Versioned hysteresis parameter sets (docs/fairness/hysteresis-param-registry.json) for the engine runner, the
+ * decision trace and param-lock-verify.js.
+ *  - Registry index { registry_version, versions: [{ version, config, dec_id, effective_from, hash_sha256 }] }; config
+ *    is relative to the index, hash_sha256 seals the config file bytes, versions are listed in effective_from order
+ *  - A snapshot is decided with the last version effective at its ts; the first version also covers earlier snapshots
+ *  - A config must carry the version and dec_id of its entry and match its sealed hash, or it is not loaded
+ *  - Without an index the single docs/fairness/hysteresis-config-v1.yml applies to every snapshot
+ */
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import yaml from 'yaml';
+import { canonicalize } from '../lib/canonical.js';
+
+export const PARAM_REGISTRY_PATH = 'docs/fairness/hysteresis-param-registry.json';
+export const LEGACY_CONFIG_PATH = 'docs/fairness/hysteresis-config-v1.yml';
+
+function sha256Hex(data){ return createHash('sha256').update(data).digest('hex'); }
+
+/** @returns {string} Hash of parsed engine parameters (what a log record was decided with) */
+export function paramsHash(params){
+  return sha256Hex(canonicalize(params));
+}
+
+/**
+ * @param {string} [file]
+ * @returns {Promise<object|null>} Validated registry index, null when there is none
+ */
+export async function readParamRegistry(file = PARAM_REGISTRY_PATH){
+  let text;
+  try { text = await fs.readFile(file,'utf8'); } catch (e) {
+    if (e.code === 'ENOENT') {return null;}
+    throw e;
+  }
+  const index = JSON.parse(text);
+  if (!Array.isArray(index.versions) || !index.versions.length) {throw new Error(`param registry ${file}: no versions`);}
+  const seen = new Set();
+  let prev = -Infinity;
+  for (const v of index.versions){
+    const ms = Date.parse(v.effective_from);
+    if (!v.version || !v.config || !v.dec_id) {throw new Error(`param registry ${file}: version ${v.version} needs version, config and dec_id`);}
+    if (seen.has(v.version)) {throw new Error(`param registry ${file}: version ${v.version} listed twice`);}
+    if (!/^[0-9a-f]{64}$/.test(v.hash_sha256 || '')) {throw new Error(`param registry ${file}: version ${v.version} has no sealed hash_sha256`);}
+    if (Number.isNaN(ms) || ms <= prev) {throw new Error(`param registry ${file}: effective_from of ${v.version} missing or not after the previous version`);}
+    seen.add(v.version);
+    prev = ms;
+  }
+  return index;
+}
+
+export class ParamRegistry {
+  /**
+   * @param {object[]} versions - Loaded entries in effective_from order: { version, dec_id, effective_from, config,
+   *   hash_sha256, params, params_sha256 }
+   */
+  constructor(versions){
+    this.versions = versions;
+  }
+
+  get current(){ return this.versions.at(-1); }
+
+  /** @returns {object|null} Entry of a version id */
+  get(version){ return this.versions.find(v => v.version === version) || null; }
+
+  /**
+   * @param {string|number} ts - Snapshot time (ISO or epoch ms)
+   * @returns {object} Entry effective at ts
+   */
+  at(ts){
+    const ms = typeof ts === 'number' ? ts : Date.parse(ts);
+    let found = this.versions[0];
+    for (const v of this.versions){
+      if (v.effective_from && Date.parse(v.effective_from) <= ms) {found = v;}
+    }
+    return found;
+  }
+}
+
+/**
+ * @param {string} file - Config path
+ * @returns {Promise<{raw:Buffer, doc:object, hash_sha256:string}>}
+ */
+export async function readParamConfig(file){
+  const raw = await fs.readFile(file);
+  return { raw, doc: yaml.parse(raw.toString('utf8')), hash_sha256: sha256Hex(raw) };
+}
+
+function entryOf(meta, config, doc, hash){
+  return { version: meta.version ?? doc.version ?? null, dec_id: meta.dec_id ?? doc.dec_id ?? null, effective_from: meta.effective_from ?? null, config, hash_sha256: hash, params: doc.parameters, params_sha256: paramsHash(doc.parameters) };
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.file] - Registry index
+ * @param {string} [opts.configPath] - Use this one config for every snapshot instead of the registry (no seal check)
+ * @returns {Promise<ParamRegistry>}
+ */
+export async function loadParamRegistry({ file = PARAM_REGISTRY_PATH, configPath } = {}){
+  const index = configPath ? null : await readParamRegistry(file);
+  if (!index){
+    const single = configPath || LEGACY_CONFIG_PATH;
+    const { doc, hash_sha256 } = await readParamConfig(single);
+    return new ParamRegistry([entryOf({}, single, doc, hash_sha256)]);
+  }
+  const versions = [];
+  for (const v of index.versions){
+    const config = path.join(path.dirname(file), v.config);
+    const { doc, hash_sha256 } = await readParamConfig(config);
+    if (hash_sha256 !== v.hash_sha256) {throw new Error(`param registry: ${config} does not match the sealed hash of version ${v.version} (run param:lock)`);}
+    if (String(doc.version) !== v.version || doc.dec_id !== v.dec_id) {throw new Error(`param registry: ${config} declares ${doc.version} / ${doc.dec_id}, registry lists ${v.version} / ${v.dec_id}`);}
+    versions.push(entryOf(v, config, doc, hash_sha256));
+  }
+  return new ParamRegistry(versions);
+}
@@ -0,0 +1,102 @@
+/**
+ * snapshot-core.js
+ * Equity snapshot windows from unit exposure counts (docs/fairness/equity-snapshot-pseudocode.md), shared by
+ * build-equity-snapshots.js and its tests. Does not perform I/O.
+ *  - Window: 24h, aligned to 00:00 UTC; only windows that have closed are built
+ *  - Exposure: events in EXPOSURE_EVENTS carrying meta.unit_id, counted per unit and window
+ *  - Ratio (fulfilment ratio fed to engine-core.decide): min(1, exposures / mean exposures per unit), so a unit with its
+ *    equal share or more is at 1
+ *  - Minimum cell threshold (DEC-20250812-04): unit counts below it are not published and count as 0. A window is only
+ *    built when the mean per unit is at least threshold / T_enter_major, so a unit below the threshold is under
+ *    T_enter_major whether its count is known or not; other windows are skipped as INSUFFICIENT_DATA
+ */
+import { createHash } from 'crypto';
+import { canonicalize } from '../lib/canonical.js';
+import { roundHalfUp } from './rounding-util.js';
+
+export const WINDOW_MS = 86400000;
+export const EXPOSURE_EVENTS = ['pub_registry_unit_view', 'pub_unit_profile_view'];
+export const RATIO_DECIMALS = 4;
+export const RATIO_DEFINITION = 'min(1, exposures / mean_exposures_per_unit)';
+
+export function sha256Hex(text){ return createHash('sha256').update(text,'utf8').digest('hex'); }
+
+/**
+ * @param {number} ms
+ * @returns {number} Start of the UTC day holding ms
+ */
+export function windowStart(ms){
+  return Math.floor(ms / WINDOW_MS) * WINDOW_MS;
+}
+
+/**
+ * @param {object} params
+ * @param {number} params.threshold - Minimum cell threshold
+ * @param {number} params.T_enter_major - Hysteresis severe entry ratio
+ * @param {string[]} params.exposure_events
+ * @returns {string} Hash of everything that shapes a snapshot besides the events
+ */
+export function paramsHash({ threshold, T_enter_major, exposure_events }){
+  return sha256Hex(canonicalize({ threshold, T_enter_major, exposure_events: [...exposure_events].sort(), ratio: RATIO_DEFINITION, ratio_decimals: RATIO_DECIMALS, window_ms: WINDOW_MS }));
+}
+
+/**
+ * Exposure counts per closed window from stored events
+ * @param {AsyncIterable<object>|Iterable<object>} events
+ * @param {object} opts
+ * @param {number} opts.from - Epoch ms; windows starting earlier are ignored
+ * @param {number} opts.to - Epoch ms; end of the last closed window
+ * @param {string[]} [opts.exposureEvents]
+ * @returns {Promise<Map<number, {counts:Map<string, number>, sourceHash:string}>>} Per window start; sourceHash covers the
+ *   sorted event_hash of every counted event
+ */
+export async function countExposures(events, { from, to, exposureEvents = EXPOSURE_EVENTS }){
+  const windows = new Map();
+  for await (const evt of events){
+    if (!exposureEvents.includes(evt?.event_name)) {continue;}
+    const unit = evt.meta?.unit_id;
+    const ms = Date.parse(evt.occurred_at);
+    if (typeof unit !== 'string' || !unit || Number.isNaN(ms) || ms < from || ms >= to) {continue;}
+    const start = windowStart(ms);
+    const w = windows.get(start) || { counts: new Map(), hashes: [] };
+    w.counts.set(unit, (w.counts.get(unit) || 0) + 1);
+    w.hashes.push(evt.integrity?.event_hash || sha256Hex(canonicalize(evt)));
+    windows.set(start, w);
+  }
+  return new Map([...windows].map(([start, w]) => [start, { counts: w.counts, sourceHash: sha256Hex(w.hashes.sort().join('\n')) }]));
+}
+
+/**
+ * Snapshots of one window
+ * @param {object} opts
+ * @param {number} opts.start - Window start (epoch ms)
+ * @param {Map<string, number>} opts.counts - Exposures per unit (units below the threshold may be missing)
+ * @param {Iterable<string>} opts.units - Every unit the window covers (roster and units seen before)
+ * @param {number} opts.threshold
+ * @param {number} opts.T_enter_major
+ * @param {{source:string, source_sha256:string, params_sha256:string}} opts.provenance
+ * @returns {{window:{window_start:string, window_end:string, status:string, units:number, provenance:object}, snapshots:object[], buckets:Object<string, number>}}
+ */
+export function windowSnapshots({ start, counts, units, threshold, T_enter_major, provenance }){
+  const window_start = new Date(start).toISOString();
+  const window_end = new Date(start + WINDOW_MS).toISOString();
+  const all = [...new Set([...units, ...counts.keys()])].sort();
+  const buckets = Object.fromEntries(all.map(u => [u, (counts.get(u) || 0) >= threshold ? counts.get(u) : 0]));
+  const total = Object.values(buckets).reduce((a, b) => a + b, 0);
+  const mean = all.length ? total / all.length : 0;
+  const window = { window_start, window_end, units: all.length, provenance };
+  if (!all.length || mean < threshold / T_enter_major){
+    return { window: { ...window, status: 'INSUFFICIENT_DATA', min_mean_exposures: roundHalfUp(threshold / T_enter_major, 2) }, snapshots: [], buckets: {} };
+  }
+  const snapshots = all.map(unit => ({
+    unit,
+    ratio: roundHalfUp(Math.min(1, buckets[unit] / mean), RATIO_DECIMALS),
+    ts: window_end,
+    window_start,
+    window_end,
+    exposures: buckets[unit] || null,
+    below_min_cell: !buckets[unit],
+    provenance,
+  }));
+  return { window: { ...window, status: 'BUILT' }, snapshots, buckets };
+}
@@ -0,0 +1,114 @@
+/**
+ * whatif-core.js
+ * Counterfactual replay for proposed hysteresis parameter changes (no I/O; CLI in whatif.js).
+ *  - replayHistory(): runs engine-core.decide() over a unit history with one fixed parameter set, from the same seed
+ *    states for every run, so two runs over the same history differ only by their parameters
+ *  - compareRuns(): per unit and in total, which units would be listed as under-served (ACTIVE / STALLED) or not at
+ *    the end of the history, entries (ENTER and REENTER) and exits, snapshots spent in each state, and churn: flips
+ *    of the listed status per applied snapshot
+ */
+import { decide } from './engine-core.js';
+
+export const STATES = ['NONE', 'CANDIDATE', 'ACTIVE', 'STALLED', 'CLEARED'];
+export const UNDER_SERVED = ['ACTIVE', 'STALLED'];
+
+/**
+ * @param {object[]} snapshots - { unit, ts, ratio } in any order
+ * @returns {{history:object[], skipped:number}} Snapshots in ts order (unit as tiebreak); a snapshot not after the
+ *   unit's previous one is skipped, as the engine runner's watermark would
+ */
+export function orderHistory(snapshots){
+  const ordered = snapshots.filter(s => s && typeof s.unit === 'string' && typeof s.ratio === 'number' && !Number.isNaN(Date.parse(s.ts)))
+    .map(s => ({ unit: s.unit, ts: s.ts, ratio: s.ratio, at: Date.parse(s.ts) }))
+    .sort((a, b) => a.at - b.at || a.unit.localeCompare(b.unit));
+  const last = new Map();
+  const history = [];
+  for (const s of ordered){
+    if (last.has(s.unit) && s.at <= last.get(s.unit)) {continue;}
+    last.set(s.unit, s.at);
+    history.push({ unit: s.unit, ts: s.ts, ratio: s.ratio });
+  }
+  return { history, skipped: snapshots.length - history.length };
+}
+
+/**
+ * @param {object} params - Engine parameters
+ * @param {object[]} history - Ordered { unit, ts, ratio } (orderHistory())
+ * @param {object} [seeds] - { unit: state } to start from (e.g. states imported into the engine log); NONE otherwise
+ * @returns {Object<string, {seeded:boolean, start:string, steps:object[], final:object}>} Per unit the decided
+ *   { ts, ratio, state, events }
+ */
+export function replayHistory(params, history, seeds = {}){
+  const units = {};
+  for (const s of history){
+    const u = units[s.unit] ||= { prev: seeds[s.unit] || null, seeded: !!seeds[s.unit], steps: [] };
+    const r = decide(params, u.prev, s.ratio);
+    u.steps.push({ ts: s.ts, ratio: s.ratio, state: r.state, events: r.events });
+    u.prev = r;
+  }
+  return Object.fromEntries(Object.entries(units).map(([unit, u]) => [unit, { seeded: u.seeded, start: u.seeded ? seeds[unit].state : 'NONE', steps: u.steps, final: u.prev }]));
+}
+
+/** @returns {object} Listed status, event counts, snapshots per state and flips of one unit's replay */
+export function unitMetrics(run){
+  const snapshots_in_state = Object.fromEntries(STATES.map(s => [s, 0]));
+  const events = {};
+  let listed = UNDER_SERVED.includes(run.start);
+  let flips = 0;
+  for (const step of run.steps){
+    snapshots_in_state[step.state] = (snapshots_in_state[step.state] || 0) + 1;
+    for (const ev of step.events) {events[ev.type] = (events[ev.type] || 0) + 1;}
+    const now = UNDER_SERVED.includes(step.state);
+    if (now !== listed) {flips++;}
+    listed = now;
+  }
+  return { final_state: run.final.state, listed, enters: (events.ENTER || 0) + (events.REENTER || 0), exits: events.EXIT || 0, events, snapshots_in_state, flips, flip_rate: rate(flips, run.steps.length) };
+}
+
+function rate(n, d){ return d ? Number((n / d).toFixed(4)) : 0; }
+
+function delta(a, b){ return Object.fromEntries(Object.keys({ ...a, ...b }).map(k => [k, (b[k] || 0) - (a[k] || 0)])); }
+
+function totals(metrics, snapshots){
+  const sum = key => metrics.reduce((acc, m) => acc + m[key], 0);
+  const snapshots_in_state = Object.fromEntries(STATES.map(s => [s, metrics.reduce((acc, m) => acc + m.snapshots_in_state[s], 0)]));
+  return { listed: metrics.filter(m => m.listed).length, enters: sum('enters'), exits: sum('exits'), snapshots_in_state, flips: sum('flips'), flip_rate: rate(sum('flips'), snapshots) };
+}
+
+/**
+ * @param {object} baseline - replayHistory() under the current parameters
+ * @param {object} candidate - replayHistory() of the same history under the proposed parameters
+ * @returns {{summary:object, units:object[]}} units lists only units whose decisions differ, with the ts of the
+ *   first differing snapshot
+ */
+export function compareRuns(baseline, candidate){
+  const names = Object.keys(baseline).sort();
+  const units = [];
+  const b = [], c = [];
+  let snapshots = 0;
+  for (const unit of names){
+    const mb = unitMetrics(baseline[unit]);
+    const mc = unitMetrics(candidate[unit]);
+    b.push(mb); c.push(mc);
+    snapshots += baseline[unit].steps.length;
+    const i = baseline[unit].steps.findIndex((s, k) => s.state !== candidate[unit].steps[k].state || JSON.stringify(s.events) !== JSON.stringify(candidate[unit].steps[k].events));
+    if (i < 0) {continue;}
+    const change = mb.listed === mc.listed ? null : (mc.listed ? 'would_enter' : 'would_exit');
+    units.push({ unit, change, first_divergence_ts: baseline[unit].steps[i].ts, baseline: mb, candidate: mc });
+  }
+  const tb = totals(b, snapshots);
+  const tc = totals(c, snapshots);
+  return {
+    summary: {
+      units_total: names.length,
+      snapshots_total: snapshots,
+      units_changed: units.length,
+      would_enter: units.filter(u => u.change === 'would_enter').map(u => u.unit),
+      would_exit: units.filter(u => u.change === 'would_exit').map(u => u.unit),
+      baseline: tb,
+      candidate: tc,
+      delta: { listed: tc.listed - tb.listed, enters: tc.enters - tb.enters, exits: tc.exits - tb.exits, snapshots_in_state: delta(tb.snapshots_in_state, tc.snapshots_in_state), flips: tc.flips - tb.flips, flip_rate: Number((tc.flip_rate - tb.flip_rate).toFixed(4)) },
+    },
+    units,
+  };
+}
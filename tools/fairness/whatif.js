@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * whatif.js
+ * What-if evidence for a proposed hysteresis parameter change: replays the stored snapshot history under the current
+ * parameters and under the candidate ones (whatif-core.js) and writes the difference - units that would enter or exit
+ * the under-served list, snapshots spent in each state, churn - as an evidence artifact to cite in the DEC.
+ * History: the snapshots applied in artifacts/hysteresis-log.ndjson (states imported into the log are the starting
+ * point of both runs; the log is only read, an incomplete last line is reported and left for the engine), or
+ * --snapshots=<file> (default artifacts/equity-snapshots.json when the log has none).
+ * Baseline: the current version of the parameter registry (param-registry.js), or --baseline=<version>.
+ * Candidate: --candidate=<config.yml> (proposed config file) and/or --set=T_enter_standard=0.62,... on top of it
+ * (or of the baseline).
+ * Options: --dec=<DEC id> proposal the evidence is for; --out=<file> (default artifacts/hysteresis-whatif.json)
+ * Usage: npm run fairness:whatif -- --set=T_enter_standard=0.62,cooldown_snapshots_after_exit=2 --dec=DEC-20261019-02
+ */
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import { canonicalize } from '../lib/canonical.js';
+import { HysteresisLog, LOG_PATH, SNAPSHOTS_PATH } from './engine-runner.js';
+import { loadParamRegistry, paramsHash, readParamConfig } from './param-registry.js';
+import { compareRuns, orderHistory, replayHistory } from './whatif-core.js';
+
+const OUT_PATH = 'artifacts/hysteresis-whatif.json';
+const WHATIF_VERSION = '1.0.0';
+
+function parseArg(name, defVal) {
+  const prefix = `--${name}=`;
+  const found = process.argv.slice(2).find(a => a.startsWith(prefix));
+  return found ? found.slice(prefix.length) : defVal;
+}
+
+function sha256Hex(data){ return createHash('sha256').update(data).digest('hex'); }
+
+// 'T_enter_standard=0.62,cooldown_snapshots_after_exit=2' -> { T_enter_standard: 0.62, cooldown_snapshots_after_exit: 2 }
+function parseOverrides(text, known){
+  const out = {};
+  for (const pair of text.split(',').map(s => s.trim()).filter(Boolean)){
+    const [key, value] = pair.split('=');
+    if (!(key in known)) {throw new Error(`--set: unknown parameter ${key} (known: ${Object.keys(known).join(', ')})`);}
+    const n = Number(value);
+    if (value === undefined || value.trim() === '' || !Number.isFinite(n)) {throw new Error(`--set: ${key} needs a number`);}
+    out[key] = n;
+  }
+  return out;
+}
+
+async function readHistory(){
+  const snapshotsArg = parseArg('snapshots', null);
+  if (!snapshotsArg){
+    // Read only: a torn tail is the engine's to cut off on its next run
+    const log = await new HysteresisLog({ file: parseArg('log', LOG_PATH) }).init({ readOnly: true });
+    if (log.tornTail) {console.warn(`[fairness-whatif] ${log.file}:${log.tornTail.line} is an incomplete record (interrupted append), ignored`);}
+    const applied = log.records.filter(r => r.kind === 'snapshot');
+    if (applied.length){
+      const seeds = Object.fromEntries(log.records.filter(r => r.kind === 'import').map(r => [r.unit, r.state]));
+      return { source: 'log', path: log.file, log_head_hash: log.head.hash, seeds, records: applied, ...orderHistory(applied) };
+    }
+  }
+  const file = snapshotsArg || SNAPSHOTS_PATH;
+  let snapshots;
+  try { snapshots = JSON.parse(await fs.readFile(file,'utf8')); } catch (e) { throw new Error(`no snapshot history: ${file} (${e.message})`); }
+  return { source: 'snapshots', path: file, log_head_hash: null, seeds: {}, records: null, ...orderHistory(Array.isArray(snapshots) ? snapshots : []) };
+}
+
+// Logged decisions the baseline replay does not reproduce (decided with other parameters)
+function logMismatches(records, run){
+  const decided = new Map(Object.entries(run).flatMap(([unit, r]) => r.steps.map(s => [`${unit}|${s.ts}`, s.state])));
+  return records.filter(r => decided.has(`${r.unit}|${r.ts}`) && decided.get(`${r.unit}|${r.ts}`) !== r.state.state).length;
+}
+
+async function main(){
+  const registry = await loadParamRegistry();
+  const baselineVersion = parseArg('baseline', null);
+  const base = baselineVersion ? registry.get(baselineVersion) : registry.current;
+  if (!base) {throw new Error(`--baseline: version ${baselineVersion} not in the parameter registry`);}
+
+  const candidatePath = parseArg('candidate', null);
+  const overridesArg = parseArg('set', '');
+  if (!candidatePath && !overridesArg) {throw new Error('nothing to compare: pass --candidate=<config.yml> and/or --set=name=value,...');}
+  const proposed = candidatePath ? await readParamConfig(candidatePath) : null;
+  const from = proposed ? proposed.doc?.parameters : base.params;
+  if (!from || typeof from !== 'object') {throw new Error(`--candidate: ${candidatePath} has no parameters`);}
+  const overrides = parseOverrides(overridesArg, from);
+  const params = { ...from, ...overrides };
+  const changed = Object.fromEntries(Object.keys({ ...base.params, ...params }).filter(k => base.params[k] !== params[k]).map(k => [k, { from: base.params[k] ?? null, to: params[k] ?? null }]));
+  if (!Object.keys(changed).length) {console.warn('[fairness-whatif] candidate parameters equal the baseline; no difference possible');}
+
+  const history = await readHistory();
+  if (!history.history.length) {throw new Error(`no snapshots to replay in ${history.path}`);}
+  const baseline = replayHistory(base.params, history.history, history.seeds);
+  const candidate = replayHistory(params, history.history, history.seeds);
+  const { summary, units } = compareRuns(baseline, candidate);
+
+  const report = {
+    version: WHATIF_VERSION,
+    generated_utc: new Date().toISOString(),
+    dec_ref: parseArg('dec', null),
+    baseline: { params_version: base.version, dec_id: base.dec_id, params_sha256: base.params_sha256, params: base.params },
+    candidate: { config: candidatePath, config_sha256: proposed?.hash_sha256 ?? null, version: proposed?.doc?.version ?? null, overrides, params_sha256: paramsHash(params), params, changed },
+    input: {
+      source: history.source,
+      path: history.path,
+      log_head_hash: history.log_head_hash,
+      history_sha256: sha256Hex(canonicalize(history.history)),
+      snapshots: history.history.length,
+      skipped: history.skipped,
+      seeded_units: Object.keys(history.seeds).length,
+      from_ts: history.history[0].ts,
+      to_ts: history.history.at(-1).ts,
+      baseline_log_mismatches: history.records ? logMismatches(history.records, baseline) : null,
+    },
+    summary,
+    units,
+  };
+  const out = parseArg('out', OUT_PATH);
+  await fs.mkdir(path.dirname(out), { recursive: true });
+  const text = JSON.stringify(report, null, 2);
+  await fs.writeFile(out, text);
+  const s = summary;
+  console.log(`[fairness-whatif] ${Object.keys(changed).map(k => `${k} ${changed[k].from} -> ${changed[k].to}`).join(', ') || 'no parameter change'} over ${s.snapshots_total} snapshots of ${s.units_total} units (${history.source})`);
+  console.log(`[fairness-whatif] listed ${s.baseline.listed} -> ${s.candidate.listed}; would enter: ${s.would_enter.join(', ') || '-'}; would exit: ${s.would_exit.join(', ') || '-'}; flip rate ${s.baseline.flip_rate} -> ${s.candidate.flip_rate}; ${s.units_changed} unit(s) decided differently`);
+  if (report.input.baseline_log_mismatches) {console.warn(`[fairness-whatif] ${report.input.baseline_log_mismatches} logged decision(s) were made with parameters other than the baseline ${base.version}`);}
+  console.log(`[fairness-whatif] wrote ${out} sha256:${sha256Hex(text)} (cite under the DEC's audit.trace)`);
+}
+
+main().catch(e=>{ console.error('[fairness-whatif] error', e.message); process.exit(2); });
@@ -2,9 +2,16 @@
 /**
  * generate-h1-kpi-summary.js
  * Aggregates fairness and equity artifacts into a simple KPI summary for UI.
+ * With differential privacy enabled (docs/privacy/differential-privacy-config-v1.yml) the feedback counts are noised as
+ * one query of dataset h1_kpi_feedback over the canonical categories (DEC-20250813-10); weekly figures come from
+ * artifacts/weekly-trends.json, already noised by weekly-trend-aggregator.js. Feedback records carry no contributor
+ * id, so each counts as its own contributor: contribution_bound is assumed here, not enforced.
  */
 import { promises as fs } from 'fs';
 import { stableStringify, addMetadata } from './lib/json-stable.js';
+import { createDpPublisher } from './lib/differential-privacy.js';
+
+const FEEDBACK_CATEGORIES = ['governance','improvement','fairness','other'];
 
 async function read(path){ try { return JSON.parse(await fs.readFile(path,'utf8')); } catch { return null; } }
 async function readNdjson(path){
@@ -14,6 +21,18 @@ async function readNdjson(path){
   } catch { return null; }
 }
 
+// Fixed key set so the published keys do not depend on the data: each record counts once in ingested and at most once
+// per canonical category (others fold into 'other'); categories stay within the noisy total
+function noisyFeedback(release, records){
+  const counts = { ingested: records.length, ...Object.fromEntries(FEEDBACK_CATEGORIES.map(c=>[c, 0])) };
+  for (const r of records){
+    const cats = new Set((Array.isArray(r.categories) ? r.categories : []).map(c=>String(c).toLowerCase()).map(c=>FEEDBACK_CATEGORIES.includes(c) ? c : 'other'));
+    for (const c of cats) {counts[c]++;}
+  }
+  const { ingested, ...categories } = release.noisyCounts(counts, { cells: 1 + FEEDBACK_CATEGORIES.length });
+  return { ingested, categories: Object.fromEntries(Object.entries(categories).map(([c, n])=>[c, Math.min(n, ingested)])) };
+}
+
 async function main(){
   await fs.mkdir('artifacts',{recursive:true});
   const fairness = await read('artifacts/fairness-sim-report.json');
@@ -27,12 +46,16 @@ async function main(){
   const hero = await read('artifacts/hero-snapshot.json');
   const weekly = await read('artifacts/weekly-trends.json');
 
+  const generated_utc = new Date().toISOString();
+  const dp = await createDpPublisher();
+  const release = dp ? dp.release('h1_kpi_feedback', generated_utc.slice(0,10)) : null;
+
   const scenariosPass = fairness?.scenarios_pass ?? 0;
   const scenariosTotal = fairness?.scenarios_total ?? 0;
   const fairnessPass = scenariosTotal>0 && scenariosPass === scenariosTotal;
   const result = {
     version: '1.1.0',
-    generated_utc: new Date().toISOString(),
+    generated_utc,
     phase: phase?.current_phase || null,
     fairness: {
       pass: fairnessPass,
@@ -66,7 +89,7 @@ async function main(){
           }
         }
         out.categories = counts;
-        return out;
+        return release ? noisyFeedback(release, feedbackRecords) : out;
       }
       // Fallback to smoke report if it contains summary-like fields
       if (feedback){
@@ -87,6 +110,10 @@ async function main(){
       decision_mix: weekly?.decision_mix ?? null,
     },
   };
+  if (release){
+    await release.commit();
+    result.differential_privacy = release.summary();
+  }
   const resultWithMetadata = addMetadata(result, { generator: 'generate-h1-kpi-summary.js' });
   await fs.writeFile('artifacts/h1-kpi-summary.json', stableStringify(resultWithMetadata));
   console.log(`[h1-kpi] fairness_pass=${result.fairness.pass} under_served=${result.equity.under_served_total} anomalies=${result.equity.anomalies_count}`);
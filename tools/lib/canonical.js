@@ -0,0 +1,28 @@
+/**
+ * canonical.js
+ * Canonical JSON used by the signer services for everything they sign (sorted keys, no whitespace).
+ * A string payload is taken as already canonical and returned unchanged.
+ * Anyone re-deriving signed bytes (credential issuance, offline verification) must use this.
+ */
+
+function serialize(v){
+  if (v === null) {return 'null';}
+  if (Array.isArray(v)) {return '['+v.map(serialize).join(',')+']';}
+  switch(typeof v){
+  case 'string': return JSON.stringify(v);
+  case 'number': return Number.isFinite(v)? String(v):'null';
+  case 'boolean': return v?'true':'false';
+  case 'object': return canonicalize(v);
+  default: return 'null';
+  }
+}
+
+/**
+ * @param {object|string} obj - Payload to canonicalize
+ * @returns {string} Canonical JSON
+ */
+export function canonicalize(obj){
+  if (typeof obj === 'string') {return obj;}
+  const keys = Object.keys(obj).sort();
+  return '{' + keys.map(k=>`"${k}":${serialize(obj[k])}`).join(',') + '}';
+}
@@ -0,0 +1,124 @@
+/**
+ * chain-entry.js
+ * Hash chain entry format helpers shared by the chain service, monitor and migration tooling.
+ *
+ * Entry versions:
+ *  - v1 (legacy, no `v` field): prevHash = previous entry's contentHash.
+ *    seq, ts and signature are not covered by any hash.
+ *  - v2 (`v: 2`): entryHash = SHA-256 over the stable JSON of every entry field except
+ *    `canonical` (committed through contentHash) and `entryHash` itself;
+ *    prevHash = entryHash of the previous entry (computed the same way for a v1 predecessor).
+ * A chain may hold a v1 segment followed by a v2 segment, never the reverse.
+ */
+import { createHash } from 'crypto';
+import { leafHash } from './merkle.js';
+
+export const CHAIN_ENTRY_VERSION = 2;
+
+function sha256(data){ return createHash('sha256').update(data,'utf8').digest('hex'); }
+
+/**
+ * Deterministic JSON (sorted keys, no whitespace)
+ * @param {any} v - Value to serialize
+ * @returns {string}
+ */
+export function stableJson(v){
+  if (Array.isArray(v)) {return '['+v.map(stableJson).join(',')+']';}
+  if (v && typeof v === 'object') {return '{'+Object.keys(v).sort().map(k=>`${JSON.stringify(k)}:${stableJson(v[k])}`).join(',')+'}';}
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+/**
+ * @param {object} entry - Chain entry
+ * @returns {number} Entry format version (1 when unversioned)
+ */
+export function entryVersion(entry){
+  return entry && entry.v === 2 ? 2 : 1;
+}
+
+/**
+ * Hash committing to the whole entry (everything but `canonical` and `entryHash`)
+ * @param {object} entry - Chain entry of any version
+ * @returns {string} Hex SHA-256
+ */
+export function computeEntryHash(entry){
+  const { canonical: _canonical, entryHash: _entryHash, ...rest } = entry;
+  return sha256(stableJson(rest));
+}
+
+/**
+ * prevHash an entry of the given version must carry after `prev`
+ * @param {object|null} prev - Previous entry (null for genesis)
+ * @param {number} version - Version of the entry being linked
+ * @returns {string|null}
+ */
+export function expectedPrevHash(prev, version){
+  if (!prev) {return null;}
+  return version >= 2 ? computeEntryHash(prev) : prev.contentHash;
+}
+
+/**
+ * Build a v2 entry linked to `prev`
+ * @param {object} params
+ * @param {object|null} params.prev - Previous entry
+ * @param {string} params.canonical - Signed canonical payload
+ * @param {string} params.signature - Base64 signature over canonical
+ * @param {string} [params.ts] - ISO timestamp (defaults to now)
+ * @param {object} [params.extra] - Additional fields committed by entryHash
+ * @returns {object} v2 entry including entryHash
+ */
+export function buildEntry({ prev, canonical, signature, ts = new Date().toISOString(), extra = {} }){
+  const entry = {
+    v: CHAIN_ENTRY_VERSION,
+    seq: prev ? prev.seq + 1 : 0,
+    prevHash: expectedPrevHash(prev, CHAIN_ENTRY_VERSION),
+    contentHash: sha256(canonical),
+    signature,
+    canonical,
+    ts,
+    ...extra,
+  };
+  entry.entryHash = computeEntryHash(entry);
+  return entry;
+}
+
+/**
+ * Merkle leaf hash for an entry (stable JSON without `canonical`)
+ * @param {object} entry - Chain entry
+ * @returns {string} Hex leaf hash
+ */
+export function entryLeafHash(entry){
+  const { canonical: _canonical, ...rest } = entry;
+  return leafHash(stableJson(rest));
+}
+
+/**
+ * Verify linkage and hashes of a mixed v1/v2 chain
+ * @param {object[]} chain - Entries in seq order
+ * @param {object} [opts]
+ * @param {number} [opts.startSeq] - Seq of the first entry for a partial export; its prevHash cannot be checked
+ * @returns {{ok:boolean, issues:object[], length:number, segments:object[]}}
+ */
+export function verifyChainEntries(chain, { startSeq = 0 } = {}){
+  let ok = true; const issues = []; const segments = [];
+  const fail = issue => { ok = false; issues.push(issue); };
+  for (let i=0;i<chain.length;i++){
+    const entry = chain[i];
+    const prev = i===0? null : chain[i-1];
+    const version = entryVersion(entry);
+    const seg = segments[segments.length-1];
+    if (seg && seg.version === version) {seg.to = entry.seq;}
+    else {segments.push({ version, from: entry.seq, to: entry.seq });}
+    if (prev && version < entryVersion(prev)){ fail({ seq: entry.seq, code:'VERSION_DOWNGRADE', from: entryVersion(prev), to: version }); }
+    if (entry.seq !== startSeq + i){ fail({ seq: entry.seq, code:'SEQ_MISMATCH', expected: startSeq + i }); }
+    const expectedPrev = expectedPrevHash(prev, version);
+    if ((prev || startSeq === 0) && entry.prevHash !== expectedPrev){ fail({ seq: entry.seq, code:'PREV_HASH_MISMATCH', expectedPrev, actual: entry.prevHash }); }
+    const recomputed = sha256(entry.canonical);
+    if (recomputed !== entry.contentHash){ fail({ seq: entry.seq, code:'CONTENT_HASH_MISMATCH', recomputed, stored: entry.contentHash }); }
+    if (version >= 2){
+      const entryHash = computeEntryHash(entry);
+      if (entryHash !== entry.entryHash){ fail({ seq: entry.seq, code:'ENTRY_HASH_MISMATCH', recomputed: entryHash, stored: entry.entryHash }); }
+    }
+  }
+  return { ok, issues, length: chain.length, segments };
+}
@@ -0,0 +1,142 @@
+/**
+ * chain-store-sql.js
+ * SQL backends for the chain store (see tools/lib/chain-store.js for the interface).
+ * - SqlChainStore speaks a tiny driver contract: { dialect, exec(sql), query(sql, params) -> {rows, rowCount}, transaction(fn), close() }
+ * - Statements are written in Postgres syntax ($n placeholders, ::casts); the SQLite driver rewrites them.
+ * - seq is the PRIMARY KEY and the insert only succeeds when seq equals the current row count,
+ *   so gaps and duplicate seqs are rejected by the database itself, even across service instances.
+ * Drivers load their client library lazily: better-sqlite3 and pg are optional dependencies.
+ */
+import { SeqConflictError } from './chain-store.js';
+
+const SCHEMA = `CREATE TABLE IF NOT EXISTS chain_entries (
+  seq INTEGER PRIMARY KEY,
+  entry_hash TEXT,
+  content_hash TEXT NOT NULL,
+  ts TEXT NOT NULL,
+  body TEXT NOT NULL
+)`;
+
+const INSERT_NEXT = `INSERT INTO chain_entries (seq, entry_hash, content_hash, ts, body)
+  SELECT $1::integer, $2::text, $3::text, $4::text, $5::text
+  FROM (SELECT COUNT(*) AS n FROM chain_entries) c WHERE c.n = $6::integer`;
+
+const UNIQUE_VIOLATION = new Set(['23505', 'SQLITE_CONSTRAINT_PRIMARYKEY', 'SQLITE_CONSTRAINT_UNIQUE']);
+
+export class SqlChainStore {
+  /** @param {object} driver - SQL driver (sqliteDriver / pgDriver) */
+  constructor(driver){
+    this.driver = driver;
+  }
+
+  async init(){
+    await this.driver.exec(SCHEMA);
+    return this;
+  }
+
+  async reload(){ /* stateless: every read goes to the database */ }
+
+  async length(){
+    const { rows } = await this.driver.query('SELECT COUNT(*) AS n FROM chain_entries', []);
+    return Number(rows[0].n);
+  }
+
+  async head(){
+    const { rows } = await this.driver.query('SELECT body FROM chain_entries ORDER BY seq DESC LIMIT 1', []);
+    return rows.length ? JSON.parse(rows[0].body) : null;
+  }
+
+  async range(from, limit){
+    const { rows } = await this.driver.query('SELECT body FROM chain_entries WHERE seq >= $1::integer ORDER BY seq LIMIT $2::integer', [from, limit]);
+    return rows.map(r=>JSON.parse(r.body));
+  }
+
+  async all(){
+    const { rows } = await this.driver.query('SELECT body FROM chain_entries ORDER BY seq', []);
+    return rows.map(r=>JSON.parse(r.body));
+  }
+
+  async append(entry){
+    const params = [entry.seq, entry.entryHash || null, entry.contentHash, entry.ts, JSON.stringify(entry), entry.seq];
+    try {
+      const { rowCount } = await this.driver.transaction(q=>q(INSERT_NEXT, params));
+      if (rowCount !== 1) {throw new SeqConflictError(entry.seq, await this.length());}
+    } catch (e){
+      if (UNIQUE_VIOLATION.has(e.code)) {throw new SeqConflictError(entry.seq, await this.length());}
+      throw e;
+    }
+    return entry;
+  }
+
+  async close(){ await this.driver.close(); }
+}
+
+function toSqlite(sql){
+  return sql.replace(/::[a-z]+/g,'').replace(/\$\d+/g,'?');
+}
+
+/**
+ * SQLite driver backed by better-sqlite3
+ * @param {string} file - Database file (or ':memory:')
+ * @returns {Promise<object>} Driver
+ */
+export async function sqliteDriver(file){
+  let Database;
+  try { ({ default: Database } = await import('better-sqlite3')); }
+  catch { throw new Error('sqlite chain store requires the optional dependency better-sqlite3'); }
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  const query = async (sql, params = [])=>{
+    const stmt = db.prepare(toSqlite(sql));
+    if (stmt.reader) {return { rows: stmt.all(...params), rowCount: 0 };}
+    return { rows: [], rowCount: stmt.run(...params).changes };
+  };
+  return {
+    dialect: 'sqlite',
+    async exec(sql){ db.exec(toSqlite(sql)); },
+    query,
+    async transaction(fn){
+      db.exec('BEGIN IMMEDIATE');
+      try { const out = await fn(query); db.exec('COMMIT'); return out; }
+      catch (e){ db.exec('ROLLBACK'); throw e; }
+    },
+    async close(){ db.close(); },
+  };
+}
+
+/**
+ * Postgres driver over a pg-compatible Pool
+ * @param {object} opts
+ * @param {object} [opts.pool] - Existing Pool (e.g. pg-mem's adapters.createPg().Pool instance)
+ * @param {string} [opts.connectionString] - Used to build a pg Pool when no pool is given
+ * @returns {Promise<object>} Driver
+ */
+export async function pgDriver({ pool, connectionString }){
+  if (!pool){
+    if (!connectionString) {throw new Error('postgres chain store requires CHAIN_DATABASE_URL');}
+    let pg;
+    try { ({ default: pg } = await import('pg')); }
+    catch { throw new Error('postgres chain store requires the optional dependency pg'); }
+    pool = new pg.Pool({ connectionString });
+  }
+  return {
+    dialect: 'postgres',
+    async exec(sql){ await pool.query(sql); },
+    async query(sql, params = []){ return pool.query(sql, params); },
+    async transaction(fn){
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const out = await fn((sql, params = [])=>client.query(sql, params));
+        await client.query('COMMIT');
+        return out;
+      } catch (e){
+        await client.query('ROLLBACK').catch(()=>{});
+        throw e;
+      } finally {
+        client.release();
+      }
+    },
+    async close(){ await pool.end(); },
+  };
+}
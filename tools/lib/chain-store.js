@@ -0,0 +1,146 @@
+/**
+ * chain-store.js
+ * Storage adapter interface for the hash chain service, plus the file backend and factory.
+ *
+ * Every store implements (all async):
+ *  - init()                 prepare storage, load state
+ *  - length()               number of entries
+ *  - head()                 last entry or null
+ *  - append(entry)          atomically persist entry; throws SeqConflictError unless entry.seq === length()
+ *  - range(from, limit)     entries with from <= seq < from + limit, in seq order
+ *  - all()                  every entry in seq order
+ *  - reload()               drop cached state and re-read storage
+ *  - close()                flush and release resources
+ *
+ * Backends (CHAIN_STORE):
+ *  - file (default): artifacts/chain.ndjson is the append-only log (one line per append, O(1));
+ *    artifacts/chain.json is a checkpoint snapshot rewritten every CHAIN_SNAPSHOT_EVERY appends and on close;
+ *    on load the log tail after the snapshot (current epoch only) is replayed.
+ *  - sqlite: better-sqlite3 database at CHAIN_SQLITE_PATH (default <dataDir>/chain.sqlite)
+ *  - postgres: any pg-compatible Pool (CHAIN_DATABASE_URL, or an injected pool such as pg-mem in tests)
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import { SqlChainStore, pgDriver, sqliteDriver } from './chain-store-sql.js';
+
+export class SeqConflictError extends Error {
+  /**
+   * @param {number} seq - Sequence number the caller tried to write
+   * @param {number} expected - Sequence number the store expected next
+   */
+  constructor(seq, expected){
+    super(`seq conflict: attempted ${seq}, expected ${expected}`);
+    this.name = 'SeqConflictError';
+    this.code = 'SEQ_CONFLICT';
+    this.seq = seq;
+    this.expected = expected;
+  }
+}
+
+async function pathExists(p){ try { await fs.access(p); return true; } catch { return false; } }
+
+async function writeFileAtomic(p, data){
+  const tmp = p + '.tmp';
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, p);
+}
+
+/** Entries of the latest epoch in a log (from the last seq 0 onward; earlier lines predate a dev reset). */
+export function currentEpoch(lines){
+  let start = -1;
+  for (let i=lines.length-1;i>=0;i--){ if (lines[i].seq === 0){ start = i; break; } }
+  return start < 0 ? [] : lines.slice(start);
+}
+
+export class FileChainStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.dataDir - Directory holding chain.json / chain.ndjson / chain-head.json
+   * @param {number} [opts.snapshotEvery] - Appends between snapshot rewrites
+   */
+  constructor({ dataDir, snapshotEvery = 100 }){
+    this.dataDir = dataDir;
+    this.snapshotEvery = Math.max(1, snapshotEvery);
+    this.snapshotPath = path.join(dataDir, 'chain.json');
+    this.logPath = path.join(dataDir, 'chain.ndjson');
+    this.headPath = path.join(dataDir, 'chain-head.json');
+    this.entries = [];
+    this.pending = 0;
+  }
+
+  async init(){
+    await this.reload();
+    return this;
+  }
+
+  async reload(){
+    let entries = [];
+    if (await pathExists(this.snapshotPath)){
+      entries = JSON.parse(await fs.readFile(this.snapshotPath,'utf8'));
+    }
+    if (await pathExists(this.logPath)){
+      const txt = await fs.readFile(this.logPath,'utf8');
+      const lines = txt.split(/\r?\n/).filter(Boolean).map(l=>{ try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
+      for (const entry of currentEpoch(lines)){
+        if (entry.seq === entries.length) {entries.push(entry);}
+      }
+    }
+    this.entries = entries;
+    this.pending = 0;
+  }
+
+  async length(){ return this.entries.length; }
+  async head(){ return this.entries[this.entries.length-1] || null; }
+  async range(from, limit){ return this.entries.slice(from, from + limit); }
+  async all(){ return this.entries.slice(); }
+
+  async append(entry){
+    if (entry.seq !== this.entries.length) {throw new SeqConflictError(entry.seq, this.entries.length);}
+    await fs.mkdir(this.dataDir,{recursive:true});
+    await fs.appendFile(this.logPath, JSON.stringify(entry)+'\n');
+    this.entries.push(entry);
+    await writeFileAtomic(this.headPath, JSON.stringify(entry, null, 2));
+    if (++this.pending >= this.snapshotEvery) {await this.flush();}
+    return entry;
+  }
+
+  async flush(){
+    await fs.mkdir(this.dataDir,{recursive:true});
+    await writeFileAtomic(this.snapshotPath, JSON.stringify(this.entries,null,2));
+    this.pending = 0;
+  }
+
+  async close(){
+    if (this.pending) {await this.flush();}
+  }
+}
+
+/**
+ * Build and initialise a chain store from options / environment
+ * @param {object} [opts]
+ * @param {string} [opts.backend] - file | sqlite | postgres (default CHAIN_STORE or file)
+ * @param {string} [opts.dataDir] - Data directory (default CHAIN_DATA_DIR or artifacts)
+ * @param {string} [opts.sqlitePath] - SQLite file path
+ * @param {string} [opts.databaseUrl] - Postgres connection string
+ * @param {object} [opts.pool] - Pre-built pg-compatible Pool (takes precedence over databaseUrl)
+ * @param {number} [opts.snapshotEvery] - File backend snapshot cadence
+ * @returns {Promise<object>} Initialised store
+ */
+export async function createChainStore(opts = {}){
+  const backend = opts.backend || process.env.CHAIN_STORE || 'file';
+  const dataDir = opts.dataDir || process.env.CHAIN_DATA_DIR || 'artifacts';
+  if (backend === 'file'){
+    const snapshotEvery = opts.snapshotEvery ?? Number(process.env.CHAIN_SNAPSHOT_EVERY || 100);
+    return new FileChainStore({ dataDir, snapshotEvery }).init();
+  }
+  if (backend === 'sqlite'){
+    const file = opts.sqlitePath || process.env.CHAIN_SQLITE_PATH || path.join(dataDir, 'chain.sqlite');
+    if (file !== ':memory:') {await fs.mkdir(path.dirname(file),{recursive:true});}
+    return new SqlChainStore(await sqliteDriver(file)).init();
+  }
+  if (backend === 'postgres'){
+    const driver = await pgDriver({ pool: opts.pool, connectionString: opts.databaseUrl || process.env.CHAIN_DATABASE_URL });
+    return new SqlChainStore(driver).init();
+  }
+  throw new Error(`unknown chain store backend: ${backend}`);
+}
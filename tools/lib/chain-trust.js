@@ -0,0 +1,156 @@
+/**
+ * chain-trust.js
+ * Trusted signer key set for the hash chain.
+ * Store shape (pinned to <CHAIN_DATA_DIR>/chain-trust.json by the chain service):
+ *   { version:1, source, updated_utc, keys:[{ id, publicKeyPem, status:'active'|'retired', retired_at_seq }] }
+ * Rules:
+ *  - A key id is pinned to its first-seen public key; a later source offering another PEM for the same id is a conflict and ignored.
+ *  - Retirement is final: the first time a key is seen retired, retired_at_seq is set to the chain length at that moment.
+ *  - An entry at seq s may only be signed by a key with retired_at_seq === null or s < retired_at_seq.
+ */
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+
+export const TRUST_STORE_VERSION = 1;
+
+function normalizePem(pem){ return String(pem || '').replace(/\r/g,'').trim(); }
+
+/**
+ * Normalize a key list from a trust file or the signer's GET /pubkeys response
+ * @param {object} doc - { keys:[{id, publicKeyPem|pubPem, status?, retired_at_seq?}], activeIndex? }
+ * @returns {object[]} Normalized keys
+ */
+export function normalizeKeys(doc){
+  const keys = Array.isArray(doc?.keys) ? doc.keys : [];
+  return keys.filter(k=>k && k.id && (k.publicKeyPem || k.pubPem)).map((k,i)=>({
+    id: k.id,
+    publicKeyPem: normalizePem(k.publicKeyPem || k.pubPem),
+    status: k.status || (typeof doc.activeIndex === 'number' && i !== doc.activeIndex ? 'retired' : 'active'),
+    retired_at_seq: Number.isInteger(k.retired_at_seq) ? k.retired_at_seq : null,
+  }));
+}
+
+/**
+ * @param {string} [source] - Description of where keys come from
+ * @returns {object} Empty trust store
+ */
+export function emptyTrustStore(source = 'none'){
+  return { version: TRUST_STORE_VERSION, source, updated_utc: null, keys: [] };
+}
+
+/**
+ * Merge freshly fetched keys into a pinned store
+ * @param {object} store - Existing trust store (mutated)
+ * @param {object[]} keys - Normalized keys from the source
+ * @param {number} chainLength - Current chain length (retirement boundary)
+ * @returns {{added:string[], retired:string[], conflicts:string[]}}
+ */
+export function mergeTrustedKeys(store, keys, chainLength){
+  const added = []; const retired = []; const conflicts = [];
+  for (const k of keys){
+    const pinned = store.keys.find(p=>p.id === k.id);
+    if (!pinned){
+      const status = k.status === 'retired' ? 'retired' : 'active';
+      store.keys.push({ id: k.id, publicKeyPem: k.publicKeyPem, status, retired_at_seq: status === 'retired' ? (k.retired_at_seq ?? chainLength) : null });
+      added.push(k.id);
+      continue;
+    }
+    if (normalizePem(pinned.publicKeyPem) !== k.publicKeyPem){ conflicts.push(k.id); continue; }
+    if (k.status === 'retired' && pinned.status !== 'retired'){
+      pinned.status = 'retired';
+      pinned.retired_at_seq = k.retired_at_seq ?? chainLength;
+      retired.push(k.id);
+    }
+  }
+  if (added.length || retired.length) {store.updated_utc = new Date().toISOString();}
+  return { added, retired, conflicts };
+}
+
+/**
+ * Resolve a trusted key by id, or by public key PEM for legacy callers
+ * @param {object} store - Trust store
+ * @param {{key_id?:string, publicKeyPem?:string}} ref - Key reference
+ * @returns {object|null}
+ */
+export function findTrustedKey(store, { key_id, publicKeyPem } = {}){
+  if (key_id) {return store.keys.find(k=>k.id === key_id) || null;}
+  if (publicKeyPem){
+    const pem = normalizePem(publicKeyPem);
+    return store.keys.find(k=>normalizePem(k.publicKeyPem) === pem) || null;
+  }
+  return null;
+}
+
+/**
+ * @param {object} key - Trusted key
+ * @param {number} seq - Entry sequence number
+ * @returns {boolean} Whether the key was allowed to sign at seq
+ */
+export function keyActiveAt(key, seq){
+  return key.retired_at_seq === null || key.retired_at_seq === undefined || seq < key.retired_at_seq;
+}
+
+/**
+ * Ed25519 verification of a canonical payload
+ * @param {string} publicKeyPem - SPKI PEM
+ * @param {string} canonical - Signed payload
+ * @param {string} signature - Base64 signature
+ * @returns {boolean}
+ */
+export function verifySignature(publicKeyPem, canonical, signature){
+  try {
+    return crypto.verify(null, Buffer.from(canonical,'utf8'), publicKeyPem, Buffer.from(signature,'base64'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Re-validate every entry signature against the key trusted at its seq.
+ * Entries without key_id (legacy) must verify under some trusted key that was active at that seq.
+ * @param {object[]} chain - Entries in seq order
+ * @param {object} store - Trust store
+ * @returns {{issues:object[], checked:number, skipped:boolean}}
+ */
+export function verifyEntrySignatures(chain, store){
+  const issues = [];
+  if (!store || !store.keys.length) {return { issues, checked: 0, skipped: true };}
+  for (const entry of chain){
+    if (entry.key_id){
+      const key = findTrustedKey(store, { key_id: entry.key_id });
+      if (!key){ issues.push({ seq: entry.seq, code:'SIGNER_KEY_UNKNOWN', key_id: entry.key_id }); continue; }
+      if (!keyActiveAt(key, entry.seq)){ issues.push({ seq: entry.seq, code:'SIGNER_KEY_RETIRED', key_id: key.id, retired_at_seq: key.retired_at_seq }); }
+      if (!verifySignature(key.publicKeyPem, entry.canonical, entry.signature)){ issues.push({ seq: entry.seq, code:'SIGNATURE_INVALID', key_id: key.id }); }
+      continue;
+    }
+    const match = store.keys.find(k=>keyActiveAt(k, entry.seq) && verifySignature(k.publicKeyPem, entry.canonical, entry.signature));
+    if (!match) {issues.push({ seq: entry.seq, code:'SIGNATURE_UNVERIFIED', key_id: null });}
+  }
+  return { issues, checked: chain.length, skipped: false };
+}
+
+/**
+ * Read a configured trust file. A retired key without retired_at_seq can no longer append
+ * but still verifies historical entries; set retired_at_seq to bound it.
+ * @param {string} path - JSON file with a `keys` array
+ * @returns {Promise<object>} Trust store
+ */
+export async function loadTrustFile(path){
+  const doc = JSON.parse(await fs.readFile(path,'utf8'));
+  const store = emptyTrustStore(`file:${path}`);
+  store.keys = normalizeKeys(doc);
+  store.updated_utc = new Date().toISOString();
+  return store;
+}
+
+/**
+ * Fetch the signer's published key set
+ * @param {string} origin - Signer base URL
+ * @param {number} [timeoutMs]
+ * @returns {Promise<object[]>} Normalized keys
+ */
+export async function fetchSignerKeys(origin, timeoutMs = 1500){
+  const res = await fetch(new URL('/pubkeys', origin), { signal: AbortSignal.timeout(timeoutMs) });
+  if (!res.ok) {throw new Error(`signer /pubkeys status ${res.status}`);}
+  return normalizeKeys(await res.json());
+}
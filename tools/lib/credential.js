@@ -0,0 +1,205 @@
+/**
+ * credential.js
+ * Integrity Credential (docs/integrity/credential-schema-final-v1.md) construction, validation and proofs.
+ *  - Schema: schemas/credential/integrity-credential-v1.json (draft 2020-12)
+ *  - Issuance policies: spec section 15 (prohibited fields, scope for verified, temporal consistency, expiry window)
+ *  - Content hash: sha256 over the canonical JSON (tools/lib/canonical.js) of the credential without `proof`
+ *  - proof.jws: detached JWS (RFC 7515 appendix F), header {alg:'EdDSA', kid}, payload = base64url(content canonical);
+ *    the signer signs the JWS signing input `<header>.<payload>` as a string payload
+ *  - verificationMethod did:web:merajutasa.id#keys-N = N-th key (1-based) of the signer's GET /pubkeys list
+ */
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { fileURLToPath } from 'url';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { canonicalize } from './canonical.js';
+import { JWS_ALG, b64url } from './jws.js';
+
+// Resolved from this module, so the verifier works from any working directory (package bin)
+export const CREDENTIAL_SCHEMA_PATH = fileURLToPath(new URL('../../schemas/credential/integrity-credential-v1.json', import.meta.url));
+export const CREDENTIAL_SCHEMA_ID = 'https://schema.merajutasa.id/credential/integrity-credential-v1.json';
+export const CREDENTIAL_CONTEXT = ['https://www.w3.org/2018/credentials/v1', 'https://schema.merajutasa.id/contexts/integrity-credential-v1.json'];
+export const CREDENTIAL_VERSION = '1.0.1';
+export const ISSUER_DID = 'did:web:merajutasa.id';
+
+// Spec section 5; matched case-insensitively against every key in the credential
+const PROHIBITED_FIELDS = [
+  /^child(name|dob|birth|id)/i, /birth_?date/i, /case_?id/i,
+  /street_?address/i, /^lat(itude)?$/i, /^(lng|long|longitude|latlng)$/i,
+  /^rating/i, /rating_?score/i, /^rank(ing)?$/i, /rank_?position/i,
+  /bank_?account/i, /donation_?totals?/i,
+  /risk_?score/i, /vulnerability/i,
+  /number_?of_?children/i, /occupancy/i,
+  /testimonial/i, /anecdote/i,
+];
+
+/**
+ * Unsigned credential from issuance input
+ * @param {object} input - { credentialSubject, governance?, terminology?, meta?, expirationDate? } or a bare credentialSubject
+ * @param {object} [opts]
+ * @param {string} [opts.id] - Credential id (default urn:merajutasa:cred:<uuid>)
+ * @param {string} [opts.now] - Issuance time (ISO)
+ * @param {object} [opts.credentialStatus] - StatusList2021Entry from the revocation service
+ * @param {string} [opts.registry] - Revocation list URL recorded in `revocation.registry`
+ * @returns {object} Credential without proof
+ */
+export function buildCredential(input, { id, now = new Date().toISOString(), credentialStatus, registry } = {}){
+  const { credentialSubject, governance, terminology, meta, expirationDate } = input.credentialSubject ? input : { credentialSubject: input };
+  const cred = {
+    '@context': CREDENTIAL_CONTEXT,
+    type: ['VerifiableCredential', 'IntegrityCredential'],
+    id: id || `urn:merajutasa:cred:${crypto.randomUUID()}`,
+    credentialSchema: { id: CREDENTIAL_SCHEMA_ID, type: 'JsonSchemaValidator2018' },
+    version: CREDENTIAL_VERSION,
+    issuer: ISSUER_DID,
+    issuanceDate: now,
+    validFrom: now,
+    credentialSubject,
+    revocation: { status: 'active', reason: null, ...(registry ? { registry } : {}) },
+  };
+  if (expirationDate) {cred.expirationDate = expirationDate;}
+  if (governance) {cred.governance = governance;}
+  if (terminology) {cred.terminology = terminology;}
+  if (meta) {cred.meta = meta;}
+  if (credentialStatus) {cred.credentialStatus = credentialStatus;}
+  return cred;
+}
+
+/**
+ * Compile the credential schema
+ * @param {string} [schemaPath]
+ * @returns {Promise<{validateSigned:(cred:object)=>string[], validateUnsigned:(cred:object)=>string[]}>}
+ */
+export async function createCredentialValidator(schemaPath = CREDENTIAL_SCHEMA_PATH){
+  const schema = JSON.parse(await fs.readFile(schemaPath,'utf8'));
+  const ajv = new Ajv2020({ strict:false, allErrors:true });
+  addFormats(ajv);
+  const signed = ajv.compile(schema);
+  const { $id: _id, ...rest } = schema;
+  const unsigned = ajv.compile({ ...rest, required: schema.required.filter(f=>f !== 'proof') });
+  const run = validate => cred => (validate(cred) ? [] : validate.errors.map(e=>`${e.instancePath || '/'} ${e.message}`));
+  return { validateSigned: run(signed), validateUnsigned: run(unsigned) };
+}
+
+function collectKeys(v, out = []){
+  if (Array.isArray(v)) {v.forEach(x=>collectKeys(x, out));}
+  else if (v && typeof v === 'object') {for (const [k, x] of Object.entries(v)){ out.push(k); collectKeys(x, out); }}
+  return out;
+}
+
+/**
+ * Pre-issuance policy hooks (spec section 15)
+ * @param {object} cred - Unsigned credential
+ * @param {object} [opts]
+ * @param {string[]} [opts.allowedRegions] - Province list for policy.region.whitelist (skipped when absent)
+ * @returns {{policy:string, level:'deny'|'warn', message:string}[]}
+ */
+export function checkIssuancePolicies(cred, { allowedRegions } = {}){
+  const findings = [];
+  const deny = (policy, message) => findings.push({ policy, level:'deny', message });
+  const subject = cred.credentialSubject || {};
+  const prohibited = collectKeys(cred).filter(k=>PROHIBITED_FIELDS.some(re=>re.test(k)));
+  if (prohibited.length) {deny('policy.disallowed.fields', `prohibited fields: ${[...new Set(prohibited)].join(', ')}`);}
+  if (!/^1\.0(\.\d+)?$/.test(cred.version || '')) {deny('policy.version.allowed', `unsupported version ${cred.version}`);}
+  if (subject.verificationStatus === 'verified' && !(subject.verificationScope || []).length) {deny('policy.verification.scope.for.verified', 'verified credentials need a non-empty verificationScope');}
+  if (subject.lastVerificationUpdate && Date.parse(cred.issuanceDate) < Date.parse(subject.lastVerificationUpdate)) {deny('policy.temporal.consistency', 'issuanceDate precedes lastVerificationUpdate');}
+  if (cred.expirationDate && Date.parse(cred.expirationDate) <= Date.parse(cred.issuanceDate)) {deny('policy.expiry.window', 'expirationDate must be after issuanceDate');}
+  if (allowedRegions && !allowedRegions.includes(subject.region)) {deny('policy.region.whitelist', `region not allowed: ${subject.region}`);}
+  if (subject.verificationStatus === 'pending') {findings.push({ policy:'policy.verification.pending', level:'warn', message:'pending credentials should not be surfaced publicly' });}
+  return findings;
+}
+
+/**
+ * @param {object} cred - Credential (proof ignored)
+ * @returns {string} Canonical JSON of the credential without proof
+ */
+export function credentialCanonical(cred){
+  const { proof: _proof, ...body } = cred;
+  return canonicalize(body);
+}
+
+/**
+ * @param {object} cred - Credential (proof ignored)
+ * @returns {string} Hex sha256 of the canonical content (credentialContentHash)
+ */
+export function credentialContentHash(cred){
+  return crypto.createHash('sha256').update(credentialCanonical(cred),'utf8').digest('hex');
+}
+
+/**
+ * JWS signing input for a credential
+ * @param {object} cred - Unsigned credential
+ * @param {string} verificationMethod - kid placed in the protected header
+ * @returns {{header:string, signingInput:string}}
+ */
+export function jwsSigningInput(cred, verificationMethod){
+  const header = b64url(canonicalize({ alg: JWS_ALG, kid: verificationMethod }));
+  return { header, signingInput: `${header}.${b64url(credentialCanonical(cred))}` };
+}
+
+/**
+ * @param {object[]} keys - Signer key list (GET /pubkeys order)
+ * @param {string} keyId
+ * @returns {string|null} did:web verification method for the key
+ */
+export function verificationMethodFor(keys, keyId){
+  const i = keys.findIndex(k=>k.id === keyId);
+  return i < 0 ? null : `${ISSUER_DID}#keys-${i + 1}`;
+}
+
+/**
+ * @param {object[]} keys - Signer key list (GET /pubkeys order)
+ * @param {string} verificationMethod
+ * @returns {object|null} Key referenced by the verification method
+ */
+export function keyForVerificationMethod(keys, verificationMethod){
+  const m = /#keys-(\d+)$/.exec(verificationMethod || '');
+  return m ? keys[Number(m[1]) - 1] || null : null;
+}
+
+/**
+ * Attach an Ed25519Signature2020 proof with a detached JWS
+ * @param {object} cred - Unsigned credential
+ * @param {object} opts
+ * @param {string} opts.verificationMethod
+ * @param {string} opts.signature - Base64 Ed25519 signature over the JWS signing input
+ * @param {string} [opts.created]
+ * @returns {object} Signed credential
+ */
+export function attachCredentialProof(cred, { verificationMethod, signature, created = new Date().toISOString() }){
+  const { header } = jwsSigningInput(cred, verificationMethod);
+  return {
+    ...cred,
+    proof: {
+      type: 'Ed25519Signature2020',
+      created,
+      verificationMethod,
+      proofPurpose: 'assertionMethod',
+      jws: `${header}..${Buffer.from(signature,'base64').toString('base64url')}`,
+    },
+  };
+}
+
+/**
+ * Offline check of a credential's detached JWS
+ * @param {object} cred - Signed credential
+ * @param {string} publicKeyPem - Key resolved from proof.verificationMethod
+ * @returns {{ok:boolean, issues:string[]}}
+ */
+export function verifyCredentialProof(cred, publicKeyPem){
+  const jws = cred?.proof?.jws;
+  if (!jws) {return { ok:false, issues:['proof_missing'] };}
+  const parts = jws.split('.');
+  if (parts.length !== 3 || parts[1] !== '') {return { ok:false, issues:['jws_malformed'] };}
+  const issues = [];
+  let header = null;
+  try { header = JSON.parse(Buffer.from(parts[0],'base64url').toString('utf8')); } catch { /* reported below */ }
+  if (!header || header.alg !== JWS_ALG) {issues.push('jws_alg_unsupported');}
+  if (header?.kid && header.kid !== cred.proof.verificationMethod) {issues.push('jws_kid_mismatch');}
+  const signingInput = `${parts[0]}.${b64url(credentialCanonical(cred))}`;
+  let valid = false;
+  try { valid = crypto.verify(null, Buffer.from(signingInput,'utf8'), publicKeyPem, Buffer.from(parts[2],'base64url')); } catch { valid = false; }
+  if (!valid) {issues.push('signature_invalid');}
+  return { ok: issues.length === 0, issues };
+}
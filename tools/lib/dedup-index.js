@@ -0,0 +1,126 @@
+/**
+ * dedup-index.js
+ * Bounded dedup index for the collector (tools/services/collector.js).
+ * Keys: Idempotency-Key header, event_id and integrity.event_hash; each maps to the receipt returned when the event
+ * was first stored ({ event_id, event_hash, partition, stored_utc }).
+ * Bounds: entries older than `windowMs` expire, and beyond `max` keys the oldest are evicted (Map insertion order).
+ * Persistence: snapshot file rewritten every `saveEvery` inserts and on close; after a crash the collector re-seeds
+ * event_id / event_hash keys from the segments written since the snapshot (tools/lib/event-store.js eventsSince).
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const DEDUP_INDEX_VERSION = 1;
+export const DEFAULT_DEDUP_MAX = 100000;
+export const DEFAULT_DEDUP_WINDOW_MS = 72 * 3600000;
+
+/**
+ * @param {object} ids
+ * @param {string} [ids.idempotencyKey]
+ * @param {string} [ids.eventId]
+ * @param {string} [ids.eventHash]
+ * @returns {Array<[string, string]>} [kind, key] pairs in lookup order
+ */
+export function dedupKeys({ idempotencyKey, eventId, eventHash }){
+  return [
+    ['idempotency_key', idempotencyKey ? `idem:${idempotencyKey}` : null],
+    ['event_id', eventId ? `id:${eventId}` : null],
+    ['event_hash', eventHash ? `hash:${eventHash}` : null],
+  ].filter(([, key]) => key);
+}
+
+export class DedupIndex {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.max] - Maximum number of keys kept
+   * @param {number} [opts.windowMs] - How long a key is remembered
+   * @param {()=>number} [opts.now] - Clock (epoch ms)
+   */
+  constructor({ max = DEFAULT_DEDUP_MAX, windowMs = DEFAULT_DEDUP_WINDOW_MS, now = () => Date.now() } = {}){
+    this.max = Math.max(1, max);
+    this.windowMs = windowMs;
+    this.now = now;
+    this.entries = new Map();
+    this.savedAt = null;
+    this.pending = 0;
+  }
+
+  get size(){ return this.entries.size; }
+
+  expire(){
+    const cutoff = this.now() - this.windowMs;
+    for (const [key, entry] of this.entries){
+      if (entry.at >= cutoff) {break;}
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * @param {Array<[string, string]>} keys - dedupKeys() result
+   * @returns {{kind:string, receipt:object}|null} First key already seen, with the original receipt
+   */
+  lookup(keys){
+    this.expire();
+    for (const [kind, key] of keys){
+      const entry = this.entries.get(key);
+      if (entry) {return { kind, receipt: entry.receipt };}
+    }
+    return null;
+  }
+
+  /**
+   * @param {Array<[string, string]>} keys
+   * @param {object} receipt - Shared by all keys (callers may fill in fields after storing)
+   * @param {object} [opts]
+   * @param {boolean} [opts.keepExisting] - Do not replace keys already present (used when re-seeding)
+   */
+  remember(keys, receipt, { keepExisting = false } = {}){
+    const at = this.now();
+    for (const [, key] of keys){
+      if (keepExisting && this.entries.has(key)) {continue;}
+      this.entries.delete(key);
+      this.entries.set(key, { at, receipt });
+    }
+    while (this.entries.size > this.max) {this.entries.delete(this.entries.keys().next().value);}
+    this.pending++;
+  }
+
+  /** @param {Array<[string, string]>} keys */
+  forget(keys){
+    for (const [, key] of keys) {this.entries.delete(key);}
+  }
+
+  /**
+   * Write a snapshot (atomic rename)
+   * @param {string} file
+   */
+  async save(file){
+    await fs.mkdir(path.dirname(file),{recursive:true});
+    const savedAt = this.now();
+    const tmp = file + '.tmp';
+    await fs.writeFile(tmp, JSON.stringify({ version: DEDUP_INDEX_VERSION, saved_utc: new Date(savedAt).toISOString(), window_ms: this.windowMs, entries: [...this.entries] }));
+    await fs.rename(tmp, file);
+    this.savedAt = savedAt;
+    this.pending = 0;
+  }
+
+  /**
+   * Load a snapshot if present
+   * @param {string} file
+   * @param {object} [opts] - Constructor options
+   * @returns {Promise<DedupIndex>}
+   */
+  static async load(file, opts = {}){
+    const index = new DedupIndex(opts);
+    let snapshot = null;
+    try { snapshot = JSON.parse(await fs.readFile(file,'utf8')); }
+    catch (e) { if (e.code !== 'ENOENT') {throw e;} }
+    if (snapshot?.version === DEDUP_INDEX_VERSION){
+      for (const [key, entry] of snapshot.entries) {index.entries.set(key, entry);}
+      index.savedAt = Date.parse(snapshot.saved_utc);
+      index.expire();
+      while (index.entries.size > index.max) {index.entries.delete(index.entries.keys().next().value);}
+    }
+    return index;
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * differential-privacy.js
+ * Optional noise for published aggregate counts (tools/weekly-trend-aggregator.js, tools/generate-h1-kpi-summary.js,
+ * served by the equity service /kpi/* routes), so counts differenced across releases say little about small groups.
+ *  - Parameters: docs/privacy/differential-privacy-config-v1.yml (DP_CONFIG), governed by its dec_id; nothing is noised
+ *    unless parameters.enabled is true
+ *  - Mechanism: Laplace (scale Δ1/ε) or Gaussian (σ = Δ2·sqrt(2·ln(1.25/δ))/ε, the classic bound, so ε < 1); the sensitivity is contribution_bound
+ *    times the number of cells one event can touch in a query
+ *  - Contributions: counts fed to noisyCounts() come from release.counter(), which keeps at most contribution_bound
+ *    records per contributor (session_id) in any one count and drops the rest. Records without a contributor id count
+ *    as their own contributor, so for them the bound is an assumption, not enforced
+ *  - Post-processing (no extra privacy cost): counts rounded to integers and clamped at 0; fitToTotal() keeps parts
+ *    within their noisy total so published totals and breakdowns agree
+ *  - Budget: every query spends epsilon_per_query of its dataset; the spend is recorded per release in the epsilon
+ *    ledger (the config's ledger path, default artifacts/dp-epsilon-ledger.json; DP_LEDGER_PATH overrides) and a query that would take the dataset past
+ *    epsilon_budget within budget_window_days throws DpBudgetError before any noise is drawn
+ */
+import { randomInt } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import yaml from 'yaml';
+
+export const DP_CONFIG_PATH = 'docs/privacy/differential-privacy-config-v1.yml';
+export const DP_LEDGER_PATH = 'artifacts/dp-epsilon-ledger.json';
+export const MECHANISMS = ['laplace', 'gaussian'];
+
+const DAY_MS = 86400000;
+const UNIFORM_BITS = 2 ** 47; // randomInt range limit is below 2^48
+
+export class DpBudgetError extends Error {
+  /**
+   * @param {string} dataset
+   * @param {number} requested - Epsilon the query needs
+   * @param {number} remaining - Epsilon left in the budget window
+   */
+  constructor(dataset, requested, remaining){
+    super(`differential privacy budget of ${dataset} exhausted: query needs epsilon ${requested}, ${remaining} left`);
+    this.name = 'DpBudgetError';
+    this.code = 'DP_BUDGET_EXHAUSTED';
+    this.dataset = dataset;
+    this.requested = requested;
+    this.remaining = remaining;
+  }
+}
+
+const positive = v => typeof v === 'number' && Number.isFinite(v) && v > 0;
+
+/**
+ * Load and check the differential privacy configuration
+ * @param {string} [file]
+ * @returns {Promise<{version:string, dec_id:string, ledger:string, parameters:{enabled:boolean, mechanism:string, delta:number|null, contribution_bound:number, datasets:object}}>}
+ */
+export async function loadDpConfig(file = DP_CONFIG_PATH){
+  const doc = yaml.parse(await fs.readFile(file,'utf8')) || {};
+  const p = doc.parameters || {};
+  const problems = [];
+  if (!/^DEC-\d{8}-\d{2}$/.test(String(doc.dec_id || ''))) {problems.push('dec_id must name the governing DEC');}
+  if (!MECHANISMS.includes(p.mechanism)) {problems.push(`mechanism must be one of ${MECHANISMS.join(', ')}`);}
+  if (p.mechanism === 'gaussian' && !(positive(p.delta) && p.delta < 1)) {problems.push('gaussian needs 0 < delta < 1');}
+  if (!Number.isInteger(p.contribution_bound) || p.contribution_bound < 1) {problems.push('contribution_bound must be a positive integer');}
+  if (doc.ledger !== undefined && (typeof doc.ledger !== 'string' || !doc.ledger)) {problems.push('ledger must be a file path');}
+  for (const [name, d] of Object.entries(p.datasets || {})){
+    if (!positive(d?.epsilon_per_query) || !positive(d?.epsilon_budget) || !positive(d?.budget_window_days)) {problems.push(`datasets.${name} needs epsilon_per_query, epsilon_budget and budget_window_days > 0`);}
+    else if (p.mechanism === 'gaussian' && d.epsilon_per_query >= 1) {problems.push(`datasets.${name}: gaussian calibration needs epsilon_per_query < 1`);}
+  }
+  if (problems.length) {throw new Error(`differential privacy config ${file}: ${problems.join('; ')}`);}
+  return { version: String(doc.version), dec_id: doc.dec_id, ledger: doc.ledger || DP_LEDGER_PATH, parameters: { ...p, enabled: p.enabled === true, delta: p.delta ?? null } };
+}
+
+/**
+ * @param {string} mechanism - laplace | gaussian
+ * @param {object} opts
+ * @param {number} opts.epsilon
+ * @param {number|null} [opts.delta] - Gaussian only
+ * @param {number} opts.bound - Largest change one person makes to a single cell
+ * @param {number} [opts.cells] - Cells one person can touch in the query
+ * @returns {number} Laplace scale b or Gaussian sigma
+ */
+export function noiseScale(mechanism, { epsilon, delta = null, bound, cells = 1 }){
+  if (mechanism === 'laplace') {return bound * cells / epsilon;}
+  return bound * Math.sqrt(cells) * Math.sqrt(2 * Math.log(1.25 / delta)) / epsilon;
+}
+
+/** @returns {number} Uniform in (0, 1) from the crypto RNG */
+export function cryptoUniform(){
+  return (randomInt(UNIFORM_BITS) + 0.5) / UNIFORM_BITS;
+}
+
+/**
+ * @param {string} mechanism
+ * @param {number} scale - noiseScale() result
+ * @param {()=>number} [uniform] - Uniform in (0, 1)
+ * @returns {number}
+ */
+export function sampleNoise(mechanism, scale, uniform = cryptoUniform){
+  if (mechanism === 'laplace'){
+    const u = uniform() - 0.5;
+    return -scale * Math.sign(u) * Math.log(1 - 2 * Math.abs(u));
+  }
+  // Box-Muller
+  return scale * Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+}
+
+/**
+ * Integer parts summing to at most total: when the parts exceed it they are scaled down and rounded by largest
+ * remainder, so they sum to exactly total
+ * @param {number} total - Non-negative integer
+ * @param {Object<string, number>} parts - Non-negative integers
+ * @returns {Object<string, number>}
+ */
+export function fitToTotal(total, parts){
+  const sum = Object.values(parts).reduce((a, b) => a + b, 0);
+  if (sum <= total) {return { ...parts };}
+  const scaled = Object.entries(parts).map(([k, v]) => [k, v * total / sum]);
+  const out = Object.fromEntries(scaled.map(([k, v]) => [k, Math.floor(v)]));
+  let left = total - Object.values(out).reduce((a, b) => a + b, 0);
+  for (const [k] of [...scaled].sort((a, b) => (b[1] % 1) - (a[1] % 1) || a[0].localeCompare(b[0]))){
+    if (left <= 0) {break;}
+    out[k]++; left--;
+  }
+  return out;
+}
+
+export class EpsilonLedger {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.file]
+   * @param {()=>number} [opts.now]
+   */
+  constructor({ file = DP_LEDGER_PATH, now = () => Date.now() } = {}){
+    this.file = file;
+    this.now = now;
+    this.entries = [];
+  }
+
+  async init(){
+    try {
+      const doc = JSON.parse(await fs.readFile(this.file,'utf8'));
+      this.entries = Array.isArray(doc.entries) ? doc.entries : [];
+    } catch (e) {
+      if (e.code !== 'ENOENT') {throw new Error(`epsilon ledger ${this.file} unreadable: ${e.message}`);}
+    }
+    return this;
+  }
+
+  /**
+   * @param {string} dataset
+   * @param {number} windowDays
+   * @returns {number} Epsilon spent on the dataset within the window
+   */
+  spent(dataset, windowDays){
+    const since = this.now() - windowDays * DAY_MS;
+    return this.entries.filter(e => e.dataset === dataset && Date.parse(e.recorded_utc) > since).reduce((a, e) => a + e.epsilon, 0);
+  }
+
+  /**
+   * @param {object} entry - { dataset, release_id, epsilon, queries, mechanism, delta, dec_id }
+   * @param {Object<string, {epsilon_budget:number, budget_window_days:number}>} datasets - Budgets for the summary
+   */
+  async record(entry, datasets){
+    this.entries.push({ ...entry, recorded_utc: new Date(this.now()).toISOString() });
+    const budgets = Object.fromEntries(Object.entries(datasets).map(([name, d]) => {
+      const spent = this.spent(name, d.budget_window_days);
+      return [name, { epsilon_budget: d.epsilon_budget, budget_window_days: d.budget_window_days, epsilon_spent: round6(spent), epsilon_remaining: round6(Math.max(0, d.epsilon_budget - spent)) }];
+    }));
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = this.file + '.tmp';
+    await fs.writeFile(tmp, JSON.stringify({ version: 1, updated_utc: new Date(this.now()).toISOString(), budgets, entries: this.entries }, null, 2));
+    await fs.rename(tmp, this.file);
+  }
+}
+
+const round6 = v => Number(v.toFixed(6));
+
+/** Counts in which no contributor adds more than bound to any one key */
+export class ContributionCounter {
+  /** @param {number} bound - contribution_bound */
+  constructor(bound){
+    this.bound = bound;
+    this.counts = {};
+    this.dropped = 0;
+    this.seen = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @param {string|null|undefined} contributor - session_id; records without one are never clipped
+   * @returns {boolean} false when the contributor already reached the bound for key
+   */
+  add(key, contributor){
+    if (contributor){
+      const id = `${key}\u0000${contributor}`;
+      const n = this.seen.get(id) || 0;
+      if (n >= this.bound) { this.dropped++; return false; }
+      this.seen.set(id, n + 1);
+    }
+    this.counts[key] = (this.counts[key] || 0) + 1;
+    return true;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {number}
+   */
+  get(key){ return this.counts[key] || 0; }
+}
+
+/** Queries of one release of a dataset; the spend is written to the ledger by commit() */
+export class DpRelease {
+  constructor(publisher, dataset, releaseId){
+    const budget = publisher.config.parameters.datasets?.[dataset];
+    if (!budget) {throw new Error(`differential privacy: no budget configured for dataset ${dataset}`);}
+    this.publisher = publisher;
+    this.dataset = dataset;
+    this.releaseId = releaseId;
+    this.budget = budget;
+    this.queries = 0;
+  }
+
+  get epsilon(){ return this.queries * this.budget.epsilon_per_query; }
+
+  /** @returns {ContributionCounter} Counter clipped to the configured contribution_bound */
+  counter(){
+    return new ContributionCounter(this.publisher.config.parameters.contribution_bound);
+  }
+
+  /**
+   * Noisy, rounded, non-negative copy of a set of counts (one query)
+   * @param {Object<string, number>} counts
+   * @param {object} [opts]
+   * @param {number} [opts.cells] - How many of these counts one event can add to
+   * @returns {Object<string, number>}
+   */
+  noisyCounts(counts, { cells = 1 } = {}){
+    const { config, ledger, uniform } = this.publisher;
+    const { mechanism, delta, contribution_bound } = config.parameters;
+    const epsilon = this.budget.epsilon_per_query;
+    const remaining = this.budget.epsilon_budget - ledger.spent(this.dataset, this.budget.budget_window_days) - this.epsilon;
+    if (epsilon > remaining + 1e-9) {throw new DpBudgetError(this.dataset, epsilon, round6(Math.max(0, remaining)));}
+    this.queries++;
+    const scale = noiseScale(mechanism, { epsilon, delta, bound: contribution_bound, cells });
+    return Object.fromEntries(Object.entries(counts).map(([k, v]) => [k, Math.max(0, Math.round(v + sampleNoise(mechanism, scale, uniform)))]));
+  }
+
+  /** @returns {{dec_id:string, mechanism:string, delta:number|null, dataset:string, release_id:string, epsilon:number, queries:number}} Disclosure for the published artifact */
+  summary(){
+    const { dec_id, parameters } = this.publisher.config;
+    return { dec_id, mechanism: parameters.mechanism, delta: parameters.mechanism === 'gaussian' ? parameters.delta : null, dataset: this.dataset, release_id: this.releaseId, epsilon: round6(this.epsilon), queries: this.queries };
+  }
+
+  async commit(){
+    if (!this.queries) {return;}
+    const { config, ledger } = this.publisher;
+    const { dec_id, mechanism, delta, ...entry } = this.summary();
+    await ledger.record({ ...entry, mechanism, delta, dec_id }, config.parameters.datasets);
+  }
+}
+
+export class DpPublisher {
+  /**
+   * @param {object} opts
+   * @param {Awaited<ReturnType<typeof loadDpConfig>>} opts.config
+   * @param {EpsilonLedger} opts.ledger
+   * @param {()=>number} [opts.uniform] - Uniform in (0, 1); the crypto RNG unless a test supplies one
+   */
+  constructor({ config, ledger, uniform = cryptoUniform }){
+    this.config = config;
+    this.ledger = ledger;
+    this.uniform = uniform;
+  }
+
+  /**
+   * @param {string} dataset - Key of parameters.datasets
+   * @param {string} releaseId - E.g. the generation date
+   * @returns {DpRelease}
+   */
+  release(dataset, releaseId){
+    return new DpRelease(this, dataset, releaseId);
+  }
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.configFile] - Default DP_CONFIG or docs/privacy/differential-privacy-config-v1.yml
+ * @param {string} [opts.ledgerFile] - Default DP_LEDGER_PATH, else the config's ledger
+ * @param {()=>number} [opts.uniform]
+ * @returns {Promise<DpPublisher|null>} null when the configuration leaves the layer disabled
+ */
+export async function createDpPublisher(opts = {}){
+  const config = await loadDpConfig(opts.configFile || process.env.DP_CONFIG || DP_CONFIG_PATH);
+  if (!config.parameters.enabled) {return null;}
+  const ledger = await new EpsilonLedger({ file: opts.ledgerFile || process.env.DP_LEDGER_PATH || config.ledger }).init();
+  return new DpPublisher({ config, ledger, uniform: opts.uniform });
+}
@@ -0,0 +1,201 @@
+/**
+ * event-query.js
+ * Filtered, grouped event counts over time buckets for POST /query on the collector (tools/services/collector.js),
+ * with the minimum cell threshold of DEC-20250812-04 (policies/aggregation-min-cell.rego,
+ * tools/policy-aggregation-threshold-enforce.js) applied to every result:
+ *  - group_by takes low-cardinality event fields (DIMENSIONS) and meta.<key>; identifiers (event_id, session_id) and
+ *    free text (referrer) can be neither grouped nor filtered on
+ *  - coarsen (default): a cell below the threshold has its group_by values rolled up, last dimension first, and is
+ *    merged with the other small cells of its bucket that share the remaining values; what is still below the
+ *    threshold with every dimension rolled up is suppressed. suppress: small cells are dropped
+ *  - only the number of suppressed cells is reported, never their counts or a total they could be derived from
+ *  - from/to are widened to whole buckets (whole UTC days without a bucket), so two windows cannot differ by a single
+ *    event's timestamp. Differencing still works at bucket granularity: two answers over windows one bucket apart, or
+ *    with and without a where value, differ by exactly the events of that bucket or value. The threshold bounds each
+ *    answer, not their difference; releases that must hold up against differencing go through differential-privacy.js
+ * Cells carry an id and count, so a result is also valid input for policy-aggregation-threshold-enforce.js.
+ */
+export const MIN_CELL_DEC = 'DEC-20250812-04';
+export const DEFAULT_MIN_CELL_THRESHOLD = 20;
+export const DIMENSIONS = ['event_name', 'schema_version', 'user_type', 'page', 'user_agent_class', 'locale', 'source'];
+export const BUCKETS = ['hour', 'day', 'week', 'month'];
+export const SUPPRESSION_MODES = ['coarsen', 'suppress'];
+export const TIME_FIELDS = ['occurred_at', 'received_at'];
+export const MAX_GROUP_BY = 4;
+
+const META_DIMENSION_RE = /^meta\.([a-zA-Z][a-zA-Z0-9_]{0,63})$/;
+const ALL = 'all';
+
+export class QueryError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} [field] - Query field at fault
+   */
+  constructor(message, field){
+    super(message);
+    this.name = 'QueryError';
+    this.code = 'INVALID_QUERY';
+    this.field = field;
+  }
+}
+
+/**
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {number} POLICY_MIN_CELL_THRESHOLD or the DEC baseline (20)
+ */
+export function minCellThreshold(env = process.env){
+  const value = Number(env.POLICY_MIN_CELL_THRESHOLD || DEFAULT_MIN_CELL_THRESHOLD);
+  if (!Number.isInteger(value) || value < 1) {throw new Error(`POLICY_MIN_CELL_THRESHOLD must be a positive integer, got ${env.POLICY_MIN_CELL_THRESHOLD}`);}
+  return value;
+}
+
+function checkDimension(name, field){
+  if (DIMENSIONS.includes(name) || META_DIMENSION_RE.test(name)) {return name;}
+  throw new QueryError(`${field}: ${name} is not a queryable field (${DIMENSIONS.join(', ')}, meta.<key>)`, field);
+}
+
+/**
+ * @param {number} ms
+ * @param {string|null} bucket - hour | day | week | month; null snaps to days
+ * @param {'floor'|'ceil'} edge - floor: start of the bucket holding ms; ceil: ms if it starts a bucket, else the next start
+ * @returns {number} Bucket boundary (UTC)
+ */
+export function snapToBucket(ms, bucket, edge){
+  const d = new Date(ms);
+  const [y, m, day] = [d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()];
+  let start;
+  let next;
+  if (bucket === 'hour') { start = Date.UTC(y, m, day, d.getUTCHours()); next = start + 3600000; }
+  else if (bucket === 'month') { start = Date.UTC(y, m, 1); next = Date.UTC(y, m + 1, 1); }
+  else if (bucket === 'week') { start = Date.UTC(y, m, day - (d.getUTCDay() + 6) % 7); next = start + 7 * 86400000; }
+  else { start = Date.UTC(y, m, day); next = start + 86400000; }
+  return edge === 'floor' || start === ms ? start : next;
+}
+
+function parseTime(value, field){
+  if (value === undefined || value === null) {return null;}
+  const ms = Date.parse(value);
+  if (typeof value !== 'string' || Number.isNaN(ms)) {throw new QueryError(`${field} must be an ISO date-time`, field);}
+  return ms;
+}
+
+/**
+ * @param {object} body - { from?, to?, time_field?, bucket?, group_by?, where?, suppression?, min_cell? }
+ * @param {object} opts
+ * @param {number} opts.threshold - Policy minimum cell count; min_cell may only raise it
+ * from and to come back snapped outwards to bucket boundaries (snapToBucket)
+ * @returns {{from:number|null, to:number|null, time_field:string, bucket:string|null, group_by:string[], where:Array<[string, string[]]>, suppression:string, threshold:number}}
+ */
+export function parseQuery(body, { threshold }){
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {throw new QueryError('query must be a JSON object');}
+  const from = parseTime(body.from, 'from');
+  const to = parseTime(body.to, 'to');
+  if (from !== null && to !== null && from >= to) {throw new QueryError('from must be before to', 'from');}
+  const time_field = body.time_field ?? 'occurred_at';
+  if (!TIME_FIELDS.includes(time_field)) {throw new QueryError(`time_field must be one of ${TIME_FIELDS.join(', ')}`, 'time_field');}
+  const bucket = body.bucket ?? null;
+  if (bucket !== null && !BUCKETS.includes(bucket)) {throw new QueryError(`bucket must be one of ${BUCKETS.join(', ')}`, 'bucket');}
+  const window = { from: from === null ? null : snapToBucket(from, bucket, 'floor'), to: to === null ? null : snapToBucket(to, bucket, 'ceil') };
+  const group_by = body.group_by ?? [];
+  if (!Array.isArray(group_by) || group_by.length > MAX_GROUP_BY || new Set(group_by).size !== group_by.length){
+    throw new QueryError(`group_by must be a list of at most ${MAX_GROUP_BY} distinct fields`, 'group_by');
+  }
+  group_by.forEach(d => checkDimension(d, 'group_by'));
+  const whereBody = body.where ?? {};
+  if (!whereBody || typeof whereBody !== 'object' || Array.isArray(whereBody)) {throw new QueryError('where must be an object of field: value | [values]', 'where');}
+  const where = Object.entries(whereBody).map(([name, value]) => {
+    checkDimension(name, 'where');
+    const values = Array.isArray(value) ? value : [value];
+    if (!values.length || values.some(v => !['string', 'number', 'boolean'].includes(typeof v))) {throw new QueryError(`where.${name} must be a scalar or a list of scalars`, 'where');}
+    return [name, values.map(String)];
+  });
+  const suppression = body.suppression ?? 'coarsen';
+  if (!SUPPRESSION_MODES.includes(suppression)) {throw new QueryError(`suppression must be one of ${SUPPRESSION_MODES.join(', ')}`, 'suppression');}
+  const requested = body.min_cell ?? threshold;
+  if (!Number.isInteger(requested) || requested < threshold) {throw new QueryError(`min_cell must be an integer of at least the policy threshold ${threshold}`, 'min_cell');}
+  return { ...window, time_field, bucket, group_by, where, suppression, threshold: requested };
+}
+
+/**
+ * @param {number} ms
+ * @param {string|null} bucket
+ * @returns {string} Bucket key (UTC): YYYY-MM-DDTHH, YYYY-MM-DD, YYYY-Www (ISO week), YYYY-MM, or 'all'
+ */
+export function bucketKey(ms, bucket){
+  const iso = new Date(ms).toISOString();
+  if (bucket === 'hour') {return iso.slice(0, 13);}
+  if (bucket === 'day') {return iso.slice(0, 10);}
+  if (bucket === 'month') {return iso.slice(0, 7);}
+  if (bucket === 'week'){
+    // ISO week: the Thursday of the event's week decides the year
+    const d = new Date(Date.UTC(+iso.slice(0, 4), +iso.slice(5, 7) - 1, +iso.slice(8, 10)));
+    d.setUTCDate(d.getUTCDate() + 3 - (d.getUTCDay() + 6) % 7);
+    const jan4 = new Date(Date.UTC(d.getUTCFullYear(), 0, 4));
+    const week = 1 + Math.round(((d - jan4) / 86400000 - 3 + (jan4.getUTCDay() + 6) % 7) / 7);
+    return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+  }
+  return ALL;
+}
+
+function fieldValue(evt, name){
+  const m = META_DIMENSION_RE.exec(name);
+  const v = m ? evt.meta?.[m[1]] : evt[name];
+  return ['string', 'number', 'boolean'].includes(typeof v) ? String(v) : null;
+}
+
+const cellId = (bucket, key, rolledUp) => [bucket, ...Object.entries(key).map(([d, v]) => `${d}=${v}`), ...rolledUp.map(d => `${d}=*`)].join('|');
+
+/**
+ * Count events per bucket and group_by values, then apply the minimum cell threshold
+ * @param {AsyncIterable<object>|Iterable<object>} events
+ * @param {ReturnType<typeof parseQuery>} query
+ * @returns {Promise<{cells:Array<{id:string, bucket:string, key:object, rolled_up?:string[], count:number}>, suppressed_cells:number, coarsened_cells:number}>}
+ */
+export async function runQuery(events, query){
+  const counts = new Map();
+  for await (const evt of events){
+    const ms = Date.parse(evt?.[query.time_field]);
+    if (Number.isNaN(ms) || (query.from !== null && ms < query.from) || (query.to !== null && ms >= query.to)) {continue;}
+    if (!query.where.every(([name, values]) => values.includes(fieldValue(evt, name)))) {continue;}
+    const bucket = bucketKey(ms, query.bucket);
+    const key = Object.fromEntries(query.group_by.map(d => [d, fieldValue(evt, d)]));
+    const id = cellId(bucket, key, []);
+    const cell = counts.get(id) || { id, bucket, key, count: 0 };
+    cell.count++;
+    counts.set(id, cell);
+  }
+  return applyMinCell([...counts.values()], query);
+}
+
+/**
+ * @param {Array<{id:string, bucket:string, key:object, count:number}>} cells
+ * @param {{group_by:string[], suppression:string, threshold:number}} query
+ * @returns {{cells:object[], suppressed_cells:number, coarsened_cells:number}}
+ */
+export function applyMinCell(cells, { group_by, suppression, threshold }){
+  const published = cells.filter(c => c.count >= threshold);
+  // Small cells with how many original cells each stands for
+  let small = cells.filter(c => c.count < threshold).map(c => ({ ...c, sources: 1 }));
+  let coarsened = 0;
+  const rolledUp = [];
+  for (let level = group_by.length - 1; suppression === 'coarsen' && level >= 0 && small.length; level--){
+    rolledUp.unshift(group_by[level]);
+    const merged = new Map();
+    for (const c of small){
+      const key = Object.fromEntries(Object.entries(c.key).filter(([d]) => d !== group_by[level]));
+      const id = cellId(c.bucket, key, rolledUp);
+      const m = merged.get(id) || { id, bucket: c.bucket, key, rolled_up: [...rolledUp], count: 0, sources: 0 };
+      m.count += c.count;
+      m.sources += c.sources;
+      merged.set(id, m);
+    }
+    small = [];
+    for (const { sources, ...m } of merged.values()){
+      if (m.count >= threshold) { published.push(m); coarsened += sources; }
+      else {small.push({ ...m, sources });}
+    }
+  }
+  published.sort((a, b) => a.bucket.localeCompare(b.bucket) || a.id.localeCompare(b.id));
+  return { cells: published, suppressed_cells: small.reduce((n, c) => n + c.sources, 0), coarsened_cells: coarsened };
+}
+
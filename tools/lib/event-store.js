@@ -0,0 +1,424 @@
+/**
+ * event-store.js
+ * Time-partitioned storage for collected events (tools/services/collector.js).
+ * Layout under <dataDir>/events/:
+ *  - <partition>.ndjson  append-only segment per UTC day (YYYY-MM-DD) or hour (YYYY-MM-DDTHH) of storage time
+ *  - index.json          { version, partition, totals, segments:{ <partition>:{ file, bytes, total, byEvent, byLevel } },
+ *                          leaves:{ <partition>:count }, tombstones, legacy_import }; counters are kept current on
+ *                          append, so stats() is O(1)
+ *  - tombstones.ndjson   one EVENTS_COMPACTED record per compacted segment: sha256 of the segment before and after,
+ *                        plus the line hash and event_hash of every dropped event
+ *  - <partition>.leaves  RFC 6962 leaf hash (tools/lib/merkle.js) of every line ever appended to the segment, one hex
+ *                        hash per line; compaction leaves it alone, so Merkle proofs over a partition survive retention
+ * The index is rewritten every `indexEvery` appends and on close; on init, segments whose size differs from the
+ * index (crash between append and index write) are recounted from disk.
+ * Retention (tools/config/event-storage-policy.json): each event gets a data classification level (L0–L4) from its
+ * event_name and expires `retention_days` after the end of its partition (null = kept forever); compact() drops
+ * expired events from closed partitions.
+ * A legacy single-file log (<dataDir>/ingested-events.ndjson) is imported once, partitioned by received_at, and left in place;
+ * `importTransform` rewrites each legacy event before it is written (the collector pseudonymises session_id).
+ */
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { leafHash } from './merkle.js';
+
+export const EVENT_STORE_VERSION = 1;
+export const STORAGE_POLICY_PATH = 'tools/config/event-storage-policy.json';
+export const PARTITIONS = ['day', 'hour'];
+
+const DAY_MS = 86400000;
+const HOUR_MS = 3600000;
+const SEGMENT_RE = /^(\d{4}-\d{2}-\d{2}(?:T\d{2})?)\.ndjson$/;
+const LEAVES_RE = /^(\d{4}-\d{2}-\d{2}(?:T\d{2})?)\.leaves$/;
+const LEAF_LINE_BYTES = 65; // 64 hex chars + newline
+
+function sha256Hex(buf){ return createHash('sha256').update(buf).digest('hex'); }
+
+async function pathExists(p){ try { await fs.access(p); return true; } catch { return false; } }
+
+async function writeFileAtomic(p, data){
+  const tmp = p + '.tmp';
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, p);
+}
+
+/**
+ * Load and check a storage policy
+ * @param {string} [file]
+ * @returns {Promise<{partition:string, default_level:string, levels:object, event_levels:Array<{pattern:string, level:string}>}>}
+ */
+export async function loadStoragePolicy(file = STORAGE_POLICY_PATH){
+  const policy = JSON.parse(await fs.readFile(file,'utf8'));
+  if (!PARTITIONS.includes(policy.partition)) {throw new Error(`storage policy: partition must be one of ${PARTITIONS.join('|')}`);}
+  const levels = policy.levels || {};
+  for (const level of [policy.default_level, ...(policy.event_levels || []).map(r=>r.level)]){
+    if (!levels[level]) {throw new Error(`storage policy: unknown level ${level}`);}
+  }
+  return policy;
+}
+
+/**
+ * @param {object} policy - loadStoragePolicy() result
+ * @param {object} evt
+ * @returns {string} Classification level of the event
+ */
+export function classifyEvent(policy, evt){
+  const name = String(evt?.event_name || '');
+  const rule = (policy.event_levels || []).find(r => new RegExp(r.pattern).test(name));
+  return rule ? rule.level : policy.default_level;
+}
+
+/**
+ * @param {number|string|Date} at
+ * @param {'day'|'hour'} [granularity]
+ * @returns {string} Partition key (UTC)
+ */
+export function partitionKey(at, granularity = 'day'){
+  const iso = new Date(at).toISOString();
+  return granularity === 'hour' ? iso.slice(0, 13) : iso.slice(0, 10);
+}
+
+/**
+ * @param {string} key - Partition key
+ * @returns {number} Epoch ms at which the partition closes
+ */
+export function partitionEnd(key){
+  return key.length > 10 ? Date.parse(`${key}:00:00.000Z`) + HOUR_MS : Date.parse(`${key}T00:00:00.000Z`) + DAY_MS;
+}
+
+/**
+ * @param {object} policy
+ * @param {string} level
+ * @param {string} key - Partition the event is stored in
+ * @param {number} now - Epoch ms
+ * @returns {boolean} Whether the event is past retention
+ */
+export function isExpired(policy, level, key, now){
+  const days = policy.levels[level]?.retention_days;
+  if (days === null || days === undefined) {return false;}
+  return now >= partitionEnd(key) + days * DAY_MS;
+}
+
+function emptyCounts(){ return { total: 0, byEvent: {}, byLevel: {} }; }
+
+function bump(counts, name, level, n = 1){
+  counts.total += n;
+  counts.byEvent[name] = (counts.byEvent[name] || 0) + n;
+  counts.byLevel[level] = (counts.byLevel[level] || 0) + n;
+}
+
+function parseLine(line){ try { return JSON.parse(line); } catch { return null; } }
+
+/**
+ * Read every stored event in partition order (falls back to the legacy single-file log)
+ * @param {string} [dataDir]
+ * @returns {AsyncGenerator<object>}
+ */
+export async function* readStoredEvents(dataDir = 'artifacts'){
+  const dir = path.join(dataDir, 'events');
+  const files = (await pathExists(dir)) ? (await fs.readdir(dir)).filter(f => SEGMENT_RE.test(f)).sort() : [];
+  const sources = files.length ? files.map(f => path.join(dir, f)) : [path.join(dataDir, 'ingested-events.ndjson')];
+  for (const file of sources){
+    if (!(await pathExists(file))) {continue;}
+    for (const line of (await fs.readFile(file,'utf8')).split(/\r?\n/)){
+      const evt = line ? parseLine(line) : null;
+      if (evt) {yield evt;}
+    }
+  }
+}
+
+export class EventStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.dataDir - Directory holding events/ (and the legacy ingested-events.ndjson)
+   * @param {object} opts.policy - loadStoragePolicy() result
+   * @param {number} [opts.indexEvery] - Appends between index rewrites
+   * @param {()=>number} [opts.now] - Clock (epoch ms) used for partitioning
+   * @param {(evt:object)=>object} [opts.importTransform] - Applied to each legacy event on import
+   */
+  constructor({ dataDir, policy, indexEvery = 50, now = () => Date.now(), importTransform = evt => evt }){
+    this.dir = path.join(dataDir, 'events');
+    this.legacyPath = path.join(dataDir, 'ingested-events.ndjson');
+    this.indexPath = path.join(this.dir, 'index.json');
+    this.tombstonePath = path.join(this.dir, 'tombstones.ndjson');
+    this.policy = policy;
+    this.indexEvery = Math.max(1, indexEvery);
+    this.now = now;
+    this.importTransform = importTransform;
+    this.pending = 0;
+    this.queue = Promise.resolve();
+  }
+
+  segmentPath(key){ return path.join(this.dir, `${key}.ndjson`); }
+
+  leavesPath(key){ return path.join(this.dir, `${key}.leaves`); }
+
+  /** Serialize writers (appends, compaction, index flushes) */
+  enqueue(fn){
+    const run = this.queue.then(fn);
+    this.queue = run.catch(()=>{});
+    return run;
+  }
+
+  async init(){
+    await fs.mkdir(this.dir,{recursive:true});
+    this.index = (await pathExists(this.indexPath))
+      ? JSON.parse(await fs.readFile(this.indexPath,'utf8'))
+      : { version: EVENT_STORE_VERSION, partition: this.policy.partition, totals: emptyCounts(), segments: {}, leaves: {}, tombstones: 0, legacy_import: null };
+    let dirty = this.index.partition !== this.policy.partition;
+    this.index.partition = this.policy.partition;
+    if (await this.recover()) {dirty = true;}
+    if (await this.recoverLeaves()) {dirty = true;}
+    if (!this.index.legacy_import && await pathExists(this.legacyPath)){
+      await this.importLegacy();
+      dirty = true;
+    }
+    if (dirty) {await this.flush();}
+    return this;
+  }
+
+  /** Recount segments the index does not match; returns whether anything changed */
+  async recover(){
+    const files = (await fs.readdir(this.dir)).filter(f => SEGMENT_RE.test(f));
+    const onDisk = new Set(files.map(f => SEGMENT_RE.exec(f)[1]));
+    let changed = false;
+    for (const key of Object.keys(this.index.segments)){
+      if (!onDisk.has(key)){ delete this.index.segments[key]; changed = true; }
+    }
+    for (const key of onDisk){
+      const { size } = await fs.stat(this.segmentPath(key));
+      if (this.index.segments[key]?.bytes === size) {continue;}
+      this.index.segments[key] = await this.countSegment(key);
+      changed = true;
+    }
+    if (changed) {this.recomputeTotals();}
+    return changed;
+  }
+
+  /**
+   * Reconcile leaf counts with the .leaves files (a torn last line is cut off); stores created before leaf files
+   * existed get them backfilled from their current segments. Returns whether anything changed
+   */
+  async recoverLeaves(){
+    let changed = false;
+    if (!this.index.leaves){
+      this.index.leaves = {};
+      for (const key of Object.keys(this.index.segments).sort()){
+        const lines = (await fs.readFile(this.segmentPath(key),'utf8')).split('\n').filter(Boolean);
+        await this.appendLeaves(key, lines.map(l => leafHash(l)));
+      }
+      changed = true;
+    }
+    const files = (await fs.readdir(this.dir)).filter(f => LEAVES_RE.test(f));
+    for (const key of files.map(f => LEAVES_RE.exec(f)[1])){
+      const { size } = await fs.stat(this.leavesPath(key));
+      const count = Math.floor(size / LEAF_LINE_BYTES);
+      if (size !== count * LEAF_LINE_BYTES) {await fs.truncate(this.leavesPath(key), count * LEAF_LINE_BYTES);}
+      if (this.index.leaves[key] === count) {continue;}
+      this.index.leaves[key] = count;
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string[]} hashes - Leaf hashes of segment lines (without newline) in append order
+   * @returns {Promise<number>} Leaf index of the first hash
+   */
+  async appendLeaves(key, hashes){
+    const first = this.index.leaves[key] || 0;
+    await fs.appendFile(this.leavesPath(key), hashes.map(h => h + '\n').join(''));
+    this.index.leaves[key] = first + hashes.length;
+    return first;
+  }
+
+  async countSegment(key){
+    const buf = await fs.readFile(this.segmentPath(key));
+    const seg = { file: `${key}.ndjson`, bytes: buf.length, ...emptyCounts() };
+    for (const line of buf.toString('utf8').split('\n')){
+      const evt = line ? parseLine(line) : null;
+      if (evt) {bump(seg, evt.event_name, classifyEvent(this.policy, evt));}
+    }
+    return seg;
+  }
+
+  recomputeTotals(){
+    const totals = emptyCounts();
+    for (const seg of Object.values(this.index.segments)){
+      totals.total += seg.total;
+      for (const [k, n] of Object.entries(seg.byEvent)) {totals.byEvent[k] = (totals.byEvent[k] || 0) + n;}
+      for (const [k, n] of Object.entries(seg.byLevel)) {totals.byLevel[k] = (totals.byLevel[k] || 0) + n;}
+    }
+    this.index.totals = totals;
+  }
+
+  async importLegacy(){
+    const buf = await fs.readFile(this.legacyPath);
+    const groups = new Map();
+    let events = 0;
+    for (const line of buf.toString('utf8').split(/\r?\n/)){
+      const evt = line ? parseLine(line) : null;
+      if (!evt) {continue;}
+      const ts = [evt.received_at, evt.occurred_at].find(t => t && !Number.isNaN(Date.parse(t)));
+      const key = partitionKey(ts || this.now(), this.policy.partition);
+      if (!groups.has(key)) {groups.set(key, []);}
+      groups.get(key).push(JSON.stringify(this.importTransform(evt)));
+      events++;
+    }
+    for (const [key, lines] of groups){
+      await fs.appendFile(this.segmentPath(key), lines.join('\n') + '\n');
+      await this.appendLeaves(key, lines.map(l => leafHash(l)));
+      this.index.segments[key] = await this.countSegment(key);
+    }
+    this.recomputeTotals();
+    this.index.legacy_import = { file: path.basename(this.legacyPath), sha256: sha256Hex(buf), events, imported_utc: new Date(this.now()).toISOString() };
+  }
+
+  /**
+   * Persist an event in the partition of the current storage time
+   * @param {object} evt
+   * @returns {Promise<{partition:string, level:string, index:number, leaf_hash:string}>} index / leaf_hash: position and
+   *   hash of the line in the partition's Merkle leaves
+   */
+  append(evt){
+    return this.enqueue(async ()=>{
+      const key = partitionKey(this.now(), this.policy.partition);
+      const line = JSON.stringify(evt) + '\n';
+      const leaf = leafHash(line.slice(0, -1));
+      await fs.appendFile(this.segmentPath(key), line);
+      const index = await this.appendLeaves(key, [leaf]);
+      const level = classifyEvent(this.policy, evt);
+      const seg = this.index.segments[key] || (this.index.segments[key] = { file: `${key}.ndjson`, bytes: 0, ...emptyCounts() });
+      seg.bytes += Buffer.byteLength(line);
+      bump(seg, evt.event_name, level);
+      bump(this.index.totals, evt.event_name, level);
+      if (++this.pending >= this.indexEvery) {await this.writeIndex();}
+      return { partition: key, level, index, leaf_hash: leaf };
+    });
+  }
+
+  /** @returns {Object<string, number>} Leaf count per partition (includes fully compacted partitions) */
+  leafCounts(){ return { ...this.index.leaves }; }
+
+  /**
+   * @param {string} key - Partition
+   * @param {number} [size] - Number of leading leaves to read (default all)
+   * @returns {Promise<string[]>} Hex leaf hashes in append order
+   */
+  async leafHashes(key, size = this.index.leaves[key] || 0){
+    if (!size) {return [];}
+    const fh = await fs.open(this.leavesPath(key), 'r');
+    try {
+      const buf = Buffer.alloc(size * LEAF_LINE_BYTES);
+      const { bytesRead } = await fh.read(buf, 0, buf.length, 0);
+      if (bytesRead < buf.length) {throw new Error(`${key}.leaves holds fewer than ${size} leaves`);}
+      return buf.toString('utf8').split('\n', size);
+    } finally {
+      await fh.close();
+    }
+  }
+
+  /** @returns {{total:number, byEvent:object, byLevel:object, segments:number, tombstones:number}} */
+  stats(){
+    const { totals, segments, tombstones } = this.index;
+    return { total: totals.total, byEvent: { ...totals.byEvent }, byLevel: { ...totals.byLevel }, segments: Object.keys(segments).length, tombstones };
+  }
+
+  /**
+   * Events in partitions still open at `since` (epoch ms), in partition order
+   * @param {number} since
+   * @returns {AsyncGenerator<{partition:string, event:object}>}
+   */
+  async *eventsSince(since){
+    for (const key of Object.keys(this.index.segments).sort()){
+      if (partitionEnd(key) <= since) {continue;}
+      for (const line of (await fs.readFile(this.segmentPath(key),'utf8')).split('\n')){
+        const event = line ? parseLine(line) : null;
+        if (event) {yield { partition: key, event };}
+      }
+    }
+  }
+
+  /**
+   * Drop events past retention from closed partitions, leaving a hash tombstone per compacted segment
+   * @param {object} [opts]
+   * @param {number} [opts.now] - Epoch ms
+   * @returns {Promise<{compacted_utc:string, segments_scanned:number, segments_compacted:number, removed:number, removed_by_level:object}>}
+   */
+  compact({ now = this.now() } = {}){
+    return this.enqueue(async ()=>{
+      const compactedUtc = new Date(now).toISOString();
+      const report = { compacted_utc: compactedUtc, segments_scanned: 0, segments_compacted: 0, removed: 0, removed_by_level: {} };
+      for (const key of Object.keys(this.index.segments).sort()){
+        if (now < partitionEnd(key)) {continue;}
+        report.segments_scanned++;
+        const buf = await fs.readFile(this.segmentPath(key));
+        const keep = []; const removed = [];
+        for (const line of buf.toString('utf8').split('\n')){
+          if (!line) {continue;}
+          const evt = parseLine(line);
+          const level = classifyEvent(this.policy, evt);
+          if (evt && isExpired(this.policy, level, key, now)) {removed.push({ line, evt, level });}
+          else {keep.push(line);}
+        }
+        if (!removed.length) {continue;}
+        const after = keep.length ? keep.join('\n') + '\n' : '';
+        // Tombstone first: a crash mid-compaction never drops events without an audit record
+        await fs.appendFile(this.tombstonePath, JSON.stringify({
+          type: 'EVENTS_COMPACTED',
+          segment: `${key}.ndjson`,
+          compacted_utc: compactedUtc,
+          segment_sha256_before: sha256Hex(buf),
+          segment_sha256_after: after ? sha256Hex(after) : null,
+          kept: keep.length,
+          removed: removed.map(r => ({ line_sha256: sha256Hex(r.line), event_hash: r.evt.integrity?.event_hash || null, level: r.level })),
+        }) + '\n');
+        if (after) {await writeFileAtomic(this.segmentPath(key), after);}
+        else {await fs.rm(this.segmentPath(key), { force: true });}
+        if (after) {this.index.segments[key] = await this.countSegment(key);}
+        else {delete this.index.segments[key];}
+        this.index.tombstones = (this.index.tombstones || 0) + removed.length;
+        report.segments_compacted++;
+        report.removed += removed.length;
+        for (const r of removed) {report.removed_by_level[r.level] = (report.removed_by_level[r.level] || 0) + 1;}
+      }
+      if (report.segments_compacted){
+        this.recomputeTotals();
+        await this.writeIndex();
+      }
+      return report;
+    });
+  }
+
+  async writeIndex(){
+    await writeFileAtomic(this.indexPath, JSON.stringify({ ...this.index, updated_utc: new Date(this.now()).toISOString() }, null, 2));
+    this.pending = 0;
+  }
+
+  flush(){ return this.enqueue(()=>this.writeIndex()); }
+
+  async close(){
+    await this.queue;
+    if (this.pending) {await this.flush();}
+  }
+}
+
+/**
+ * Build and initialise the event store from options / environment
+ * @param {object} [opts]
+ * @param {string} [opts.dataDir] - Data directory (default EVENTS_DATA_DIR or artifacts)
+ * @param {object} [opts.policy] - Storage policy (default loaded from EVENTS_STORAGE_POLICY or STORAGE_POLICY_PATH)
+ * @param {number} [opts.indexEvery] - Index rewrite cadence (default EVENTS_INDEX_EVERY or 50)
+ * @param {()=>number} [opts.now]
+ * @returns {Promise<EventStore>}
+ */
+export async function createEventStore(opts = {}){
+  const dataDir = opts.dataDir || process.env.EVENTS_DATA_DIR || 'artifacts';
+  const policy = opts.policy || await loadStoragePolicy(process.env.EVENTS_STORAGE_POLICY || STORAGE_POLICY_PATH);
+  const partition = process.env.EVENTS_PARTITION;
+  if (partition && !PARTITIONS.includes(partition)) {throw new Error(`EVENTS_PARTITION must be one of ${PARTITIONS.join('|')}`);}
+  const indexEvery = opts.indexEvery ?? Number(process.env.EVENTS_INDEX_EVERY || 50);
+  return new EventStore({ dataDir, policy: partition ? { ...policy, partition } : policy, indexEvery, now: opts.now, importTransform: opts.importTransform }).init();
+}
@@ -0,0 +1,99 @@
+/**
+ * file-hsm.js
+ * PKCS#11-style HSM stand-in backed by a token file, for exercising the signer's KMS path without hardware.
+ * Token file: { version, label, salt, objects:[{ label, class:'CKO_SECRET_KEY', key_type:'CKK_AES', iv, tag, ciphertext }] }
+ *  - Object key material is encrypted under a key derived from the user PIN (scrypt), so the file alone is useless.
+ *  - A session (login) exposes only handle-based operations: findObject, generateKey, wrapKey, unwrapKey;
+ *    secret key values never leave the session, as with a non-extractable PKCS#11 key.
+ * Errors carry PKCS#11 return value names in `code` (CKR_PIN_INCORRECT, CKR_KEY_HANDLE_INVALID, ...).
+ * NOT a security boundary: the PIN-derived key lives in this process' memory.
+ */
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { decrypt, encrypt, unwrapDEK, wrapDEK } from '../dev-kms-mock.js';
+
+export const FILE_HSM_VERSION = 1;
+
+export class HsmError extends Error {
+  /**
+   * @param {string} code - PKCS#11 return value name
+   * @param {string} message
+   */
+  constructor(code, message){
+    super(message);
+    this.name = 'HsmError';
+    this.code = code;
+  }
+}
+
+function pinKey(pin, salt){
+  return crypto.scryptSync(String(pin), Buffer.from(salt,'base64'), 32);
+}
+
+async function readToken(file){
+  try { return JSON.parse(await fs.readFile(file,'utf8')); }
+  catch (e) { if (e.code === 'ENOENT') {return null;} throw e; }
+}
+
+async function writeToken(file, token){
+  await fs.mkdir(path.dirname(file),{recursive:true});
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(token,null,2), { mode: 0o600 });
+  await fs.rename(tmp, file);
+}
+
+/**
+ * Initialize a token (C_InitToken); refuses to overwrite an existing one
+ * @param {string} file - Token file path
+ * @param {object} opts
+ * @param {string} opts.pin - User PIN
+ * @param {string} [opts.label]
+ * @returns {Promise<void>}
+ */
+export async function initToken(file, { pin, label = 'merajutasa-file-hsm' }){
+  if (!pin) {throw new HsmError('CKR_PIN_INVALID', 'PIN required');}
+  if (await readToken(file)) {throw new HsmError('CKR_TOKEN_NOT_RECOGNIZED', `token already initialized: ${file}`);}
+  const salt = crypto.randomBytes(16).toString('base64');
+  // Canary object proves the PIN at login
+  const check = encrypt(Buffer.from(label,'utf8'), pinKey(pin, salt));
+  await writeToken(file, { version: FILE_HSM_VERSION, label, salt, pin_check: check, objects: [] });
+}
+
+/**
+ * Log in to a token (C_OpenSession + C_Login)
+ * @param {string} file - Token file path
+ * @param {string} pin - User PIN
+ * @returns {Promise<{label:string, findObject:(label:string)=>string|null, generateKey:(label:string)=>Promise<string>, wrapKey:(handle:string, key:Buffer)=>object, unwrapKey:(handle:string, wrapped:object)=>Buffer}>}
+ */
+export async function openSession(file, pin){
+  const token = await readToken(file);
+  if (!token) {throw new HsmError('CKR_TOKEN_NOT_PRESENT', `no token at ${file}`);}
+  if (token.version !== FILE_HSM_VERSION) {throw new HsmError('CKR_TOKEN_NOT_RECOGNIZED', `unsupported token version ${token.version}`);}
+  const key = pinKey(pin || '', token.salt);
+  try { decrypt(token.pin_check, key); }
+  catch { throw new HsmError('CKR_PIN_INCORRECT', 'PIN incorrect'); }
+  const secrets = new Map(token.objects.map(o=>[o.label, decrypt(o, key)]));
+  const secret = handle => {
+    const s = secrets.get(handle);
+    if (!s) {throw new HsmError('CKR_KEY_HANDLE_INVALID', `no key object ${handle}`);}
+    return s;
+  };
+  return {
+    label: token.label,
+    findObject: label => (secrets.has(label) ? label : null),
+    async generateKey(label){
+      if (secrets.has(label)) {throw new HsmError('CKR_ATTRIBUTE_VALUE_INVALID', `object exists: ${label}`);}
+      const material = crypto.randomBytes(32);
+      token.objects.push({ label, class: 'CKO_SECRET_KEY', key_type: 'CKK_AES', ...encrypt(material, key) });
+      await writeToken(file, token);
+      secrets.set(label, material);
+      return label;
+    },
+    wrapKey: (handle, plain) => wrapDEK(plain, secret(handle).toString('base64')),
+    unwrapKey(handle, wrapped){
+      try { return unwrapDEK(wrapped, secret(handle).toString('base64')); }
+      catch (e) { if (e instanceof HsmError) {throw e;} throw new HsmError('CKR_WRAPPED_KEY_INVALID', 'wrapped key does not authenticate under this key object'); }
+    },
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * ingest-receipt.js
+ * Signed ingestion receipts and segment seals for the collector (tools/services/collector.js).
+ *  - Receipt { type:'INGESTION_RECEIPT', event_id, event_hash, partition, index, leaf_hash, stored_utc }: signed by the
+ *    signer service over its canonical (tools/lib/canonical.js, without key_id / signed_at / signature). leaf_hash and
+ *    index place the stored segment line among the partition's Merkle leaves (tools/lib/event-store.js .leaves files)
+ *  - Seal statement { type:'COLLECTOR_SEGMENT_SEAL', partition, tree_size, merkle_root, previous, sealed_utc }: commits
+ *    to the first tree_size leaves of a partition; signed and appended to the hash chain. `previous` names the prior
+ *    seal of the partition ({ tree_size, merkle_root }) so successive seals can be checked for consistency
+ *  - Proof { type:'INGESTION_PROOF', receipt, inclusion:{ partition, index, leaf_hash, tree_size, audit_path }, seal }:
+ *    lets a receipt holder show offline that the event is in an anchored seal (checkIngestionProof)
+ */
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { canonicalize } from './canonical.js';
+import { inclusionProof, merkleRoot, verifyInclusion } from './merkle.js';
+
+export const RECEIPT_TYPE = 'INGESTION_RECEIPT';
+export const SEAL_STATEMENT_TYPE = 'COLLECTOR_SEGMENT_SEAL';
+export const PROOF_TYPE = 'INGESTION_PROOF';
+
+const SIGNATURE_FIELDS = ['key_id', 'signed_at', 'signature'];
+
+/**
+ * @param {object} receipt - Signed or unsigned receipt
+ * @returns {object} The fields covered by the receipt signature
+ */
+export function receiptPayload(receipt){
+  const payload = { ...receipt };
+  for (const f of SIGNATURE_FIELDS) {delete payload[f];}
+  return payload;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.partition
+ * @param {string[]} opts.leaves - Leaf hashes of the partition, tree_size = leaves.length
+ * @param {{tree_size:number, merkle_root:string}|null} [opts.previous] - Last seal statement of the partition
+ * @param {string} [opts.sealedUtc]
+ * @returns {object} Seal statement
+ */
+export function sealStatement({ partition, leaves, previous = null, sealedUtc = new Date().toISOString() }){
+  return {
+    type: SEAL_STATEMENT_TYPE,
+    partition,
+    tree_size: leaves.length,
+    merkle_root: merkleRoot(leaves),
+    previous: previous ? { tree_size: previous.tree_size, merkle_root: previous.merkle_root } : null,
+    sealed_utc: sealedUtc,
+  };
+}
+
+/**
+ * @param {string[]} leaves - Partition leaf hashes (at least seal.statement.tree_size of them)
+ * @param {number} index - Leaf index of the event
+ * @param {object} seal - Seal record covering the index
+ * @returns {{partition:string, index:number, leaf_hash:string, tree_size:number, audit_path:string[]}}
+ */
+export function inclusionFor(leaves, index, seal){
+  const { partition, tree_size } = seal.statement;
+  return { partition, index, leaf_hash: leaves[index], tree_size, audit_path: inclusionProof(leaves, index, tree_size) };
+}
+
+/**
+ * Latest seal per partition from the collector's seal log
+ * @param {string} file - <EVENTS_DATA_DIR>/events/seals.ndjson
+ * @returns {Promise<Map<string, object>>}
+ */
+export async function loadSeals(file){
+  const seals = new Map();
+  let text = '';
+  try { text = await fs.readFile(file,'utf8'); }
+  catch (e) { if (e.code !== 'ENOENT') {throw e;} }
+  for (const line of text.split('\n')){
+    if (!line) {continue;}
+    try {
+      const seal = JSON.parse(line);
+      seals.set(seal.statement.partition, seal);
+    } catch { /* torn last line after a crash */ }
+  }
+  return seals;
+}
+
+/**
+ * @param {string} file
+ * @param {object} seal
+ */
+export async function appendSeal(file, seal){
+  await fs.mkdir(path.dirname(file),{recursive:true});
+  await fs.appendFile(file, JSON.stringify(seal) + '\n');
+}
+
+function verifySigned(canonical, signature, publicKeyPem){
+  try { return crypto.verify(null, Buffer.from(canonical,'utf8'), publicKeyPem, Buffer.from(signature || '','base64')); }
+  catch { return false; }
+}
+
+/**
+ * Offline check of an ingestion proof
+ * @param {object} proof - { receipt, inclusion, seal }
+ * @param {object} [opts]
+ * @param {object[]} [opts.keys] - Normalized published signer keys (chain-trust normalizeKeys)
+ * @returns {{receipt_signature:boolean|null, seal_signature:boolean|null, issues:string[]}} Signature results are null
+ *   without keys
+ */
+export function checkIngestionProof(proof, { keys = [] } = {}){
+  const issues = [];
+  const { receipt, inclusion, seal } = proof || {};
+  if (!receipt || receipt.type !== RECEIPT_TYPE) {return { receipt_signature: null, seal_signature: null, issues: ['receipt_missing'] };}
+  const statement = seal?.statement;
+  if (!statement || statement.type !== SEAL_STATEMENT_TYPE || canonicalize(statement) !== seal.canonical) {issues.push('seal_invalid');}
+  if (!inclusion || inclusion.leaf_hash !== receipt.leaf_hash || inclusion.index !== receipt.index || inclusion.partition !== receipt.partition) {issues.push('inclusion_mismatch');}
+  else if (statement && (inclusion.partition !== statement.partition || inclusion.tree_size !== statement.tree_size
+    || !verifyInclusion(inclusion.leaf_hash, inclusion.index, inclusion.tree_size, inclusion.audit_path || [], statement.merkle_root))) {issues.push('inclusion_invalid');}
+  const keyFor = id => keys.find(k=>k.id === id);
+  let receiptSignature = null; let sealSignature = null;
+  if (keys.length){
+    const receiptKey = keyFor(receipt.key_id);
+    receiptSignature = !!receiptKey && verifySigned(canonicalize(receiptPayload(receipt)), receipt.signature, receiptKey.publicKeyPem);
+    if (!receiptSignature) {issues.push(receipt.signature ? 'receipt_signature_invalid' : 'receipt_unsigned');}
+    const sealKey = keyFor(seal?.key_id);
+    sealSignature = !!sealKey && !!seal && verifySigned(seal.canonical, seal.signature, sealKey.publicKeyPem);
+    if (!sealSignature) {issues.push('seal_signature_invalid');}
+  }
+  return { receipt_signature: receiptSignature, seal_signature: sealSignature, issues };
+}
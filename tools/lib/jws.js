@@ -0,0 +1,67 @@
+/**
+ * jws.js
+ * RFC 7515 JWS helpers for Ed25519 (RFC 8037 `EdDSA`), detached-payload form (appendix F): `<header>..<signature>`.
+ * The protected header is serialized with tools/lib/canonical.js so the signer and verifiers derive identical bytes;
+ * any JOSE library can verify the result by supplying the payload (the canonical JSON) out of band.
+ */
+import crypto from 'crypto';
+import { canonicalize } from './canonical.js';
+
+export const JWS_ALG = 'EdDSA';
+
+/**
+ * @param {string|Buffer} input - UTF-8 string or bytes
+ * @returns {string} base64url without padding
+ */
+export function b64url(input){
+  return (Buffer.isBuffer(input) ? input : Buffer.from(input,'utf8')).toString('base64url');
+}
+
+/**
+ * @param {object} header - Protected header, e.g. { alg:'EdDSA', kid }
+ * @param {string|Buffer} payload - Payload bytes (the canonical JSON)
+ * @returns {string} JWS signing input `<b64url header>.<b64url payload>`
+ */
+export function jwsSigningInput(header, payload){
+  return `${b64url(canonicalize(header))}.${b64url(payload)}`;
+}
+
+/**
+ * @param {string} signingInput - jwsSigningInput() result
+ * @param {string} signature - Base64 (or base64url) signature over the signing input
+ * @returns {string} Detached compact JWS
+ */
+export function detachedJws(signingInput, signature){
+  return `${signingInput.split('.')[0]}..${Buffer.from(signature,'base64').toString('base64url')}`;
+}
+
+/**
+ * Sign with a local key (the signer service signs the signing input itself)
+ * @param {crypto.KeyLike} privateKey - Ed25519 private key
+ * @param {string|Buffer} payload
+ * @param {object} [header]
+ * @returns {string} Detached compact JWS
+ */
+export function signDetachedJws(privateKey, payload, header = { alg: JWS_ALG }){
+  const input = jwsSigningInput(header, payload);
+  return detachedJws(input, crypto.sign(null, Buffer.from(input,'utf8'), privateKey).toString('base64'));
+}
+
+/**
+ * Verify a detached JWS against its payload
+ * @param {string} jws - `<header>..<signature>`
+ * @param {string|Buffer} payload - Detached payload
+ * @param {crypto.KeyLike} publicKey - Ed25519 public key (PEM or KeyObject)
+ * @returns {{ok:boolean, header:object|null, issues:string[]}}
+ */
+export function verifyDetachedJws(jws, payload, publicKey){
+  const parts = String(jws || '').split('.');
+  if (parts.length !== 3 || parts[1] !== '') {return { ok:false, header:null, issues:['jws_malformed'] };}
+  let header = null;
+  try { header = JSON.parse(Buffer.from(parts[0],'base64url').toString('utf8')); } catch { /* reported below */ }
+  if (!header || header.alg !== JWS_ALG) {return { ok:false, header, issues:['jws_alg_unsupported'] };}
+  let valid = false;
+  try { valid = crypto.verify(null, Buffer.from(`${parts[0]}.${b64url(payload)}`,'utf8'), publicKey, Buffer.from(parts[2],'base64url')); }
+  catch { valid = false; }
+  return { ok: valid, header, issues: valid ? [] : ['signature_invalid'] };
+}
@@ -0,0 +1,122 @@
+/**
+ * kms.js
+ * KMS provider interface for envelope encryption of signer private keys.
+ * Envelope (stored in place of the plaintext key):
+ *   { provider, kek_id, dek:{ iv, tag, wrapped, alg }, key:{ iv, tag, ciphertext, alg } }
+ *   - a fresh 256-bit data key (DEK) encrypts the PKCS8 PEM (AES-256-GCM, tools/dev-kms-mock.js encrypt/decrypt)
+ *   - the provider wraps the DEK under its key-encryption key (KEK), which never appears in the envelope
+ * Providers (SIGNER_KMS):
+ *  - dev-kms-mock (default) - local KEK from tools/dev-kms-mock.js (artifacts/dev-kek.json), development only
+ *  - file-hsm               - PKCS#11-style token file (tools/lib/file-hsm.js): SIGNER_HSM_TOKEN (default .integrity/hsm-token.json),
+ *                             SIGNER_HSM_PIN, SIGNER_HSM_KEY_LABEL (default signer-kek); token and key object are created on first use
+ *  - env                    - KEK supplied by the environment: SIGNER_KMS_KEK (base64, 32 bytes), optional SIGNER_KMS_KEK_ID
+ */
+import crypto from 'crypto';
+import { decrypt, encrypt, getKEK, unwrapDEK, wrapDEK } from '../dev-kms-mock.js';
+import { initToken, openSession } from './file-hsm.js';
+
+export const KMS_PROVIDERS = ['dev-kms-mock', 'file-hsm', 'env'];
+
+export class KmsError extends Error {
+  /**
+   * @param {string} code - Machine readable reason
+   * @param {string} message
+   */
+  constructor(code, message){
+    super(message);
+    this.name = 'KmsError';
+    this.code = code;
+  }
+}
+
+/**
+ * @typedef {object} KmsProvider
+ * @property {string} name - Provider name recorded in envelopes
+ * @property {string} kekId - Identifier of the key-encryption key
+ * @property {(dek:Buffer)=>Promise<object>} wrapKey
+ * @property {(wrapped:object)=>Promise<Buffer>} unwrapKey
+ */
+
+function kekProvider(name, kekId, kekB64){
+  return {
+    name,
+    kekId,
+    wrapKey: async dek => wrapDEK(dek, kekB64),
+    unwrapKey: async wrapped => unwrapDEK(wrapped, kekB64),
+  };
+}
+
+async function fileHsmProvider(env){
+  const file = env.SIGNER_HSM_TOKEN || '.integrity/hsm-token.json';
+  const label = env.SIGNER_HSM_KEY_LABEL || 'signer-kek';
+  if (!env.SIGNER_HSM_PIN) {throw new KmsError('kms_config', 'SIGNER_HSM_PIN required for the file-hsm provider');}
+  let session;
+  try { session = await openSession(file, env.SIGNER_HSM_PIN); }
+  catch (e) {
+    if (e.code !== 'CKR_TOKEN_NOT_PRESENT') {throw new KmsError('kms_unavailable', `file-hsm: ${e.code || e.message}`);}
+    await initToken(file, { pin: env.SIGNER_HSM_PIN });
+    session = await openSession(file, env.SIGNER_HSM_PIN);
+  }
+  const handle = session.findObject(label) || await session.generateKey(label);
+  return {
+    name: 'file-hsm',
+    kekId: `${session.label}/${handle}`,
+    wrapKey: async dek => session.wrapKey(handle, dek),
+    unwrapKey: async wrapped => session.unwrapKey(handle, wrapped),
+  };
+}
+
+/**
+ * Create the configured provider
+ * @param {object} [opts]
+ * @param {string} [opts.provider] - One of KMS_PROVIDERS (default env.SIGNER_KMS or dev-kms-mock)
+ * @param {object} [opts.env] - Environment (default process.env)
+ * @returns {Promise<KmsProvider>}
+ */
+export async function createKmsProvider({ env = process.env, provider = env.SIGNER_KMS || 'dev-kms-mock' } = {}){
+  if (provider === 'dev-kms-mock'){
+    const kek = await getKEK();
+    return kekProvider('dev-kms-mock', kek.id, kek.kek);
+  }
+  if (provider === 'env'){
+    const kek = Buffer.from(env.SIGNER_KMS_KEK || '', 'base64');
+    if (kek.length !== 32) {throw new KmsError('kms_config', 'SIGNER_KMS_KEK must be 32 bytes, base64 encoded');}
+    const kekId = env.SIGNER_KMS_KEK_ID || `env-${crypto.createHash('sha256').update(kek).digest('hex').slice(0, 12)}`;
+    return kekProvider('env', kekId, kek.toString('base64'));
+  }
+  if (provider === 'file-hsm') {return fileHsmProvider(env);}
+  throw new KmsError('kms_config', `unknown KMS provider ${provider} (expected ${KMS_PROVIDERS.join('|')})`);
+}
+
+/**
+ * Envelope-encrypt a private key
+ * @param {KmsProvider} kms
+ * @param {string} pem - PKCS8 PEM
+ * @returns {Promise<object>} Envelope
+ */
+export async function sealPrivateKey(kms, pem){
+  const dek = crypto.randomBytes(32);
+  try {
+    return { provider: kms.name, kek_id: kms.kekId, dek: await kms.wrapKey(dek), key: encrypt(Buffer.from(pem,'utf8'), dek) };
+  } finally {
+    dek.fill(0);
+  }
+}
+
+/**
+ * Decrypt an envelope in memory
+ * @param {KmsProvider} kms
+ * @param {object} envelope - sealPrivateKey() result
+ * @returns {Promise<string>} PKCS8 PEM
+ */
+export async function openPrivateKey(kms, envelope){
+  if (envelope?.provider !== kms.name || envelope?.kek_id !== kms.kekId){
+    throw new KmsError('kms_mismatch', `key sealed by ${envelope?.provider}/${envelope?.kek_id}, signer configured with ${kms.name}/${kms.kekId}`);
+  }
+  let dek;
+  try { dek = await kms.unwrapKey(envelope.dek); }
+  catch (e) { throw new KmsError('unwrap_failed', `cannot unwrap data key: ${e.code || e.message}`); }
+  try { return decrypt(envelope.key, dek).toString('utf8'); }
+  catch { throw new KmsError('unwrap_failed', 'private key ciphertext does not authenticate'); }
+  finally { dek.fill(0); }
+}
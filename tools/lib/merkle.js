@@ -0,0 +1,192 @@
+/**
+ * merkle.js
+ * RFC 6962 / RFC 9162 style Merkle tree helpers for the hash chain.
+ * - Leaf hash:  SHA-256(0x00 || data)
+ * - Node hash:  SHA-256(0x01 || left || right)
+ * - Empty tree: SHA-256('')
+ * All hashes are exchanged as lowercase hex strings so proofs stay JSON friendly.
+ */
+import { createHash } from 'crypto';
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function sha256(...parts){
+  const h = createHash('sha256');
+  for (const p of parts) {h.update(p);}
+  return h.digest();
+}
+
+function toBuf(hex){ return Buffer.from(hex, 'hex'); }
+
+/** Largest power of two strictly smaller than n (n > 1). */
+function splitPoint(n){
+  let k = 1;
+  while (k << 1 < n) {k <<= 1;}
+  return k;
+}
+
+/**
+ * Hash a leaf's data
+ * @param {string|Buffer} data - Leaf payload (strings are hashed as UTF-8)
+ * @returns {string} Hex leaf hash
+ */
+export function leafHash(data){
+  const buf = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+  return sha256(LEAF_PREFIX, buf).toString('hex');
+}
+
+/**
+ * Hash two child nodes
+ * @param {string} left - Hex hash of left child
+ * @param {string} right - Hex hash of right child
+ * @returns {string} Hex node hash
+ */
+export function nodeHash(left, right){
+  return sha256(NODE_PREFIX, toBuf(left), toBuf(right)).toString('hex');
+}
+
+function mth(leaves, start, end){
+  const n = end - start;
+  if (n === 0) {return sha256(Buffer.alloc(0)).toString('hex');}
+  if (n === 1) {return leaves[start];}
+  const k = splitPoint(n);
+  return nodeHash(mth(leaves, start, start + k), mth(leaves, start + k, end));
+}
+
+/**
+ * Merkle tree head over the first `size` leaf hashes
+ * @param {string[]} leaves - Hex leaf hashes in log order
+ * @param {number} [size] - Tree size (defaults to all leaves)
+ * @returns {string} Hex root hash
+ */
+export function merkleRoot(leaves, size = leaves.length){
+  return mth(leaves, 0, size);
+}
+
+function path(m, leaves, start, end){
+  const n = end - start;
+  if (n <= 1) {return [];}
+  const k = splitPoint(n);
+  if (m < k) {return [...path(m, leaves, start, start + k), mth(leaves, start + k, end)];}
+  return [...path(m - k, leaves, start + k, end), mth(leaves, start, start + k)];
+}
+
+/**
+ * Audit path proving leaf `index` is included in the tree of `size` leaves
+ * @param {string[]} leaves - Hex leaf hashes in log order
+ * @param {number} index - Zero-based leaf index
+ * @param {number} [size] - Tree size the proof is computed against
+ * @returns {string[]} Hex sibling hashes, bottom-up
+ */
+export function inclusionProof(leaves, index, size = leaves.length){
+  if (!Number.isInteger(index) || !Number.isInteger(size) || index < 0 || index >= size || size > leaves.length){
+    throw new RangeError(`invalid inclusion proof request index=${index} size=${size}`);
+  }
+  return path(index, leaves, 0, size);
+}
+
+/**
+ * Audit paths for every leaf of the full tree in one O(n log n) pass (same proofs as inclusionProof).
+ * Builds the tree level by level, promoting an unpaired last node unchanged, which yields the RFC 6962 shape.
+ * @param {string[]} leaves - Hex leaf hashes in log order
+ * @returns {string[][]} Audit path per leaf index
+ */
+export function inclusionProofs(leaves){
+  const proofs = leaves.map(()=>[]);
+  const positions = leaves.map((_, i)=>i);
+  let level = leaves;
+  while (level.length > 1){
+    for (let j = 0; j < positions.length; j++){
+      const sibling = positions[j] ^ 1;
+      if (sibling < level.length) {proofs[j].push(level[sibling]);}
+      positions[j] >>= 1;
+    }
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {next.push(i + 1 < level.length ? nodeHash(level[i], level[i + 1]) : level[i]);}
+    level = next;
+  }
+  return proofs;
+}
+
+function subproof(m, leaves, start, end, complete){
+  const n = end - start;
+  if (m === n) {return complete ? [] : [mth(leaves, start, end)];}
+  const k = splitPoint(n);
+  if (m <= k) {return [...subproof(m, leaves, start, start + k, complete), mth(leaves, start + k, end)];}
+  return [...subproof(m - k, leaves, start + k, end, false), mth(leaves, start, start + k)];
+}
+
+/**
+ * Consistency proof between an older tree of `first` leaves and a newer tree of `second` leaves
+ * @param {string[]} leaves - Hex leaf hashes in log order
+ * @param {number} first - Older tree size (> 0)
+ * @param {number} [second] - Newer tree size
+ * @returns {string[]} Hex proof nodes
+ */
+export function consistencyProof(leaves, first, second = leaves.length){
+  if (!Number.isInteger(first) || !Number.isInteger(second) || first < 1 || first > second || second > leaves.length){
+    throw new RangeError(`invalid consistency proof request first=${first} second=${second}`);
+  }
+  return subproof(first, leaves, 0, second, true);
+}
+
+/**
+ * Verify an inclusion proof (RFC 9162 §2.1.3.2)
+ * @param {string} leaf - Hex leaf hash
+ * @param {number} index - Zero-based leaf index
+ * @param {number} size - Tree size the proof was computed against
+ * @param {string[]} proof - Audit path
+ * @param {string} root - Expected hex root
+ * @returns {boolean}
+ */
+export function verifyInclusion(leaf, index, size, proof, root){
+  if (!Array.isArray(proof) || index < 0 || index >= size) {return false;}
+  let fn = index; let sn = size - 1; let r = leaf;
+  for (const p of proof){
+    if (sn === 0) {return false;}
+    if ((fn & 1) === 1 || fn === sn){
+      r = nodeHash(p, r);
+      if ((fn & 1) === 0){
+        while ((fn & 1) === 0 && fn !== 0){ fn >>= 1; sn >>= 1; }
+      }
+    } else {
+      r = nodeHash(r, p);
+    }
+    fn >>= 1; sn >>= 1;
+  }
+  return sn === 0 && r === root;
+}
+
+/**
+ * Verify a consistency proof (RFC 9162 §2.1.4.2)
+ * @param {number} first - Older tree size
+ * @param {number} second - Newer tree size
+ * @param {string} firstRoot - Hex root of the older tree
+ * @param {string} secondRoot - Hex root of the newer tree
+ * @param {string[]} proof - Consistency proof nodes
+ * @returns {boolean}
+ */
+export function verifyConsistency(first, second, firstRoot, secondRoot, proof){
+  if (!Array.isArray(proof) || first < 1 || first > second) {return false;}
+  if (first === second) {return proof.length === 0 && firstRoot === secondRoot;}
+  const nodes = (first & (first - 1)) === 0 ? [firstRoot, ...proof] : [...proof];
+  if (nodes.length === 0) {return false;}
+  let fn = first - 1; let sn = second - 1;
+  while ((fn & 1) === 1){ fn >>= 1; sn >>= 1; }
+  let fr = nodes[0]; let sr = nodes[0];
+  for (const c of nodes.slice(1)){
+    if (sn === 0) {return false;}
+    if ((fn & 1) === 1 || fn === sn){
+      fr = nodeHash(c, fr);
+      sr = nodeHash(c, sr);
+      if ((fn & 1) === 0){
+        while ((fn & 1) === 0 && fn !== 0){ fn >>= 1; sn >>= 1; }
+      }
+    } else {
+      sr = nodeHash(sr, c);
+    }
+    fn >>= 1; sn >>= 1;
+  }
+  return sn === 0 && fr === firstRoot && sr === secondRoot;
+}
@@ -0,0 +1,84 @@
+/**
+ * pii-patterns.js
+ * PII category patterns (docs/privacy/pii-pattern-library-v1.md) shared by the document scanner (tools/pii-scan.js)
+ * and the collector's privacy policy (tools/lib/privacy-policy.js).
+ * Each category has a default action; tools/config/privacy-policy.json `category_actions` overrides it per code.
+ * Actions, most severe first: BLOCK (refuse the content), REDACT (replace the value), MASK (keep a short prefix plus a
+ * salted hash), WARN (report only).
+ */
+import { createHash } from 'crypto';
+
+export const PII_ACTIONS = ['BLOCK', 'REDACT', 'MASK', 'WARN'];
+export const HIGH_RISK_CATEGORIES = ['IDN_NIK','IDN_NKK','BANK_ACCOUNT','GOV_ID_DOC','CHILD_NAME_AGE','GEO_FINE'];
+
+// Province codes subset for NIK validation (library §5)
+const VALID_NIK_PREFIX = new Set(['11','12','13','14','15','16','17','18','19','21','31','32','33','34','35','36','51','52','53','61','62','63','64','65','71','72','73','74','75','76','81','82','91','92','94','95']);
+
+export const CATEGORY_PATTERNS = [
+  { code:'IDN_NIK', re:/\b\d{16}\b/g, action:'BLOCK', post:(m)=> VALID_NIK_PREFIX.has(m.slice(0,2)) ? { code:'IDN_NIK', val:m } : { code:'GENERIC_16DIGIT', val:m } },
+  // NKK requires contextual keyword to avoid FPs (only match when labeled)
+  { code:'IDN_NKK', re:/\b(?:NKK|Kartu\s+Keluarga)\b(?:(?![A-Za-z]).){0,25}\b\d{16}\b/gi, action:'BLOCK' },
+  { code:'EDU_NISN', re:/\b\d{10}\b/gi, action:'BLOCK' },
+  { code:'CONTACT_EMAIL', re:/\b[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}\b/gi, action:'REDACT' },
+  { code:'CONTACT_PHONE', re:/\b(?:\+62|62|0)8[1-9][0-9]{6,10}\b/gi, action:'REDACT' },
+  { code:'ADDRESS_STREET', re:/(\b(Jl\.?|Jalan)\s+[A-Za-z0-9]+(?:\s+[A-Za-z0-9]+){0,4}(?:\s*No\.?\s*\d+)?\b|\bRT\s*\d{1,3}\/RW\s*\d{1,3}\b)/gi, action:'MASK' },
+  { code:'DOB', re:/\b(0?[1-9]|[12][0-9]|3[01])([/-])(0?[1-9]|1[0-2])\2(19|20)\d{2}\b/gi, action:'REDACT' },
+  { code:'BANK_ACCOUNT', re:/\b(?:bank|rek|rekening)\b(?:(?![A-Za-z]).){0,25}\b\d{10,16}\b/gi, action:'BLOCK' },
+  { code:'PLATE_ID', re:/\b[A-Z]{1,2}\s?\d{1,4}\s?[A-Z]{1,3}\b/g, action:'WARN' },
+  { code:'CHILD_NAME_AGE', re:/\b([A-Z][a-z]+(?:\s[A-Z][a-z]+)?)\s*\(\s*(\d{1,2})\s*(th|tahun)\s*\)/g, action:'BLOCK' },
+  { code:'GEO_FINE', re:/\b(-?\d{1,2}\.\d{4,}),\s*(-?\d{1,3}\.\d{4,})\b/g, action:'BLOCK' },
+  { code:'GOV_ID_DOC', re:/(KTP|SIM|Paspor)\s*(No\.?|Nomor)?\s*\d{8,}/gi, action:'BLOCK' },
+  { code:'EMAIL_IN_NAME', re:/[A-Za-z0-9]{5,}@/g, action:'REDACT' },
+];
+
+// C0 controls except tab, LF and CR
+function isStrippedControl(code){
+  return code <= 0x08 || code === 0x0B || code === 0x0C || (code >= 0x0E && code <= 0x1F);
+}
+
+export function normalizeUnicode(s){
+  try { s = s.normalize('NFKC'); } catch { /* keep input */ }
+  s = s.replace(/[\u200B-\u200D\uFEFF\u2060]/g,''); // zero-width
+  s = Array.from(s).filter(ch => !isStrippedControl(ch.charCodeAt(0))).join(''); // control
+  s = s.replace(/\r\n?/g,'\n'); // newlines
+  return s;
+}
+
+/**
+ * @param {string} value
+ * @param {string} salt
+ * @param {number} truncate - Characters kept in clear
+ * @returns {string} Prefix plus a salted hash fragment
+ */
+export function maskSample(value, salt, truncate){
+  return value.slice(0, truncate) + '…#' + createHash('sha256').update(salt + value).digest('hex').slice(0,8);
+}
+
+/**
+ * @param {object} [cfg] - tools/config/privacy-policy.json
+ * @returns {(hit:{code:string, pattern:object})=>string} Action for a detectPii() hit: configured for its code, else
+ *   the default of the pattern that found it
+ */
+export function categoryActions(cfg){
+  const configured = cfg?.category_actions || {};
+  for (const [code, action] of Object.entries(configured)){
+    if (!PII_ACTIONS.includes(action)) {throw new Error(`privacy policy: ${code} has unknown action ${action}`);}
+  }
+  return hit => configured[hit.code] || hit.pattern.action;
+}
+
+/**
+ * Find PII in a (normalized) text
+ * @param {string} text
+ * @returns {Array<{code:string, pattern:object, value:string}>} Matches in pattern order
+ */
+export function detectPii(text){
+  const hits = [];
+  for (const p of CATEGORY_PATTERNS){
+    for (const m of text.matchAll(p.re)){
+      const classified = p.post ? p.post(m[0]) : null;
+      hits.push({ code: classified ? classified.code : p.code, pattern: p, value: m[0] });
+    }
+  }
+  return hits;
+}
@@ -0,0 +1,183 @@
+/**
+ * privacy-policy.js
+ * Blocking privacy policy for the collector (tools/services/collector.js), configured by tools/config/privacy-policy.json.
+ *  - Every string in an event's meta (nested objects and arrays included) and its referrer (free text, up to 512
+ *    characters) is scanned with the shared PII patterns
+ *    (tools/lib/pii-patterns.js); the event takes the most severe action among its hits (`category_actions`)
+ *  - BLOCK: the event is not stored; a copy with every hit masked goes to quarantine together with the reason
+ *  - REDACT: hits replaced by [<CATEGORY>]; MASK: hits replaced by a short prefix plus salted hash (hash_salt,
+ *    sample_truncate_chars); WARN: reported only
+ * Quarantine layout under <dataDir>/privacy/:
+ *  - quarantine/<YYYY-MM-DD>.ndjson  { quarantine_id, quarantined_utc, reason:'PII_BLOCKED', categories (codes that
+ *                                    blocked), findings, event (masked copy) }
+ *  - counters.json                   events scanned, events per action, hits and events per category (privacy dashboard);
+ *                                    rewritten every `saveEvery` scans and on close
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { PII_ACTIONS, categoryActions, detectPii, maskSample, normalizeUnicode } from './pii-patterns.js';
+import { partitionKey } from './event-store.js';
+
+export const PRIVACY_POLICY_PATH = 'tools/config/privacy-policy.json';
+export const QUARANTINE_REASON = 'PII_BLOCKED';
+
+const SEVERITY = [...PII_ACTIONS, 'ALLOW']; // most severe first
+const FREE_TEXT_FIELDS = ['meta', 'referrer'];
+
+/**
+ * Load the privacy policy and resolve category actions
+ * @param {string} [file]
+ * @returns {Promise<object>} Policy with `actionFor` (categoryActions() result)
+ */
+export async function loadPrivacyPolicy(file = PRIVACY_POLICY_PATH){
+  const cfg = JSON.parse(await fs.readFile(file,'utf8'));
+  return { ...cfg, actionFor: categoryActions(cfg) };
+}
+
+function mapStrings(value, fn){
+  if (typeof value === 'string') {return fn(value);}
+  if (Array.isArray(value)) {return value.map(v=>mapStrings(v, fn));}
+  if (value && typeof value === 'object') {return Object.fromEntries(Object.entries(value).map(([k, v])=>[k, mapStrings(v, fn)]));}
+  return value;
+}
+
+// The client-written fields of an event, as an object mapStrings can walk and Object.assign can write back
+function freeText(evt){
+  return Object.fromEntries(FREE_TEXT_FIELDS.filter(f => evt[f] !== undefined).map(f => [f, evt[f]]));
+}
+
+/**
+ * Scan an event's meta and referrer and apply the policy
+ * @param {object} evt - Validated event; meta and referrer are rewritten in place unless the event is blocked
+ * @param {object} policy - loadPrivacyPolicy() result
+ * @returns {{action:string, categories:Array<{code:string, action:string, hits:number}>, quarantine?:object}}
+ *   action is ALLOW when nothing was found; `quarantine` is the masked copy to hold when action is BLOCK
+ */
+export function applyPrivacyPolicy(evt, policy){
+  const categories = new Map();
+  const rewrite = replaceAction => text => {
+    const norm = normalizeUnicode(text);
+    const hits = detectPii(norm);
+    if (!hits.length) {return text;}
+    let out = norm;
+    for (const hit of hits){
+      const action = replaceAction(policy.actionFor(hit));
+      if (action === 'REDACT') {out = out.split(hit.value).join(`[${hit.code}]`);}
+      else if (action === 'MASK') {out = out.split(hit.value).join(maskSample(hit.value, policy.hash_salt || '', policy.sample_truncate_chars ?? 6));}
+    }
+    return out === norm ? text : out;
+  };
+  // First pass only counts hits, so a blocked event is left untouched
+  mapStrings(freeText(evt), text => {
+    for (const hit of detectPii(normalizeUnicode(text))){
+      const c = categories.get(hit.code) || { code: hit.code, action: policy.actionFor(hit), hits: 0 };
+      c.hits++;
+      categories.set(hit.code, c);
+    }
+    return text;
+  });
+  const found = [...categories.values()];
+  const action = SEVERITY.find(a => a === 'ALLOW' || found.some(c => c.action === a));
+  if (action === 'BLOCK'){
+    // Nothing readable is kept in quarantine: every hit that is not WARN is masked
+    // ... and no event_hash, which covers the unmasked fields
+    const { event_hash: _rawHash, ...integrity } = evt.integrity || {};
+    const quarantine = { ...evt, integrity, ...mapStrings(freeText(evt), rewrite(a => (a === 'WARN' ? 'WARN' : 'MASK'))) };
+    return { action, categories: found, quarantine };
+  }
+  if (found.length) {Object.assign(evt, mapStrings(freeText(evt), rewrite(a => a)));}
+  return { action, categories: found };
+}
+
+export class QuarantineStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.dataDir - Directory holding privacy/
+   * @param {number} [opts.saveEvery] - Scans between counter rewrites
+   * @param {()=>number} [opts.now]
+   */
+  constructor({ dataDir, saveEvery = 50, now = () => Date.now() }){
+    this.dir = path.join(dataDir, 'privacy');
+    this.quarantineDir = path.join(this.dir, 'quarantine');
+    this.countersPath = path.join(this.dir, 'counters.json');
+    this.saveEvery = Math.max(1, saveEvery);
+    this.now = now;
+    this.pending = 0;
+    this.saving = Promise.resolve();
+  }
+
+  async init(){
+    await fs.mkdir(this.quarantineDir,{recursive:true});
+    try { this.counters = JSON.parse(await fs.readFile(this.countersPath,'utf8')); }
+    catch (e) {
+      if (e.code !== 'ENOENT') {throw e;}
+      this.counters = { scanned: 0, by_action: {}, by_category: {}, quarantined: 0 };
+    }
+    return this;
+  }
+
+  /**
+   * Count one scanned event
+   * @param {{action:string, categories:object[]}} result - applyPrivacyPolicy() result
+   */
+  async record({ action, categories }){
+    const c = this.counters;
+    c.scanned++;
+    c.by_action[action] = (c.by_action[action] || 0) + 1;
+    for (const { code, action: categoryAction, hits } of categories){
+      const entry = c.by_category[code] || (c.by_category[code] = { action: categoryAction, events: 0, hits: 0 });
+      entry.action = categoryAction;
+      entry.events++;
+      entry.hits += hits;
+    }
+    if (++this.pending >= this.saveEvery) {await this.save();}
+  }
+
+  /**
+   * Hold a blocked event
+   * @param {{categories:object[], quarantine:object}} result - applyPrivacyPolicy() result with action BLOCK
+   * @returns {Promise<string>} quarantine_id
+   */
+  async hold({ categories, quarantine }){
+    const record = {
+      quarantine_id: randomUUID(),
+      quarantined_utc: new Date(this.now()).toISOString(),
+      reason: QUARANTINE_REASON,
+      categories: categories.filter(c=>c.action === 'BLOCK').map(c=>c.code),
+      findings: categories,
+      event: quarantine,
+    };
+    await fs.appendFile(path.join(this.quarantineDir, `${partitionKey(this.now())}.ndjson`), JSON.stringify(record) + '\n');
+    this.counters.quarantined++;
+    return record.quarantine_id;
+  }
+
+  /** @returns {{scanned:number, by_action:object, by_category:object, quarantined:number}} */
+  stats(){ return JSON.parse(JSON.stringify(this.counters)); }
+
+  save(){
+    const run = this.saving.then(async ()=>{
+      const tmp = this.countersPath + '.tmp';
+      await fs.writeFile(tmp, JSON.stringify({ ...this.counters, updated_utc: new Date(this.now()).toISOString() }, null, 2));
+      await fs.rename(tmp, this.countersPath);
+      this.pending = 0;
+    });
+    this.saving = run.catch(()=>{});
+    return run;
+  }
+
+  async close(){
+    if (this.pending) {await this.save();}
+    await this.saving;
+  }
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.dataDir] - Default EVENTS_DATA_DIR or artifacts
+ * @returns {Promise<QuarantineStore>}
+ */
+export function createQuarantineStore(opts = {}){
+  return new QuarantineStore({ ...opts, dataDir: opts.dataDir || process.env.EVENTS_DATA_DIR || 'artifacts' }).init();
+}
@@ -0,0 +1,128 @@
+/**
+ * request-body.js
+ * Bounded, streaming request bodies for the collector (tools/services/collector.js).
+ *  - bodyChunks: decoded body chunks (Content-Encoding identity or gzip); the decoded size is capped so a small gzip
+ *    body cannot expand past the limit. Iterating pulls from the socket, so a slow consumer (disk writes) pauses the
+ *    client instead of buffering the body
+ *  - ndjsonLines: lines split on \n across chunks; a line longer than the line limit is skipped and reported as
+ *    LINE_TOO_LARGE without being held in memory
+ * Limit and encoding failures throw BodyError with the HTTP status to answer (413, 415 or 400).
+ */
+import { createGunzip } from 'zlib';
+
+export const DEFAULT_MAX_BODY_BYTES = 16 * 1024 * 1024;
+export const DEFAULT_MAX_LINE_BYTES = 64 * 1024;
+export const LINE_TOO_LARGE = Symbol('line_too_large');
+
+const NEWLINE = 0x0a;
+const WHITESPACE = new Set([0x20, 0x09, 0x0a, 0x0d]);
+
+export class BodyError extends Error {
+  /**
+   * @param {string} code - BODY_TOO_LARGE, UNSUPPORTED_ENCODING or INVALID_GZIP
+   * @param {string} message
+   * @param {number} status - HTTP status
+   */
+  constructor(code, message, status){
+    super(message);
+    this.name = 'BodyError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {object} opts
+ * @param {number} opts.maxBytes - Limit on the decoded body
+ * @returns {AsyncGenerator<Buffer>}
+ */
+export async function* bodyChunks(req, { maxBytes }){
+  const encoding = String(req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+  const gzip = encoding === 'gzip' || encoding === 'x-gzip';
+  if (!gzip && encoding !== 'identity') {throw new BodyError('UNSUPPORTED_ENCODING', `content-encoding ${encoding} not supported (gzip, identity)`, 415);}
+  // Refuse a declared oversize body before reading it
+  if (!gzip && Number(req.headers['content-length']) > maxBytes) {throw new BodyError('BODY_TOO_LARGE', `request body exceeds ${maxBytes} bytes`, 413);}
+  let source = req;
+  if (gzip){
+    source = createGunzip();
+    req.on('error', e => source.destroy(e));
+    req.pipe(source);
+  }
+  let total = 0;
+  try {
+    for await (const chunk of source){
+      total += chunk.length;
+      if (total > maxBytes) {throw new BodyError('BODY_TOO_LARGE', `request body exceeds ${maxBytes} bytes`, 413);}
+      yield chunk;
+    }
+  } catch (e) {
+    if (gzip && typeof e.code === 'string' && e.code.startsWith('Z_')) {throw new BodyError('INVALID_GZIP', `invalid gzip body: ${e.message}`, 400);}
+    throw e;
+  }
+}
+
+/**
+ * @param {import('http').IncomingMessage} req
+ * @param {object} opts
+ * @param {number} opts.maxBytes
+ * @returns {Promise<string>} Whole decoded body (for single JSON documents)
+ */
+export async function readBody(req, opts){
+  const parts = [];
+  for await (const chunk of bodyChunks(req, opts)) {parts.push(chunk);}
+  return Buffer.concat(parts).toString('utf8');
+}
+
+/**
+ * First non-whitespace byte of a body without consuming it
+ * @param {AsyncGenerator<Buffer>} chunks
+ * @returns {Promise<{first:number|null, chunks:AsyncGenerator<Buffer>}>} first is null for an empty body; chunks
+ *   replays everything read so far
+ */
+export async function peekBody(chunks){
+  const held = [];
+  let first = null;
+  for (;;){
+    const { value, done } = await chunks.next();
+    if (done) {break;}
+    held.push(value);
+    const i = value.findIndex(b => !WHITESPACE.has(b));
+    if (i !== -1) { first = value[i]; break; }
+  }
+  async function* replay(){
+    yield* held;
+    yield* chunks;
+  }
+  return { first, chunks: replay() };
+}
+
+/**
+ * @param {AsyncIterable<Buffer>} chunks
+ * @param {object} opts
+ * @param {number} opts.maxLineBytes
+ * @returns {AsyncGenerator<string|symbol>} Lines without the \n (blank lines included), LINE_TOO_LARGE in place of an
+ *   oversize line
+ */
+export async function* ndjsonLines(chunks, { maxLineBytes }){
+  let parts = []; let size = 0; let skipping = false;
+  for await (const chunk of chunks){
+    let start = 0;
+    for (let nl = chunk.indexOf(NEWLINE); nl !== -1; nl = chunk.indexOf(NEWLINE, start)){
+      const piece = chunk.subarray(start, nl);
+      start = nl + 1;
+      if (skipping) { skipping = false; continue; }
+      if (size + piece.length > maxLineBytes) { parts = []; size = 0; yield LINE_TOO_LARGE; continue; }
+      parts.push(piece);
+      const line = Buffer.concat(parts).toString('utf8');
+      parts = []; size = 0;
+      yield line;
+    }
+    const rest = chunk.subarray(start);
+    if (skipping || !rest.length) {continue;}
+    if (size + rest.length > maxLineBytes) { parts = []; size = 0; skipping = true; yield LINE_TOO_LARGE; continue; }
+    parts.push(rest);
+    size += rest.length;
+  }
+  if (size) {yield Buffer.concat(parts).toString('utf8');}
+}
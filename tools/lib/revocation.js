@@ -0,0 +1,223 @@
+/**
+ * revocation.js
+ * Credential status registry and signed revocation list (StatusList2021-style bitstrings plus a CRL-like entry list).
+ *
+ * Registry (persisted by tools/services/revocation.js):
+ *   { version:1, list_version, credentials:{ [credential_id]:{ status_index, status, reason, updated_utc } } }
+ * Transitions: active -> suspended | revoked, suspended -> active (reinstate) | revoked; revoked is final.
+ * Reason codes follow DEC-20250812-04 (revocation_reason_codes).
+ *
+ * Published list (signed over the canonical JSON of everything but `proof`, tools/lib/canonical.js):
+ *   { type:'RevocationList', format_version:1, issuer, list_version, issued_utc, length,
+ *     status_lists:{ revocation, suspension },   // base64url(gzip(bitstring)), bit i = MSB-first bit of byte i>>3
+ *     entries:[{ credential_id, status_index, status, reason, updated_utc }],   // non-active credentials only
+ *     chain_anchor:{ seq, entryHash }|null,
+ *     proof:{ type:'Ed25519Signature', alg:'Ed25519', key_id, created, canonical_hash, signature } }
+ * Relying parties check status offline with verifyRevocationList() + credentialStatus().
+ */
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { canonicalize } from './canonical.js';
+
+export const REASON_CODES = ['USER_REQUEST', 'COMPROMISED', 'POLICY_VIOLATION', 'DATA_SUPERSEDED', 'INTEGRITY_ERROR'];
+export const STATUS_LIST_LENGTH = 131072; // 16KB bitstring, the StatusList2021 minimum (herd privacy)
+export const LIST_FORMAT_VERSION = 1;
+
+const ACTIONS = {
+  revoke: { to: 'revoked', from: ['active', 'suspended'], reasonRequired: true },
+  suspend: { to: 'suspended', from: ['active'], reasonRequired: true },
+  reinstate: { to: 'active', from: ['suspended'], reasonRequired: false },
+};
+
+export class RevocationError extends Error {
+  /**
+   * @param {string} code - Machine readable error code (unknown_action, invalid_reason, invalid_transition, unknown_credential, ...)
+   * @param {string} message
+   */
+  constructor(code, message){
+    super(message);
+    this.name = 'RevocationError';
+    this.code = code;
+  }
+}
+
+/** @returns {object} Empty registry */
+export function emptyRegistry(){
+  return { version: 1, list_version: 0, credentials: {} };
+}
+
+/**
+ * Assign a status list index to a credential (idempotent). Indexes are random so list position
+ * does not reveal issuance order.
+ * @param {object} registry - Registry (mutated)
+ * @param {string} credentialId
+ * @returns {object} Credential record
+ */
+export function registerCredential(registry, credentialId){
+  if (!credentialId || typeof credentialId !== 'string') {throw new RevocationError('invalid_credential_id', 'credential_id required');}
+  const existing = registry.credentials[credentialId];
+  if (existing) {return existing;}
+  const used = new Set(Object.values(registry.credentials).map(c=>c.status_index));
+  if (used.size >= STATUS_LIST_LENGTH) {throw new RevocationError('status_list_full', 'no free status list index');}
+  let index;
+  do { index = crypto.randomInt(STATUS_LIST_LENGTH); } while (used.has(index));
+  const record = { status_index: index, status: 'active', reason: null, updated_utc: null };
+  registry.credentials[credentialId] = record;
+  return record;
+}
+
+/**
+ * Apply a revoke / suspend / reinstate request to a registered credential (unknown ids are refused, never
+ * registered here: only issuance assigns status list indexes)
+ * @param {object} registry - Registry (mutated)
+ * @param {{action:string, credential_id:string, reason?:string|null}} request
+ * @param {string} [now] - ISO timestamp
+ * @returns {object} Change record { credential_id, status_index, action, from, to, reason, ts }
+ */
+export function applyStatusChange(registry, { action, credential_id, reason = null }, now = new Date().toISOString()){
+  const rule = ACTIONS[action];
+  if (!rule) {throw new RevocationError('unknown_action', `unknown action: ${action}`);}
+  if (reason !== null && !REASON_CODES.includes(reason)) {throw new RevocationError('invalid_reason', `reason must be one of ${REASON_CODES.join('|')}`);}
+  if (rule.reasonRequired && !reason) {throw new RevocationError('invalid_reason', `${action} requires a reason code`);}
+  if (!credential_id || typeof credential_id !== 'string') {throw new RevocationError('invalid_credential_id', 'credential_id required');}
+  const record = registry.credentials[credential_id];
+  if (!record) {throw new RevocationError('unknown_credential', `credential ${credential_id} is not registered`);}
+  if (!rule.from.includes(record.status)) {throw new RevocationError('invalid_transition', `cannot ${action} a ${record.status} credential`);}
+  const change = { credential_id, status_index: record.status_index, action, from: record.status, to: rule.to, reason, ts: now };
+  record.status = rule.to;
+  record.reason = rule.to === 'active' ? null : reason;
+  record.updated_utc = now;
+  registry.list_version++;
+  return change;
+}
+
+/**
+ * @param {number[]} indexes - Set bit positions
+ * @param {number} [length]
+ * @returns {string} base64url(gzip(bitstring))
+ */
+export function encodeStatusList(indexes, length = STATUS_LIST_LENGTH){
+  const bytes = Buffer.alloc(Math.ceil(length / 8));
+  for (const i of indexes){ bytes[i >> 3] |= 0x80 >> (i & 7); }
+  return zlib.gzipSync(bytes).toString('base64url');
+}
+
+/**
+ * @param {string} encoded - Output of encodeStatusList
+ * @returns {Buffer} Raw bitstring
+ */
+export function decodeStatusList(encoded){
+  return zlib.gunzipSync(Buffer.from(encoded, 'base64url'));
+}
+
+/**
+ * @param {Buffer} bits - Raw bitstring
+ * @param {number} index
+ * @returns {boolean}
+ */
+export function statusBit(bits, index){
+  if (!Number.isInteger(index) || index < 0 || index >= bits.length * 8) {throw new RangeError(`status index out of range: ${index}`);}
+  return (bits[index >> 3] & (0x80 >> (index & 7))) !== 0;
+}
+
+/**
+ * Unsigned list body for the registry's current state
+ * @param {object} registry
+ * @param {object} opts
+ * @param {string} opts.issuer
+ * @param {object|null} [opts.chainAnchor] - { seq, entryHash } of the last anchored change
+ * @param {string} [opts.now]
+ * @returns {object} List without proof
+ */
+export function buildRevocationList(registry, { issuer, chainAnchor = null, now = new Date().toISOString() }){
+  const entries = Object.entries(registry.credentials)
+    .filter(([, c])=>c.status !== 'active')
+    .map(([credential_id, c])=>({ credential_id, status_index: c.status_index, status: c.status, reason: c.reason, updated_utc: c.updated_utc }))
+    .sort((a,b)=>a.status_index - b.status_index);
+  return {
+    type: 'RevocationList',
+    format_version: LIST_FORMAT_VERSION,
+    issuer,
+    list_version: registry.list_version,
+    issued_utc: now,
+    length: STATUS_LIST_LENGTH,
+    status_lists: {
+      revocation: encodeStatusList(entries.filter(e=>e.status === 'revoked').map(e=>e.status_index)),
+      suspension: encodeStatusList(entries.filter(e=>e.status === 'suspended').map(e=>e.status_index)),
+    },
+    entries,
+    chain_anchor: chainAnchor,
+  };
+}
+
+/**
+ * @param {object} list - Signed or unsigned list
+ * @returns {string} Canonical bytes covered by the proof
+ */
+export function revocationListCanonical(list){
+  const { proof: _proof, ...body } = list;
+  return canonicalize(body);
+}
+
+/**
+ * Attach a proof produced by the signer service (POST /sign with the list body as payload)
+ * @param {object} list - Unsigned list
+ * @param {{canonical:string, signature:string, key_id:string}} signed - Signer response
+ * @returns {object} Signed list
+ */
+export function attachListProof(list, signed){
+  const canonical = revocationListCanonical(list);
+  if (signed.canonical !== canonical) {throw new Error('signer canonicalization differs from revocation list canonical form');}
+  return {
+    ...list,
+    proof: {
+      type: 'Ed25519Signature',
+      alg: 'Ed25519',
+      key_id: signed.key_id || null,
+      created: new Date().toISOString(),
+      canonical_hash: crypto.createHash('sha256').update(canonical,'utf8').digest('hex'),
+      signature: signed.signature,
+    },
+  };
+}
+
+/**
+ * Offline verification of a published list
+ * @param {object} list - Signed list
+ * @param {{id:string, publicKeyPem:string}[]} keys - Published signer keys
+ * @returns {{ok:boolean, key_id:string|null, issues:string[]}}
+ */
+export function verifyRevocationList(list, keys){
+  const issues = [];
+  const proof = list?.proof;
+  if (!proof?.signature) {return { ok: false, key_id: null, issues: ['proof_missing'] };}
+  if (list.format_version !== LIST_FORMAT_VERSION) {issues.push('format_version_unsupported');}
+  const canonical = revocationListCanonical(list);
+  if (crypto.createHash('sha256').update(canonical,'utf8').digest('hex') !== proof.canonical_hash) {issues.push('canonical_hash_mismatch');}
+  const candidates = proof.key_id ? keys.filter(k=>k.id === proof.key_id) : keys;
+  if (!candidates.length) {issues.push('signer_key_unknown');}
+  const key = candidates.find(k=>{
+    try { return crypto.verify(null, Buffer.from(canonical,'utf8'), k.publicKeyPem, Buffer.from(proof.signature,'base64')); }
+    catch { return false; }
+  });
+  if (candidates.length && !key) {issues.push('signature_invalid');}
+  return { ok: issues.length === 0, key_id: key ? key.id : null, issues };
+}
+
+/**
+ * Status of one credential according to a list (verify the list first)
+ * @param {object} list - Published list
+ * @param {{credential_id?:string, status_index?:number}} ref - Credential id or the statusListIndex carried by the credential
+ * @returns {{status:'active'|'revoked'|'suspended', reason:string|null, status_index:number|null, list_version:number}}
+ */
+export function credentialStatus(list, { credential_id, status_index }){
+  const entry = list.entries.find(e=>(credential_id && e.credential_id === credential_id) || (Number.isInteger(status_index) && e.status_index === status_index));
+  const index = Number.isInteger(status_index) ? status_index : (entry ? entry.status_index : null);
+  let status = 'active';
+  if (index !== null){
+    // Bitstrings are authoritative; entries only add the reason
+    if (statusBit(decodeStatusList(list.status_lists.revocation), index)) {status = 'revoked';}
+    else if (statusBit(decodeStatusList(list.status_lists.suspension), index)) {status = 'suspended';}
+  }
+  return { status, reason: status === 'active' ? null : (entry?.reason ?? null), status_index: index, list_version: list.list_version };
+}
@@ -0,0 +1,222 @@
+/**
+ * schema-registry.js
+ * Versioned public event schemas (schemas/events/registry.json) for the collector (tools/services/collector.js) and the
+ * schema compatibility gate (tools/event-schema-compat.js).
+ *  - Registry index { compatibility, current, versions: { "<major>.<minor>": { schema, meta_dir, decs } } }; schema and
+ *    meta_dir are relative to the index. Every meta_dir/<event_name>.json is the meta sub-schema of that event
+ *  - An event's schema_version "1.0" or "1.0.<patch>" resolves to version "1.0"; patch levels never change the schema
+ *  - Compatibility: BACKWARD = events valid under the previous schema stay valid under the new one, FORWARD = events
+ *    valid under the new schema are accepted by the previous one, FULL = both, NONE = not checked. The check is a
+ *    structural diff of the JSON Schema keywords the event schemas use (type, enum, const, pattern, format, bounds,
+ *    required, properties, additionalProperties, items). The version discriminators schema_version and
+ *    integrity.schema_version_ack are not compared; properties added to an open object are not flagged
+ *  - Breaking changes (issues under the registry's mode) need a DEC listed in the version's `decs`
+ */
+import { promises as fs } from 'fs';
+import path from 'path';
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+
+export const SCHEMA_REGISTRY_PATH = 'schemas/events/registry.json';
+export const COMPATIBILITY_MODES = ['BACKWARD', 'FORWARD', 'FULL', 'NONE'];
+
+// Layout before the registry existed, used when an older tree has no index
+export const LEGACY_INDEX = { compatibility: 'BACKWARD', current: '1.0', versions: { '1.0': { schema: 'public-event-v1.json', meta_dir: 'meta', decs: [] } } };
+
+const VERSION_FIELDS = new Set(['/schema_version', '/integrity/schema_version_ack']);
+const LOWER_BOUNDS = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties'];
+const UPPER_BOUNDS = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties'];
+
+/** Reads registry files from the working tree; other sources (e.g. a git revision) expose the same two methods */
+export const fsSource = {
+  async read(file){
+    try { return await fs.readFile(file,'utf8'); }
+    catch (e) { if (e.code === 'ENOENT') {return null;} throw e; }
+  },
+  async list(dir){
+    try { return await fs.readdir(dir); }
+    catch (e) { if (e.code === 'ENOENT') {return [];} throw e; }
+  },
+};
+
+/**
+ * @param {string} schemaVersion - Event schema_version, e.g. "1.0" or "1.0.2"
+ * @returns {string|null} Registry version key ("1.0") or null when malformed
+ */
+export function versionKey(schemaVersion){
+  const m = /^(\d+)\.(\d+)(?:\.\d+)?$/.exec(String(schemaVersion ?? ''));
+  return m ? `${Number(m[1])}.${Number(m[2])}` : null;
+}
+
+/** @returns {number} Sort order of two version keys */
+export function compareVersions(a, b){
+  const [aMajor, aMinor] = a.split('.').map(Number);
+  const [bMajor, bMinor] = b.split('.').map(Number);
+  return aMajor - bMajor || aMinor - bMinor;
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.file]
+ * @param {{read:Function}} [opts.source]
+ * @returns {Promise<object|null>} Registry index, null when the source has none
+ */
+export async function readRegistryIndex({ file = SCHEMA_REGISTRY_PATH, source = fsSource } = {}){
+  const text = await source.read(file);
+  if (text === null) {return null;}
+  const index = JSON.parse(text);
+  if (!COMPATIBILITY_MODES.includes(index.compatibility)) {throw new Error(`schema registry: unknown compatibility mode ${index.compatibility}`);}
+  for (const key of Object.keys(index.versions || {})){
+    if (versionKey(key) !== key) {throw new Error(`schema registry: version key ${key} is not <major>.<minor>`);}
+  }
+  if (!index.versions?.[index.current]) {throw new Error(`schema registry: current version ${index.current} is not registered`);}
+  return index;
+}
+
+/**
+ * Event schema and meta sub-schemas of one registered version
+ * @param {object} index - readRegistryIndex() result
+ * @param {string} version - Version key
+ * @param {object} [opts]
+ * @param {string} [opts.file] - Registry index path (schema paths are relative to it)
+ * @param {{read:Function, list:Function}} [opts.source]
+ * @returns {Promise<{version:string, event:object, meta:Object<string, object>}>}
+ */
+export async function readSchemaSet(index, version, { file = SCHEMA_REGISTRY_PATH, source = fsSource } = {}){
+  const entry = index.versions[version];
+  if (!entry) {throw new Error(`schema registry: version ${version} is not registered`);}
+  const dir = path.posix.dirname(file.split(path.sep).join('/'));
+  const schemaFile = path.posix.join(dir, entry.schema);
+  const text = await source.read(schemaFile);
+  if (text === null) {throw new Error(`schema registry: ${schemaFile} missing for version ${version}`);}
+  const meta = {};
+  if (entry.meta_dir){
+    const metaDir = path.posix.join(dir, entry.meta_dir);
+    for (const name of (await source.list(metaDir)).filter(n => n.endsWith('.json')).sort()){
+      meta[name.slice(0, -'.json'.length)] = JSON.parse(await source.read(path.posix.join(metaDir, name)));
+    }
+  }
+  return { version, event: JSON.parse(text), meta };
+}
+
+const typesOf = s => (s.type === undefined ? null : [].concat(s.type));
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const isSchema = s => !!s && typeof s === 'object';
+
+/**
+ * Changes that can reject an instance accepted by the old schema
+ * @param {object} oldSchema
+ * @param {object} newSchema
+ * @param {string} [at] - JSON pointer of the compared location
+ * @returns {Array<{code:string, path:string}>}
+ */
+export function narrowingIssues(oldSchema, newSchema, at = ''){
+  if (!isSchema(oldSchema) || !isSchema(newSchema) || VERSION_FIELDS.has(at)) {return [];}
+  const issues = [];
+  const add = (code, where = at) => issues.push({ code, path: where || '/' });
+  const oldTypes = typesOf(oldSchema); const newTypes = typesOf(newSchema);
+  if (newTypes && (!oldTypes || oldTypes.some(t => !newTypes.includes(t) && !(t === 'integer' && newTypes.includes('number'))))) {add('type_narrowed');}
+  if (newSchema.enum && (!oldSchema.enum || oldSchema.enum.some(v => !newSchema.enum.some(n => sameValue(n, v))))) {add('enum_narrowed');}
+  if (newSchema.const !== undefined && !sameValue(newSchema.const, oldSchema.const)) {add('const_changed');}
+  if (newSchema.pattern !== undefined && newSchema.pattern !== oldSchema.pattern) {add('pattern_changed');}
+  if (newSchema.format !== undefined && newSchema.format !== oldSchema.format) {add('format_changed');}
+  for (const k of LOWER_BOUNDS){
+    if (newSchema[k] !== undefined && !(oldSchema[k] !== undefined && oldSchema[k] >= newSchema[k])) {add('bound_narrowed', `${at}/${k}`);}
+  }
+  for (const k of UPPER_BOUNDS){
+    if (newSchema[k] !== undefined && !(oldSchema[k] !== undefined && oldSchema[k] <= newSchema[k])) {add('bound_narrowed', `${at}/${k}`);}
+  }
+  const oldRequired = oldSchema.required || [];
+  for (const name of newSchema.required || []){
+    if (!oldRequired.includes(name)) {add('required_added', `${at}/${name}`);}
+  }
+  const oldProps = oldSchema.properties || {}; const newProps = newSchema.properties || {};
+  for (const [name, oldProp] of Object.entries(oldProps)){
+    const where = `${at}/${name}`;
+    if (name in newProps) {issues.push(...narrowingIssues(oldProp, newProps[name], where));}
+    else if (newSchema.additionalProperties === false) {add('property_removed', where);}
+    else if (isSchema(newSchema.additionalProperties)) {issues.push(...narrowingIssues(oldProp, newSchema.additionalProperties, where));}
+  }
+  if (newSchema.additionalProperties === false && oldSchema.additionalProperties !== false) {add('additional_properties_closed');}
+  else if (isSchema(newSchema.additionalProperties) && oldSchema.additionalProperties !== false) {issues.push(...narrowingIssues(isSchema(oldSchema.additionalProperties) ? oldSchema.additionalProperties : {}, newSchema.additionalProperties, `${at}/*`));}
+  if (isSchema(newSchema.items)) {issues.push(...narrowingIssues(isSchema(oldSchema.items) ? oldSchema.items : {}, newSchema.items, `${at}/[]`));}
+  return issues;
+}
+
+function setIssues(from, to){
+  const issues = narrowingIssues(from.event, to.event);
+  // An event without a meta schema accepts any meta
+  for (const name of [...new Set([...Object.keys(from.meta), ...Object.keys(to.meta)])].sort()){
+    issues.push(...narrowingIssues(from.meta[name] || {}, to.meta[name] || {}, `/meta:${name}`));
+  }
+  return issues;
+}
+
+/**
+ * @param {{event:object, meta:object}} oldSet - readSchemaSet() result
+ * @param {{event:object, meta:object}} newSet
+ * @returns {{backward:object[], forward:object[]}} backward: old events the new schemas reject; forward: new events
+ *   the old schemas reject
+ */
+export function checkCompatibility(oldSet, newSet){
+  return { backward: setIssues(oldSet, newSet), forward: setIssues(newSet, oldSet) };
+}
+
+/**
+ * @param {string} mode - One of COMPATIBILITY_MODES
+ * @param {{backward:object[], forward:object[]}} result - checkCompatibility() result
+ * @returns {object[]} Issues that break the mode
+ */
+export function breakingIssues(mode, { backward, forward }){
+  return [
+    ...(mode === 'BACKWARD' || mode === 'FULL' ? backward.map(i => ({ ...i, direction: 'backward' })) : []),
+    ...(mode === 'FORWARD' || mode === 'FULL' ? forward.map(i => ({ ...i, direction: 'forward' })) : []),
+  ];
+}
+
+export class SchemaRegistry {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.file] - Registry index
+   */
+  constructor({ file = SCHEMA_REGISTRY_PATH } = {}){
+    this.file = file;
+    this.versions = new Map();
+  }
+
+  async init(){
+    this.index = await readRegistryIndex({ file: this.file });
+    if (!this.index) {throw new Error(`schema registry: ${this.file} not found`);}
+    for (const version of Object.keys(this.index.versions).sort(compareVersions)){
+      const set = await readSchemaSet(this.index, version, { file: this.file });
+      // One Ajv per version: versions may reuse the same $id
+      const ajv = new Ajv2020({ strict:false, allErrors:true });
+      addFormats(ajv);
+      const metaValidators = new Map(Object.entries(set.meta).map(([name, schema]) => [name, ajv.compile(schema)]));
+      this.versions.set(version, { version, validate: ajv.compile(set.event), metaValidators });
+    }
+    return this;
+  }
+
+  get current(){ return this.index.current; }
+
+  /** @returns {string[]} Registered version keys, oldest first */
+  supported(){ return [...this.versions.keys()]; }
+
+  /**
+   * @param {string} schemaVersion - Event schema_version
+   * @returns {{version:string, validate:Function, metaValidators:Map<string, Function>}|null} null when not registered
+   */
+  resolve(schemaVersion){
+    return this.versions.get(versionKey(schemaVersion)) || null;
+  }
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.file] - Default EVENT_SCHEMA_REGISTRY or schemas/events/registry.json
+ * @returns {Promise<SchemaRegistry>}
+ */
+export function createSchemaRegistry(opts = {}){
+  return new SchemaRegistry({ ...opts, file: opts.file || process.env.EVENT_SCHEMA_REGISTRY || SCHEMA_REGISTRY_PATH }).init();
+}
@@ -0,0 +1,126 @@
+/**
+ * session-pseudonym.js
+ * Session pseudonymisation for the collector (tools/services/collector.js) under the daily PII salt that
+ * tools/rotate-pii-salt.js writes to tools/config/privacy-policy.json (hash_salt, previous_salts).
+ *  - The raw session_id is replaced at ingest by a UUIDv8-shaped pseudonym (still matches the event schema):
+ *    22 hex of HMAC-SHA256(salt, raw) followed by an 8 hex tag HMAC-SHA256(salt, those 22 hex). The same raw id maps to
+ *    the same pseudonym for as long as the salt is current, and to an unrelated one after rotation
+ *  - integrity.session_salt_epoch names the salt: first 16 hex of sha256 over the salt, so the salt itself is never
+ *    stored with the data
+ *  - isPseudonym() checks the tag with the epoch's salt; tools/privacy-asserts.js uses it to show stored data holds
+ *    no raw session identifiers
+ */
+import { createHash, createHmac } from 'crypto';
+import { promises as fs } from 'fs';
+import { PRIVACY_POLICY_PATH } from './privacy-policy.js';
+
+export const SESSION_ID_RE = /^[0-9a-fA-F-]{36}$/;
+
+const PSEUDONYM_RE = /^([0-9a-f]{8})-([0-9a-f]{4})-8([0-9a-f]{3})-8([0-9a-f]{3})-([0-9a-f]{12})$/;
+
+const hmacHex = (salt, text) => createHmac('sha256', salt).update(text,'utf8').digest('hex');
+
+/**
+ * @param {string} salt
+ * @returns {string} Salt epoch id (16 hex)
+ */
+export function saltEpoch(salt){
+  return createHash('sha256').update(`session-salt-epoch:${salt}`,'utf8').digest('hex').slice(0, 16);
+}
+
+/**
+ * @param {string} raw - Client session_id (case-insensitive)
+ * @param {string} salt
+ * @returns {string} Pseudonym, 8-4-4-4-12 hex with version and variant nibble 8
+ */
+export function pseudonymizeSession(raw, salt){
+  const body = hmacHex(salt, `session:${raw.toLowerCase()}`).slice(0, 22);
+  const hex = body + hmacHex(salt, `tag:${body}`).slice(0, 8);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-8${hex.slice(12, 15)}-8${hex.slice(15, 18)}-${hex.slice(18, 30)}`;
+}
+
+/**
+ * @param {string} value - Stored session_id
+ * @param {string} salt - Salt of the event's session_salt_epoch
+ * @returns {boolean} Whether value is a pseudonym made under salt
+ */
+export function isPseudonym(value, salt){
+  const m = PSEUDONYM_RE.exec(String(value));
+  if (!m) {return false;}
+  const hex = m.slice(1).join('');
+  return hmacHex(salt, `tag:${hex.slice(0, 22)}`).slice(0, 8) === hex.slice(22);
+}
+
+/**
+ * @param {object} cfg - tools/config/privacy-policy.json
+ * @returns {Map<string, string>} Salt per epoch id, current and retained previous salts
+ */
+export function saltsByEpoch(cfg){
+  const salts = [cfg?.hash_salt, ...(Array.isArray(cfg?.previous_salts) ? cfg.previous_salts : [])].filter(s => typeof s === 'string' && s);
+  return new Map(salts.map(s => [saltEpoch(s), s]));
+}
+
+export class SessionPseudonymizer {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.file] - Privacy policy holding hash_salt
+   * @param {number} [opts.checkEveryMs] - Minimum time between checks of the file for a rotated salt
+   * @param {()=>number} [opts.now]
+   */
+  constructor({ file = PRIVACY_POLICY_PATH, checkEveryMs = 60000, now = () => Date.now() } = {}){
+    this.file = file;
+    this.checkEveryMs = checkEveryMs;
+    this.now = now;
+    this.checkedAt = -Infinity;
+    this.mtimeMs = null;
+  }
+
+  async init(){
+    await this.refresh();
+    return this;
+  }
+
+  /** Reload hash_salt when the policy file changed (at most once per checkEveryMs) */
+  async refresh(){
+    if (this.now() - this.checkedAt < this.checkEveryMs) {return;}
+    this.checkedAt = this.now();
+    let mtimeMs, salt;
+    try {
+      ({ mtimeMs } = await fs.stat(this.file));
+      if (mtimeMs === this.mtimeMs) {return;}
+      ({ hash_salt: salt } = JSON.parse(await fs.readFile(this.file,'utf8')));
+      if (typeof salt !== 'string' || !salt) {throw new Error(`session pseudonymisation: ${this.file} has no hash_salt`);}
+    } catch (e) {
+      // Keep the current salt while the file is being rewritten; retried on the next check
+      if (!this.salt) {throw e;}
+      return;
+    }
+    this.mtimeMs = mtimeMs;
+    this.salt = salt;
+    this.epoch = saltEpoch(salt);
+  }
+
+  /**
+   * Replace evt.session_id in place and record the salt epoch; a session_id that is not UUID-shaped is left for schema
+   * validation to refuse
+   * @param {object} evt
+   * @returns {boolean} Whether the event was pseudonymised
+   */
+  apply(evt){
+    if (typeof evt.session_id !== 'string' || !SESSION_ID_RE.test(evt.session_id)) {return false;}
+    evt.session_id = pseudonymizeSession(evt.session_id, this.salt);
+    evt.integrity = { ...evt.integrity, session_salt_epoch: this.epoch };
+    return true;
+  }
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.file] - Default COLLECTOR_PRIVACY_POLICY or tools/config/privacy-policy.json
+ * @param {number} [opts.checkEveryMs] - Default COLLECTOR_SALT_CHECK_MS or 60000
+ * @returns {Promise<SessionPseudonymizer>}
+ */
+export function createSessionPseudonymizer(opts = {}){
+  const checkEveryMs = opts.checkEveryMs ?? Number(process.env.COLLECTOR_SALT_CHECK_MS ?? 60000);
+  return new SessionPseudonymizer({ ...opts, checkEveryMs, file: opts.file || process.env.COLLECTOR_PRIVACY_POLICY || PRIVACY_POLICY_PATH }).init();
+}
@@ -0,0 +1,75 @@
+/**
+ * sign-batch.js
+ * Batch signing for the signer service (POST /sign-batch) and offline checks of its output.
+ *  - Each item is canonicalized (tools/lib/canonical.js; string payloads pass through) and signed on its own:
+ *    raw Ed25519 over the canonical, or (format 'jws') a detached JWS with header { alg:'EdDSA', kid: key_id }
+ *  - Leaves are RFC 6962 leaf hashes of the item canonicals (tools/lib/merkle.js); every item carries its audit path
+ *  - Root statement { type:'SIGN_BATCH', merkle_root, tree_size, key_id, signed_at } is always signed raw over its
+ *    canonical, so it can be appended to the chain as is; 'jws' mode adds a detached JWS of the statement
+ */
+import crypto from 'crypto';
+import { canonicalize } from './canonical.js';
+import { JWS_ALG, detachedJws, jwsSigningInput, verifyDetachedJws } from './jws.js';
+import { inclusionProofs, leafHash, merkleRoot, verifyInclusion } from './merkle.js';
+
+export const BATCH_STATEMENT_TYPE = 'SIGN_BATCH';
+export const BATCH_FORMATS = ['raw', 'jws'];
+
+/**
+ * Sign a batch of payloads
+ * @param {Array<object|string>} payloads - Non-empty list of payloads
+ * @param {object} opts
+ * @param {(data:string)=>string} opts.sign - Base64 Ed25519 signature over a UTF-8 string
+ * @param {string} opts.keyId - Signing key id (also the JWS kid)
+ * @param {string} [opts.signedAt]
+ * @param {'raw'|'jws'} [opts.format]
+ * @returns {{alg:string, format:string, key_id:string, signed_at:string, items:object[], root:object}}
+ */
+export function signBatch(payloads, { sign, keyId, signedAt = new Date().toISOString(), format = 'raw' }){
+  if (!BATCH_FORMATS.includes(format)) {throw new RangeError(`unsupported format ${format}`);}
+  const header = { alg: JWS_ALG, kid: keyId };
+  const signJws = canonical => {
+    const input = jwsSigningInput(header, canonical);
+    return detachedJws(input, sign(input));
+  };
+  const canonicals = payloads.map(p => (typeof p === 'string' ? p : canonicalize(p)));
+  const leaves = canonicals.map(c => leafHash(c));
+  const proofs = inclusionProofs(leaves);
+  const items = canonicals.map((canonical, index) => ({
+    index,
+    canonical,
+    hash_sha256: crypto.createHash('sha256').update(canonical).digest('hex'),
+    ...(format === 'jws' ? { jws: signJws(canonical) } : { signature: sign(canonical) }),
+    audit_path: proofs[index],
+  }));
+  const statement = { type: BATCH_STATEMENT_TYPE, merkle_root: merkleRoot(leaves), tree_size: leaves.length, key_id: keyId, signed_at: signedAt };
+  const canonical = canonicalize(statement);
+  const root = { statement, canonical, signature: sign(canonical), ...(format === 'jws' ? { jws: signJws(canonical) } : {}) };
+  return { alg: format === 'jws' ? JWS_ALG : 'Ed25519', format, key_id: keyId, signed_at: signedAt, items, root };
+}
+
+/**
+ * Offline check of one batch item against its batch root
+ * @param {object} item - Entry of signBatch().items
+ * @param {object} root - signBatch().root
+ * @param {string} publicKeyPem - Key named by root.statement.key_id
+ * @returns {{ok:boolean, issues:string[]}}
+ */
+export function verifyBatchItem(item, root, publicKeyPem){
+  const issues = [];
+  const { statement } = root || {};
+  if (!statement || statement.type !== BATCH_STATEMENT_TYPE || canonicalize(statement) !== root.canonical) {return { ok:false, issues:['statement_invalid'] };}
+  let rootSigned = false;
+  try { rootSigned = crypto.verify(null, Buffer.from(root.canonical,'utf8'), publicKeyPem, Buffer.from(root.signature || '','base64')); } catch { rootSigned = false; }
+  if (!rootSigned) {issues.push('root_signature_invalid');}
+  if (!verifyInclusion(leafHash(item.canonical), item.index, statement.tree_size, item.audit_path || [], statement.merkle_root)) {issues.push('inclusion_invalid');}
+  let itemSigned = false;
+  if (item.jws){
+    const r = verifyDetachedJws(item.jws, item.canonical, publicKeyPem);
+    itemSigned = r.ok && r.header.kid === statement.key_id;
+  } else {
+    try { itemSigned = crypto.verify(null, Buffer.from(item.canonical,'utf8'), publicKeyPem, Buffer.from(item.signature || '','base64')); } catch { itemSigned = false; }
+  }
+  if (!itemSigned) {issues.push('item_signature_invalid');}
+  return { ok: issues.length === 0, issues };
+}
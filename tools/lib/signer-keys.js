@@ -0,0 +1,291 @@
+/**
+ * signer-keys.js
+ * Signer key state (.integrity/keys.json) and key lifecycle shared by the signer services.
+ * State shape:
+ *   { activeIndex, keys:[{ id, privWrapped, pubPem, status:'active'|'retired', not_before, not_after }], rotations:[record] }
+ * Private keys are stored only as KMS envelopes (privWrapped, tools/lib/kms.js); at load only the active key is
+ * unwrapped, into privPem, which exists in memory and is never written. Plaintext legacy files are sealed on load.
+ * Lifecycle:
+ *  - A new key is valid from creation for SIGNER_KEY_TTL_DAYS (default 365); the active key cannot sign past not_after.
+ *  - Rotation retires the active key (not_after = commit time) and activates a new one. The rotation statement
+ *    is signed by both keys, so the old key vouches for its successor and the new key proves possession.
+ *  - A signature verifies only if it was made (signed_at) inside the signing key's [not_before, not_after) window.
+ *    signed_at is taken only when attested: /sign also signs a SIGNING_TIME statement { hash_sha256 of the content,
+ *    key_id, signed_at } (signed_at_signature), so a caller cannot move a signature into an older window. A leaked key
+ *    can still attest any time; for those, only an anchored signature (chain entry ts) shows when it was made.
+ *  - Legacy keys without metadata get not_before from their `k-<ms>` id; a replaced legacy key ends where its successor starts.
+ */
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { canonicalize } from './canonical.js';
+import { openPrivateKey, sealPrivateKey } from './kms.js';
+
+export const DEFAULT_KEY_TTL_DAYS = 365;
+export const ROTATION_STATEMENT_TYPE = 'KEY_ROTATION';
+export const SIGNING_TIME_TYPE = 'SIGNING_TIME';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Generate a key with lifecycle metadata
+ * @param {object} [opts]
+ * @param {string} [opts.now] - ISO creation time (not_before)
+ * @param {number} [opts.ttlDays] - Validity in days; 0 or null for no expiry
+ * @returns {object} Key record
+ */
+export function newKeyRecord({ now = new Date().toISOString(), ttlDays = DEFAULT_KEY_TTL_DAYS } = {}){
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    id: `k-${Date.parse(now)}-${crypto.randomBytes(3).toString('hex')}`,
+    privPem: privateKey.export({ type:'pkcs8', format:'pem' }),
+    pubPem: publicKey.export({ type:'spki', format:'pem' }),
+    status: 'active',
+    not_before: now,
+    not_after: ttlDays ? new Date(Date.parse(now) + ttlDays * DAY_MS).toISOString() : null,
+  };
+}
+
+function idTime(id){
+  const m = /^k-(\d{12,})/.exec(id || '');
+  return m ? new Date(Number(m[1])).toISOString() : null;
+}
+
+/**
+ * Fill lifecycle metadata on keys written before it existed
+ * @param {object} state - Key state (mutated)
+ * @returns {boolean} Whether anything changed
+ */
+export function upgradeKeyState(state){
+  let changed = false;
+  state.keys.forEach((k, i)=>{
+    if (k.status && 'not_before' in k && 'not_after' in k) {return;}
+    const active = i === state.activeIndex;
+    k.status = active ? 'active' : 'retired';
+    k.not_before = idTime(k.id);
+    k.not_after = active ? null : (idTime(state.keys[i + 1]?.id) || null);
+    changed = true;
+  });
+  if (!Array.isArray(state.rotations)){ state.rotations = []; changed = true; }
+  return changed;
+}
+
+/**
+ * Load the key state, creating a first key when missing
+ * @param {string} file - Path of keys.json
+ * @param {object} opts
+ * @param {import('./kms.js').KmsProvider} opts.kms - Provider holding the key-encryption key
+ * @param {number} [opts.ttlDays]
+ * @returns {Promise<object>} Key state with the active key unwrapped
+ */
+export async function loadKeyState(file, { kms, ttlDays = DEFAULT_KEY_TTL_DAYS }){
+  await fs.mkdir(path.dirname(file),{recursive:true});
+  let state = null;
+  try { state = JSON.parse(await fs.readFile(file,'utf8')); } catch { /* no-op */ }
+  if (!state || !Array.isArray(state.keys) || typeof state.activeIndex !== 'number'){
+    state = { activeIndex: 0, keys: [newKeyRecord({ ttlDays })], rotations: [] };
+    await saveKeyState(file, state, kms);
+    return state;
+  }
+  const plaintext = state.keys.some(k=>k.privPem);
+  if (upgradeKeyState(state) || plaintext) {await saveKeyState(file, state, kms);}
+  state.keys.forEach((k, i)=>{ if (i !== state.activeIndex) {delete k.privPem;} });
+  const active = state.keys[state.activeIndex];
+  if (active && !active.privPem) {active.privPem = await openPrivateKey(kms, active.privWrapped);}
+  return state;
+}
+
+/**
+ * Persist the key state; keys not yet sealed are wrapped first (the record gains privWrapped)
+ * @param {string} file - Path of keys.json
+ * @param {object} state - Key state
+ * @param {import('./kms.js').KmsProvider} kms
+ * @returns {Promise<void>}
+ */
+export async function saveKeyState(file, state, kms){
+  for (const k of state.keys){
+    if (!k.privWrapped) {k.privWrapped = await sealPrivateKey(kms, k.privPem);}
+  }
+  const stored = { ...state, keys: state.keys.map(({ privPem: _privPem, ...k })=>k) };
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(stored,null,2), { mode: 0o600 });
+  await fs.rename(tmp, file);
+}
+
+/**
+ * @param {object} key - Key record
+ * @param {string} at - ISO time
+ * @returns {boolean} Whether at lies in [not_before, not_after)
+ */
+export function keyValidAt(key, at){
+  const t = Date.parse(at);
+  if (Number.isNaN(t)) {return false;}
+  if (key.not_before && t < Date.parse(key.not_before)) {return false;}
+  if (key.not_after && t >= Date.parse(key.not_after)) {return false;}
+  return true;
+}
+
+/**
+ * @param {object} key - Key record
+ * @returns {{id:string, publicKeyPem:string, status:string, not_before:string|null, not_after:string|null}} Public view
+ */
+export function publicKeyInfo(key){
+  return { id: key.id, publicKeyPem: key.pubPem, status: key.status, not_before: key.not_before, not_after: key.not_after };
+}
+
+/**
+ * Active key, refusing one whose validity window does not cover `now`
+ * @param {object} state - Key state
+ * @param {string} [now]
+ * @returns {{key:object|null, error:string|null}}
+ */
+export function activeSigningKey(state, now = new Date().toISOString()){
+  const key = state.keys[state.activeIndex];
+  if (!key) {return { key: null, error: 'no_active_key' };}
+  if (!keyValidAt(key, now)) {return { key: null, error: key.not_after && Date.parse(now) >= Date.parse(key.not_after) ? 'active_key_expired' : 'active_key_not_yet_valid' };}
+  return { key, error: null };
+}
+
+function attested(key, canonical, signature){
+  if (typeof signature !== 'string') {return false;}
+  try { return crypto.verify(null, Buffer.from(canonical,'utf8'), key.pubPem, Buffer.from(signature,'base64')); }
+  catch { return false; }
+}
+
+/**
+ * @param {{canonical:string, key_id:string, signed_at:string}} signed
+ * @returns {string} Canonical SIGNING_TIME statement binding the content hash to the key and time of signing
+ */
+export function signingTimeCanonical({ canonical, key_id, signed_at }){
+  const hash_sha256 = crypto.createHash('sha256').update(canonical).digest('hex');
+  return canonicalize({ type: SIGNING_TIME_TYPE, hash_sha256, key_id, signed_at });
+}
+
+/**
+ * @param {object} key - Key record with privPem
+ * @param {string} canonical - Signed content
+ * @param {string} signedAt - ISO timestamp
+ * @returns {string} Base64 signature of the SIGNING_TIME statement (signed_at_signature)
+ */
+export function signSigningTime(key, canonical, signedAt){
+  return crypto.sign(null, Buffer.from(signingTimeCanonical({ canonical, key_id: key.id, signed_at: signedAt }),'utf8'), key.privPem).toString('base64');
+}
+
+/**
+ * Verify a signature against the key state, honouring validity windows
+ * @param {object[]} keys - Key records
+ * @param {object} req
+ * @param {string} req.canonical
+ * @param {string} req.signature - Base64
+ * @param {string} [req.key_id] - Restrict to one key
+ * @param {string} [req.signed_at] - When the signature was made, as returned by /sign; defaults to now only for a key
+ *   that is not retired. A retired key's signatures are historical, so without signed_at they are refused with
+ *   signed_at_required
+ * @param {string} [req.signed_at_signature] - Required with signed_at: the same key's signature over the SIGNING_TIME
+ *   statement (signingTimeCanonical()); missing or not matching is signed_at_unattested
+ * @returns {{verified:boolean, key_id:string|null, reason:string|null}}
+ */
+export function verifyWithKeys(keys, { canonical, signature, key_id, signed_at, signed_at_signature }){
+  const candidates = key_id ? keys.filter(k=>k.id === key_id) : keys;
+  if (!candidates.length) {return { verified: false, key_id: key_id || null, reason: 'key_unknown' };}
+  const key = candidates.find(k=>attested(k, canonical, signature));
+  if (!key) {return { verified: false, key_id: key_id || null, reason: 'signature_invalid' };}
+  if (signed_at === undefined && key.status === 'retired') {return { verified: false, key_id: key.id, reason: 'signed_at_required' };}
+  if (signed_at !== undefined && !attested(key, signingTimeCanonical({ canonical, key_id: key.id, signed_at }), signed_at_signature)){
+    return { verified: false, key_id: key.id, reason: 'signed_at_unattested' };
+  }
+  if (!keyValidAt(key, signed_at ?? new Date().toISOString())) {return { verified: false, key_id: key.id, reason: 'outside_key_validity' };}
+  return { verified: true, key_id: key.id, reason: null };
+}
+
+/**
+ * Prepare a rotation without touching the state
+ * @param {object} state - Key state
+ * @param {object} [opts]
+ * @param {string} [opts.now]
+ * @param {number} [opts.ttlDays]
+ * @param {string|null} [opts.reason]
+ * @returns {{newKey:object, record:{statement:object, signatures:{key_id:string, signature:string}[]}}}
+ */
+export function planRotation(state, { now = new Date().toISOString(), ttlDays = DEFAULT_KEY_TTL_DAYS, reason = null } = {}){
+  const oldKey = state.keys[state.activeIndex];
+  const newKey = newKeyRecord({ now, ttlDays });
+  const statement = {
+    type: ROTATION_STATEMENT_TYPE,
+    old_key_id: oldKey.id,
+    old_public_key: oldKey.pubPem,
+    new_key_id: newKey.id,
+    new_public_key: newKey.pubPem,
+    new_not_before: newKey.not_before,
+    new_not_after: newKey.not_after,
+    effective_utc: now,
+    reason,
+  };
+  const canonical = canonicalize(statement);
+  const signatures = [oldKey, newKey].map(k=>({
+    key_id: k.id,
+    signature: crypto.sign(null, Buffer.from(canonical,'utf8'), k.privPem).toString('base64'),
+  }));
+  return { newKey, record: { statement, signatures } };
+}
+
+/**
+ * Commit a planned rotation: retire the active key, activate the new one, keep the record.
+ * The old key stays valid until the commit (it may have signed while the statement was being anchored).
+ * @param {object} state - Key state (mutated)
+ * @param {object} plan - planRotation() result
+ * @param {{seq:number, entryHash:string|null}|null} anchor - Chain entry holding the record
+ * @param {string} [now] - Retirement time of the old key
+ * @returns {object} Stored rotation record
+ */
+export function applyRotation(state, { newKey, record }, anchor, now = new Date().toISOString()){
+  const oldKey = state.keys[state.activeIndex];
+  oldKey.status = 'retired';
+  oldKey.not_after = now;
+  state.keys.push(newKey);
+  state.activeIndex = state.keys.length - 1;
+  const stored = { ...record, retired_utc: now, chain_anchor: anchor };
+  state.rotations.push(stored);
+  return stored;
+}
+
+/**
+ * Anchor a rotation record in the hash chain, signed by the outgoing key
+ * (still active in the signer's /pubkeys, so the chain service accepts it)
+ * @param {object} record - planRotation() record
+ * @param {object} oldKey - Outgoing key record
+ * @param {string} chainOrigin - Chain service base URL
+ * @returns {Promise<{seq:number, entryHash:string|null}>}
+ */
+export async function anchorRotationRecord(record, oldKey, chainOrigin){
+  const canonical = canonicalize(record);
+  const signature = crypto.sign(null, Buffer.from(canonical,'utf8'), oldKey.privPem).toString('base64');
+  const res = await fetch(new URL('/append', chainOrigin), {
+    method: 'POST',
+    headers: { 'content-type':'application/json' },
+    body: JSON.stringify({ canonical, signature, key_id: oldKey.id }),
+    signal: AbortSignal.timeout(5000),
+  });
+  const json = await res.json().catch(()=>null);
+  if (!res.ok) {throw new Error(`chain /append status ${res.status}${json?.error ? ` (${json.error})` : ''}`);}
+  return { seq: json.seq, entryHash: json.entryHash || null };
+}
+
+/**
+ * Check both signatures of a rotation record (offline)
+ * @param {{statement:object, signatures:{key_id:string, signature:string}[]}} record
+ * @returns {{ok:boolean, issues:string[]}}
+ */
+export function verifyRotationRecord(record){
+  const issues = [];
+  const { statement, signatures = [] } = record || {};
+  if (statement?.type !== ROTATION_STATEMENT_TYPE) {return { ok: false, issues: ['statement_invalid'] };}
+  const canonical = canonicalize(statement);
+  for (const [role, id, pem] of [['old', statement.old_key_id, statement.old_public_key], ['new', statement.new_key_id, statement.new_public_key]]){
+    const sig = signatures.find(s=>s.key_id === id);
+    let valid = false;
+    try { valid = !!sig && crypto.verify(null, Buffer.from(canonical,'utf8'), pem, Buffer.from(sig.signature,'base64')); } catch { valid = false; }
+    if (!valid) {issues.push(`${role}_key_signature_invalid`);}
+  }
+  return { ok: issues.length === 0, issues };
+}
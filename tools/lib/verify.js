@@ -0,0 +1,247 @@
+/**
+ * verify.js
+ * Offline verification of published integrity material (used by tools/merajutasa-verify.js).
+ * Everything here works on already-loaded documents; nothing touches the network.
+ *  - credential: JSON Schema, detached JWS against the published signer keys, expiry,
+ *    revocation status from a signed list, CREDENTIAL_ISSUED anchor in a chain export
+ *  - chain export: linkage and hashes (tools/lib/chain-entry.js), entry signatures, Merkle root,
+ *    dual signatures of anchored signer key rotation statements (tools/lib/signer-keys.js)
+ *  - evidence bundle: per-artifact sha256 against local files and the aggregate bundle_hash
+ *  - revocation list: proof against the published signer keys
+ *  - ingestion proof: collector receipt signature, Merkle inclusion in a segment seal, seal signature and its
+ *    COLLECTOR_SEGMENT_SEAL anchor in a chain export (tools/lib/ingest-receipt.js)
+ * Each verifier returns checks [{ name, status:'pass'|'fail'|'skip', detail }]; any fail fails the verdict, and a
+ * skipped signature check (no keys supplied) makes it INCONCLUSIVE: nothing vouched for the document.
+ */
+import crypto from 'crypto';
+import { verifyChainEntries, entryLeafHash } from './chain-entry.js';
+import { currentEpoch } from './chain-store.js';
+import { emptyTrustStore, verifyEntrySignatures } from './chain-trust.js';
+import { keyForVerificationMethod, credentialContentHash, verifyCredentialProof } from './credential.js';
+import { PROOF_TYPE, checkIngestionProof } from './ingest-receipt.js';
+import { merkleRoot } from './merkle.js';
+import { credentialStatus, verifyRevocationList } from './revocation.js';
+import { ROTATION_STATEMENT_TYPE, verifyRotationRecord } from './signer-keys.js';
+
+export const VERIFY_REPORT_VERSION = 1;
+
+const check = (name, status, detail) => ({ name, status, detail });
+
+function sha256(buf){ return crypto.createHash('sha256').update(buf).digest('hex'); }
+
+function isChainEntry(v){
+  return v && typeof v === 'object' && Number.isInteger(v.seq) && typeof v.contentHash === 'string';
+}
+
+/**
+ * Parse a chain export: a JSON array, a GET /chain page ({entries}) or the ndjson log
+ * (an ndjson log is cut to its current epoch when it holds a genesis entry, as the file store does)
+ * @param {string} text - File contents
+ * @returns {object[]|null} Entries, or null when the text is not a chain export
+ */
+export function parseChainExport(text){
+  let doc = null;
+  try { doc = JSON.parse(text); } catch { /* maybe ndjson */ }
+  if (Array.isArray(doc)) {return doc.every(isChainEntry) && doc.length ? doc : null;}
+  if (doc && Array.isArray(doc.entries) && doc.entries.length && doc.entries.every(isChainEntry)) {return doc.entries;}
+  if (doc) {return null;}
+  const lines = text.split('\n').filter(l=>l.trim());
+  try {
+    const entries = lines.map(l=>JSON.parse(l));
+    if (!entries.length || !entries.every(isChainEntry)) {return null;}
+    const epoch = currentEpoch(entries);
+    return epoch.length ? epoch : entries;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} text - File contents
+ * @returns {{kind:'credential'|'chain'|'evidence-bundle'|'revocation-list'|'ingestion-proof'|null, doc:any}}
+ */
+export function detectInput(text){
+  const chain = parseChainExport(text);
+  if (chain) {return { kind:'chain', doc: chain };}
+  let doc = null;
+  try { doc = JSON.parse(text); } catch { return { kind: null, doc: null }; }
+  if (Array.isArray(doc?.type) && doc.type.includes('VerifiableCredential')) {return { kind:'credential', doc };}
+  if (doc?.type === 'RevocationList') {return { kind:'revocation-list', doc };}
+  if (doc?.type === PROOF_TYPE) {return { kind:'ingestion-proof', doc };}
+  if (Array.isArray(doc?.artifacts) && doc?.summary?.bundle_hash) {return { kind:'evidence-bundle', doc };}
+  return { kind: null, doc };
+}
+
+function entryPayload(entry){
+  try { return JSON.parse(entry.canonical); } catch { return null; }
+}
+
+function findIssuanceAnchor(chain, credId){
+  for (const entry of chain){
+    const payload = entryPayload(entry);
+    if (payload?.type === 'CREDENTIAL_ISSUED' && payload.credId === credId) {return { entry, payload };}
+  }
+  return null;
+}
+
+/**
+ * @param {object[]} chain - Entries in seq order (full chain or a contiguous slice)
+ * @param {object} [opts]
+ * @param {object[]} [opts.keys] - Normalized published signer keys (chain-trust normalizeKeys)
+ * @returns {object[]} Checks
+ */
+export function verifyChainExport(chain, { keys = [] } = {}){
+  const startSeq = chain[0]?.seq ?? 0;
+  const linkage = verifyChainEntries(chain, { startSeq });
+  const checks = [check('chain.linkage', linkage.ok ? 'pass' : 'fail', linkage.ok
+    ? `${chain.length} entries (seq ${startSeq}..${startSeq + chain.length - 1})${startSeq > 0 ? ', partial export: first prevHash not checked' : ''}`
+    : linkage.issues.slice(0, 5).map(i=>`seq ${i.seq} ${i.code}`).join('; '))];
+  if (!keys.length){
+    checks.push(check('chain.signatures', 'skip', 'no public keys supplied (--keys)'));
+  } else {
+    const sig = verifyEntrySignatures(chain, { ...emptyTrustStore('verify-cli'), keys });
+    checks.push(check('chain.signatures', sig.issues.length ? 'fail' : 'pass', sig.issues.length
+      ? sig.issues.slice(0, 5).map(i=>`seq ${i.seq} ${i.code}`).join('; ')
+      : `${sig.checked} signatures valid`));
+  }
+  const rotations = chain.filter(e=>entryPayload(e)?.statement?.type === ROTATION_STATEMENT_TYPE);
+  if (rotations.length){
+    const bad = rotations.filter(e=>!verifyRotationRecord(entryPayload(e)).ok);
+    checks.push(check('chain.key_rotations', bad.length ? 'fail' : 'pass', bad.length
+      ? bad.map(e=>`seq ${e.seq} ${verifyRotationRecord(entryPayload(e)).issues.join(',')}`).join('; ')
+      : `${rotations.length} rotation statement(s) signed by old and new keys`));
+  }
+  // Only a full export reproduces the service's GET /root
+  if (startSeq === 0) {checks.push(check('chain.merkle_root', 'pass', `tree_size ${chain.length}, root ${merkleRoot(chain.map(entryLeafHash))}`));}
+  return checks;
+}
+
+/**
+ * @param {object} cred - Signed credential
+ * @param {object} opts
+ * @param {object[]} [opts.keys] - Normalized published signer keys, in GET /pubkeys order
+ * @param {{validateSigned:(cred:object)=>string[]}} [opts.validator] - createCredentialValidator() result
+ * @param {object} [opts.revocationList] - Published signed revocation list
+ * @param {object[]} [opts.chain] - Chain export holding the CREDENTIAL_ISSUED anchor
+ * @param {string} [opts.now] - Reference time for expiry (ISO)
+ * @returns {object[]} Checks
+ */
+export function verifyCredentialDocument(cred, { keys = [], validator, revocationList, chain, now = new Date().toISOString() } = {}){
+  const checks = [];
+  if (validator){
+    const errors = validator.validateSigned(cred);
+    checks.push(check('credential.schema', errors.length ? 'fail' : 'pass', errors.length ? errors.slice(0, 5).join('; ') : 'integrity-credential-v1'));
+  }
+  const contentHash = credentialContentHash(cred);
+  if (!keys.length){
+    checks.push(check('credential.signature', 'skip', 'no public keys supplied (--keys)'));
+  } else {
+    const key = keyForVerificationMethod(keys, cred.proof?.verificationMethod);
+    if (!key){
+      checks.push(check('credential.signature', 'fail', `no published key for ${cred.proof?.verificationMethod || 'missing verificationMethod'}`));
+    } else {
+      const res = verifyCredentialProof(cred, key.publicKeyPem);
+      checks.push(check('credential.signature', res.ok ? 'pass' : 'fail', res.ok ? `key ${key.id}, content hash ${contentHash}` : res.issues.join(', ')));
+    }
+  }
+  if (cred.expirationDate && Date.parse(cred.expirationDate) <= Date.parse(now)) {checks.push(check('credential.expiry', 'fail', `expired ${cred.expirationDate}`));}
+  else {checks.push(check('credential.expiry', 'pass', cred.expirationDate ? `valid until ${cred.expirationDate}` : 'no expirationDate'));}
+
+  if (!revocationList){
+    checks.push(check('credential.revocation', 'skip', 'no revocation list supplied (--revocation-list)'));
+  } else {
+    const listCheck = verifyRevocationList(revocationList, keys);
+    const index = cred.credentialStatus ? Number(cred.credentialStatus.statusListIndex) : undefined;
+    const status = credentialStatus(revocationList, { credential_id: cred.id, status_index: index });
+    if (!listCheck.ok) {checks.push(check('credential.revocation', 'fail', `revocation list does not verify: ${listCheck.issues.join(', ')}`));}
+    else {checks.push(check('credential.revocation', status.status === 'active' ? 'pass' : 'fail', `${status.status}${status.reason ? ` (${status.reason})` : ''}, list version ${status.list_version}`));}
+  }
+
+  if (!chain){
+    checks.push(check('credential.anchor', 'skip', 'no chain export supplied (--chain)'));
+  } else {
+    const chainChecks = verifyChainExport(chain, { keys });
+    const anchor = findIssuanceAnchor(chain, cred.id);
+    if (chainChecks.some(c=>c.status === 'fail')) {checks.push(check('credential.anchor', 'fail', 'chain export does not verify'));}
+    else if (!anchor) {checks.push(check('credential.anchor', 'fail', `no CREDENTIAL_ISSUED entry for ${cred.id}`));}
+    else if (anchor.payload.contentHash !== contentHash) {checks.push(check('credential.anchor', 'fail', `seq ${anchor.entry.seq} anchors content hash ${anchor.payload.contentHash}, credential hashes to ${contentHash}`));}
+    else {checks.push(check('credential.anchor', 'pass', `seq ${anchor.entry.seq}`));}
+  }
+  return checks;
+}
+
+/**
+ * @param {object} bundle - artifacts/evidence-bundle.json
+ * @param {(path:string)=>Buffer|null} readArtifact - Local file reader (null when missing)
+ * @returns {object[]} Checks
+ */
+export function verifyEvidenceBundle(bundle, readArtifact){
+  const checks = [];
+  for (const a of bundle.artifacts){
+    if (!a.exists) {continue;}
+    const buf = readArtifact(a.path);
+    if (!buf) {checks.push(check(`artifact.${a.id}`, 'fail', `${a.path} missing`));}
+    else {
+      const hash = sha256(buf);
+      checks.push(check(`artifact.${a.id}`, hash === a.sha256 ? 'pass' : 'fail', hash === a.sha256 ? a.path : `${a.path} sha256 ${hash} != ${a.sha256}`));
+    }
+  }
+  // Same derivation as tools/evidence-bundle.js
+  const hashes = bundle.artifacts.filter(a=>a.exists && a.sha256).sort((a,b)=>a.path.localeCompare(b.path)).map(a=>a.sha256);
+  const bundleHash = sha256(Buffer.from(hashes.join('\n'),'utf8'));
+  checks.push(check('bundle.hash', bundleHash === bundle.summary.bundle_hash ? 'pass' : 'fail', bundleHash === bundle.summary.bundle_hash ? bundleHash : `recomputed ${bundleHash} != ${bundle.summary.bundle_hash}`));
+  return checks;
+}
+
+/**
+ * @param {object} list - Published signed revocation list
+ * @param {object[]} keys - Normalized published signer keys
+ * @returns {object[]} Checks
+ */
+export function verifyRevocationListDocument(list, keys){
+  if (!keys.length) {return [check('revocation_list.signature', 'skip', 'no public keys supplied (--keys)')];}
+  const res = verifyRevocationList(list, keys);
+  return [check('revocation_list.signature', res.ok ? 'pass' : 'fail', res.ok ? `key ${res.key_id}, list version ${list.list_version}, ${list.entries.length} entries` : res.issues.join(', '))];
+}
+
+/**
+ * @param {object} proof - Collector GET /proof response with the holder's receipt ({ receipt, inclusion, seal })
+ * @param {object} [opts]
+ * @param {object[]} [opts.keys] - Normalized published signer keys
+ * @param {object[]} [opts.chain] - Chain export holding the seal
+ * @returns {object[]} Checks
+ */
+export function verifyIngestionProofDocument(proof, { keys = [], chain } = {}){
+  const res = checkIngestionProof(proof, { keys });
+  if (res.issues.includes('receipt_missing')) {return [check('receipt.inclusion', 'fail', 'no INGESTION_RECEIPT in the proof (--receipt)')];}
+  const { receipt, inclusion, seal } = proof;
+  const structural = res.issues.filter(i=>!i.includes('signature') && i !== 'receipt_unsigned');
+  const checks = [check('receipt.inclusion', structural.length ? 'fail' : 'pass', structural.length
+    ? structural.join(', ')
+    : `leaf ${inclusion.index} of ${inclusion.tree_size} in partition ${inclusion.partition}, root ${seal.statement.merkle_root}`)];
+  if (res.receipt_signature === null) {checks.push(check('receipt.signature', 'skip', 'no public keys supplied (--keys)'));}
+  else {checks.push(check('receipt.signature', res.receipt_signature ? 'pass' : 'fail', res.receipt_signature ? `key ${receipt.key_id}, event ${receipt.event_id}` : (receipt.signature ? `no valid signature by ${receipt.key_id}` : 'receipt is unsigned')));}
+  if (res.seal_signature === null) {checks.push(check('seal.signature', 'skip', 'no public keys supplied (--keys)'));}
+  else {checks.push(check('seal.signature', res.seal_signature ? 'pass' : 'fail', res.seal_signature ? `key ${seal.key_id}` : `no valid signature by ${seal?.key_id}`));}
+  if (!chain){
+    checks.push(check('seal.anchor', 'skip', 'no chain export supplied (--chain)'));
+  } else {
+    const anchor = chain.find(e=>e.canonical === seal?.canonical);
+    if (verifyChainExport(chain, { keys }).some(c=>c.status === 'fail')) {checks.push(check('seal.anchor', 'fail', 'chain export does not verify'));}
+    else if (!anchor) {checks.push(check('seal.anchor', 'fail', `no ${seal?.statement?.type} entry for partition ${seal?.statement?.partition} tree_size ${seal?.statement?.tree_size}`));}
+    else {checks.push(check('seal.anchor', 'pass', `seq ${anchor.seq}`));}
+  }
+  return checks;
+}
+
+// Checks that authenticate the input; without them the other checks only show internal consistency
+export const SIGNATURE_CHECKS = ['credential.signature', 'chain.signatures', 'revocation_list.signature', 'receipt.signature', 'seal.signature'];
+
+/**
+ * @param {object[]} checks
+ * @returns {'PASS'|'FAIL'|'INCONCLUSIVE'} INCONCLUSIVE when nothing failed but a signature check was skipped
+ */
+export function verdictOf(checks){
+  if (checks.some(c=>c.status === 'fail')) {return 'FAIL';}
+  return checks.some(c=>c.status === 'skip' && SIGNATURE_CHECKS.includes(c.name)) ? 'INCONCLUSIVE' : 'PASS';
+}
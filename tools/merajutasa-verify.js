@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * merajutasa-verify.js
+ * Offline verifier for published integrity material: an Integrity Credential, a hash chain export
+ * (GET /chain page, JSON array or chain.ndjson), artifacts/evidence-bundle.json, a signed revocation list or a collector
+ * ingestion proof (GET /proof response; the holder's receipt inside it or passed with --receipt).
+ * Works entirely from local files (see tools/lib/verify.js); download the published keys, list and chain first.
+ * Usage: merajutasa-verify <file> [--keys=<pubkeys.json|chain-trust.json>] [--revocation-list=<file>]
+ *        [--chain=<export>] [--receipt=<file>] [--root=<dir holding the bundle's artifact paths>] [--report=<file>] [--json]
+ * Prints a verdict (or the JSON report with --json) and writes the report to --report
+ * (default artifacts/verify-report.json). Exit codes: 0 verified, 1 verification failed, 2 usage or read error,
+ * 3 inconclusive (a signed input checked without --keys: its signatures were not verified).
+ */
+import { readFileSync, promises as fs } from 'fs';
+import path from 'path';
+import { normalizeKeys } from './lib/chain-trust.js';
+import { createCredentialValidator } from './lib/credential.js';
+import {
+  VERIFY_REPORT_VERSION,
+  detectInput,
+  parseChainExport,
+  verdictOf,
+  verifyChainExport,
+  verifyCredentialDocument,
+  verifyEvidenceBundle,
+  verifyIngestionProofDocument,
+  verifyRevocationListDocument,
+} from './lib/verify.js';
+
+const USAGE = 'usage: merajutasa-verify <credential.json|chain export|evidence-bundle.json|revocation-list.json|ingestion-proof.json> [--keys=<file>] [--revocation-list=<file>] [--chain=<file>] [--receipt=<file>] [--root=<dir>] [--report=<file>] [--json]';
+
+function arg(name, fallback){
+  const hit = process.argv.find(a=>a.startsWith(`--${name}=`));
+  return hit ? hit.split('=').slice(1).join('=') : fallback;
+}
+
+class UsageError extends Error {}
+
+async function readJson(file, what){
+  try { return JSON.parse(await fs.readFile(file,'utf8')); }
+  catch (e) { throw new UsageError(`cannot read ${what} ${file}: ${e.message}`); }
+}
+
+async function loadKeys(file){
+  if (!file) {return [];}
+  const doc = await readJson(file, 'keys');
+  return normalizeKeys(Array.isArray(doc) ? { keys: doc } : doc);
+}
+
+async function loadChain(file){
+  if (!file) {return undefined;}
+  const entries = parseChainExport(await fs.readFile(file,'utf8').catch(e=>{ throw new UsageError(`cannot read chain ${file}: ${e.message}`); }));
+  if (!entries) {throw new UsageError(`${file} is not a chain export`);}
+  return entries;
+}
+
+function readArtifact(root){
+  return p => { try { return readFileSync(path.resolve(root, p)); } catch { return null; } };
+}
+
+function printHuman(report){
+  console.log(`merajutasa-verify: ${report.input.kind} ${report.input.file}`);
+  const width = Math.max(...report.checks.map(c=>c.name.length));
+  for (const c of report.checks) {console.log(`  ${c.status.toUpperCase().padEnd(4)}  ${c.name.padEnd(width)}  ${c.detail}`);}
+  const count = s => report.checks.filter(c=>c.status === s).length;
+  console.log(`Verdict: ${report.verdict} (${count('pass')} passed, ${count('fail')} failed, ${count('skip')} skipped)`);
+  if (report.verdict === 'INCONCLUSIVE') {console.log('  signatures not verified: pass the published keys with --keys=<pubkeys.json>');}
+}
+
+async function main(){
+  const file = process.argv.slice(2).find(a=>!a.startsWith('--'));
+  if (!file) {throw new UsageError(USAGE);}
+  const text = await fs.readFile(file,'utf8').catch(e=>{ throw new UsageError(`cannot read ${file}: ${e.message}`); });
+  const { kind, doc } = detectInput(text);
+  if (!kind) {throw new UsageError(`${file}: not a credential, chain export, evidence bundle, revocation list or ingestion proof`);}
+  const keys = await loadKeys(arg('keys'));
+  const revocationPath = arg('revocation-list');
+  const chainPath = arg('chain');
+
+  let checks;
+  if (kind === 'credential'){
+    checks = verifyCredentialDocument(doc, {
+      keys,
+      validator: await createCredentialValidator(),
+      revocationList: revocationPath ? await readJson(revocationPath, 'revocation list') : undefined,
+      chain: await loadChain(chainPath),
+    });
+  } else if (kind === 'chain') {
+    checks = verifyChainExport(doc, { keys });
+  } else if (kind === 'ingestion-proof') {
+    const receiptPath = arg('receipt');
+    const receipt = receiptPath ? await readJson(receiptPath, 'receipt') : doc.receipt;
+    checks = verifyIngestionProofDocument({ ...doc, receipt: receipt?.receipt || receipt }, { keys, chain: await loadChain(chainPath) });
+  } else if (kind === 'evidence-bundle') {
+    checks = verifyEvidenceBundle(doc, readArtifact(arg('root', '.')));
+  } else {
+    checks = verifyRevocationListDocument(doc, keys);
+  }
+
+  const report = {
+    version: VERIFY_REPORT_VERSION,
+    tool: 'merajutasa-verify',
+    generated_utc: new Date().toISOString(),
+    input: { file, kind },
+    keys: { file: arg('keys') || null, ids: keys.map(k=>k.id) },
+    revocation_list: revocationPath || null,
+    chain: chainPath || null,
+    verdict: verdictOf(checks),
+    checks,
+  };
+  const out = arg('report', 'artifacts/verify-report.json');
+  await fs.mkdir(path.dirname(out),{recursive:true});
+  await fs.writeFile(out, JSON.stringify(report,null,2));
+  if (process.argv.includes('--json')) {console.log(JSON.stringify(report,null,2));}
+  else {printHuman(report);}
+  process.exit({ PASS: 0, FAIL: 1, INCONCLUSIVE: 3 }[report.verdict]);
+}
+
+main().catch(e=>{
+  console.error(e instanceof UsageError ? e.message : `[merajutasa-verify] error ${e.stack || e.message}`);
+  process.exit(2);
+});
@@ -2,28 +2,64 @@
 /**
  * param-lock-verify.js (Wave 1 - 5.2)
  * Computes SHA256 hash of governed config (hysteresis-config-v1.yml) and compares against manifest entry.
+ * Also checks every version of the hysteresis parameter registry (docs/fairness/hysteresis-param-registry.json):
+ * config bytes match the version's sealed hash_sha256 (and its manifest entry, if listed), the config declares the
+ * registry's version and dec_id, and the DEC exists under docs/governance/dec.
  * Emits artifacts/param-lock-status.json with status PASS/FAIL and details.
  */
 import { promises as fs } from 'fs';
-import crypto from 'crypto';
+import path from 'path';
+import { LEGACY_CONFIG_PATH, PARAM_REGISTRY_PATH, readParamConfig, readParamRegistry } from './fairness/param-registry.js';
 
-const CONFIG_PATH = 'docs/fairness/hysteresis-config-v1.yml';
+const CONFIG_PATH = LEGACY_CONFIG_PATH;
 const MANIFEST_PATH = 'docs/integrity/spec-hash-manifest-v1.json';
+const DEC_DIR = 'docs/governance/dec';
+
+async function verifyVersion(v, manifest, decFiles){
+  const config = path.posix.join(path.posix.dirname(PARAM_REGISTRY_PATH), v.config);
+  const issues = [];
+  let cfg = null;
+  try { cfg = await readParamConfig(config); } catch (e) { issues.push(`CONFIG_UNREADABLE ${e.message}`); }
+  const manifestHash = manifest.files.find(f=> f.path === config)?.hash_sha256 ?? null;
+  if (cfg){
+    if (cfg.hash_sha256 !== v.hash_sha256) {issues.push('SEAL_MISMATCH');}
+    if (manifestHash && manifestHash !== cfg.hash_sha256) {issues.push('MANIFEST_MISMATCH');}
+    if (String(cfg.doc?.version) !== v.version) {issues.push(`VERSION_MISMATCH config declares ${cfg.doc?.version}`);}
+    if (cfg.doc?.dec_id !== v.dec_id) {issues.push(`DEC_ID_MISMATCH config declares ${cfg.doc?.dec_id}`);}
+  }
+  if (!decFiles.some(f => f.startsWith(`${v.dec_id}-`) && f.endsWith('.md'))) {issues.push(`DEC_MISSING ${v.dec_id}`);}
+  return { version: v.version, path: config, dec_id: v.dec_id, effective_from: v.effective_from, sealedHash: v.hash_sha256, actualHash: cfg?.hash_sha256 ?? null, manifestHash, status: issues.length ? 'FAIL' : 'PASS', issues };
+}
 
 async function main(){
   await fs.mkdir('artifacts',{recursive:true});
   let configRaw, manifestRaw;
-  try { configRaw = await fs.readFile(CONFIG_PATH); } catch { console.error('[param-lock] missing config'); process.exit(2); }
+  try { configRaw = await readParamConfig(CONFIG_PATH); } catch { console.error('[param-lock] missing config'); process.exit(2); }
   try { manifestRaw = await fs.readFile(MANIFEST_PATH,'utf8'); } catch { console.error('[param-lock] missing manifest'); process.exit(2); }
   const manifest = JSON.parse(manifestRaw);
   const entry = manifest.files.find(f=> f.path === CONFIG_PATH.replace(/^docs\\/,'docs/'));
-  const actualHash = crypto.createHash('sha256').update(configRaw).digest('hex');
+  const actualHash = configRaw.hash_sha256;
   const manifestHash = entry?.hash_sha256;
-  const status = (manifestHash && manifestHash === actualHash) ? 'PASS' : 'FAIL';
-  const report = { version:1, generated_utc:new Date().toISOString(), status, actualHash, manifestHash, path:CONFIG_PATH };
+  const lockOk = !!manifestHash && manifestHash === actualHash;
+
+  let registry = { path: PARAM_REGISTRY_PATH, present: false, error: null, versions: [] };
+  try {
+    const index = await readParamRegistry(PARAM_REGISTRY_PATH);
+    if (index){
+      const decFiles = await fs.readdir(DEC_DIR);
+      registry = { ...registry, present: true, versions: await Promise.all(index.versions.map(v => verifyVersion(v, manifest, decFiles))) };
+    }
+  } catch (e) { registry.error = e.message; }
+  const registryOk = !registry.error && registry.versions.every(v => v.status === 'PASS');
+
+  const status = (lockOk && registryOk) ? 'PASS' : 'FAIL';
+  const report = { version:2, generated_utc:new Date().toISOString(), status, actualHash, manifestHash, path:CONFIG_PATH, registry };
   await fs.writeFile('artifacts/param-lock-status.json', JSON.stringify(report,null,2));
-  if(status !== 'PASS') { console.error('[param-lock] hash mismatch'); process.exit(5); }
-  console.log('[param-lock] PASS');
+  if (!lockOk) {console.error('[param-lock] hash mismatch');}
+  if (registry.error) {console.error(`[param-lock] registry invalid: ${registry.error}`);}
+  for (const v of registry.versions.filter(x => x.status !== 'PASS')) {console.error(`[param-lock] registry version ${v.version}: ${v.issues.join(', ')}`);}
+  if(status !== 'PASS') { process.exit(5); }
+  console.log(`[param-lock] PASS (${registry.versions.length} registered parameter version(s))`);
 }
 
 main().catch(e=>{ console.error('[param-lock] error', e); process.exit(2); });
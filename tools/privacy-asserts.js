@@ -4,9 +4,16 @@
  * Low-risk checks for privacy salt rotation policy.
  * - Critical: previous_salts length must not exceed cap (14)
  * - Advisory: hash format validity (hex, 32 chars) and rotation freshness
+ * - Critical, with --events-dir=<EVENTS_DATA_DIR> (or EVENTS_DATA_DIR set): every stored event carries a session_id
+ *   pseudonymised by the collector under the salt of its integrity.session_salt_epoch (tools/lib/session-pseudonym.js).
+ *   Events without an epoch or whose session_id fails the pseudonym check hold a raw identifier; epochs whose salt has
+ *   left previous_salts cannot be checked (advisory)
+ * Options: --config=<privacy policy> (default tools/config/privacy-policy.json)
  * Outputs: artifacts/privacy-asserts.json
  */
 import { promises as fs } from 'fs';
+import { readStoredEvents } from './lib/event-store.js';
+import { isPseudonym, saltsByEpoch } from './lib/session-pseudonym.js';
 
 const CONFIG_PATH = 'tools/config/privacy-policy.json';
 const ARTIFACT_PATH = 'artifacts/privacy-asserts.json';
@@ -17,6 +24,28 @@ function isHex(str, len){
   return typeof str === 'string' && /^[0-9a-f]+$/i.test(str) && (len? str.length === len : true);
 }
 
+function parseArg(name, defVal) {
+  const prefix = `--${name}=`;
+  const found = process.argv.find(a => a.startsWith(prefix));
+  return found ? found.slice(prefix.length) : defVal;
+}
+
+async function checkStoredSessions(dataDir, cfg){
+  const salts = saltsByEpoch(cfg);
+  const out = { data_dir: dataDir, scanned: 0, pseudonymized: 0, raw: 0, unverifiable: 0, unknown_epochs: [], sample_raw_event_ids: [] };
+  const unknown = new Set();
+  for await (const evt of readStoredEvents(dataDir)){
+    out.scanned++;
+    const epoch = evt.integrity?.session_salt_epoch;
+    if (epoch && !salts.has(epoch)){ out.unverifiable++; unknown.add(epoch); continue; }
+    if (epoch && isPseudonym(evt.session_id, salts.get(epoch))){ out.pseudonymized++; continue; }
+    out.raw++;
+    if (out.sample_raw_event_ids.length < 5) {out.sample_raw_event_ids.push(evt.event_id || null);}
+  }
+  out.unknown_epochs = [...unknown];
+  return out;
+}
+
 async function readJSON(p){
   try { return JSON.parse(await fs.readFile(p,'utf8')); } catch { return null; }
 }
@@ -33,9 +62,10 @@ function hoursBetweenISO(a, b){
 async function main(){
   await fs.mkdir('artifacts',{recursive:true});
   const nowIso = new Date().toISOString();
-  const cfg = await readJSON(CONFIG_PATH);
+  const configPath = parseArg('config', CONFIG_PATH);
+  const cfg = await readJSON(configPath);
   if (!cfg){
-    const out = { status: 'advisory', error: 'missing_config', message: `${CONFIG_PATH} not found or invalid JSON`, ts: nowIso };
+    const out = { status: 'advisory', error: 'missing_config', message: `${configPath} not found or invalid JSON`, ts: nowIso };
     await fs.writeFile(ARTIFACT_PATH, JSON.stringify(out,null,2));
     console.warn('[privacy-asserts] WARN config missing; advisory only');
     process.exit(0);
@@ -50,15 +80,19 @@ async function main(){
 
   const violations = [];
   if (retentionLen > RETENTION_CAP) {violations.push({ code:'RETENTION_OVERFLOW', message:`previous_salts length ${retentionLen} exceeds cap ${RETENTION_CAP}` });}
+  const dataDir = parseArg('events-dir', process.env.EVENTS_DATA_DIR);
+  const sessions = dataDir ? await checkStoredSessions(dataDir, cfg) : null;
+  if (sessions?.raw) {violations.push({ code:'RAW_SESSION_ID', message:`${sessions.raw} stored events hold a raw session_id` });}
 
   const out = {
     status: violations.length ? 'fail' : 'ok',
     ts: nowIso,
-    config_path: CONFIG_PATH,
+    config_path: configPath,
     checks: {
       retention: { cap: RETENTION_CAP, length: retentionLen, ok: retentionLen <= RETENTION_CAP },
       format: { hash_salt_valid: hashSaltValid, invalid_previous_count: invalidPrev.length, sample_invalid: invalidPrev.slice(0,3) },
       freshness: { last_rotated_utc: cfg.last_rotated_utc || null, age_hours: ageHours, ok: freshnessOk },
+      ...(sessions ? { sessions: { ...sessions, ok: sessions.raw === 0 } } : {}),
     },
     violations,
   };
@@ -71,6 +105,7 @@ async function main(){
   if (!hashSaltValid) {console.warn('[privacy-asserts] WARN hash_salt not valid hex/length (advisory)');}
   if (invalidPrev.length) {console.warn(`[privacy-asserts] WARN ${invalidPrev.length} invalid previous_salts entries (advisory)`);}
   if (freshnessOk === false) {console.warn('[privacy-asserts] WARN rotation freshness > 48h or unknown (advisory)');}
+  if (sessions?.unverifiable) {console.warn(`[privacy-asserts] WARN ${sessions.unverifiable} stored events use a salt no longer in previous_salts (advisory)`);}
   console.log('[privacy-asserts] OK');
 }
 
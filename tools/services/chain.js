@@ -2,26 +2,57 @@
 /**
  * chain.js
  * Minimal hash chain append & verify service.
- * Storage:
- *  - Snapshot: artifacts/chain.json (array of entries {seq, prevHash, contentHash, signature, ts}).
- *  - Write-ahead log: artifacts/chain.ndjson (append-only, one JSON per line)
- *  - Head summary: artifacts/chain-head.json ({seq, contentHash, ts})
+ * Storage (pluggable, see tools/lib/chain-store.js; CHAIN_STORE=file|sqlite|postgres):
+ *  - file (default): append-only log artifacts/chain.ndjson, head artifacts/chain-head.json,
+ *    checkpoint snapshot artifacts/chain.json every CHAIN_SNAPSHOT_EVERY appends and on shutdown
+ *  - sqlite: CHAIN_SQLITE_PATH (default <CHAIN_DATA_DIR>/chain.sqlite)
+ *  - postgres: CHAIN_DATABASE_URL
+ *  Entries: {v, seq, prevHash, contentHash, signature, canonical, ts, key_id, entryHash}.
+ *  The store rejects an append whose seq is not the next one (409 seq_conflict; the service resyncs).
+ * Entry format: new appends are v2 (prevHash commits to the whole previous entry, see tools/lib/chain-entry.js);
+ * legacy v1 segments remain verifiable. Use tools/chain-migrate-v2.js to re-anchor a v1 log.
+ * Merkle tree (RFC 6962 style) over entries, kept in memory and rebuilt on load:
+ *  - leaf = stable JSON of the entry without `canonical` (contentHash already commits to it)
+ * Signer trust (see tools/lib/chain-trust.js):
+ *  - CHAIN_TRUST_FILE set   => key set read from that file (authoritative)
+ *  - otherwise              => keys pinned from SIGNER_ORIGIN/pubkeys into artifacts/chain-trust.json,
+ *                              refreshed at startup and when an append names an unknown key
+ *  - appends must name a trusted, non-retired key (key_id, or publicKeyPem for legacy callers);
+ *    the caller's PEM is only used for lookup, never for verification. Entries record key_id.
  * Endpoints:
- *  - POST /append { canonical, signature, publicKeyPem }
- *  - GET  /chain
+ *  - POST /append { canonical, signature, key_id | publicKeyPem }
+ *  - GET  /chain[?from=S&limit=N]             => { from, limit, total, entries, next_from } (limit default 100, max 1000)
  *  - GET  /head
- *  - POST /verify {}
+ *  - GET  /root                               => { tree_size, root }
+ *  - GET  /proof/:seq[?tree_size=N]           => inclusion proof against current (or given) root
+ *  - GET  /consistency?first=M[&second=N]     => consistency proof between two heads
+ *  - GET  /trust                              => pinned signer key set
+ *  - POST /verify {}                          => linkage, hashes and signatures per seq
  */
 import http from 'http';
 import { promises as fs } from 'fs';
 import crypto from 'crypto';
+import { merkleRoot, inclusionProof, consistencyProof } from '../lib/merkle.js';
+import { SeqConflictError, createChainStore } from '../lib/chain-store.js';
+import { buildEntry, entryLeafHash, verifyChainEntries } from '../lib/chain-entry.js';
+import {
+  emptyTrustStore,
+  fetchSignerKeys,
+  findTrustedKey,
+  loadTrustFile,
+  mergeTrustedKeys,
+  verifyEntrySignatures,
+  verifySignature,
+} from '../lib/chain-trust.js';
 
 const PORT = process.env.CHAIN_PORT || 4602;
 const HOST = process.env.CHAIN_HOST || '0.0.0.0';
 const DATA_DIR = process.env.CHAIN_DATA_DIR || 'artifacts';
-const CHAIN_SNAPSHOT_PATH = `${DATA_DIR}/chain.json`;
-const CHAIN_LOG_PATH = `${DATA_DIR}/chain.ndjson`;
-const CHAIN_HEAD_PATH = `${DATA_DIR}/chain-head.json`;
+const CHAIN_TRUST_PATH = `${DATA_DIR}/chain-trust.json`;
+const TRUST_FILE = process.env.CHAIN_TRUST_FILE || null;
+const SIGNER_ORIGIN = process.env.SIGNER_ORIGIN || 'http://127.0.0.1:4601';
+const PAGE_DEFAULT = 100;
+const PAGE_MAX = 1000;
 
 async function pathExists(p){ try { await fs.access(p); return true; } catch { return false; } }
 
@@ -32,75 +63,133 @@ async function safeWriteFileAtomic(p, data){
   await fs.rename(tmp, p);
 }
 
-async function loadChain(){
-  if (await pathExists(CHAIN_SNAPSHOT_PATH)){
-    return JSON.parse(await fs.readFile(CHAIN_SNAPSHOT_PATH,'utf8'));
+async function loadTrust(){
+  if (TRUST_FILE) {return loadTrustFile(TRUST_FILE);}
+  if (await pathExists(CHAIN_TRUST_PATH)){
+    return JSON.parse(await fs.readFile(CHAIN_TRUST_PATH,'utf8'));
   }
-  // Rebuild from log if snapshot missing
-  if (await pathExists(CHAIN_LOG_PATH)){
-    const txt = await fs.readFile(CHAIN_LOG_PATH,'utf8');
-    const lines = txt.split(/\r?\n/).filter(Boolean);
-    return lines.map(l=>{ try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
-  }
-  return [];
-}
-async function saveChain(chain){
-  await fs.mkdir(DATA_DIR,{recursive:true});
-  await safeWriteFileAtomic(CHAIN_SNAPSHOT_PATH, JSON.stringify(chain,null,2));
-  const head = chain[chain.length-1] || null;
-  await safeWriteFileAtomic(CHAIN_HEAD_PATH, JSON.stringify(head, null, 2));
+  return emptyTrustStore(`signer:${SIGNER_ORIGIN}`);
 }
 
-async function appendLog(entry){
-  await fs.mkdir(DATA_DIR,{recursive:true});
-  await fs.appendFile(CHAIN_LOG_PATH, JSON.stringify(entry)+'\n');
+// Pull the signer's key set into the pinned store; no-op for file-based trust
+async function refreshTrust(trust, chainLength){
+  if (TRUST_FILE) {return { added:[], retired:[], conflicts:[] };}
+  let keys;
+  try { keys = await fetchSignerKeys(SIGNER_ORIGIN); }
+  catch (e){ console.warn('[chain] trust refresh skipped:', e.message); return { added:[], retired:[], conflicts:[] }; }
+  const changes = mergeTrustedKeys(trust, keys, chainLength);
+  if (changes.conflicts.length) {console.warn('[chain] ignoring signer keys that conflict with pinned keys:', changes.conflicts.join(','));}
+  if (changes.added.length || changes.retired.length) {await safeWriteFileAtomic(CHAIN_TRUST_PATH, JSON.stringify(trust,null,2));}
+  return changes;
 }
 
-function verifySig(pubPem, canonical, signature){
-  return crypto.verify(null, Buffer.from(canonical,'utf8'), pubPem, Buffer.from(signature,'base64'));
+function verifyAll(chain, trust){
+  const linkage = verifyChainEntries(chain);
+  const sigs = verifyEntrySignatures(chain, trust);
+  const issues = [...linkage.issues, ...sigs.issues].sort((a,b)=>a.seq-b.seq);
+  return { ...linkage, ok: issues.length === 0, issues, signatures: { checked: sigs.checked, skipped: sigs.skipped, trusted_keys: trust.keys.length } };
 }
+
 function sha256(data){ return crypto.createHash('sha256').update(data,'utf8').digest('hex'); }
 
-function verifyChain(chain){
-  let ok = true; const issues=[];
-  for (let i=0;i<chain.length;i++){
-    const entry = chain[i];
-    const expectedPrev = i===0? null : chain[i-1].contentHash;
-    if (entry.prevHash !== expectedPrev){ ok=false; issues.push({ seq: entry.seq, code:'PREV_HASH_MISMATCH', expectedPrev, actual: entry.prevHash }); }
-    const recomputed = sha256(entry.canonical);
-    if (recomputed !== entry.contentHash){ ok=false; issues.push({ seq: entry.seq, code:'CONTENT_HASH_MISMATCH', recomputed, stored: entry.contentHash }); }
-  }
-  return { ok, issues, length: chain.length };
+function parseSize(v, fallback){
+  if (v === null || v === undefined || v === '') {return fallback;}
+  return /^\d+$/.test(v) ? Number(v) : NaN;
 }
 
 async function start(){
-  let chain = await loadChain();
+  const store = await createChainStore({ dataDir: DATA_DIR });
+  let chain = await store.all();
+  let leaves = chain.map(entryLeafHash);
+  const trust = await loadTrust();
+  await refreshTrust(trust, chain.length);
   // Simple in-process queue to serialize appends
   let q = Promise.resolve();
   const enqueue = fn => { q = q.then(fn, fn); return q; };
   const server = http.createServer(async (req,res)=>{
     try {
-      if (req.method === 'GET' && req.url === '/chain'){
+      const url = new URL(req.url, 'http://localhost');
+      if (req.method === 'GET' && url.pathname === '/chain'){
+        const from = parseSize(url.searchParams.get('from'), 0);
+        const limit = parseSize(url.searchParams.get('limit'), PAGE_DEFAULT);
+        if (Number.isNaN(from) || Number.isNaN(limit) || limit < 1){
+          res.writeHead(400,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ error:'invalid_page', from, limit }));
+        }
+        const size = Math.min(limit, PAGE_MAX);
+        const entries = await store.range(from, size);
+        const total = await store.length();
+        const nextFrom = from + entries.length < total ? from + entries.length : null;
         res.writeHead(200,{ 'content-type':'application/json' });
-        return res.end(JSON.stringify(chain));
+        return res.end(JSON.stringify({ from, limit: size, total, entries, next_from: nextFrom }));
       }
       if (req.method === 'GET' && req.url === '/health'){
-        const result = verifyChain(chain);
+        const result = verifyAll(chain, trust);
         res.writeHead(200,{ 'content-type':'application/json' });
-        return res.end(JSON.stringify({ status: result.ok? 'OK':'DEGRADED', length: result.length }));
+        return res.end(JSON.stringify({ status: result.ok? 'OK':'DEGRADED', length: result.length, trusted_keys: trust.keys.length }));
       }
       if (req.method === 'GET' && req.url === '/head'){
         const head = chain[chain.length-1] || null;
         res.writeHead(200,{ 'content-type':'application/json' });
         return res.end(JSON.stringify(head));
       }
+      if (req.method === 'GET' && url.pathname === '/trust'){
+        res.writeHead(200,{ 'content-type':'application/json' });
+        return res.end(JSON.stringify(trust));
+      }
+      if (req.method === 'GET' && url.pathname === '/root'){
+        res.writeHead(200,{ 'content-type':'application/json' });
+        return res.end(JSON.stringify({ tree_size: leaves.length, root: merkleRoot(leaves) }));
+      }
+      const proofMatch = req.method === 'GET' && url.pathname.match(/^\/proof\/(\d+)$/);
+      if (proofMatch){
+        const seq = Number(proofMatch[1]);
+        const treeSize = parseSize(url.searchParams.get('tree_size'), leaves.length);
+        if (!(seq < treeSize && treeSize <= leaves.length)){
+          res.writeHead(404,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ error:'seq_out_of_range', seq, tree_size: leaves.length }));
+        }
+        res.writeHead(200,{ 'content-type':'application/json' });
+        return res.end(JSON.stringify({
+          seq,
+          tree_size: treeSize,
+          leaf_hash: leaves[seq],
+          root: merkleRoot(leaves, treeSize),
+          audit_path: inclusionProof(leaves, seq, treeSize),
+          entry: chain[seq],
+        }));
+      }
+      if (req.method === 'GET' && url.pathname === '/consistency'){
+        const first = parseSize(url.searchParams.get('first'), NaN);
+        const second = parseSize(url.searchParams.get('second'), leaves.length);
+        if (!(first >= 1 && first <= second && second <= leaves.length)){
+          res.writeHead(400,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ error:'invalid_tree_sizes', first, second, tree_size: leaves.length }));
+        }
+        res.writeHead(200,{ 'content-type':'application/json' });
+        return res.end(JSON.stringify({
+          first,
+          second,
+          first_root: merkleRoot(leaves, first),
+          second_root: merkleRoot(leaves, second),
+          proof: consistencyProof(leaves, first, second),
+        }));
+      }
       if (req.method === 'POST' && req.url === '/append'){
         await enqueue(async ()=>{
           const body = await readBody(req);
-          const { canonical, signature, publicKeyPem } = body;
-          if (!canonical || !signature || !publicKeyPem){ res.writeHead(400); return res.end(JSON.stringify({ error:'canonical, signature, publicKeyPem required'})); }
-          if (!verifySig(publicKeyPem, canonical, signature)){
-            res.writeHead(400); return res.end(JSON.stringify({ error:'signature_invalid'})); }
+          const { canonical, signature, key_id, publicKeyPem } = body;
+          if (!canonical || !signature || (!key_id && !publicKeyPem)){ res.writeHead(400); return res.end(JSON.stringify({ error:'canonical, signature and key_id (or publicKeyPem) required'})); }
+          let key = findTrustedKey(trust, { key_id, publicKeyPem });
+          if (!key){
+            // Signer may have rotated since the last refresh
+            await refreshTrust(trust, chain.length);
+            key = findTrustedKey(trust, { key_id, publicKeyPem });
+          }
+          if (!key){ res.writeHead(403,{ 'content-type':'application/json' }); return res.end(JSON.stringify({ error:'key_untrusted', key_id: key_id || null })); }
+          if (key.status !== 'active'){ res.writeHead(403,{ 'content-type':'application/json' }); return res.end(JSON.stringify({ error:'key_retired', key_id: key.id })); }
+          if (!verifySignature(key.publicKeyPem, canonical, signature)){
+            res.writeHead(400); return res.end(JSON.stringify({ error:'signature_invalid', key_id: key.id })); }
           const contentHash = sha256(canonical);
           // Idempotency: if head already equals this contentHash, return existing
           const head = chain[chain.length-1];
@@ -108,32 +197,37 @@ async function start(){
             res.writeHead(200,{ 'content-type':'application/json' });
             return res.end(JSON.stringify(head));
           }
-          const prevHash = chain.length? chain[chain.length-1].contentHash : null;
-          const entry = { seq: chain.length, prevHash, contentHash, signature, canonical, ts: new Date().toISOString() };
-          // Append to in-memory chain
-          chain.push(entry);
+          const entry = buildEntry({ prev: head || null, canonical, signature, extra: { key_id: key.id } });
           try {
-            await appendLog(entry);
-            await saveChain(chain);
-            res.writeHead(200,{ 'content-type':'application/json' });
-            return res.end(JSON.stringify(entry));
+            await store.append(entry);
           } catch (e){
-            // Rollback in-memory on failure
-            chain.pop();
+            if (e instanceof SeqConflictError){
+              // Another writer got there first (shared SQL backend); resync and let the caller retry
+              chain = await store.all();
+              leaves = chain.map(entryLeafHash);
+              res.writeHead(409,{ 'content-type':'application/json' });
+              return res.end(JSON.stringify({ error:'seq_conflict', seq: e.seq, expected: e.expected }));
+            }
             res.writeHead(500,{ 'content-type':'application/json' });
             return res.end(JSON.stringify({ error:'persist_failed', detail: e.message }));
           }
+          chain.push(entry);
+          leaves.push(entryLeafHash(entry));
+          res.writeHead(200,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify(entry));
         });
         return;
       }
       if (req.method === 'POST' && req.url === '/reload'){
-        // Test helper: reload chain from disk
-        chain = await loadChain();
+        // Test helper: reload chain from storage
+        await store.reload();
+        chain = await store.all();
+        leaves = chain.map(entryLeafHash);
         res.writeHead(200,{ 'content-type':'application/json' });
         return res.end(JSON.stringify({ status:'RELOADED', length: chain.length }));
       }
       if (req.method === 'POST' && req.url === '/verify'){
-        const result = verifyChain(chain);
+        const result = verifyAll(chain, trust);
         res.writeHead(200,{ 'content-type':'application/json' });
         return res.end(JSON.stringify(result));
       }
@@ -144,6 +238,13 @@ async function start(){
     }
   });
   server.listen(PORT, HOST, ()=> console.log(`[chain] listening on ${HOST}:${PORT}`));
+  const shutdown = ()=>{
+    server.close();
+    // Wait for queued appends, then write the final snapshot / release connections
+    q.then(()=>store.close()).then(()=>process.exit(0), e=>{ console.error('[chain] close failed', e); process.exit(1); });
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
 }
 
 function readBody(req){
@@ -3,48 +3,130 @@
  * collector.js
  * Minimal HTTP Event Collector (H0):
  *  - POST /ingest { event }
- *  - POST /ingest-batch (ndjson/plain or JSON array)
- *  - GET  /stats (counts)
+ *  - POST /ingest-batch[?strict=1] (ndjson/plain or JSON array) => { status:'BATCH_DONE', ingested, duplicates, errors,
+ *    items:[{ index, status, event_id?, errors? }] }; strict mode stores nothing and answers 422 BATCH_REJECTED when
+ *    any item fails. Both routes run every event through the same checks (checkEvent below)
+ *    NDJSON bodies are read line by line as they arrive and each valid line is stored before the next is read, so disk
+ *    writes hold back the client (backpressure); JSON arrays and strict mode keep the checked batch in memory. Bodies
+ *    may be gzip (Content-Encoding: gzip). Limits (tools/lib/request-body.js): COLLECTOR_MAX_BODY_BYTES on the decoded
+ *    batch body (default 16 MiB, 413 BODY_TOO_LARGE with the items handled so far), COLLECTOR_MAX_LINE_BYTES per NDJSON
+ *    line and per /ingest body (default 64 KiB; an oversize line is the item status LINE_TOO_LARGE)
+ *    Both accept an Idempotency-Key header; a replayed key, event_id or event_hash (server-computed) is not stored again and
+ *    returns { status:'DUPLICATE', duplicate_of, receipt } with the original receipt; for a batch key that is the batch
+ *    summary { ingested, duplicates, errors, items_total, receipt_roots: [{ statement, signature }] }, per-event
+ *    receipts come back by replaying the events themselves (tools/lib/dedup-index.js;
+ *    COLLECTOR_DEDUP_MAX keys, COLLECTOR_DEDUP_WINDOW_HOURS window, snapshot in <EVENTS_DATA_DIR>/events/dedup-index.json)
+ *    Every stored event gets a receipt { type:'INGESTION_RECEIPT', event_id, event_hash, partition, index, leaf_hash,
+ *    stored_utc } signed through the signer service (SIGNER_ORIGIN; /sign, or /sign-batch for batches, whose root
+ *    signatures come back as receipt_roots). Receipts stay unsigned when the signer is unreachable or COLLECTOR_RECEIPTS=0
+ *  - GET  /stats (counts: total, byEvent, byLevel, segments, tombstones; served from the store index, O(1))
+ *  - POST /query { from?, to?, time_field?, bucket?, group_by?, where?, suppression?, min_cell? } => { status:'OK',
+ *    min_cell_threshold, from, to, cells:[{ id, bucket, key, rolled_up?, count }], suppressed_cells, coarsened_cells }:
+ *    grouped counts over stored events (tools/lib/event-query.js), from/to widened to whole buckets (days by default). Cells below the minimum cell threshold (POLICY_MIN_CELL_THRESHOLD,
+ *    default 20 per DEC-20250812-04) are coarsened or suppressed before they leave the collector
+ *  - POST /compact (drop events past retention, see below)
+ *  - POST /seal (seal every partition with new leaves: signed COLLECTOR_SEGMENT_SEAL over the Merkle root of its leaf
+ *    hashes, appended to the hash chain at CHAIN_ORIGIN unless COLLECTOR_ANCHOR=0; log in <EVENTS_DATA_DIR>/events/seals.ndjson).
+ *    Runs every COLLECTOR_SEAL_INTERVAL_MS (default 15 min, 0 = only on request)
+ *  - GET  /seals (latest seal per partition)
+ *  - GET  /proof?event_id=<id> | ?partition=<p>&index=<n> => INGESTION_PROOF { receipt?, inclusion, seal } against the
+ *    latest seal; 404 NOT_SEALED until a seal covers the event. Checked offline by tools/merajutasa-verify.js
  *  - GET  /health
- * Validates against base schema (draft 2020-12), enforces date-time formats,
- * computes integrity.event_hash if missing, and performs basic prohibited meta scan.
- * For feedback-like events, attempts light redaction on `meta.text`/`meta.message`.
+ * Validates each event against the schema of the version it declares (schema_version "1.0" / "1.0.<patch>" → registry
+ * version "1.0") from the schema registry (tools/lib/schema-registry.js, schemas/events/registry.json or
+ * EVENT_SCHEMA_REGISTRY), meta against that version's meta schema; unregistered versions are refused with
+ * UNSUPPORTED_SCHEMA_VERSION. Enforces date-time formats, computes integrity.event_hash
+ * over the stored form of the event (a client-supplied hash is replaced, never trusted).
+ * Privacy policy (tools/lib/privacy-policy.js, tools/config/privacy-policy.json): meta strings and the referrer are
+ * scanned with the pii-scan category patterns; BLOCK categories refuse the event (PRIVACY_BLOCKED, masked copy held in
+ * <EVENTS_DATA_DIR>/privacy/quarantine/), REDACT / MASK rewrite the value (integrity.event_hash is then recomputed over
+ * the rewritten event, so dedup keys and receipts never cover the removed PII), WARN is reported. Responses carry
+ * privacy { action, categories }; GET /privacy/stats serves the per-category counters.
+ * Sessions (tools/lib/session-pseudonym.js): session_id is replaced before hashing and storage by an HMAC pseudonym
+ * under the privacy policy's current hash_salt (rotated daily by tools/rotate-pii-salt.js; the file is re-read when it
+ * changes), and integrity.session_salt_epoch names the salt. The raw value is never stored; events imported from the
+ * legacy log are pseudonymised the same way.
+ * Storage (tools/lib/event-store.js): day/hour segments under <EVENTS_DATA_DIR>/events/ with an index of counters;
+ * retention per data classification level from tools/config/event-storage-policy.json (EVENTS_STORAGE_POLICY);
+ * compaction leaves hash tombstones. COLLECTOR_COMPACT_INTERVAL_MS > 0 also compacts on a timer.
  */
 import http from 'http';
 import { promises as fs } from 'fs';
 import { createHash, randomUUID } from 'crypto';
-import Ajv2020 from 'ajv/dist/2020.js';
-import addFormats from 'ajv-formats';
-import { compileMetaValidators } from '../event-meta-schemas.js';
+import { createSchemaRegistry } from '../lib/schema-registry.js';
+import { BodyError, DEFAULT_MAX_BODY_BYTES, DEFAULT_MAX_LINE_BYTES, LINE_TOO_LARGE, bodyChunks, ndjsonLines, peekBody, readBody } from '../lib/request-body.js';
+import { createEventStore } from '../lib/event-store.js';
+import { DEFAULT_DEDUP_MAX, DedupIndex, dedupKeys } from '../lib/dedup-index.js';
+import { applyPrivacyPolicy, createQuarantineStore, loadPrivacyPolicy } from '../lib/privacy-policy.js';
+import { createSessionPseudonymizer } from '../lib/session-pseudonym.js';
+import { MIN_CELL_DEC, QueryError, minCellThreshold, parseQuery, runQuery } from '../lib/event-query.js';
+import { PROOF_TYPE, RECEIPT_TYPE, appendSeal, inclusionFor, loadSeals, receiptPayload, sealStatement } from '../lib/ingest-receipt.js';
 
 const PORT = Number(process.env.COLLECTOR_PORT || 4603);
 const HOST = process.env.COLLECTOR_HOST || '0.0.0.0';
 const DATA_DIR = process.env.EVENTS_DATA_DIR || 'artifacts';
-const BASE_SCHEMA_PATH = 'schemas/events/public-event-v1.json';
-const INGEST_PATH = `${DATA_DIR}/ingested-events.ndjson`;
 const PIPELINE_HASH_ARTIFACT = `${DATA_DIR}/event-pipeline-hash.json`;
 const SCHEMA_DOC = 'docs/analytics/event-schema-canonical-v1.md';
+const COMPACT_INTERVAL_MS = Number(process.env.COLLECTOR_COMPACT_INTERVAL_MS || 0);
+const DEDUP_PATH = `${DATA_DIR}/events/dedup-index.json`;
+const DEDUP_MAX = Number(process.env.COLLECTOR_DEDUP_MAX || DEFAULT_DEDUP_MAX);
+const DEDUP_WINDOW_MS = Number(process.env.COLLECTOR_DEDUP_WINDOW_HOURS || 72) * 3600000;
+const DEDUP_SAVE_EVERY = 50;
+const SEALS_PATH = `${DATA_DIR}/events/seals.ndjson`;
+const SEAL_INTERVAL_MS = Number(process.env.COLLECTOR_SEAL_INTERVAL_MS ?? 900000);
+const SIGNER_ORIGIN = process.env.SIGNER_ORIGIN || 'http://127.0.0.1:4601';
+const CHAIN_ORIGIN = process.env.CHAIN_ORIGIN || 'http://127.0.0.1:4602';
+const RECEIPTS = process.env.COLLECTOR_RECEIPTS !== '0';
+const ANCHOR = process.env.COLLECTOR_ANCHOR !== '0';
+const MAX_BODY_BYTES = Number(process.env.COLLECTOR_MAX_BODY_BYTES || DEFAULT_MAX_BODY_BYTES);
+const MAX_LINE_BYTES = Number(process.env.COLLECTOR_MAX_LINE_BYTES || DEFAULT_MAX_LINE_BYTES);
+const RECEIPT_BATCH_MAX = 1000; // signer SIGNER_BATCH_MAX default
+const PARSE_ERROR = Symbol('parse_error');
+const MIN_CELL_THRESHOLD = minCellThreshold();
+const QUERY_CLOCK_SKEW_MS = 86400000; // events may be stored in a partition that closed before their time_field
 
 function sha256Hex(buf){ return createHash('sha256').update(buf).digest('hex'); }
 function canonicalStringify(obj){
   const sort = (v)=> Array.isArray(v)? v.map(sort) : (v && typeof v==='object'? Object.keys(v).sort().reduce((a,k)=>{ a[k]=sort(v[k]); return a; }, {}) : v);
   return JSON.stringify(sort(obj));
 }
-const PROHIBITED_META_RE = /\b(ip(address)?|email|e[-_]?mail|phone|tel(ephone)?|address|lat(itude)?|lng|long(itude)?|geo(coordinates)?|user[-_ ]?agent|cookie|fingerprint|session(secret)?|auth|token|child(Name|DOB|Birth)|rank(ing)?|rating|score)\b/i;
-const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
-const PHONE_RE = /\b(?:\+?\d[\d\s\-()]{7,}\d)\b/g;
 
-async function appendNdjson(obj){
-  await fs.mkdir(DATA_DIR,{recursive:true});
-  await fs.appendFile(INGEST_PATH, JSON.stringify(obj)+'\n');
+async function postJson(origin, path, body){
+  const res = await fetch(new URL(path, origin), {
+    method: 'POST',
+    headers: { 'content-type':'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(3000),
+  });
+  const json = await res.json().catch(()=>null);
+  if (!res.ok) {throw new Error(`${origin}${path} status ${res.status}${json?.error ? ` (${json.error})` : ''}`);}
+  return json;
 }
 
-async function loadValidator(){
-  const baseSchema = JSON.parse(await fs.readFile(BASE_SCHEMA_PATH,'utf8'));
-  const ajv = new Ajv2020({ strict:false, allErrors:true });
-  addFormats(ajv);
-  const validate = ajv.compile(baseSchema);
-  return validate;
+/**
+ * Sign receipts in place; they stay unsigned when the signer is unavailable (ingestion does not depend on it)
+ * @param {object[]} receipts
+ * @returns {Promise<object[]>} Batch root signatures (empty for a single receipt or on failure)
+ */
+async function signReceipts(receipts){
+  if (!RECEIPTS || !receipts.length) {return [];}
+  try {
+    if (receipts.length === 1){
+      const { key_id, signed_at, signature } = await postJson(SIGNER_ORIGIN, '/sign', { payload: receiptPayload(receipts[0]) });
+      Object.assign(receipts[0], { key_id, signed_at, signature });
+      return [];
+    }
+    const roots = [];
+    for (let i = 0; i < receipts.length; i += RECEIPT_BATCH_MAX){
+      const chunk = receipts.slice(i, i + RECEIPT_BATCH_MAX);
+      const batch = await postJson(SIGNER_ORIGIN, '/sign-batch', { items: chunk.map(receiptPayload) });
+      chunk.forEach((r, j)=> Object.assign(r, { key_id: batch.key_id, signed_at: batch.signed_at, signature: batch.items[j].signature }));
+      roots.push(batch.root);
+    }
+    return roots;
+  } catch {
+    return [];
+  }
 }
 
 async function tryLoadPipelineHash(){
@@ -74,28 +156,15 @@ async function tryLoadPipelineHash(){
   return { schema_version, pipeline_hash, event_names };
 }
 
-function redactFeedbackMeta(evt){
-  if (!evt || !evt.meta) {return { redacted:false };}
-  let redacted=false;
-  for (const key of ['text','message']){
-    if (typeof evt.meta[key] === 'string'){
-      const before = evt.meta[key];
-      let v = before.replace(EMAIL_RE,'[email]');
-      v = v.replace(PHONE_RE,'[phone]');
-      if (v !== before){ evt.meta[key] = v; redacted=true; }
-    }
-  }
-  return { redacted };
-}
-
 function prepareEvent(evt){
-  // Compute event_hash if missing
+  // Set event_hash over the event as it stands; a client-supplied hash is never kept (it is unverified and may cover
+  // fields rewritten since, e.g. the raw session_id)
   const clone = JSON.parse(JSON.stringify(evt));
   if (clone.integrity) {delete clone.integrity.event_hash;}
   const canon = canonicalStringify(clone);
   const digest = sha256Hex(canon);
   if (!evt.integrity) {evt.integrity = {};}
-  if (!evt.integrity.event_hash) {evt.integrity.event_hash = digest;}
+  evt.integrity.event_hash = digest;
   return { digest };
 }
 
@@ -117,92 +186,300 @@ function ensureDefaults(evt, defaults){
 }
 
 async function start(){
-  const validate = await loadValidator();
+  const schemas = await createSchemaRegistry();
   const defaults = await tryLoadPipelineHash();
-  const { validators: metaValidators } = compileMetaValidators();
+  const privacyPolicy = await loadPrivacyPolicy(process.env.COLLECTOR_PRIVACY_POLICY);
+  const quarantine = await createQuarantineStore({ dataDir: DATA_DIR });
+  const sessions = await createSessionPseudonymizer();
+  // One pipeline for /ingest and /ingest-batch: defaults, event_hash, whitelist, schema, per-event meta validation
+  // (advisory) and the privacy policy (blocked events are quarantined here). Mutates evt
+  async function checkEvent(evt){
+    if (!evt || typeof evt !== 'object' || Array.isArray(evt)) {return { status:'INVALID_EVENT' };}
+    ensureDefaults(evt, defaults);
+    await sessions.refresh();
+    sessions.apply(evt);
+    // Compute event_hash before validation because schema requires it
+    prepareEvent(evt);
+    // Enforce whitelist when available
+    if (Array.isArray(defaults.event_names) && defaults.event_names.length>0 && !defaults.event_names.includes(evt.event_name)){
+      return { status:'UNKNOWN_EVENT', event_name: evt.event_name };
+    }
+    const schema = schemas.resolve(evt.schema_version);
+    if (!schema) {return { status:'UNSUPPORTED_SCHEMA_VERSION', schema_version: evt.schema_version, supported: schemas.supported() };}
+    if (!schema.validate(evt)) {return { status:'SCHEMA_ERROR', errors: schema.validate.errors };}
+    let meta_valid = true; let meta_errors = undefined;
+    const mv = schema.metaValidators.get(evt.event_name);
+    if (mv){
+      meta_valid = mv(evt.meta || {});
+      if (!meta_valid) {meta_errors = mv.errors;}
+    }
+    const result = applyPrivacyPolicy(evt, privacyPolicy);
+    await quarantine.record(result);
+    const privacy = { action: result.action, categories: result.categories };
+    if (result.action === 'BLOCK') {return { status:'PRIVACY_BLOCKED', privacy, quarantine_id: await quarantine.hold(result) };}
+    // Hash the stored form: a hash over removed PII would not match the stored event and would fingerprint that PII
+    const { digest: eventHash } = prepareEvent(evt);
+    return { status:'VALID', event_hash: eventHash, privacy, meta_valid, meta_errors };
+  }
+  // Legacy events hold raw session ids: pseudonymise them and hash the stored form
+  const store = await createEventStore({ dataDir: DATA_DIR, importTransform: evt => {
+    if (sessions.apply(evt)) {prepareEvent(evt);}
+    return evt;
+  } });
+  const dedup = await DedupIndex.load(DEDUP_PATH, { max: DEDUP_MAX, windowMs: DEDUP_WINDOW_MS });
+  // Events stored after the last snapshot (e.g. before a crash) are re-seeded from the segments still open at that time
+  for await (const { partition, event } of store.eventsSince(dedup.savedAt ?? Date.now() - DEDUP_WINDOW_MS)){
+    const eventHash = event.integrity?.event_hash || null;
+    dedup.remember(dedupKeys({ eventId: event.event_id, eventHash }), { event_id: event.event_id || null, event_hash: eventHash, partition, stored_utc: null }, { keepExisting: true });
+  }
+  let dedupSaving = Promise.resolve();
+  const saveDedup = ()=> (dedupSaving = dedupSaving.then(()=>dedup.save(DEDUP_PATH)));
+  async function storeOnce(evt, idempotencyKey){
+    const keys = dedupKeys({ idempotencyKey, eventId: evt.event_id, eventHash: evt.integrity?.event_hash });
+    const hit = dedup.lookup(keys);
+    if (hit) {return { duplicate_of: hit.kind, receipt: hit.receipt };}
+    // Claim the keys before the first await so a concurrent retry sees them
+    const receipt = { type: RECEIPT_TYPE, event_id: evt.event_id, event_hash: evt.integrity.event_hash, partition: null, index: null, leaf_hash: null, stored_utc: null };
+    dedup.remember(keys, receipt);
+    try {
+      const { partition, index, leaf_hash } = await store.append(evt);
+      Object.assign(receipt, { partition, index, leaf_hash, stored_utc: new Date().toISOString() });
+    } catch (e) {
+      dedup.forget(keys);
+      throw e;
+    }
+    if (dedup.pending >= DEDUP_SAVE_EVERY) {await saveDedup();}
+    return { receipt };
+  }
+  const seals = await loadSeals(SEALS_PATH);
+  let sealing = Promise.resolve();
+  // Seal partitions whose leaf count grew since their last seal; serialized so seals of a partition stay in order
+  function sealPartitions(){
+    const run = sealing.then(async ()=>{
+      const report = { sealed_utc: new Date().toISOString(), sealed: [], unchanged: 0 };
+      for (const [partition, size] of Object.entries(store.leafCounts()).sort()){
+        const previous = seals.get(partition)?.statement || null;
+        if (!size || previous?.tree_size === size) { report.unchanged++; continue; }
+        const statement = sealStatement({ partition, leaves: await store.leafHashes(partition, size), previous, sealedUtc: report.sealed_utc });
+        const signed = await postJson(SIGNER_ORIGIN, '/sign', { payload: statement });
+        const entry = ANCHOR ? await postJson(CHAIN_ORIGIN, '/append', { canonical: signed.canonical, signature: signed.signature, key_id: signed.key_id }) : null;
+        const seal = { statement, canonical: signed.canonical, signature: signed.signature, key_id: signed.key_id, signed_at: signed.signed_at, chain_anchor: entry ? { seq: entry.seq, entryHash: entry.entryHash } : null };
+        await appendSeal(SEALS_PATH, seal);
+        seals.set(partition, seal);
+        report.sealed.push({ partition, tree_size: size, merkle_root: statement.merkle_root, chain_seq: entry ? entry.seq : null });
+      }
+      return report;
+    });
+    sealing = run.catch(()=>{});
+    return run;
+  }
   const server = http.createServer(async (req,res)=>{
     try{
+      const url = new URL(req.url, 'http://collector');
       if (req.method==='GET' && req.url==='/health'){
         res.writeHead(200,{ 'content-type':'application/json' });
-        return res.end(JSON.stringify({ ok:true, pipeline_hash_loaded: !!defaults.pipeline_hash, schema_version: defaults.schema_version }));
+        return res.end(JSON.stringify({ ok:true, pipeline_hash_loaded: !!defaults.pipeline_hash, schema_version: defaults.schema_version, schema_versions: schemas.supported(), session_salt_epoch: sessions.epoch, min_cell_threshold: MIN_CELL_THRESHOLD, receipts: RECEIPTS, anchoring: ANCHOR, sealed_partitions: seals.size }));
+      }
+      if (req.method==='GET' && req.url==='/privacy/stats'){
+        res.writeHead(200,{ 'content-type':'application/json' });
+        return res.end(JSON.stringify(quarantine.stats()));
       }
       if (req.method==='GET' && req.url==='/stats'){
-        const exists = await fs.access(INGEST_PATH).then(()=>true).catch(()=>false);
-        if (!exists){ res.writeHead(200,{ 'content-type':'application/json' }); return res.end(JSON.stringify({ total:0, byEvent:{} })); }
-        const txt = await fs.readFile(INGEST_PATH,'utf8');
-        const lines = txt.split(/\r?\n/).filter(Boolean);
-        const byEvent = {};
-        for (const line of lines){
-          try{ const e = JSON.parse(line); byEvent[e.event_name] = (byEvent[e.event_name]||0)+1; }catch{}
+        res.writeHead(200,{ 'content-type':'application/json' });
+        return res.end(JSON.stringify(store.stats()));
+      }
+      if (req.method==='POST' && url.pathname==='/query'){
+        const raw = await readBody(req, { maxBytes: MAX_LINE_BYTES });
+        let query;
+        try { query = parseQuery(raw ? JSON.parse(raw) : {}, { threshold: MIN_CELL_THRESHOLD }); } catch (e) {
+          if (!(e instanceof QueryError) && !(e instanceof SyntaxError)) {throw e;}
+          res.writeHead(400,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ status:'INVALID_QUERY', error: e.message, field: e.field }));
         }
+        const events = (async function* (){
+          for await (const { event } of store.eventsSince(query.from === null ? -Infinity : query.from - QUERY_CLOCK_SKEW_MS)) {yield event;}
+        })();
+        const result = await runQuery(events, query);
         res.writeHead(200,{ 'content-type':'application/json' });
-        return res.end(JSON.stringify({ total: lines.length, byEvent }));
+        return res.end(JSON.stringify({ status:'OK', min_cell_threshold: query.threshold, dec: MIN_CELL_DEC, suppression: query.suppression, from: query.from === null ? null : new Date(query.from).toISOString(), to: query.to === null ? null : new Date(query.to).toISOString(), bucket: query.bucket, group_by: query.group_by, ...result }));
       }
-      if (req.method==='POST' && req.url==='/ingest'){
-        const body = await readJson(req);
-        const evt = body.event || body; // allow raw event
-        ensureDefaults(evt, defaults);
-        // Compute event_hash before validation because schema requires it
-        const { digest } = prepareEvent(evt);
-        // Enforce whitelist when available
-        if (Array.isArray(defaults.event_names) && defaults.event_names.length>0) {
-          if (!defaults.event_names.includes(evt.event_name)){
-            res.writeHead(400,{ 'content-type':'application/json' });
-            return res.end(JSON.stringify({ status:'UNKNOWN_EVENT', event_name: evt.event_name }));
-          }
+      if (req.method==='POST' && req.url==='/compact'){
+        const report = await store.compact();
+        res.writeHead(200,{ 'content-type':'application/json' });
+        return res.end(JSON.stringify({ status:'COMPACTED', ...report }));
+      }
+      if (req.method==='POST' && req.url==='/seal'){
+        const report = await sealPartitions();
+        res.writeHead(200,{ 'content-type':'application/json' });
+        return res.end(JSON.stringify({ status:'SEALED', ...report }));
+      }
+      if (req.method==='GET' && req.url==='/seals'){
+        res.writeHead(200,{ 'content-type':'application/json' });
+        return res.end(JSON.stringify({ seals: [...seals.values()] }));
+      }
+      if (req.method==='GET' && url.pathname==='/proof'){
+        const eventId = url.searchParams.get('event_id');
+        // Receipts are looked up through the dedup index, so event_id works within its window; partition+index always does
+        const receipt = eventId ? dedup.lookup(dedupKeys({ eventId }))?.receipt : null;
+        const partition = receipt ? receipt.partition : url.searchParams.get('partition');
+        const index = receipt ? receipt.index : Number(url.searchParams.get('index'));
+        if (!partition || !Number.isInteger(index) || index < 0){
+          res.writeHead(eventId ? 404 : 400,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ status: eventId ? 'UNKNOWN_EVENT_ID' : 'INVALID_QUERY' }));
         }
-        const ok = validate(evt);
-        if (!ok){ res.writeHead(400,{ 'content-type':'application/json' }); return res.end(JSON.stringify({ status:'SCHEMA_ERROR', errors: validate.errors })); }
-        const metaStr = JSON.stringify(evt.meta||{});
-        const prohibited = PROHIBITED_META_RE.test(metaStr);
-        // per-event meta validation (advisory)
-        let meta_valid = true; let meta_errors = undefined;
-        const mv = metaValidators.get(evt.event_name);
-        if (mv){
-          meta_valid = mv(evt.meta || {});
-          if (!meta_valid) {meta_errors = mv.errors;}
+        const seal = seals.get(partition);
+        if (!seal || index >= seal.statement.tree_size){
+          res.writeHead(404,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ status:'NOT_SEALED', partition, index, sealed_tree_size: seal ? seal.statement.tree_size : 0 }));
         }
-        if (/feedback/i.test(evt.event_name||'') || /feedback|message|text/i.test(metaStr)){
-          redactFeedbackMeta(evt);
+        const inclusion = inclusionFor(await store.leafHashes(partition, seal.statement.tree_size), index, seal);
+        res.writeHead(200,{ 'content-type':'application/json' });
+        return res.end(JSON.stringify({ type: PROOF_TYPE, ...(receipt ? { receipt } : {}), inclusion, seal }));
+      }
+      if (req.method==='POST' && url.pathname==='/ingest'){
+        const idempotencyKey = idempotencyKeyOf(req);
+        if (idempotencyKey === false){
+          res.writeHead(400,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ status:'INVALID_IDEMPOTENCY_KEY' }));
         }
-        await appendNdjson(evt);
+        const raw = await readBody(req, { maxBytes: MAX_LINE_BYTES });
+        const body = raw ? JSON.parse(raw) : {};
+        const evt = body.event || body; // allow raw event
+        const { status, ...checked } = await checkEvent(evt);
+        if (status !== 'VALID'){
+          res.writeHead(400,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ status, ...checked }));
+        }
+        const { duplicate_of, receipt } = await storeOnce(evt, idempotencyKey);
+        if (!duplicate_of) {await signReceipts([receipt]);}
         res.writeHead(200,{ 'content-type':'application/json' });
-        return res.end(JSON.stringify({ status:'INGESTED', event_hash: digest, prohibited_meta: !!prohibited, meta_valid, meta_errors }));
+        if (duplicate_of) {return res.end(JSON.stringify({ status:'DUPLICATE', duplicate_of, receipt }));}
+        return res.end(JSON.stringify({ status:'INGESTED', ...checked, receipt }));
       }
-      if (req.method==='POST' && req.url==='/ingest-batch'){
-        const raw = await readRaw(req);
-        let count=0, errors=0;
-        // Accept NDJSON or JSON array
-        const isJsonArray = raw.trim().startsWith('[');
-        const lines = isJsonArray? JSON.parse(raw) : raw.split(/\r?\n/).filter(Boolean).map(l=>{ try{return JSON.parse(l);}catch{return { __parse_error:true, raw:l};}});
-        for (const evt of lines){
-          if (!evt || evt.__parse_error){ errors++; continue; }
-          ensureDefaults(evt, defaults);
-          // Pre-compute event_hash so required field exists
-          prepareEvent(evt);
-          const ok = validate(evt);
-          if (!ok){ errors++; continue; }
-          if (/feedback/i.test(evt.event_name||'')) {redactFeedbackMeta(evt);}
-          await appendNdjson(evt);
-          count++;
+      if (req.method==='POST' && url.pathname==='/ingest-batch'){
+        const idempotencyKey = idempotencyKeyOf(req);
+        if (idempotencyKey === false){
+          res.writeHead(400,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ status:'INVALID_IDEMPOTENCY_KEY' }));
+        }
+        const batchKeys = dedupKeys({ idempotencyKey: idempotencyKey && `batch:${idempotencyKey}` });
+        const replay = dedup.lookup(batchKeys);
+        if (replay){
+          res.writeHead(200,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ status:'DUPLICATE', duplicate_of: replay.kind, receipt: replay.receipt }));
+        }
+        const strict = ['1','true'].includes(url.searchParams.get('strict'));
+        // Claim the key before the first await so a concurrent retry of the same batch sees it
+        const batchReceipt = { status:'BATCH_DONE', ingested: 0, duplicates: 0, errors: 0 };
+        if (batchKeys.length) {dedup.remember(batchKeys, batchReceipt);}
+        const receipts = [];
+        const items = [];
+        const storeItem = async (item, evt)=>{
+          const { duplicate_of, receipt } = await storeOnce(evt);
+          Object.assign(item, duplicate_of ? { status:'DUPLICATE', duplicate_of } : { status:'INGESTED' });
+          if (!duplicate_of) {receipts.push(receipt);}
+        };
+        try {
+          const { first, chunks } = await peekBody(bodyChunks(req, { maxBytes: MAX_BODY_BYTES }));
+          // Accept NDJSON or JSON array
+          let events;
+          if (first === 0x5b){ // '['
+            const parts = [];
+            for await (const chunk of chunks) {parts.push(chunk);}
+            try { events = JSON.parse(Buffer.concat(parts).toString('utf8')); } catch { events = null; }
+            if (!Array.isArray(events)){
+              dedup.forget(batchKeys);
+              res.writeHead(400,{ 'content-type':'application/json' });
+              return res.end(JSON.stringify({ status:'INVALID_BATCH', error:'body is not a JSON array' }));
+            }
+          } else {
+            events = ndjsonEvents(ndjsonLines(chunks, { maxLineBytes: MAX_LINE_BYTES }));
+          }
+          // Strict mode checks every item before storing anything, so it can refuse the batch as a whole
+          const held = [];
+          for await (const evt of events){
+            const { status, ...checked } = evt === PARSE_ERROR ? { status:'PARSE_ERROR' }
+              : evt === LINE_TOO_LARGE ? { status:'LINE_TOO_LARGE', limit: MAX_LINE_BYTES }
+                : await checkEvent(evt);
+            const item = { index: items.length, status, event_id: evt?.event_id, ...checked };
+            items.push(item);
+            if (status !== 'VALID') {continue;}
+            if (strict) {held.push([item, evt]);}
+            else {await storeItem(item, evt);}
+          }
+          if (strict && items.some(i=>i.status !== 'VALID')){
+            dedup.forget(batchKeys);
+            res.writeHead(422,{ 'content-type':'application/json' });
+            return res.end(JSON.stringify({ status:'BATCH_REJECTED', ingested: 0, errors: items.filter(i=>i.status !== 'VALID').length, items }));
+          }
+          for (const [item, evt] of held) {await storeItem(item, evt);}
+        } catch (e) {
+          // Let the client retry the key; events already stored are caught by their event_id / event_hash
+          dedup.forget(batchKeys);
+          if (!(e instanceof BodyError)) {throw e;}
+          // Items before the limit are answered (and stay stored outside strict mode)
+          e.partial = { ingested: items.filter(i=>i.status === 'INGESTED').length, items, receipts, receipt_roots: await signReceipts(receipts) };
+          throw e;
         }
+        const count = status => items.filter(i=>i.status === status).length;
+        const roots = await signReceipts(receipts);
+        // The remembered summary stays small (it lives in the bounded index and its snapshot): counts and the signed
+        // root statements, not the items and per-event receipts
+        Object.assign(batchReceipt, {
+          ingested: count('INGESTED'),
+          duplicates: count('DUPLICATE'),
+          errors: items.length - count('INGESTED') - count('DUPLICATE'),
+          items_total: items.length,
+          receipt_roots: roots.map(({ statement, signature })=> ({ statement, signature })),
+        });
         res.writeHead(200,{ 'content-type':'application/json' });
-        return res.end(JSON.stringify({ status:'BATCH_DONE', ingested: count, errors }));
+        return res.end(JSON.stringify({ ...batchReceipt, items, receipts, receipt_roots: roots }));
       }
       res.writeHead(404); res.end();
     }catch(e){
+      if (e instanceof BodyError){
+        // The rest of the body is not read: answer, then drop the connection
+        res.writeHead(e.status,{ 'content-type':'application/json', connection:'close' });
+        return res.end(JSON.stringify({ status: e.code, error: e.message, ...e.partial }), ()=> req.destroy());
+      }
       res.writeHead(500,{ 'content-type':'application/json' });
       res.end(JSON.stringify({ error: e.message }));
     }
   });
   server.listen(PORT, HOST, ()=> console.log(`[collector] listening on ${HOST}:${PORT}`));
+  const timer = COMPACT_INTERVAL_MS > 0
+    ? setInterval(()=> store.compact().catch(e=>console.error('[collector] compaction failed', e)), COMPACT_INTERVAL_MS)
+    : null;
+  const sealTimer = SEAL_INTERVAL_MS > 0
+    ? setInterval(()=> sealPartitions().catch(e=>console.error('[collector] sealing failed', e.message)), SEAL_INTERVAL_MS)
+    : null;
+  const shutdown = ()=>{
+    server.close();
+    if (timer) {clearInterval(timer);}
+    if (sealTimer) {clearInterval(sealTimer);}
+    // Write the final index and dedup snapshot so the next start needs no recount
+    Promise.all([store.close(), saveDedup(), quarantine.close()]).then(()=>process.exit(0), e=>{ console.error('[collector] close failed', e); process.exit(1); });
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
 }
 
-function readRaw(req){
-  return new Promise((resolve,reject)=>{ let b=''; req.on('data',d=>b+=d); req.on('end',()=>resolve(b)); req.on('error',reject); });
+/** Idempotency-Key header: undefined when absent, false when malformed */
+function idempotencyKeyOf(req){
+  const key = req.headers['idempotency-key'];
+  if (key === undefined) {return undefined;}
+  return typeof key === 'string' && key.length > 0 && key.length <= 255 ? key : false;
 }
-function readJson(req){
-  return new Promise((resolve,reject)=>{ let b=''; req.on('data',d=>b+=d); req.on('end',()=>{ try{ resolve(b? JSON.parse(b):{});} catch(e){ reject(e);} }); req.on('error',reject); });
+
+/** NDJSON lines to events: blank lines skipped, PARSE_ERROR for lines that are not JSON */
+async function* ndjsonEvents(lines){
+  for await (const line of lines){
+    if (line === LINE_TOO_LARGE) { yield line; continue; }
+    if (!line.trim()) {continue;}
+    let evt;
+    try { evt = JSON.parse(line); } catch { evt = PARSE_ERROR; }
+    yield evt;
+  }
 }
 
 start().catch(e=>{ console.error('[collector] fatal', e); process.exit(2); });
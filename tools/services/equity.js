@@ -10,7 +10,7 @@
  *  - GET /kpi/h1 -> contents of artifacts/h1-kpi-summary.json
  *  - GET /kpi/weekly -> contents of artifacts/weekly-trends.json
  *  - GET /feedback/monthly -> contents of artifacts/feedback-monthly-rollup.json
- *  - GET /revocations -> [] (placeholder, mirrors revocation service contract)
+ *  - GET /revocations -> entries of artifacts/revocation-list.json (same contract as the revocation service; [] until published)
  */
 import http from 'http';
 import { promises as fs } from 'fs';
@@ -133,9 +133,9 @@ async function start(){
         return res.end(JSON.stringify(data));
       }
       if (req.method==='GET' && req.url==='/revocations'){
-        // Placeholder: serve empty list or pass-through artifact if later added
+        const list = await readJson('artifacts/revocation-list.json');
         res.writeHead(200,{ 'content-type':'application/json' });
-        return res.end(JSON.stringify([]));
+        return res.end(JSON.stringify(Array.isArray(list?.entries) ? list.entries : []));
       }
       res.writeHead(404); res.end();
     } catch(e){
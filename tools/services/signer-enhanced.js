@@ -3,73 +3,81 @@
  * signer-enhanced.js
  * Enhanced signer service with integrated security, monitoring, and logging
  * Preserves original functionality while adding production-ready infrastructure layers
+ * Same routes and contract as signer.js, behind the infrastructure/ middleware (auth on everything but the public
+ * routes /health, /pubkey, /pubkeys and /rotations):
+ *  - GET /pubkeys and /rotations back the chain service's trust pinning exactly as signer.js does
+ *  - POST /sign { payload, format? } returns key_id, signed_at and signed_at_signature; format 'jws' a detached JWS
+ *  - POST /sign-batch { items, format? } signs through tools/lib/sign-batch.js; 413 above SIGNER_BATCH_MAX items
+ *  - POST /verify accepts signed_at and signed_at_signature; /rotate answers 409 rotation_in_progress while a rotation
+ *    is running and 502 anchor_failed when the chain anchor fails
  */
 
 import http from 'http';
-import { promises as fs } from 'fs';
-import { generateKeyPairSync } from 'crypto';
 import crypto from 'crypto';
-import { createAuthMiddleware } from '../infrastructure/auth/auth-middleware.js';
-import { createValidationMiddleware, createGeneralValidationMiddleware } from '../infrastructure/security/input-validator.js';
-import { createRateLimitMiddleware } from '../infrastructure/security/rate-limiter.js';
-import { createMetricsMiddleware, trackSigningOperation } from '../infrastructure/monitoring/metrics-collector.js';
-import { logger, createLoggingMiddleware } from '../infrastructure/monitoring/structured-logger.js';
+import { canonicalize } from '../lib/canonical.js';
+import { JWS_ALG, signDetachedJws } from '../lib/jws.js';
+import { createKmsProvider } from '../lib/kms.js';
+import { BATCH_FORMATS, signBatch } from '../lib/sign-batch.js';
+import {
+  DEFAULT_KEY_TTL_DAYS,
+  activeSigningKey,
+  anchorRotationRecord,
+  applyRotation,
+  loadKeyState,
+  planRotation,
+  publicKeyInfo,
+  saveKeyState,
+  signSigningTime,
+  verifyWithKeys,
+} from '../lib/signer-keys.js';
+import { createAuthMiddleware } from '../../infrastructure/auth/auth-middleware.js';
+import { createValidationMiddleware, createGeneralValidationMiddleware } from '../../infrastructure/security/input-validator.js';
+import { createRateLimitMiddleware } from '../../infrastructure/security/rate-limiter.js';
+import { createMetricsMiddleware, trackSigningOperation } from '../../infrastructure/monitoring/metrics-collector.js';
+import { logger, createLoggingMiddleware } from '../../infrastructure/monitoring/structured-logger.js';
 
 const PORT = process.env.SIGNER_PORT || 4601;
 const KEY_DIR = '.integrity';
 const KEYS_STATE = `${KEY_DIR}/keys.json`;
-
-// Original stable stringify functions (preserved exactly)
-function stableStringify(obj){
-  if (typeof obj === 'string') {return obj;}
-  const keys = Object.keys(obj).sort();
-  return '{' + keys.map(k=>`"${k}":${stableSerialize(obj[k])}`).join(',') + '}';
-}
-
-function stableSerialize(v){
-  if (v === null) {return 'null';}
-  if (Array.isArray(v)) {return '['+v.map(stableSerialize).join(',')+']';}
-  switch(typeof v){
-  case 'string': return JSON.stringify(v);
-  case 'number': return Number.isFinite(v)? String(v):'null';
-  case 'boolean': return v?'true':'false';
-  case 'object': return stableStringify(v);
-  default: return 'null';
-  }
-}
-
-// Original key management functions (preserved exactly)
-async function ensureKeys(){
-  await fs.mkdir(KEY_DIR,{recursive:true});
-  let state = null;
-  try { state = JSON.parse(await fs.readFile(KEYS_STATE,'utf8')); } catch { /* no-op */ }
-  if (!state || !Array.isArray(state.keys) || typeof state.activeIndex !== 'number'){
-    const { publicKey, privateKey } = generateKeyPairSync('ed25519');
-    state = { activeIndex: 0, keys: [
-      {
-        id: `k-${Date.now()}`,
-        privPem: privateKey.export({type:'pkcs8',format:'pem'}),
-        pubPem: publicKey.export({type:'spki',format:'pem'}),
-      },
-    ]};
-    await fs.writeFile(KEYS_STATE, JSON.stringify(state,null,2));
-  }
-  return state;
+const TTL_DAYS = process.env.SIGNER_KEY_TTL_DAYS !== undefined ? Number(process.env.SIGNER_KEY_TTL_DAYS) : DEFAULT_KEY_TTL_DAYS;
+const CHAIN_ORIGIN = process.env.CHAIN_ORIGIN || 'http://127.0.0.1:4602';
+const ANCHOR = process.env.SIGNER_ROTATION_ANCHOR !== '0';
+const BATCH_MAX = Number(process.env.SIGNER_BATCH_MAX || 1000);
+// Public key material only; the chain service pins its trust to /pubkeys
+const PUBLIC_PATHS = ['/health', '/pubkey', '/pubkeys', '/rotations'];
+
+// Key state and lifecycle shared with signer.js (tools/lib/signer-keys.js); private keys are KMS-wrapped
+// at rest (SIGNER_KMS, tools/lib/kms.js) and unwrapped once, at startup
+let keyStatePromise = null;
+// One rotation at a time: a second /rotate while one is being anchored would plan from the same old key
+let rotating = false;
+const kmsPromise = createKmsProvider();
+function ensureKeys(){
+  if (!keyStatePromise) {keyStatePromise = kmsPromise.then(kms=>loadKeyState(KEYS_STATE, { kms, ttlDays: TTL_DAYS }));}
+  return keyStatePromise;
 }
 
 async function signPayload(payload, privPem) {
-  const canonical = stableStringify(payload);
+  const canonical = canonicalize(payload);
   const hash_sha256 = crypto.createHash('sha256').update(canonical).digest('hex');
   const privateKey = crypto.createPrivateKey(privPem);
   const signature = crypto.sign(null, Buffer.from(canonical), privateKey).toString('base64');
   return { canonical, hash_sha256, signature, alg: 'Ed25519' };
 }
 
+// RFC 7515 detached JWS over the canonical payload (tools/lib/jws.js), as signer.js format 'jws'
+function signJws(payload, key) {
+  const canonical = canonicalize(payload);
+  const hash_sha256 = crypto.createHash('sha256').update(canonical).digest('hex');
+  const jws = signDetachedJws(key.privPem, canonical, { alg: JWS_ALG, kid: key.id });
+  return { canonical, hash_sha256, jws, alg: JWS_ALG };
+}
+
 // Enhanced middleware stack
 const authMiddleware = createAuthMiddleware({
   requireAuth: true,
   allowedRoles: ['admin', 'operator'],
-  bypassPaths: ['/health', '/pubkey'],
+  bypassPaths: PUBLIC_PATHS,
 });
 
 const validationMiddleware = createGeneralValidationMiddleware();
@@ -111,7 +119,7 @@ async function handleRequest(req, res) {
     });
 
     // Skip auth for public endpoints
-    if (req.url !== '/pubkey' && req.url !== '/health') {
+    if (!PUBLIC_PATHS.includes(req.url)) {
       await new Promise((resolve, reject) => {
         authMiddleware(req, res, (err) => {
           if (err) {reject(err);}
@@ -135,7 +143,7 @@ async function handleRequest(req, res) {
     return;
   }
 
-  // Original signer logic (preserved exactly)
+  // Original signer logic; signing and verification honour key validity windows
   const state = await ensureKeys();
   const activeKey = state.keys[state.activeIndex];
 
@@ -148,95 +156,166 @@ async function handleRequest(req, res) {
     trackSigningOperation('pubkey_request', 'success');
 
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ publicKeyPem: activeKey.pubPem }));
+    res.end(JSON.stringify({ publicKeyPem: activeKey.pubPem, key_id: activeKey.id }));
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/pubkeys') {
+    trackSigningOperation('pubkey_request', 'success');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ activeIndex: state.activeIndex, keys: state.keys.map(publicKeyInfo) }));
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/rotations') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ rotations: state.rotations }));
     return;
   }
 
   if (req.method === 'POST' && req.url === '/sign') {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', async () => {
-      try {
-        const { payload } = JSON.parse(body);
+    try {
+      const { payload = {}, format = 'raw' } = req.body || {};
+      if (!BATCH_FORMATS.includes(format)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: `format must be one of ${BATCH_FORMATS.join('|')}` }));
+        return;
+      }
+      const signedAt = new Date().toISOString();
+      const { key: signingKey, error: keyError } = activeSigningKey(state, signedAt);
+      if (!signingKey) {
+        trackSigningOperation('sign', 'error');
+        res.writeHead(409, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: keyError, key_id: activeKey.id }));
+        return;
+      }
 
-        await logger.audit('Signature operation initiated', {
-          requestId: req.requestId,
-          user: req.user?.id,
-          keyId: activeKey.id,
-          payloadHash: crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex'),
-        });
+      await logger.audit('Signature operation initiated', {
+        requestId: req.requestId,
+        user: req.user?.id,
+        keyId: signingKey.id,
+        payloadHash: crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex'),
+      });
 
-        const result = await signPayload(payload, activeKey.privPem);
+      const signed = format === 'jws' ? signJws(payload, signingKey) : await signPayload(payload, signingKey.privPem);
+      const result = { ...signed, key_id: signingKey.id, signed_at: signedAt, signed_at_signature: signSigningTime(signingKey, signed.canonical, signedAt) };
 
-        trackSigningOperation('sign', 'success');
+      trackSigningOperation('sign', 'success');
 
-        await logger.info('Signature operation completed', {
-          requestId: req.requestId,
-          signatureHash: crypto.createHash('sha256').update(result.signature).digest('hex'),
-        });
+      await logger.info('Signature operation completed', {
+        requestId: req.requestId,
+        signatureHash: crypto.createHash('sha256').update(result.signature || result.jws).digest('hex'),
+      });
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(result));
-      } catch (error) {
-        trackSigningOperation('sign', 'error');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    } catch (error) {
+      trackSigningOperation('sign', 'error');
 
-        await logger.error('Signature operation failed', {
-          requestId: req.requestId,
-          error: error.message,
-        }, error);
+      await logger.error('Signature operation failed', {
+        requestId: req.requestId,
+        error: error.message,
+      }, error);
 
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid payload' }));
-      }
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid payload' }));
+    }
+    return;
+  }
+
+  if (req.method === 'POST' && req.url === '/sign-batch') {
+    const { items, format = 'raw' } = req.body || {};
+    if (!Array.isArray(items) || items.length === 0 || !BATCH_FORMATS.includes(format)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `items (non-empty array) required, format one of ${BATCH_FORMATS.join('|')}` }));
+      return;
+    }
+    if (items.length > BATCH_MAX) {
+      res.writeHead(413, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'batch_too_large', max: BATCH_MAX }));
+      return;
+    }
+    const signedAt = new Date().toISOString();
+    const { key: signingKey, error: keyError } = activeSigningKey(state, signedAt);
+    if (!signingKey) {
+      trackSigningOperation('sign_batch', 'error');
+      res.writeHead(409, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: keyError, key_id: activeKey.id }));
+      return;
+    }
+    const batch = signBatch(items, { sign: data => crypto.sign(null, Buffer.from(data, 'utf8'), signingKey.privPem).toString('base64'), keyId: signingKey.id, signedAt, format });
+    trackSigningOperation('sign_batch', 'success');
+    await logger.audit('Batch signature completed', {
+      requestId: req.requestId,
+      user: req.user?.id,
+      keyId: signingKey.id,
+      items: items.length,
+      root: batch.root.statement.merkle_root,
     });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(batch));
     return;
   }
 
   if (req.method === 'POST' && req.url === '/verify') {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', async () => {
-      try {
-        const { canonical, signature, publicKeyPem } = JSON.parse(body);
-        const publicKey = crypto.createPublicKey(publicKeyPem || activeKey.pubPem);
-        const verified = crypto.verify(null, Buffer.from(canonical), publicKey, Buffer.from(signature, 'base64'));
+    try {
+      const { canonical, signature, publicKeyPem, key_id, signed_at, signed_at_signature } = req.body || {};
+      if (!canonical || !signature) {throw new Error('canonical & signature required');}
+      let verified;
+      let result = null;
+      if (publicKeyPem) {
+        verified = crypto.verify(null, Buffer.from(canonical), crypto.createPublicKey(publicKeyPem), Buffer.from(signature, 'base64'));
+      } else {
+        if (signed_at !== undefined && Number.isNaN(Date.parse(signed_at))) {throw new Error('signed_at must be an ISO timestamp');}
+        result = verifyWithKeys(state.keys, { canonical, signature, key_id, signed_at, signed_at_signature });
+        verified = result.verified;
+      }
 
-        trackSigningOperation('verify', verified ? 'success' : 'failed');
+      trackSigningOperation('verify', verified ? 'success' : 'failed');
 
-        await logger.info('Signature verification completed', {
-          requestId: req.requestId,
-          verified: verified,
-        });
+      await logger.info('Signature verification completed', {
+        requestId: req.requestId,
+        verified: verified,
+      });
 
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ verified }));
-      } catch (error) {
-        trackSigningOperation('verify', 'error');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result || { verified }));
+    } catch (error) {
+      trackSigningOperation('verify', 'error');
 
-        await logger.error('Signature verification failed', {
-          requestId: req.requestId,
-          error: error.message,
-        }, error);
+      await logger.error('Signature verification failed', {
+        requestId: req.requestId,
+        error: error.message,
+      }, error);
 
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: 'Invalid verification request' }));
-      }
-    });
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid verification request' }));
+    }
     return;
   }
 
   if (req.method === 'POST' && req.url === '/rotate') {
+    if (rotating) {
+      res.writeHead(409, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'rotation_in_progress' }));
+      return;
+    }
+    rotating = true;
     try {
-      const { publicKey, privateKey } = generateKeyPairSync('ed25519');
-      const newKey = {
-        id: `k-${Date.now()}`,
-        privPem: privateKey.export({type:'pkcs8',format:'pem'}),
-        pubPem: publicKey.export({type:'spki',format:'pem'}),
-      };
-
-      state.keys.push(newKey);
-      state.activeIndex = state.keys.length - 1;
-      await fs.writeFile(KEYS_STATE, JSON.stringify(state, null, 2));
+      const plan = planRotation(state, { ttlDays: TTL_DAYS, reason: typeof req.body?.reason === 'string' ? req.body.reason : null });
+      const newKey = plan.newKey;
+      let anchor;
+      try {
+        anchor = ANCHOR ? await anchorRotationRecord(plan.record, activeKey, CHAIN_ORIGIN) : null;
+      } catch (error) {
+        trackSigningOperation('rotate', 'error');
+        await logger.error('Key rotation not anchored', { requestId: req.requestId, error: error.message }, error);
+        res.writeHead(502, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'anchor_failed', message: error.message }));
+        return;
+      }
+      const rotation = applyRotation(state, plan, anchor);
+      await saveKeyState(KEYS_STATE, state, await kmsPromise);
 
       trackSigningOperation('rotate', 'success');
 
@@ -252,6 +331,7 @@ async function handleRequest(req, res) {
         rotated: true,
         newKeyId: newKey.id,
         publicKeyPem: newKey.pubPem,
+        rotation,
       }));
     } catch (error) {
       trackSigningOperation('rotate', 'error');
@@ -263,6 +343,8 @@ async function handleRequest(req, res) {
 
       res.writeHead(500, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ error: 'Key rotation failed' }));
+    } finally {
+      rotating = false;
     }
     return;
   }
@@ -286,6 +368,9 @@ async function handleRequest(req, res) {
 
 // Enhanced HTTP server with proper error handling
 const server = http.createServer((req, res) => {
+  // The infrastructure/ middleware answers Express-style (res.status(code).json(body))
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { if (!res.headersSent) {res.setHeader('Content-Type', 'application/json');} res.end(JSON.stringify(body)); return res; };
   // Parse request body for POST requests
   if (req.method === 'POST') {
     let body = '';
@@ -322,6 +407,12 @@ const server = http.createServer((req, res) => {
 
 // Start server
 server.listen(PORT, '127.0.0.1', async () => {
+  try {
+    await ensureKeys();
+  } catch (error) {
+    await logger.error('Signer key state unavailable', { error: error.message }, error);
+    process.exit(2);
+  }
   await logger.info('Enhanced signer service started', {
     port: PORT,
     version: '1.1.0-enhanced',
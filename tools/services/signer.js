@@ -1,108 +1,162 @@
 #!/usr/bin/env node
 /**
  * signer.js
- * Minimal Ed25519 signer service (in-memory key) for baseline trust primitive.
- * NOT production ready (no HSM, no rotation). Endpoints:
- *  - GET  /pubkey  => { publicKeyPem }
- *  - POST /sign    => { canonical, hash_sha256, signature, alg }
- *  - POST /verify  => { verified }
- * Canonicalization: deterministic JSON (sorted keys).
+ * Minimal Ed25519 signer service for baseline trust primitive. Keys live in .integrity/keys.json, private keys
+ * only as KMS envelopes (tools/lib/kms.js) unwrapped in memory at startup. Key lifecycle: tools/lib/signer-keys.js. Endpoints:
+ *  - GET  /pubkey    => { publicKeyPem, key_id }
+ *  - GET  /pubkeys   => { activeIndex, keys:[{ id, publicKeyPem, status, not_before, not_after }] } (trust source for the chain service)
+ *  - GET  /rotations => { rotations:[{ statement, signatures:[{key_id, signature}], retired_utc, chain_anchor }] }
+ *  - POST /sign      { payload, format? } => { canonical, hash_sha256, signature, alg, key_id, signed_at, signed_at_signature };
+ *                    409 when the active key is outside its window; signed_at_signature signs the SIGNING_TIME statement
+ *                    binding hash_sha256, key_id and signed_at (tools/lib/signer-keys.js)
+ *                    format 'jws': { canonical, hash_sha256, jws, alg:'EdDSA', key_id, signed_at, signed_at_signature } (RFC 7515 detached JWS, tools/lib/jws.js)
+ *  - POST /sign-batch { items:[payload...], format? } => { alg, format, key_id, signed_at, items:[{ index, canonical, hash_sha256,
+ *                    signature|jws, audit_path }], root:{ statement, canonical, signature, jws? } } (tools/lib/sign-batch.js);
+ *                    root.statement commits to the Merkle root of the item canonicals; 413 above SIGNER_BATCH_MAX items
+ *  - POST /verify    { canonical, signature, key_id?, signed_at?, signed_at_signature? } => { verified, key_id, reason }
+ *                    (reason: key_unknown | signature_invalid | outside_key_validity | signed_at_required |
+ *                    signed_at_unattested; signed_at defaults to now, except for a retired key, whose signatures need the
+ *                    signed_at and signed_at_signature returned by /sign; a signed_at without its signature is refused)
+ *  - POST /rotate    { reason? } => { ok, activeIndex, key_id, rotation }; the rotation statement is signed by the
+ *                    old and new keys and anchored in the chain (signed by the old key) before the new key goes live
+ * Canonicalization: deterministic JSON (sorted keys), tools/lib/canonical.js.
+ * Env: SIGNER_PORT, SIGNER_HOST, SIGNER_KEY_TTL_DAYS (default 365, 0 = no expiry), CHAIN_ORIGIN, SIGNER_BATCH_MAX (default 1000),
+ *      SIGNER_ROTATION_ANCHOR=0 (skip chain anchoring, dev only), SIGNER_KMS (dev-kms-mock|file-hsm|env, see tools/lib/kms.js)
  */
 import http from 'http';
-import { promises as fs } from 'fs';
-import { generateKeyPairSync } from 'crypto';
 import crypto from 'crypto';
+import { canonicalize } from '../lib/canonical.js';
+import { JWS_ALG, detachedJws, jwsSigningInput } from '../lib/jws.js';
+import { createKmsProvider } from '../lib/kms.js';
+import { BATCH_FORMATS, signBatch } from '../lib/sign-batch.js';
+import {
+  DEFAULT_KEY_TTL_DAYS,
+  activeSigningKey,
+  anchorRotationRecord,
+  applyRotation,
+  loadKeyState,
+  planRotation,
+  publicKeyInfo,
+  saveKeyState,
+  signSigningTime,
+  verifyWithKeys,
+} from '../lib/signer-keys.js';
 
 const PORT = process.env.SIGNER_PORT || 4601;
 const HOST = process.env.SIGNER_HOST || '0.0.0.0';
 const KEY_DIR = '.integrity';
 const KEYS_STATE = `${KEY_DIR}/keys.json`;
-
-function stableStringify(obj){
-  if (typeof obj === 'string') {return obj;}
-  const keys = Object.keys(obj).sort();
-  return '{' + keys.map(k=>`"${k}":${stableSerialize(obj[k])}`).join(',') + '}';
-}
-function stableSerialize(v){
-  if (v === null) {return 'null';}
-  if (Array.isArray(v)) {return '['+v.map(stableSerialize).join(',')+']';}
-  switch(typeof v){
-  case 'string': return JSON.stringify(v);
-  case 'number': return Number.isFinite(v)? String(v):'null';
-  case 'boolean': return v?'true':'false';
-  case 'object': return stableStringify(v);
-  default: return 'null';
-  }
-}
-
-async function ensureKeys(){
-  await fs.mkdir(KEY_DIR,{recursive:true});
-  let state = null;
-  try { state = JSON.parse(await fs.readFile(KEYS_STATE,'utf8')); } catch { /* no-op */ }
-  if (!state || !Array.isArray(state.keys) || typeof state.activeIndex !== 'number'){
-    const { publicKey, privateKey } = generateKeyPairSync('ed25519');
-    state = { activeIndex: 0, keys: [
-      {
-        id: `k-${Date.now()}`,
-        privPem: privateKey.export({type:'pkcs8',format:'pem'}),
-        pubPem: publicKey.export({type:'spki',format:'pem'}),
-      },
-    ]};
-    await fs.writeFile(KEYS_STATE, JSON.stringify(state,null,2));
-  }
-  return state;
-}
+const TTL_DAYS = process.env.SIGNER_KEY_TTL_DAYS !== undefined ? Number(process.env.SIGNER_KEY_TTL_DAYS) : DEFAULT_KEY_TTL_DAYS;
+const CHAIN_ORIGIN = process.env.CHAIN_ORIGIN || 'http://127.0.0.1:4602';
+const ANCHOR = process.env.SIGNER_ROTATION_ANCHOR !== '0';
+const BATCH_MAX = Number(process.env.SIGNER_BATCH_MAX || 1000);
 
 function signCanonical(privPem, canonical){
   return crypto.sign(null, Buffer.from(canonical,'utf8'), privPem).toString('base64');
 }
-function verifyCanonical(pubPem, canonical, sigB64){
-  return crypto.verify(null, Buffer.from(canonical,'utf8'), pubPem, Buffer.from(sigB64,'base64'));
-}
 
 async function start(){
-  const state = await ensureKeys();
+  const kms = await createKmsProvider();
+  const state = await loadKeyState(KEYS_STATE, { kms, ttlDays: TTL_DAYS });
+  let rotating = false;
   const server = http.createServer(async (req,res)=>{
     try {
       if (req.method === 'GET' && req.url === '/pubkey'){
         res.writeHead(200,{ 'content-type':'application/json' });
         const active = state.keys[state.activeIndex];
-        return res.end(JSON.stringify({ publicKeyPem: active.pubPem }));
+        return res.end(JSON.stringify({ publicKeyPem: active.pubPem, key_id: active.id }));
       }
       if (req.method === 'GET' && req.url === '/pubkeys'){
         res.writeHead(200,{ 'content-type':'application/json' });
-        return res.end(JSON.stringify({ activeIndex: state.activeIndex, keys: state.keys.map(k=>({ id:k.id, publicKeyPem: k.pubPem })) }));
+        return res.end(JSON.stringify({ activeIndex: state.activeIndex, keys: state.keys.map(publicKeyInfo) }));
+      }
+      if (req.method === 'GET' && req.url === '/rotations'){
+        res.writeHead(200,{ 'content-type':'application/json' });
+        return res.end(JSON.stringify({ rotations: state.rotations }));
       }
       if (req.method === 'POST' && req.url === '/sign'){
         const body = await readBody(req);
-        const { payload = {} } = body;
-        const canonical = typeof payload === 'string'? payload : stableStringify(payload);
+        const { payload = {}, format = 'raw' } = body;
+        if (!BATCH_FORMATS.includes(format)){
+          res.writeHead(400,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ error:`format must be one of ${BATCH_FORMATS.join('|')}` }));
+        }
+        const canonical = typeof payload === 'string'? payload : canonicalize(payload);
         const hash = crypto.createHash('sha256').update(canonical).digest('hex');
-        const active = state.keys[state.activeIndex];
+        const signedAt = new Date().toISOString();
+        const { key: active, error } = activeSigningKey(state, signedAt);
+        if (!active){
+          res.writeHead(409,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ error, key_id: state.keys[state.activeIndex]?.id || null }));
+        }
+        res.writeHead(200,{ 'content-type':'application/json' });
+        if (format === 'jws'){
+          const input = jwsSigningInput({ alg: JWS_ALG, kid: active.id }, canonical);
+          const jws = detachedJws(input, signCanonical(active.privPem, input));
+          return res.end(JSON.stringify({ canonical, hash_sha256: hash, jws, alg: JWS_ALG, key_id: active.id, signed_at: signedAt, signed_at_signature: signSigningTime(active, canonical, signedAt) }));
+        }
         const signature = signCanonical(active.privPem, canonical);
+        return res.end(JSON.stringify({ canonical, hash_sha256: hash, signature, alg: 'Ed25519', key_id: active.id, signed_at: signedAt, signed_at_signature: signSigningTime(active, canonical, signedAt) }));
+      }
+      if (req.method === 'POST' && req.url === '/sign-batch'){
+        const body = await readBody(req);
+        const { items, format = 'raw' } = body;
+        if (!Array.isArray(items) || items.length === 0 || !BATCH_FORMATS.includes(format)){
+          res.writeHead(400,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ error:`items (non-empty array) required, format one of ${BATCH_FORMATS.join('|')}` }));
+        }
+        if (items.length > BATCH_MAX){
+          res.writeHead(413,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ error:'batch_too_large', max: BATCH_MAX }));
+        }
+        const signedAt = new Date().toISOString();
+        const { key: active, error } = activeSigningKey(state, signedAt);
+        if (!active){
+          res.writeHead(409,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ error, key_id: state.keys[state.activeIndex]?.id || null }));
+        }
+        const batch = signBatch(items, { sign: data => signCanonical(active.privPem, data), keyId: active.id, signedAt, format });
         res.writeHead(200,{ 'content-type':'application/json' });
-        return res.end(JSON.stringify({ canonical, hash_sha256: hash, signature, alg: 'Ed25519' }));
+        return res.end(JSON.stringify(batch));
       }
       if (req.method === 'POST' && req.url === '/rotate'){
-        // generate new key and set active; keep old keys for verify
-        const { publicKey, privateKey } = generateKeyPairSync('ed25519');
-        state.keys.push({ id:`k-${Date.now()}`, privPem: privateKey.export({type:'pkcs8',format:'pem'}), pubPem: publicKey.export({type:'spki',format:'pem'}) });
-        state.activeIndex = state.keys.length - 1;
-        await fs.writeFile(KEYS_STATE, JSON.stringify(state,null,2));
-        res.writeHead(200,{ 'content-type':'application/json' });
-        return res.end(JSON.stringify({ ok:true, activeIndex: state.activeIndex }));
+        if (rotating){
+          res.writeHead(409,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ error:'rotation_in_progress' }));
+        }
+        rotating = true;
+        try {
+          const body = await readBody(req);
+          const oldKey = state.keys[state.activeIndex];
+          const plan = planRotation(state, { ttlDays: TTL_DAYS, reason: typeof body.reason === 'string' ? body.reason : null });
+          let anchor;
+          try { anchor = ANCHOR ? await anchorRotationRecord(plan.record, oldKey, CHAIN_ORIGIN) : null; }
+          catch (e){
+            res.writeHead(502,{ 'content-type':'application/json' });
+            return res.end(JSON.stringify({ error:'anchor_failed', message: e.message }));
+          }
+          const rotation = applyRotation(state, plan, anchor);
+          await saveKeyState(KEYS_STATE, state, kms);
+          res.writeHead(200,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ ok:true, activeIndex: state.activeIndex, key_id: plan.newKey.id, rotation }));
+        } finally {
+          rotating = false;
+        }
       }
       if (req.method === 'POST' && req.url === '/verify'){
         const body = await readBody(req);
-        const { canonical, signature } = body;
+        const { canonical, signature, key_id, signed_at, signed_at_signature } = body;
         if (!canonical || !signature){
           res.writeHead(400,{ 'content-type':'application/json' });
           return res.end(JSON.stringify({ error:'canonical & signature required'}));
         }
-        // try verify with all known keys
-        const verified = state.keys.some(k=> verifyCanonical(k.pubPem, canonical, signature));
+        if (signed_at !== undefined && Number.isNaN(Date.parse(signed_at))){
+          res.writeHead(400,{ 'content-type':'application/json' });
+          return res.end(JSON.stringify({ error:'signed_at must be an ISO timestamp'}));
+        }
+        const result = verifyWithKeys(state.keys, { canonical, signature, key_id, signed_at, signed_at_signature });
         res.writeHead(200,{ 'content-type':'application/json' });
-        return res.end(JSON.stringify({ verified }));
+        return res.end(JSON.stringify(result));
       }
       res.writeHead(404); res.end();
     } catch(e){
@@ -110,7 +164,7 @@ async function start(){
       res.end(JSON.stringify({ error: e.message }));
     }
   });
-  server.listen(PORT, HOST, ()=> console.log(`[signer] listening on ${HOST}:${PORT}`));
+  server.listen(PORT, HOST, ()=> console.log(`[signer] listening on ${HOST}:${PORT} (kms ${kms.name})`));
 }
 
 function readBody(req){
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * chain-entry-v2.test.js
+ * Unit tests for tools/lib/chain-entry.js (v2 full-entry linkage, mixed v1/v2 verify)
+ * and the v1 -> v2 re-anchoring in tools/chain-migrate-v2.js.
+ */
+import assert from 'assert';
+import crypto from 'crypto';
+import { buildEntry, computeEntryHash, verifyChainEntries } from '../lib/chain-entry.js';
+import { migrateEntries } from '../chain-migrate-v2.js';
+import { currentEpoch } from '../lib/chain-store.js';
+
+const sha256 = s => crypto.createHash('sha256').update(s, 'utf8').digest('hex');
+
+function v1Chain(n) {
+  const chain = [];
+  for (let i = 0; i < n; i++) {
+    const canonical = JSON.stringify({ n: i });
+    chain.push({ seq: i, prevHash: i ? chain[i - 1].contentHash : null, contentHash: sha256(canonical), signature: `sig-${i}`, canonical, ts: `2025-08-2${i}T00:00:00.000Z` });
+  }
+  return chain;
+}
+
+function v2Chain(n, start = []) {
+  const chain = [...start];
+  for (let i = 0; i < n; i++) {
+    chain.push(buildEntry({ prev: chain[chain.length - 1] || null, canonical: JSON.stringify({ k: i }), signature: `s-${i}`, ts: `2025-09-0${i + 1}T00:00:00.000Z` }));
+  }
+  return chain;
+}
+
+// v2 - links prevHash to entryHash of previous entry
+{
+  const chain = v2Chain(3);
+  assert(chain[0].prevHash === null, 'genesis prevHash should be null');
+  assert(chain[1].prevHash === chain[0].entryHash, 'prevHash should equal previous entryHash');
+  assert(chain[2].entryHash === computeEntryHash(chain[2]), 'entryHash should be recomputable');
+  assert(verifyChainEntries(chain).ok, 'fresh v2 chain should verify');
+}
+
+// v2 - detects rewritten ts, signature and seq
+{
+  for (const field of ['ts', 'signature', 'seq']) {
+    const chain = v2Chain(3);
+    chain[1][field] = field === 'seq' ? 7 : 'tampered';
+    const res = verifyChainEntries(chain);
+    assert(!res.ok, `tampered ${field} should fail`);
+    assert(res.issues.some(i => i.code === 'ENTRY_HASH_MISMATCH'), `tampered ${field} should report ENTRY_HASH_MISMATCH`);
+  }
+}
+
+// v2 - detects recomputed entryHash through the next link
+{
+  const chain = v2Chain(3);
+  chain[1].ts = 'tampered';
+  chain[1].entryHash = computeEntryHash(chain[1]);
+  const res = verifyChainEntries(chain);
+  assert(res.issues.some(i => i.code === 'PREV_HASH_MISMATCH' && i.seq === 2), 'next entry should no longer link');
+}
+
+// v1 - legacy chain still verifies as a single v1 segment
+{
+  const res = verifyChainEntries(v1Chain(4));
+  assert(res.ok, 'v1 chain should verify');
+  assert(res.segments.length === 1 && res.segments[0].version === 1, 'expected one v1 segment');
+}
+
+// mixed - v1 segment followed by v2 segment verifies
+{
+  const chain = v2Chain(2, v1Chain(3));
+  const res = verifyChainEntries(chain);
+  assert(res.ok, `mixed chain should verify: ${JSON.stringify(res.issues)}`);
+  assert(res.segments.length === 2 && res.segments[1].from === 3, 'expected v2 segment starting at seq 3');
+}
+
+// mixed - v1 entry after v2 entry is a downgrade
+{
+  const chain = v2Chain(2);
+  const canonical = '{"late":true}';
+  chain.push({ seq: 2, prevHash: chain[1].contentHash, contentHash: sha256(canonical), signature: 'x', canonical, ts: 'now' });
+  assert(verifyChainEntries(chain).issues.some(i => i.code === 'VERSION_DOWNGRADE'), 'expected VERSION_DOWNGRADE');
+}
+
+// migrate - re-anchors v1 chain into verifying v2 chain
+{
+  const legacy = v1Chain(5);
+  const migrated = migrateEntries(legacy);
+  const res = verifyChainEntries(migrated);
+  assert(res.ok, 'migrated chain should verify');
+  assert(migrated.every((e, i) => e.v === 2 && e.signature === legacy[i].signature && e.ts === legacy[i].ts), 'payload fields should be preserved');
+}
+
+// migrate - currentEpoch drops entries before the last genesis
+{
+  const stale = v1Chain(3).map(e => ({ ...e, seq: e.seq + 30 }));
+  const epoch = currentEpoch([...stale, ...v1Chain(2)]);
+  assert(epoch.length === 2 && epoch[0].seq === 0, 'expected only the latest epoch');
+}
+
+console.log('[test] chain-entry-v2 OK');
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * chain-store.test.js
+ * Adapter tests for tools/lib/chain-store.js: file (temp dir), sqlite (better-sqlite3) and postgres (pg-mem pool).
+ * Each backend must append in seq order, reject conflicting seqs, page with range() and survive a reload.
+ */
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildEntry } from '../lib/chain-entry.js';
+import { FileChainStore, SeqConflictError, createChainStore } from '../lib/chain-store.js';
+
+function entries(n) {
+  const chain = [];
+  for (let i = 0; i < n; i++) {
+    chain.push(buildEntry({ prev: chain[chain.length - 1] || null, canonical: JSON.stringify({ n: i }), signature: `sig-${i}`, ts: `2025-09-01T00:00:0${i % 10}.000Z` }));
+  }
+  return chain;
+}
+
+async function exercise(store, label) {
+  const chain = entries(5);
+  for (const e of chain) { await store.append(e); }
+  assert(await store.length() === 5, `${label}: expected length 5`);
+  assert((await store.head()).entryHash === chain[4].entryHash, `${label}: head should be last entry`);
+  const page = await store.range(2, 2);
+  assert(page.length === 2 && page[0].seq === 2 && page[1].seq === 3, `${label}: range(2,2) should return seq 2..3`);
+  assert((await store.range(4, 10)).length === 1, `${label}: range past the end should be truncated`);
+  let conflict = null;
+  try { await store.append({ ...chain[4], seq: 3 }); } catch (e) { conflict = e; }
+  assert(conflict instanceof SeqConflictError && conflict.expected === 5, `${label}: duplicate seq should throw SeqConflictError`);
+  conflict = null;
+  try { await store.append({ ...chain[4], seq: 9 }); } catch (e) { conflict = e; }
+  assert(conflict instanceof SeqConflictError, `${label}: gap seq should throw SeqConflictError`);
+  await store.reload();
+  const all = await store.all();
+  assert(all.length === 5 && all.every((e, i) => e.entryHash === chain[i].entryHash), `${label}: entries should round-trip unchanged`);
+}
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'chain-store-'));
+
+// file - append, conflict, range and reload
+{
+  const store = await createChainStore({ backend: 'file', dataDir: path.join(tmp, 'file'), snapshotEvery: 2 });
+  await exercise(store, 'file');
+  await store.close();
+}
+
+// file - replays log tail written after the last snapshot
+{
+  const dataDir = path.join(tmp, 'replay');
+  const store = await new FileChainStore({ dataDir, snapshotEvery: 3 }).init();
+  for (const e of entries(5)) { await store.append(e); }
+  const snapshot = JSON.parse(await fs.readFile(path.join(dataDir, 'chain.json'), 'utf8'));
+  assert(snapshot.length === 3, 'snapshot should hold the first checkpoint only');
+  const reopened = await new FileChainStore({ dataDir }).init();
+  assert(await reopened.length() === 5, 'reopened store should replay the log tail');
+  const head = JSON.parse(await fs.readFile(path.join(dataDir, 'chain-head.json'), 'utf8'));
+  assert(head.seq === 4, 'head file should track the last append');
+}
+
+// sqlite - append, conflict, range and reload
+{
+  const store = await createChainStore({ backend: 'sqlite', sqlitePath: path.join(tmp, 'chain.sqlite') });
+  await exercise(store, 'sqlite');
+  await store.close();
+  const reopened = await createChainStore({ backend: 'sqlite', sqlitePath: path.join(tmp, 'chain.sqlite') });
+  assert(await reopened.length() === 5, 'sqlite: data should persist across connections');
+  await reopened.close();
+}
+
+// postgres - append, conflict, range and reload (pg-mem)
+{
+  const { newDb } = await import('pg-mem');
+  const { Pool } = newDb().adapters.createPg();
+  const store = await createChainStore({ backend: 'postgres', pool: new Pool() });
+  await exercise(store, 'postgres');
+  await store.close();
+}
+
+await fs.rm(tmp, { recursive: true, force: true });
+
+console.log('[test] chain-store OK');
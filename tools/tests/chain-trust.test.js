@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * chain-trust.test.js
+ * Unit tests for tools/lib/chain-trust.js (key pinning, retirement boundaries, per-seq signature checks)
+ */
+import assert from 'assert';
+import crypto from 'crypto';
+import { buildEntry } from '../lib/chain-entry.js';
+import {
+  emptyTrustStore,
+  findTrustedKey,
+  mergeTrustedKeys,
+  normalizeKeys,
+  verifyEntrySignatures,
+} from '../lib/chain-trust.js';
+
+function keypair(id) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  return { id, privateKey, publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }) };
+}
+
+function append(chain, key, payload) {
+  const canonical = JSON.stringify(payload);
+  const signature = crypto.sign(null, Buffer.from(canonical), key.privateKey).toString('base64');
+  chain.push(buildEntry({ prev: chain[chain.length - 1] || null, canonical, signature, extra: { key_id: key.id } }));
+}
+
+const k1 = keypair('k-1');
+const k2 = keypair('k-2');
+const signerDoc = (activeIndex, ...keys) => ({ activeIndex, keys: keys.map(k => ({ id: k.id, publicKeyPem: k.publicKeyPem })) });
+
+// normalizeKeys - non-active signer keys are treated as retired
+{
+  const keys = normalizeKeys(signerDoc(1, k1, k2));
+  assert(keys[0].status === 'retired' && keys[1].status === 'active', 'status should follow activeIndex');
+}
+
+// mergeTrustedKeys - pins new keys and retires at chain length
+{
+  const store = emptyTrustStore('test');
+  mergeTrustedKeys(store, normalizeKeys(signerDoc(0, k1)), 0);
+  const changes = mergeTrustedKeys(store, normalizeKeys(signerDoc(1, k1, k2)), 5);
+  assert(changes.added.includes('k-2') && changes.retired.includes('k-1'), 'expected k-2 added and k-1 retired');
+  assert(findTrustedKey(store, { key_id: 'k-1' }).retired_at_seq === 5, 'k-1 should retire at seq 5');
+}
+
+// mergeTrustedKeys - ignores a different PEM for a pinned id
+{
+  const store = emptyTrustStore('test');
+  mergeTrustedKeys(store, normalizeKeys(signerDoc(0, k1)), 0);
+  const impostor = { ...k2, id: 'k-1' };
+  const changes = mergeTrustedKeys(store, normalizeKeys(signerDoc(0, impostor)), 3);
+  assert(changes.conflicts.includes('k-1'), 'expected conflict');
+  assert(findTrustedKey(store, { key_id: 'k-1' }).publicKeyPem === k1.publicKeyPem.trim(), 'pinned PEM must not change');
+}
+
+// findTrustedKey - resolves legacy callers by PEM
+{
+  const store = emptyTrustStore('test');
+  mergeTrustedKeys(store, normalizeKeys(signerDoc(0, k1)), 0);
+  assert(findTrustedKey(store, { publicKeyPem: k1.publicKeyPem + '\n' })?.id === 'k-1', 'PEM lookup should ignore trailing whitespace');
+  assert(findTrustedKey(store, { publicKeyPem: k2.publicKeyPem }) === null, 'unknown PEM should not resolve');
+}
+
+// verifyEntrySignatures - accepts signatures inside each key window
+{
+  const store = emptyTrustStore('test');
+  mergeTrustedKeys(store, normalizeKeys(signerDoc(0, k1)), 0);
+  const chain = [];
+  append(chain, k1, { n: 0 });
+  append(chain, k1, { n: 1 });
+  mergeTrustedKeys(store, normalizeKeys(signerDoc(1, k1, k2)), chain.length);
+  append(chain, k2, { n: 2 });
+  const res = verifyEntrySignatures(chain, store);
+  assert(!res.skipped && res.issues.length === 0, `unexpected issues ${JSON.stringify(res.issues)}`);
+}
+
+// verifyEntrySignatures - flags retired, unknown and forged signatures
+{
+  const store = emptyTrustStore('test');
+  mergeTrustedKeys(store, normalizeKeys(signerDoc(1, k1, k2)), 0);
+  const chain = [];
+  append(chain, k1, { n: 0 });
+  append(chain, keypair('k-x'), { n: 1 });
+  append(chain, k2, { n: 2 });
+  chain[2].signature = chain[0].signature;
+  const codes = verifyEntrySignatures(chain, store).issues.map(i => i.code);
+  assert(codes.includes('SIGNER_KEY_RETIRED'), 'expected SIGNER_KEY_RETIRED');
+  assert(codes.includes('SIGNER_KEY_UNKNOWN'), 'expected SIGNER_KEY_UNKNOWN');
+  assert(codes.includes('SIGNATURE_INVALID'), 'expected SIGNATURE_INVALID');
+}
+
+// verifyEntrySignatures - skipped when no keys are trusted
+{
+  const res = verifyEntrySignatures([], emptyTrustStore());
+  assert(res.skipped === true, 'expected skipped');
+}
+
+console.log('[test] chain-trust OK');
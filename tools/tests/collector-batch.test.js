@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * collector-batch.test.js
+ * /ingest-batch runs the same checks as /ingest (whitelist, schema, meta validation, privacy policy),
+ * reports every item and refuses the whole batch in strict mode (runs the collector on a test port with a temp data dir)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import { httpRequest, startCollector } from './helpers/services.js';
+
+const PORT = 4641; // use test port to avoid conflicts
+
+const event = (extra = {}) => ({ event_name: 'pub_landing_impression', event_id: randomUUID(), meta: {}, ...extra });
+const ndjson = events => events.map(e => (typeof e === 'string' ? e : JSON.stringify(e))).join('\n');
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'collector-batch-'));
+const collector = startCollector(PORT, tmp);
+try {
+  if (!await collector.ready) {throw new Error('collector did not start');}
+
+  // batch - same rules as /ingest, status per item
+  {
+    const unknown = event({ event_name: 'pub_not_in_schema' });
+    const single = await httpRequest(PORT, '/ingest', 'POST', unknown);
+    assert(single.status === 400 && single.json.status === 'UNKNOWN_EVENT', 'single ingest refuses unknown names');
+    const good = event({ meta: { text: 'reach me at someone@example.org' } });
+    const res = await httpRequest(PORT, '/ingest-batch', 'POST', ndjson([good, unknown, event({ occurred_at: 'not-a-date' }), '{oops', good]));
+    assert(res.status === 200 && res.json.status === 'BATCH_DONE', `batch ${JSON.stringify(res.json)}`);
+    assert(res.json.items.map(i => i.status).join() === 'INGESTED,UNKNOWN_EVENT,SCHEMA_ERROR,PARSE_ERROR,DUPLICATE', `statuses ${res.json.items.map(i => i.status)}`);
+    assert(res.json.items.every((item, index) => item.index === index), 'items keep their batch index');
+    assert(res.json.items[2].errors.length && res.json.ingested === 1 && res.json.duplicates === 1 && res.json.errors === 3, 'errors and counts reported');
+    const stored = await fs.readFile(path.join(tmp, 'events', (await fs.readdir(path.join(tmp, 'events'))).find(f => f.endsWith('.ndjson'))), 'utf8');
+    assert(stored.includes('[CONTACT_EMAIL]') && !stored.includes('someone@example.org'), 'contact details redacted in batches too');
+  }
+
+  // batch - privacy policy result per item
+  {
+    const res = await httpRequest(PORT, '/ingest-batch', 'POST', [event({ meta: { note: 'NIK 3174012345678901' } }), event({ meta: { score: 'address' } })]);
+    assert(res.json.items[0].status === 'PRIVACY_BLOCKED' && res.json.items[0].quarantine_id, `items ${JSON.stringify(res.json.items)}`);
+    assert(res.json.items[1].status === 'INGESTED' && res.json.items[1].privacy.action === 'ALLOW', 'plain words are not PII');
+  }
+
+  // strict - one bad item rejects the whole batch, nothing stored
+  {
+    const before = (await httpRequest(PORT, '/stats')).json.total;
+    const good = event();
+    const rejected = await httpRequest(PORT, '/ingest-batch?strict=1', 'POST', ndjson([good, event({ event_name: 'pub_not_in_schema' })]), { 'idempotency-key': 'strict-1' });
+    assert(rejected.status === 422 && rejected.json.status === 'BATCH_REJECTED', `strict ${JSON.stringify(rejected.json)}`);
+    assert(rejected.json.items[0].status === 'VALID' && rejected.json.items[1].status === 'UNKNOWN_EVENT', 'failing item named');
+    assert((await httpRequest(PORT, '/stats')).json.total === before, 'nothing stored');
+    const fixed = await httpRequest(PORT, '/ingest-batch?strict=1', 'POST', ndjson([good]), { 'idempotency-key': 'strict-1' });
+    assert(fixed.status === 200 && fixed.json.ingested === 1, 'corrected batch accepted under the same key');
+  }
+
+  // batch - malformed JSON array refused
+  {
+    const res = await httpRequest(PORT, '/ingest-batch', 'POST', '[{"event_name":');
+    assert(res.status === 400 && res.json.status === 'INVALID_BATCH', `malformed ${JSON.stringify(res.json)}`);
+  }
+} finally {
+  collector.child.kill('SIGKILL');
+  await fs.rm(tmp, { recursive: true, force: true });
+}
+
+console.log('[test] collector-batch OK');
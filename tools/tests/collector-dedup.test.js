@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * collector-dedup.test.js
+ * Idempotent ingestion: tools/lib/dedup-index.js bounds and snapshots, and the collector's DUPLICATE handling for
+ * event_id, integrity.event_hash and Idempotency-Key (runs the collector on a test port with a temp data dir)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import { DedupIndex, dedupKeys } from '../lib/dedup-index.js';
+import { httpRequest, startCollector } from './helpers/services.js';
+
+const PORT = 4640; // use test port to avoid conflicts
+
+const event = (extra = {}) => ({ event_name: 'pub_landing_impression', event_id: randomUUID(), meta: {}, ...extra });
+
+// dedup index - window expiry, size bound and snapshot round-trip
+{
+  let now = 0;
+  const index = new DedupIndex({ max: 3, windowMs: 1000, now: () => now });
+  index.remember(dedupKeys({ eventId: 'a', eventHash: 'ha' }), { event_id: 'a' });
+  assert(index.lookup(dedupKeys({ eventHash: 'ha' })).receipt.event_id === 'a', 'hash key should find the receipt');
+  index.remember(dedupKeys({ eventId: 'b' }), { event_id: 'b' });
+  index.remember(dedupKeys({ eventId: 'c' }), { event_id: 'c' });
+  assert(index.size === 3 && !index.lookup(dedupKeys({ eventId: 'a' })), 'oldest keys evicted beyond max');
+  now = 1500;
+  index.remember(dedupKeys({ eventId: 'd' }), { event_id: 'd' });
+  assert(!index.lookup(dedupKeys({ eventId: 'b' })) && index.lookup(dedupKeys({ eventId: 'd' })), 'keys older than the window expire');
+  const file = path.join(os.tmpdir(), `dedup-${randomUUID()}.json`);
+  await index.save(file);
+  const loaded = await DedupIndex.load(file, { max: 3, windowMs: 1000, now: () => now });
+  assert(loaded.lookup(dedupKeys({ eventId: 'd' }))?.kind === 'event_id' && loaded.savedAt === 1500, 'snapshot should restore keys');
+  await fs.rm(file, { force: true });
+}
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'collector-dedup-'));
+let collector = startCollector(PORT, tmp);
+try {
+  if (!await collector.ready) {throw new Error('collector did not start');}
+
+  // ingest - replayed event_id returns the original receipt; a claimed event_hash is not trusted
+  {
+    const evt = event();
+    const first = await httpRequest(PORT, '/ingest', 'POST', evt);
+    assert(first.json.status === 'INGESTED' && first.json.receipt.partition, `first ingest ${JSON.stringify(first.json)}`);
+    const again = await httpRequest(PORT, '/ingest', 'POST', { ...evt, meta: { note: 'retry' } });
+    assert(again.json.status === 'DUPLICATE' && again.json.duplicate_of === 'event_id', `retry ${JSON.stringify(again.json)}`);
+    assert(again.json.receipt.event_hash === first.json.receipt.event_hash && again.json.receipt.stored_utc === first.json.receipt.stored_utc, 'original receipt expected');
+    const claimed = await httpRequest(PORT, '/ingest', 'POST', event({ integrity: { event_hash: first.json.receipt.event_hash } }));
+    assert(claimed.json.status === 'INGESTED' && claimed.json.receipt.event_hash !== first.json.receipt.event_hash, 'client-supplied event_hash is replaced, not used as a dedup key');
+    assert((await httpRequest(PORT, '/stats')).json.total === 2, 'duplicates must not be counted');
+  }
+
+  // ingest - Idempotency-Key replays, malformed key refused
+  {
+    const key = randomUUID();
+    const first = await httpRequest(PORT, '/ingest', 'POST', event(), { 'idempotency-key': key });
+    const second = await httpRequest(PORT, '/ingest', 'POST', event(), { 'idempotency-key': key });
+    assert(first.json.status === 'INGESTED' && second.json.status === 'DUPLICATE' && second.json.duplicate_of === 'idempotency_key', 'key replay');
+    assert(second.json.receipt.event_id === first.json.receipt.event_id, 'receipt of the first request');
+    const bad = await httpRequest(PORT, '/ingest', 'POST', event(), { 'idempotency-key': 'x'.repeat(300) });
+    assert(bad.status === 400 && bad.json.status === 'INVALID_IDEMPOTENCY_KEY', 'overlong key');
+  }
+
+  // batch - duplicates inside and across batches skipped, batch key replays the receipt
+  {
+    const a = event(); const b = event();
+    const ndjson = [a, a, b].map(e => JSON.stringify(e)).join('\n');
+    const first = await httpRequest(PORT, '/ingest-batch', 'POST', ndjson, { 'idempotency-key': 'batch-1' });
+    assert(first.json.ingested === 2 && first.json.duplicates === 1, `first batch ${JSON.stringify(first.json)}`);
+    const replay = await httpRequest(PORT, '/ingest-batch', 'POST', ndjson, { 'idempotency-key': 'batch-1' });
+    assert(replay.json.status === 'DUPLICATE' && replay.json.receipt.ingested === 2 && replay.json.receipt.items_total === 3, 'batch key replay');
+    assert(!('items' in replay.json.receipt) && !('receipts' in replay.json.receipt), 'only the batch summary is remembered');
+    assert(first.json.items.length === 3 && first.json.receipts.length === 2, 'first response keeps items and receipts');
+    const unkeyed = await httpRequest(PORT, '/ingest-batch', 'POST', ndjson);
+    assert(unkeyed.json.ingested === 0 && unkeyed.json.duplicates === 3, 'events already stored');
+  }
+
+  // restart - keys survive a crash via segment re-seeding
+  {
+    const evt = event();
+    await httpRequest(PORT, '/ingest', 'POST', evt);
+    const total = (await httpRequest(PORT, '/stats')).json.total;
+    collector.child.kill('SIGKILL');
+    await new Promise(r => collector.child.once('exit', r));
+    collector = startCollector(PORT, tmp);
+    if (!await collector.ready) {throw new Error('collector did not restart');}
+    const again = await httpRequest(PORT, '/ingest', 'POST', evt);
+    assert(again.json.status === 'DUPLICATE', `after restart ${JSON.stringify(again.json)}`);
+    assert((await httpRequest(PORT, '/stats')).json.total === total, 'count unchanged');
+  }
+} finally {
+  collector.child.kill('SIGKILL');
+  await fs.rm(tmp, { recursive: true, force: true });
+}
+
+console.log('[test] collector-dedup OK');
@@ -3,8 +3,11 @@
  * collector-integration.test.js
  * Requires collector service to be running (script: service:collector)
  * Sends valid and invalid events, asserts schema validation and event_hash injection.
- * Writes artifacts/collector-integration-report.json
+ * Writes artifacts/collector-integration-report.json. A collector started inline stores its events in a temp
+ * EVENTS_DATA_DIR and is stopped at the end.
  */
+import os from 'os';
+import path from 'path';
 import { promises as fs } from 'fs';
 import { spawn } from 'child_process';
 
@@ -42,15 +45,24 @@ async function main(){
   await fs.mkdir('artifacts',{recursive:true});
   let ready = await waitForHealth(1200);
   let proc;
+  let dataDir;
+  const finish = async code => {
+    proc?.kill();
+    if (dataDir) {await fs.rm(dataDir, { recursive: true, force: true });}
+    process.exit(code);
+  };
   if (!ready){
     // Try to start collector inline
-    proc = spawn(process.execPath, ['tools/services/collector.js'], { stdio:'ignore' });
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'collector-integration-'));
+    // Same pipeline hash (and so no whitelist fallback) as with the default data dir
+    await fs.copyFile('artifacts/event-pipeline-hash.json', path.join(dataDir, 'event-pipeline-hash.json')).catch(()=>{});
+    proc = spawn(process.execPath, ['tools/services/collector.js'], { env: { ...process.env, EVENTS_DATA_DIR: dataDir }, stdio:'ignore' });
     ready = await waitForHealth(3000);
   }
   if (!ready){
     await fs.writeFile('artifacts/collector-integration-report.json', JSON.stringify({ version:1, status:'SKIP', reason:'collector not reachable' }, null, 2));
     console.log('[collector-integration] collector not reachable, skipping');
-    process.exit(0);
+    return finish(0);
   }
   const validEvent = { event_name:'pub_hero_view', occurred_at: new Date().toISOString(), received_at: new Date().toISOString(), meta:{ path:'/' } };
   const invalidEvent = { event_name:'unknown_event', occurred_at:'not-a-date', received_at:'also-bad' };
@@ -60,7 +72,7 @@ async function main(){
   await fs.writeFile('artifacts/collector-integration-report.json', JSON.stringify(report,null,2));
   const ok = r1.status===200 && r1.json?.status==='INGESTED' && typeof r1.json.event_hash==='string' && r2.status===400;
   console.log('[collector-integration] ok=', ok);
-  process.exit(ok?0:2);
+  return finish(ok?0:2);
 }
 
 main().catch(e=>{ console.error('[collector-integration] error', e); process.exit(2); });
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * collector-privacy.test.js
+ * Blocking privacy policy: shared pii-scan patterns with configured actions (tools/lib/pii-patterns.js,
+ * tools/lib/privacy-policy.js), quarantine of blocked events and per-category counters on the collector
+ * (runs the collector on a test port with a temp data dir)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createHash, randomUUID } from 'crypto';
+import { categoryActions } from '../lib/pii-patterns.js';
+import { applyPrivacyPolicy } from '../lib/privacy-policy.js';
+import { readStoredEvents } from '../lib/event-store.js';
+import { canonicalize } from '../lib/canonical.js';
+import { httpRequest, startCollector } from './helpers/services.js';
+
+const PORT = 4642; // use test port to avoid conflicts
+
+const event = (extra = {}) => ({ event_name: 'pub_landing_impression', event_id: randomUUID(), meta: {}, ...extra });
+const policy = cfg => ({ hash_salt: 'test-salt', sample_truncate_chars: 3, ...cfg, actionFor: categoryActions(cfg) });
+
+// policy - most severe action wins, redact and mask rewrite meta
+{
+  const evt = { meta: { text: 'mail a.b@example.org', nested: [{ where: 'Jalan Merdeka No 5' }], score: 'rating' } };
+  const result = applyPrivacyPolicy(evt, policy({}));
+  assert(result.action === 'REDACT' && result.categories.some(c => c.code === 'ADDRESS_STREET' && c.action === 'MASK'), `result ${JSON.stringify(result)}`);
+  assert(evt.meta.text === 'mail [CONTACT_EMAIL]' && /^Jal…#[0-9a-f]{8}$/.test(evt.meta.nested[0].where), `meta ${JSON.stringify(evt.meta)}`);
+  assert(evt.meta.score === 'rating', 'innocent words untouched');
+}
+
+// policy - block keeps meta intact and returns a masked quarantine copy
+{
+  const evt = { event_id: 'e1', meta: { note: 'lokasi -6.200000, 106.816666' } };
+  const result = applyPrivacyPolicy(evt, policy({}));
+  assert(result.action === 'BLOCK' && result.categories[0].code === 'GEO_FINE', `result ${JSON.stringify(result)}`);
+  assert(evt.meta.note.includes('106.816666') && !result.quarantine.meta.note.includes('106.816666'), 'only the quarantine copy is masked');
+  const withHash = applyPrivacyPolicy({ ...evt, integrity: { event_hash: 'raw', schema_version_ack: '1.0' } }, policy({}));
+  assert(!('event_hash' in withHash.quarantine.integrity) && withHash.quarantine.integrity.schema_version_ack === '1.0', 'raw event_hash not kept');
+}
+
+// policy - referrer is scanned like meta
+{
+  const evt = { referrer: 'https://example.org/?email=siti@example.org', meta: {} };
+  const result = applyPrivacyPolicy(evt, policy({}));
+  assert(result.action === 'REDACT' && evt.referrer === 'https://example.org/?email=[CONTACT_EMAIL]', `referrer ${evt.referrer}`);
+  const blocked = { referrer: 'https://maps.example/?q=-6.200000,106.816666', meta: {} };
+  const held = applyPrivacyPolicy(blocked, policy({}));
+  assert(held.action === 'BLOCK' && !held.quarantine.referrer.includes('106.816666') && blocked.referrer.includes('106.816666'), `blocked ${JSON.stringify(held)}`);
+  const noReferrer = { meta: { text: 'mail a@example.org' } };
+  applyPrivacyPolicy(noReferrer, policy({}));
+  assert(!('referrer' in noReferrer), 'absent referrer not added');
+}
+
+// policy - category actions come from the config
+{
+  const relaxed = policy({ category_actions: { GEO_FINE: 'WARN' } });
+  assert(applyPrivacyPolicy({ meta: { note: '-6.200000, 106.816666' } }, relaxed).action === 'WARN', 'configured action used');
+  let threw = false;
+  try { categoryActions({ category_actions: { GEO_FINE: 'IGNORE' } }); } catch { threw = true; }
+  assert(threw, 'unknown action refused');
+}
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'collector-privacy-'));
+const collector = startCollector(PORT, tmp);
+try {
+  if (!await collector.ready) {throw new Error('collector did not start');}
+
+  // collector - blocked event quarantined with its reason, not stored
+  {
+    const res = await httpRequest(PORT, '/ingest', 'POST', event({ meta: { note: 'Budi (7 tahun) ikut' } }));
+    assert(res.status === 400 && res.json.status === 'PRIVACY_BLOCKED' && res.json.privacy.categories[0].code === 'CHILD_NAME_AGE', `blocked ${JSON.stringify(res.json)}`);
+    assert((await httpRequest(PORT, '/stats')).json.total === 0, 'nothing stored');
+    const dir = path.join(tmp, 'privacy', 'quarantine');
+    const [record] = (await fs.readFile(path.join(dir, (await fs.readdir(dir))[0]), 'utf8')).trim().split('\n').map(l => JSON.parse(l));
+    assert(record.quarantine_id === res.json.quarantine_id && record.reason === 'PII_BLOCKED' && record.categories.join() === 'CHILD_NAME_AGE', `record ${JSON.stringify(record)}`);
+    assert(!JSON.stringify(record.event).includes('Budi (7 tahun)'), 'quarantine holds no readable PII');
+  }
+
+  // collector - per-category counters for the privacy dashboard
+  {
+    const ok = await httpRequest(PORT, '/ingest', 'POST', event({ meta: { text: 'call 081234567890' } }));
+    assert(ok.json.status === 'INGESTED' && ok.json.privacy.action === 'REDACT', `redacted ${JSON.stringify(ok.json)}`);
+    const stats = (await httpRequest(PORT, '/privacy/stats')).json;
+    assert(stats.scanned === 2 && stats.quarantined === 1 && stats.by_action.BLOCK === 1 && stats.by_action.REDACT === 1, `stats ${JSON.stringify(stats)}`);
+    assert(stats.by_category.CHILD_NAME_AGE.events === 1 && stats.by_category.CONTACT_PHONE.action === 'REDACT', 'categories counted');
+  }
+
+  // collector - redacted event stored with the event_hash of its stored form
+  {
+    const sent = event({ meta: { text: 'mail siti@example.org' } });
+    const rawHash = createHash('sha256').update(canonicalize({ ...sent, integrity: {} })).digest('hex');
+    const res = await httpRequest(PORT, '/ingest', 'POST', { ...sent, integrity: { event_hash: rawHash } });
+    assert(res.json.status === 'INGESTED' && res.json.privacy.action === 'REDACT', `ingest ${JSON.stringify(res.json)}`);
+    let stored = null;
+    for await (const e of readStoredEvents(tmp)) {if (e.event_id === sent.event_id) {stored = e;}}
+    assert(stored && stored.meta.text === 'mail [CONTACT_EMAIL]', `stored ${JSON.stringify(stored?.meta)}`);
+    const { event_hash: eventHash, ...integrity } = stored.integrity;
+    assert(eventHash === createHash('sha256').update(canonicalize({ ...stored, integrity })).digest('hex'), 'stored event re-hashes to its event_hash');
+    assert(eventHash !== rawHash && res.json.event_hash === eventHash, 'hash over the raw PII dropped');
+  }
+} finally {
+  collector.child.kill('SIGKILL');
+  await fs.rm(tmp, { recursive: true, force: true });
+}
+
+console.log('[test] collector-privacy OK');
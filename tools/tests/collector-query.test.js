@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * collector-query.test.js
+ * Query API: tools/lib/event-query.js parsing, buckets and the minimum cell threshold (coarsen / suppress), and the
+ * collector answering POST /query with cells that pass tools/policy-aggregation-threshold-enforce.js (runs the
+ * collector on a test port with a temp data dir and a threshold of 3)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { spawnSync } from 'child_process';
+import { randomUUID } from 'crypto';
+import { QueryError, applyMinCell, bucketKey, minCellThreshold, parseQuery } from '../lib/event-query.js';
+import { httpRequest, startCollector } from './helpers/services.js';
+
+const PORT = 4646; // use test port to avoid conflicts
+const THRESHOLD = 3;
+
+const refused = fn => { try { fn(); return null; } catch (e) { return e; } };
+const ids = cells => cells.map(c => `${c.id}:${c.count}`).join(',');
+
+// query parsing - identifiers not queryable, threshold only raised, ISO week buckets
+{
+  const q = parseQuery({ from: '2025-08-11T00:00:00Z', group_by: ['page', 'meta.section'], where: { event_name: ['pub_hero_view'] } }, { threshold: 20 });
+  assert(q.suppression === 'coarsen' && q.threshold === 20 && q.time_field === 'occurred_at' && q.where[0][1][0] === 'pub_hero_view', `parsed ${JSON.stringify(q)}`);
+  assert(refused(() => parseQuery({ group_by: ['session_id'] }, { threshold: 20 })) instanceof QueryError, 'session_id grouping refused');
+  assert(refused(() => parseQuery({ where: { event_id: 'x' } }, { threshold: 20 }))?.field === 'where', 'event_id filter refused');
+  assert(refused(() => parseQuery({ min_cell: 5 }, { threshold: 20 }))?.field === 'min_cell' && parseQuery({ min_cell: 50 }, { threshold: 20 }).threshold === 50, 'min_cell may only raise the threshold');
+  assert(minCellThreshold({}) === 20 && minCellThreshold({ POLICY_MIN_CELL_THRESHOLD: '7' }) === 7, 'policy threshold from env');
+  const week = d => bucketKey(Date.parse(`${d}T12:00:00Z`), 'week');
+  assert(week('2024-12-30') === '2025-W01' && week('2021-01-03') === '2020-W53' && week('2025-08-14') === '2025-W33', 'ISO weeks');
+  assert(bucketKey(Date.parse('2025-08-14T09:30:00Z'), 'hour') === '2025-08-14T09' && bucketKey(0, null) === 'all', 'hour and whole-window buckets');
+  const span = q => [q.from, q.to].map(ms => new Date(ms).toISOString()).join('/');
+  const narrow = { from: '2025-08-14T09:30:00.123Z', to: '2025-08-14T09:30:00.124Z' };
+  assert(span(parseQuery(narrow, { threshold: 20 })) === '2025-08-14T00:00:00.000Z/2025-08-15T00:00:00.000Z', 'whole days without a bucket');
+  assert(span(parseQuery({ ...narrow, bucket: 'hour' }, { threshold: 20 })) === '2025-08-14T09:00:00.000Z/2025-08-14T10:00:00.000Z', 'hours');
+  assert(span(parseQuery({ ...narrow, bucket: 'week' }, { threshold: 20 })) === '2025-08-11T00:00:00.000Z/2025-08-18T00:00:00.000Z', 'ISO weeks from Monday');
+  assert(span(parseQuery({ from: '2025-08-01T00:00:00Z', to: '2025-09-01T00:00:00Z', bucket: 'month' }, { threshold: 20 })) === '2025-08-01T00:00:00.000Z/2025-09-01T00:00:00.000Z', 'boundaries kept');
+}
+
+// min cell - small cells rolled up last dimension first, remainder suppressed
+{
+  const cell = (bucket, a, b, count) => ({ id: `${bucket}|a=${a}|b=${b}`, bucket, key: { a, b }, count });
+  const cells = [cell('d1', 'x', 'p', 5), cell('d1', 'x', 'q', 1), cell('d1', 'x', 'r', 2), cell('d1', 'y', 'p', 2), cell('d1', 'z', 'p', 1), cell('d2', 'x', 'p', 1)];
+  const coarse = applyMinCell(cells, { group_by: ['a', 'b'], suppression: 'coarsen', threshold: 3 });
+  assert(ids(coarse.cells) === 'd1|a=*|b=*:3,d1|a=x|b=*:3,d1|a=x|b=p:5', `cells ${ids(coarse.cells)}`);
+  assert(coarse.coarsened_cells === 4 && coarse.suppressed_cells === 1, `coarsened ${coarse.coarsened_cells} suppressed ${coarse.suppressed_cells}`);
+  assert(coarse.cells[0].rolled_up.join() === 'a,b' && !('b' in coarse.cells[1].key), 'rolled up dimensions named, not keyed');
+  const dropped = applyMinCell(cells, { group_by: ['a', 'b'], suppression: 'suppress', threshold: 3 });
+  assert(ids(dropped.cells) === 'd1|a=x|b=p:5' && dropped.suppressed_cells === 5 && dropped.coarsened_cells === 0, 'suppress mode');
+}
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'collector-query-'));
+const collector = startCollector(PORT, tmp, { POLICY_MIN_CELL_THRESHOLD: String(THRESHOLD) });
+try {
+  if (!await collector.ready) {throw new Error('collector did not start');}
+  const event = (page, occurred_at) => ({ event_name: 'pub_landing_impression', event_id: randomUUID(), page, occurred_at, meta: {} });
+  const seed = [
+    ...Array.from({ length: 4 }, () => event('landing', '2025-08-11T08:00:00Z')),
+    event('registry', '2025-08-11T09:00:00Z'), event('registry', '2025-08-11T10:00:00Z'), event('faq', '2025-08-11T11:00:00Z'),
+    event('landing', '2025-08-12T08:00:00Z'), event('landing', '2025-07-01T08:00:00Z'),
+  ];
+  const batch = await httpRequest(PORT, '/ingest-batch', 'POST', seed.map(e => JSON.stringify(e)).join('\n'));
+  assert(batch.json.ingested === seed.length, `seed ${JSON.stringify(batch.json).slice(0, 300)}`);
+
+  // collector - grouped counts per day with small cells coarsened or suppressed
+  {
+    const query = { from: '2025-08-01T00:00:00Z', to: '2025-09-01T00:00:00Z', bucket: 'day', group_by: ['event_name', 'page'] };
+    const res = await httpRequest(PORT, '/query', 'POST', query);
+    assert(res.status === 200 && res.json.status === 'OK' && res.json.min_cell_threshold === THRESHOLD, `query ${JSON.stringify(res.json)}`);
+    assert(ids(res.json.cells) === '2025-08-11|event_name=pub_landing_impression|page=*:3,2025-08-11|event_name=pub_landing_impression|page=landing:4', `cells ${ids(res.json.cells)}`);
+    assert(res.json.coarsened_cells === 2 && res.json.suppressed_cells === 1 && !('total' in res.json), 'only the number of suppressed cells is reported');
+    const strict = await httpRequest(PORT, '/query', 'POST', { ...query, suppression: 'suppress' });
+    assert(ids(strict.json.cells) === '2025-08-11|event_name=pub_landing_impression|page=landing:4' && strict.json.suppressed_cells === 3, `suppress ${ids(strict.json.cells)}`);
+    const filtered = await httpRequest(PORT, '/query', 'POST', { where: { page: 'registry' } });
+    assert(filtered.json.cells.length === 0 && filtered.json.suppressed_cells === 1, 'a filter down to a small group returns nothing');
+    const all = await httpRequest(PORT, '/query', 'POST', { bucket: 'month' });
+    assert(ids(all.json.cells) === '2025-08:8' && all.json.suppressed_cells === 1, `months ${ids(all.json.cells)}`);
+  }
+
+  // collector - windows a millisecond apart answer alike (no differencing on one event)
+  {
+    const upTo = to => httpRequest(PORT, '/query', 'POST', { from: '2025-08-11T00:00:00Z', to, group_by: ['event_name'] });
+    const [before, after] = await Promise.all([upTo('2025-08-11T10:00:00.000Z'), upTo('2025-08-11T10:00:00.001Z')]);
+    assert(before.json.to === '2025-08-12T00:00:00.000Z' && ids(before.json.cells) === ids(after.json.cells), `before ${ids(before.json.cells)} after ${ids(after.json.cells)}`);
+  }
+
+  // collector - results pass the aggregation threshold policy, bad queries refused
+  {
+    const res = await httpRequest(PORT, '/query', 'POST', { bucket: 'week', group_by: ['page'] });
+    const file = path.join(tmp, 'cells.json');
+    await fs.writeFile(file, JSON.stringify(res.json.cells));
+    // Temp working dir, so the report does not replace the tracked artifacts/policy-aggregation-threshold.json
+    const enforce = spawnSync(process.execPath, [path.resolve('tools/policy-aggregation-threshold-enforce.js'), file], { cwd: tmp, env: { ...process.env, POLICY_MIN_CELL_THRESHOLD: String(THRESHOLD) }, encoding: 'utf8', timeout: 30000 });
+    assert(res.json.cells.length > 0 && enforce.status === 0, `policy: ${enforce.stderr}`);
+    const report = JSON.parse(await fs.readFile(path.join(tmp, 'artifacts/policy-aggregation-threshold.json'),'utf8'));
+    assert(report.source === file && report.threshold === THRESHOLD, `report ${JSON.stringify(report)}`);
+    const bad = await httpRequest(PORT, '/query', 'POST', { group_by: ['session_id'] });
+    assert(bad.status === 400 && bad.json.status === 'INVALID_QUERY' && bad.json.field === 'group_by', `bad ${JSON.stringify(bad.json)}`);
+    const lower = await httpRequest(PORT, '/query', 'POST', { min_cell: 1 });
+    assert(lower.status === 400 && lower.json.field === 'min_cell', 'threshold not lowered by a query');
+    assert((await httpRequest(PORT, '/query', 'POST', '{')).status === 400, 'body not JSON');
+    assert((await httpRequest(PORT, '/health')).json.min_cell_threshold === THRESHOLD, 'health names the threshold');
+  }
+} finally {
+  collector.child.kill('SIGKILL');
+  await fs.rm(tmp, { recursive: true, force: true });
+}
+
+console.log('[test] collector-query OK');
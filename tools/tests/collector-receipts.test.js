@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * collector-receipts.test.js
+ * Signed ingestion receipts and chain-anchored segment seals: event-store leaf files, collector receipts signed via the
+ * signer, POST /seal into the chain and offline proof checks (runs signer, chain and collector on test ports)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import { createEventStore, loadStoragePolicy } from '../lib/event-store.js';
+import { SEAL_STATEMENT_TYPE } from '../lib/ingest-receipt.js';
+import { leafHash, merkleRoot } from '../lib/merkle.js';
+import { normalizeKeys } from '../lib/chain-trust.js';
+import { verdictOf, verifyIngestionProofDocument } from '../lib/verify.js';
+import { httpRequest, startCollector, startService } from './helpers/services.js';
+
+const PORT = 4650; // use test port to avoid conflicts
+const SIGNER_PORT = 4651;
+const CHAIN_PORT = 4652;
+
+const event = () => ({ event_name: 'pub_landing_impression', event_id: randomUUID(), meta: {} });
+
+// event store - leaf hashes per partition survive compaction
+{
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'event-leaves-'));
+  const T0 = Date.parse('2025-01-01T10:00:00.000Z');
+  const store = await createEventStore({ dataDir: dir, policy: await loadStoragePolicy(), now: () => T0 });
+  const a = await store.append({ event_name: 'pub_feedback_submit', integrity: { event_hash: 'fb' } });
+  const b = await store.append({ event_name: 'sys_fairness_under_served_enter', integrity: { event_hash: 'sys' } });
+  const lines = (await fs.readFile(path.join(dir, 'events', '2025-01-01.ndjson'), 'utf8')).trim().split('\n');
+  assert(a.index === 0 && b.index === 1 && a.leaf_hash === leafHash(lines[0]), 'append reports the leaf position and hash');
+  await store.compact({ now: T0 + 100 * 86400000 });
+  const leaves = await store.leafHashes('2025-01-01');
+  assert(leaves.length === 2 && leaves[1] === b.leaf_hash && store.leafCounts()['2025-01-01'] === 2, 'leaves untouched by compaction');
+  await fs.appendFile(path.join(dir, 'events', '2025-01-01.leaves'), 'abc'); // torn write
+  const reopened = await createEventStore({ dataDir: dir, now: () => T0 });
+  assert(reopened.leafCounts()['2025-01-01'] === 2 && merkleRoot(await reopened.leafHashes('2025-01-01')) === merkleRoot(leaves), 'torn leaf line cut on recovery');
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'collector-receipts-'));
+const children = [];
+try {
+  const signer = startService('tools/services/signer.js', { SIGNER_PORT: String(SIGNER_PORT) });
+  children.push(signer.child);
+  if (!await signer.ready) {throw new Error('signer did not start');}
+  const chain = startService('tools/services/chain.js', { CHAIN_PORT: String(CHAIN_PORT), CHAIN_DATA_DIR: path.join(tmp, 'chain'), SIGNER_ORIGIN: `http://127.0.0.1:${SIGNER_PORT}` });
+  children.push(chain.child);
+  if (!await chain.ready) {throw new Error('chain did not start');}
+  const collector = startCollector(PORT, path.join(tmp, 'collector'), {
+    SIGNER_ORIGIN: `http://127.0.0.1:${SIGNER_PORT}`,
+    CHAIN_ORIGIN: `http://127.0.0.1:${CHAIN_PORT}`,
+    COLLECTOR_RECEIPTS: '1',
+  });
+  children.push(collector.child);
+  if (!await collector.ready) {throw new Error('collector did not start');}
+  const keys = normalizeKeys((await httpRequest(SIGNER_PORT, '/pubkeys')).json);
+
+  let single;
+  // ingest - signed receipt per event, also on replay
+  {
+    single = (await httpRequest(PORT, '/ingest', 'POST', event())).json;
+    const { receipt } = single;
+    assert(receipt.type === 'INGESTION_RECEIPT' && receipt.signature && receipt.key_id && receipt.index === 0, `receipt ${JSON.stringify(receipt)}`);
+    const again = (await httpRequest(PORT, '/ingest', 'POST', { event_id: receipt.event_id, event_name: 'pub_landing_impression' })).json;
+    assert(again.status === 'DUPLICATE' && again.receipt.signature === receipt.signature, 'duplicate returns the signed receipt');
+  }
+
+  let batch;
+  // batch - every receipt signed, root signature over the batch
+  {
+    batch = (await httpRequest(PORT, '/ingest-batch', 'POST', [event(), event(), event()].map(e => JSON.stringify(e)).join('\n'))).json;
+    assert(batch.ingested === 3 && batch.receipts.length === 3 && batch.receipts.every(r => r.signature), `batch ${JSON.stringify(batch)}`);
+    assert(batch.receipts.map(r => r.index).join() === '1,2,3' && batch.receipt_roots[0].statement.tree_size === 3, 'indexes follow the partition leaves');
+  }
+
+  // seal - partition root signed and appended to the chain
+  {
+    const notYet = await httpRequest(PORT, `/proof?event_id=${single.receipt.event_id}`);
+    assert(notYet.status === 404 && notYet.json.status === 'NOT_SEALED', 'no proof before a seal');
+    const sealed = (await httpRequest(PORT, '/seal', 'POST')).json;
+    assert(sealed.status === 'SEALED' && sealed.sealed.length === 1 && sealed.sealed[0].tree_size === 4 && Number.isInteger(sealed.sealed[0].chain_seq), `seal ${JSON.stringify(sealed)}`);
+    const entry = (await httpRequest(CHAIN_PORT, '/chain')).json.entries.find(e => e.seq === sealed.sealed[0].chain_seq);
+    assert(JSON.parse(entry.canonical).type === SEAL_STATEMENT_TYPE, 'chain entry holds the seal statement');
+    const again = (await httpRequest(PORT, '/seal', 'POST')).json;
+    assert(again.sealed.length === 0 && again.unchanged === 1, 'unchanged partitions are not sealed again');
+  }
+
+  // proof - receipt holder shows inclusion in the anchored seal offline
+  {
+    const proof = (await httpRequest(PORT, `/proof?partition=${batch.receipts[1].partition}&index=${batch.receipts[1].index}`)).json;
+    const chainExport = (await httpRequest(CHAIN_PORT, '/chain')).json.entries;
+    const checks = verifyIngestionProofDocument({ ...proof, receipt: batch.receipts[1] }, { keys, chain: chainExport });
+    assert(verdictOf(checks) === 'PASS' && checks.every(c => c.status === 'pass'), `checks ${JSON.stringify(checks)}`);
+    const byId = (await httpRequest(PORT, `/proof?event_id=${single.receipt.event_id}`)).json;
+    assert(byId.receipt.event_id === single.receipt.event_id && verdictOf(verifyIngestionProofDocument(byId, { keys })) === 'PASS', 'proof by event_id carries the receipt');
+    const forged = verifyIngestionProofDocument({ ...proof, receipt: { ...batch.receipts[1], event_hash: 'f'.repeat(64) } }, { keys });
+    assert(forged.find(c => c.name === 'receipt.signature').status === 'fail', 'edited receipt fails its signature');
+    const wrongLeaf = verifyIngestionProofDocument({ ...proof, receipt: batch.receipts[2] }, { keys });
+    assert(wrongLeaf.find(c => c.name === 'receipt.inclusion').status === 'fail', 'proof for another event does not match');
+  }
+} finally {
+  children.forEach(c => c.kill('SIGKILL'));
+  await fs.rm(tmp, { recursive: true, force: true });
+}
+
+console.log('[test] collector-receipts OK');
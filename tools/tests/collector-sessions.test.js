@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * collector-sessions.test.js
+ * Session pseudonymisation: tools/lib/session-pseudonym.js pseudonyms and salt reload, the collector replacing
+ * session_id (also in imported legacy events) and privacy-asserts finding raw identifiers in stored data (runs the
+ * collector on a test port with a temp data dir and privacy policy)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { spawnSync } from 'child_process';
+import { randomUUID } from 'crypto';
+import { SESSION_ID_RE, SessionPseudonymizer, isPseudonym, pseudonymizeSession, saltEpoch, saltsByEpoch } from '../lib/session-pseudonym.js';
+import { httpRequest, startCollector } from './helpers/services.js';
+
+const PORT = 4645; // use test port to avoid conflicts
+const SALT_A = 'a'.repeat(32);
+const SALT_B = 'b'.repeat(32);
+
+// Rewrite the policy with a new salt and a later mtime, as a merged rotation would
+async function rotate(file, salt, at){
+  const cfg = JSON.parse(await fs.readFile(file,'utf8'));
+  await fs.writeFile(file, JSON.stringify({ ...cfg, hash_salt: salt, previous_salts: [cfg.hash_salt, ...(cfg.previous_salts || [])] }));
+  await fs.utimes(file, at, at);
+}
+
+async function storedLines(dataDir){
+  const dir = path.join(dataDir, 'events');
+  const files = (await fs.readdir(dir)).filter(f => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(f));
+  return (await Promise.all(files.map(f => fs.readFile(path.join(dir, f),'utf8')))).join('');
+}
+
+const event = (session_id, extra = {}) => ({ event_name: 'pub_landing_impression', event_id: randomUUID(), session_id, meta: {}, ...extra });
+
+// pseudonyms - stable per salt, unlinkable across salts, checkable with the epoch salt
+{
+  const raw = randomUUID();
+  const p = pseudonymizeSession(raw, SALT_A);
+  assert(SESSION_ID_RE.test(p) && p === pseudonymizeSession(raw.toUpperCase(), SALT_A), `pseudonym ${p}`);
+  assert(pseudonymizeSession(raw, SALT_B) !== p && saltEpoch(SALT_A) !== saltEpoch(SALT_B), 'rotation changes pseudonym and epoch');
+  assert(isPseudonym(p, SALT_A) && !isPseudonym(p, SALT_B) && !isPseudonym(raw, SALT_A), 'tag checked with the salt');
+  assert(saltsByEpoch({ hash_salt: SALT_B, previous_salts: [SALT_A] }).get(saltEpoch(SALT_A)) === SALT_A, 'previous salts resolvable');
+}
+
+// pseudonymizer - reloads a rotated salt, keeps the old one while the file is half written
+{
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-salt-'));
+  const file = path.join(dir, 'privacy-policy.json');
+  await fs.writeFile(file, JSON.stringify({ hash_salt: SALT_A }));
+  let now = 0;
+  const sessions = await new SessionPseudonymizer({ file, checkEveryMs: 1000, now: () => now }).init();
+  await rotate(file, SALT_B, new Date(Date.now() + 60000));
+  await sessions.refresh();
+  assert(sessions.epoch === saltEpoch(SALT_A), 'not re-checked before checkEveryMs');
+  now = 1000;
+  await sessions.refresh();
+  assert(sessions.epoch === saltEpoch(SALT_B), 'rotated salt picked up');
+  await fs.writeFile(file, '{"hash_salt":');
+  now = 2000;
+  await sessions.refresh();
+  const evt = event(randomUUID());
+  assert(sessions.apply(evt) && evt.integrity.session_salt_epoch === saltEpoch(SALT_B) && isPseudonym(evt.session_id, SALT_B), 'previous salt kept');
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'collector-sessions-'));
+const policyFile = path.join(tmp, 'privacy-policy.json');
+await fs.copyFile('tools/config/privacy-policy.json', policyFile);
+const legacySession = randomUUID();
+const dataDir = path.join(tmp, 'data');
+await fs.mkdir(dataDir);
+await fs.writeFile(path.join(dataDir, 'ingested-events.ndjson'), JSON.stringify(event(legacySession, { received_at: new Date().toISOString(), integrity: { event_hash: 'f'.repeat(64) } })) + '\n');
+const collector = startCollector(PORT, dataDir, { COLLECTOR_PRIVACY_POLICY: policyFile, COLLECTOR_SALT_CHECK_MS: '0' });
+try {
+  if (!await collector.ready) {throw new Error('collector did not start');}
+  const salt = JSON.parse(await fs.readFile(policyFile,'utf8')).hash_salt;
+  const session = randomUUID();
+
+  // collector - session_id stored only as a pseudonym under the current salt
+  {
+    const first = await httpRequest(PORT, '/ingest', 'POST', event(session));
+    // A client hash over the raw session_id must not be stored with the pseudonymised event
+    const claimed = event(session.toUpperCase(), { integrity: { event_hash: 'a'.repeat(64) } });
+    const second = await httpRequest(PORT, '/ingest', 'POST', claimed);
+    assert(first.json.status === 'INGESTED' && second.json.status === 'INGESTED', `ingest ${JSON.stringify(first.json)}`);
+    assert((await httpRequest(PORT, '/health')).json.session_salt_epoch === saltEpoch(salt), 'health names the salt epoch');
+    const stored = (await storedLines(dataDir)).trim().split('\n').map(l => JSON.parse(l));
+    const ours = stored.filter(e => e.session_id === pseudonymizeSession(session, salt));
+    assert(ours.length === 2 && ours.every(e => e.integrity.session_salt_epoch === saltEpoch(salt)), `stored ${JSON.stringify(stored.map(e => e.session_id))}`);
+    const rehashed = stored.find(e => e.event_id === claimed.event_id);
+    assert(rehashed.integrity.event_hash !== 'a'.repeat(64) && rehashed.integrity.event_hash === second.json.event_hash, 'stored event_hash is the server-computed one');
+    const text = await storedLines(dataDir);
+    assert(!text.includes(session) && !text.includes(legacySession), 'raw ids never written, legacy import included');
+    const legacy = stored.find(e => e.session_id === pseudonymizeSession(legacySession, salt));
+    assert(legacy && legacy.integrity.event_hash !== 'f'.repeat(64), 'legacy event rehashed over its stored form');
+  }
+
+  // collector - rotated salt gives new pseudonyms and epoch without restart
+  {
+    await rotate(policyFile, SALT_B, new Date(Date.now() + 60000));
+    assert((await httpRequest(PORT, '/ingest', 'POST', event(session))).json.status === 'INGESTED', 'ingest after rotation');
+    const stored = (await storedLines(dataDir)).trim().split('\n').map(l => JSON.parse(l));
+    const rotated = stored.filter(e => e.session_id === pseudonymizeSession(session, SALT_B));
+    assert(rotated.length === 1 && rotated[0].integrity.session_salt_epoch === saltEpoch(SALT_B), 'new salt used');
+  }
+
+  // privacy-asserts - stored data checked for raw session ids
+  {
+    // Temp working dir, so the report does not replace the tracked artifacts/privacy-asserts.json
+    const run = () => spawnSync(process.execPath, [path.resolve('tools/privacy-asserts.js'), `--events-dir=${dataDir}`, `--config=${policyFile}`], { cwd: tmp, encoding: 'utf8', timeout: 30000 });
+    const clean = run();
+    assert(clean.status === 0, `clean store: ${clean.stderr}`);
+    const report = JSON.parse(await fs.readFile(path.join(tmp, 'artifacts/privacy-asserts.json'),'utf8'));
+    assert(report.checks.sessions.scanned === 4 && report.checks.sessions.pseudonymized === 4, `sessions ${JSON.stringify(report.checks.sessions)}`);
+    const day = new Date().toISOString().slice(0, 10);
+    await fs.appendFile(path.join(dataDir, 'events', `${day}.ndjson`), JSON.stringify(event(randomUUID())) + '\n');
+    const dirty = run();
+    assert(dirty.status === 2 && dirty.stderr.includes('RAW_SESSION_ID'), 'raw session id found');
+  }
+} finally {
+  collector.child.kill('SIGKILL');
+  await fs.rm(tmp, { recursive: true, force: true });
+}
+
+console.log('[test] collector-sessions OK');
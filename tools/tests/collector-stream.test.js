@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * collector-stream.test.js
+ * Streaming batch ingestion: tools/lib/request-body.js line splitting, gzip decoding and limits, and the collector
+ * storing NDJSON lines while the body is still arriving, with body / line limits (runs the collector on a test port)
+ */
+import assert from 'assert';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { Readable } from 'stream';
+import { gzipSync } from 'zlib';
+import { randomUUID } from 'crypto';
+import { BodyError, LINE_TOO_LARGE, bodyChunks, ndjsonLines, peekBody } from '../lib/request-body.js';
+import { startCollector } from './helpers/services.js';
+
+const PORT = 4644; // use test port to avoid conflicts
+const MAX_BODY_BYTES = 20000;
+const MAX_LINE_BYTES = 2048;
+
+// Body sent as separate chunks (chunked transfer encoding); between(i) runs before chunk i > 0 is written
+function streamRequest(urlPath, method = 'GET', chunks = [], headers = {}, between = async () => {}){
+  return new Promise((resolve,reject)=>{
+    let answered = false;
+    const req = http.request({ hostname:'127.0.0.1', port: PORT, path: urlPath, method, headers }, res =>{
+      answered = true;
+      let out='';
+      res.on('data', chunk => out += chunk);
+      res.on('end', ()=> resolve({ status: res.statusCode, json: out ? JSON.parse(out) : null }));
+    });
+    // The collector drops the connection after refusing a body; only errors before an answer count
+    req.on('error', e => { if (!answered) {reject(e);} });
+    (async ()=>{
+      for (const [i, chunk] of chunks.entries()){
+        if (i > 0) {await between(i);}
+        if (req.destroyed) {return;}
+        req.write(chunk);
+      }
+      req.end();
+    })().catch(reject);
+  });
+}
+
+const fakeRequest = (chunks, headers = {}) => Object.assign(Readable.from(chunks), { headers });
+async function collect(gen){
+  const out = [];
+  for await (const v of gen) {out.push(v);}
+  return out;
+}
+
+const event = (extra = {}) => ({ event_name: 'pub_landing_impression', event_id: randomUUID(), meta: {}, ...extra });
+const ndjson = events => events.map(e => JSON.stringify(e)).join('\n') + '\n';
+
+// ndjson lines - split across chunks, multi-byte characters kept, oversize line skipped
+{
+  const text = Buffer.from('{"a":"é"}\n\n' + 'x'.repeat(30) + '\n{"b":1}');
+  const cut = text.indexOf(0xa9); // second byte of é
+  const lines = await collect(ndjsonLines(Readable.from([text.subarray(0, cut), text.subarray(cut, 20), text.subarray(20)]), { maxLineBytes: 16 }));
+  assert(lines.length === 4 && lines[0] === '{"a":"é"}' && lines[1] === '' && lines[2] === LINE_TOO_LARGE && lines[3] === '{"b":1}', `lines ${JSON.stringify(lines.map(String))}`);
+}
+
+// body chunks - gzip decoded, expansion and encodings limited
+{
+  const body = Buffer.from(ndjson([event(), event()]));
+  const { first, chunks } = await peekBody(bodyChunks(fakeRequest([gzipSync(body)], { 'content-encoding': 'gzip' }), { maxBytes: 10000 }));
+  assert(first === 0x7b && Buffer.concat(await collect(chunks)).equals(body), 'gzip body decoded and replayed after peeking');
+  const bomb = gzipSync(Buffer.alloc(200000, 0x20));
+  const failure = async (req, opts) => { try { await collect(bodyChunks(req, opts)); return null; } catch (e) { return e; } };
+  const tooLarge = await failure(fakeRequest([bomb], { 'content-encoding': 'gzip' }), { maxBytes: 10000 });
+  assert(tooLarge instanceof BodyError && tooLarge.status === 413 && bomb.length < 10000, 'decoded size is limited');
+  assert((await failure(fakeRequest([body], { 'content-encoding': 'br' }), { maxBytes: 10000 }))?.code === 'UNSUPPORTED_ENCODING', 'unknown encoding');
+  assert((await failure(fakeRequest([body], { 'content-encoding': 'gzip' }), { maxBytes: 10000 }))?.code === 'INVALID_GZIP', 'plain body labelled gzip');
+  assert((await failure(fakeRequest([body], { 'content-length': '20000' }), { maxBytes: 10000 }))?.code === 'BODY_TOO_LARGE', 'declared length checked first');
+}
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'collector-stream-'));
+const collector = startCollector(PORT, tmp, { COLLECTOR_MAX_BODY_BYTES: String(MAX_BODY_BYTES), COLLECTOR_MAX_LINE_BYTES: String(MAX_LINE_BYTES) });
+try {
+  if (!await collector.ready) {throw new Error('collector did not start');}
+  const total = async () => (await streamRequest('/stats')).json.total;
+
+  // batch - lines stored while the body is still arriving
+  {
+    let seen = null;
+    const res = await streamRequest('/ingest-batch', 'POST', [ndjson([event(), event()]), ndjson([event()])], {}, async () => {
+      await new Promise(r => setTimeout(r, 300));
+      seen = await total();
+    });
+    assert(seen === 2, `stored before the body ended: ${seen}`);
+    assert(res.json.status === 'BATCH_DONE' && res.json.ingested === 3 && await total() === 3, `batch ${JSON.stringify(res.json)}`);
+  }
+
+  // batch - gzip body from a kiosk, oversize line reported per item
+  {
+    const big = event({ meta: { note: 'x'.repeat(MAX_LINE_BYTES) } });
+    const body = gzipSync(ndjson([event(), big, event()]));
+    const res = await streamRequest('/ingest-batch', 'POST', [body.subarray(0, 40), body.subarray(40)], { 'content-encoding': 'gzip' });
+    assert(res.json.items.map(i => i.status).join() === 'INGESTED,LINE_TOO_LARGE,INGESTED' && res.json.items[1].limit === MAX_LINE_BYTES, `items ${JSON.stringify(res.json.items)}`);
+    const strict = await streamRequest('/ingest-batch?strict=1', 'POST', [gzipSync(ndjson([event(), big]))], { 'content-encoding': 'gzip' });
+    assert(strict.status === 422 && strict.json.status === 'BATCH_REJECTED', 'strict mode refuses an oversize line');
+  }
+
+  // limits - body over the cap answered 413 with the items handled so far
+  {
+    const before = await total();
+    const events = Array.from({ length: 300 }, () => event());
+    const chunks = [];
+    for (let i = 0; i < events.length; i += 20) {chunks.push(ndjson(events.slice(i, i + 20)));}
+    const res = await streamRequest('/ingest-batch', 'POST', chunks);
+    assert(res.status === 413 && res.json.status === 'BODY_TOO_LARGE', `status ${res.status} ${JSON.stringify(res.json).slice(0, 200)}`);
+    assert(res.json.ingested > 0 && res.json.ingested < 300 && await total() === before + res.json.ingested, `partial ${res.json.ingested}`);
+    const single = await streamRequest('/ingest', 'POST', [JSON.stringify(event({ meta: { note: 'x'.repeat(MAX_LINE_BYTES) } }))]);
+    assert(single.status === 413 && single.json.status === 'BODY_TOO_LARGE', '/ingest body limited to one line');
+    const encoding = await streamRequest('/ingest', 'POST', [JSON.stringify(event())], { 'content-encoding': 'deflate' });
+    assert(encoding.status === 415 && encoding.json.status === 'UNSUPPORTED_ENCODING', 'unsupported encoding');
+    const gzipped = await streamRequest('/ingest', 'POST', [gzipSync(JSON.stringify(event()))], { 'content-encoding': 'gzip' });
+    assert(gzipped.json.status === 'INGESTED', 'gzip on /ingest');
+  }
+} finally {
+  collector.child.kill('SIGKILL');
+  await fs.rm(tmp, { recursive: true, force: true });
+}
+
+console.log('[test] collector-stream OK');
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * credential-issue.test.js
+ * Unit tests for tools/lib/credential.js (schema, issuance policies, detached JWS proof)
+ * and the signer canonicalization shared through tools/lib/canonical.js.
+ */
+import assert from 'assert';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { canonicalize } from '../lib/canonical.js';
+import {
+  attachCredentialProof,
+  buildCredential,
+  checkIssuancePolicies,
+  createCredentialValidator,
+  credentialContentHash,
+  jwsSigningInput,
+  keyForVerificationMethod,
+  verificationMethodFor,
+  verifyCredentialProof,
+} from '../lib/credential.js';
+
+const sample = JSON.parse(await fs.readFile('data/credential-subject-sample.json', 'utf8'));
+const validator = await createCredentialValidator();
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const keys = [{ id: 'k-old', publicKeyPem: 'unused' }, { id: 'k-new', publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }) }];
+
+// Same steps as credential-issue.js, with a local key standing in for the signer service
+function issue(input) {
+  const draft = buildCredential(input, { now: '2025-09-01T00:00:00.000Z' });
+  const verificationMethod = verificationMethodFor(keys, 'k-new');
+  const { signingInput } = jwsSigningInput(draft, verificationMethod);
+  const signature = crypto.sign(null, Buffer.from(canonicalize(signingInput)), privateKey).toString('base64');
+  return attachCredentialProof(draft, { verificationMethod, signature });
+}
+
+// canonicalize - sorted keys, string payloads pass through
+{
+  assert(canonicalize({ b: 1, a: [true, null, 'x'] }) === '{"a":[true,null,"x"],"b":1}', 'unexpected canonical form');
+  assert(canonicalize('already.canonical') === 'already.canonical', 'string payload should be unchanged');
+}
+
+// schema - sample input builds a valid credential
+{
+  const cred = issue(sample);
+  const errors = validator.validateSigned(cred);
+  assert(errors.length === 0, `unexpected schema errors: ${errors.join('; ')}`);
+  assert(cred.proof.verificationMethod === 'did:web:merajutasa.id#keys-2', 'verificationMethod should follow key order');
+}
+
+// schema - rejects child data and ranking fields
+{
+  const bad = buildCredential({ ...sample, credentialSubject: { ...sample.credentialSubject, childName: 'x', rankPosition: 1 } });
+  assert(validator.validateUnsigned(bad).some(e => e.includes('additional properties')), 'schema should reject unknown subject fields');
+  const denied = checkIssuancePolicies(bad).filter(f => f.policy === 'policy.disallowed.fields');
+  assert(denied.length === 1 && /childName/.test(denied[0].message) && /rankPosition/.test(denied[0].message), 'policy should name prohibited fields');
+}
+
+// policies - scope for verified, temporal consistency, expiry window
+{
+  const subject = { ...sample.credentialSubject, verificationScope: [], lastVerificationUpdate: '2030-01-01T00:00:00Z' };
+  const cred = buildCredential({ ...sample, credentialSubject: subject, expirationDate: '2024-01-01T00:00:00Z' }, { now: '2025-09-01T00:00:00Z' });
+  const policies = checkIssuancePolicies(cred).map(f => f.policy);
+  for (const p of ['policy.verification.scope.for.verified', 'policy.temporal.consistency', 'policy.expiry.window']) {
+    assert(policies.includes(p), `expected ${p}`);
+  }
+  assert(checkIssuancePolicies(buildCredential(sample), { allowedRegions: ['Bali'] }).some(f => f.policy === 'policy.region.whitelist'), 'region whitelist');
+}
+
+// proof - detached JWS verifies and binds the content
+{
+  const cred = issue(sample);
+  const key = keyForVerificationMethod(keys, cred.proof.verificationMethod);
+  assert(verifyCredentialProof(cred, key.publicKeyPem).ok, 'fresh credential should verify');
+  const header = JSON.parse(Buffer.from(cred.proof.jws.split('.')[0], 'base64url').toString());
+  assert(header.alg === 'EdDSA' && header.kid === cred.proof.verificationMethod, 'protected header should carry alg and kid');
+  const tampered = { ...cred, credentialSubject: { ...cred.credentialSubject, region: 'Bali' } };
+  assert(verifyCredentialProof(tampered, key.publicKeyPem).issues.includes('signature_invalid'), 'changed subject should fail');
+  assert(credentialContentHash(tampered) !== credentialContentHash(cred), 'content hash should change with content');
+  assert(credentialContentHash(cred) === credentialContentHash({ ...cred, proof: undefined }), 'content hash should ignore proof');
+}
+
+console.log('[test] credential-issue OK');
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * differential-privacy.test.js
+ * Differential privacy for published counts: tools/lib/differential-privacy.js noise scale and samplers,
+ * post-processing, per-session contribution clipping, the epsilon ledger and budget, and the weekly trends / H1 KPI generators with the layer enabled
+ * (temp config and ledger; the generators write their usual artifacts)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { spawnSync } from 'child_process';
+import { ContributionCounter, DpBudgetError, DpPublisher, EpsilonLedger, createDpPublisher, fitToTotal, loadDpConfig, noiseScale, sampleNoise } from '../lib/differential-privacy.js';
+
+// Seeded uniform in (0, 1) (mulberry32) so the statistical checks are repeatable
+function seededUniform(seed){
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (((t ^ (t >>> 14)) >>> 0) + 0.5) / 4294967296;
+  };
+}
+
+async function writeConfig(dir, { enabled = true, mechanism = 'laplace', epsilon = 1, budget = 2, ledger = null } = {}){
+  const file = path.join(dir, 'dp.yml');
+  const dataset = `      epsilon_per_query: ${epsilon}\n      epsilon_budget: ${budget}\n      budget_window_days: 30\n`;
+  await fs.writeFile(file, `version: 1.0.0\ndec_id: DEC-20261019-01\nparameters:\n  enabled: ${enabled}\n  mechanism: ${mechanism}\n  delta: 1.0e-6\n  contribution_bound: 1\n  datasets:\n    weekly_trends:\n${dataset}    h1_kpi_feedback:\n${dataset}    test:\n${dataset}${ledger ? `ledger: ${ledger}\n` : ''}`);
+  return file;
+}
+
+// noise - Laplace and Gaussian scales match their calibration
+{
+  assert(noiseScale('laplace', { epsilon: 0.5, bound: 1, cells: 4 }) === 8, 'laplace b = bound * cells / epsilon');
+  const sigma = noiseScale('gaussian', { epsilon: 1, delta: 1e-6, bound: 1, cells: 4 });
+  assert(Math.abs(sigma - 2 * Math.sqrt(2 * Math.log(1.25e6))) < 1e-9, `gaussian sigma ${sigma}`);
+  const uniform = seededUniform(7);
+  const n = 20000;
+  const lap = Array.from({ length: n }, () => sampleNoise('laplace', 2, uniform));
+  const meanAbs = lap.reduce((a, v) => a + Math.abs(v), 0) / n;
+  assert(Math.abs(meanAbs - 2) < 0.1 && Math.abs(lap.reduce((a, v) => a + v, 0) / n) < 0.1, `laplace E|x| ${meanAbs}`);
+  const gauss = Array.from({ length: n }, () => sampleNoise('gaussian', 3, uniform));
+  const sd = Math.sqrt(gauss.reduce((a, v) => a + v * v, 0) / n);
+  assert(Math.abs(sd - 3) < 0.1, `gaussian sd ${sd}`);
+}
+
+// post-processing - parts fitted to their total by largest remainder
+{
+  const fitted = fitToTotal(10, { a: 7, b: 5, c: 2 });
+  assert(fitted.a + fitted.b + fitted.c === 10 && fitted.a === 5 && fitted.b === 4 && fitted.c === 1, `fitted ${JSON.stringify(fitted)}`);
+  assert(JSON.stringify(fitToTotal(10, { a: 3, b: 4 })) === '{"a":3,"b":4}' && fitToTotal(0, { a: 2 }).a === 0, 'parts within total kept');
+}
+
+// contributions - at most contribution_bound per session in a count, anonymous records not clipped
+{
+  const counter = new ContributionCounter(2);
+  const added = ['s1', 's1', 's1', 's2', null, null, null].map(s => counter.add('2025-W33', s));
+  assert(added.join() === 'true,true,false,true,true,true,true' && counter.get('2025-W33') === 6 && counter.dropped === 1, `added ${added.join()}`);
+  assert(counter.add('2025-W34', 's1') && counter.get('2025-W34') === 1, 'bound applies per count');
+}
+
+// budget - queries past the dataset budget refused, spend kept in the ledger
+{
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dp-budget-'));
+  try {
+    const config = await loadDpConfig(await writeConfig(dir));
+    const ledgerFile = path.join(dir, 'ledger.json');
+    let now = Date.parse('2026-10-01T00:00:00Z');
+    const ledger = await new EpsilonLedger({ file: ledgerFile, now: () => now }).init();
+    const release = new DpPublisher({ config, ledger, uniform: seededUniform(1) }).release('test', '2026-10-01');
+    const noisy = release.noisyCounts({ a: 0, b: 1, c: 1000 });
+    release.noisyCounts({ a: 5 });
+    assert(Object.values(noisy).every(v => Number.isInteger(v) && v >= 0) && Math.abs(noisy.c - 1000) < 50, `noisy ${JSON.stringify(noisy)}`);
+    let refused = null;
+    try { release.noisyCounts({ a: 5 }); } catch (e) { refused = e; }
+    assert(refused instanceof DpBudgetError && refused.remaining === 0 && release.queries === 2, 'third query over budget');
+    await release.commit();
+    const saved = JSON.parse(await fs.readFile(ledgerFile,'utf8'));
+    assert(saved.entries.length === 1 && saved.entries[0].epsilon === 2 && saved.entries[0].dec_id === 'DEC-20261019-01' && saved.budgets.test.epsilon_remaining === 0, `ledger ${JSON.stringify(saved)}`);
+    const reloaded = await new EpsilonLedger({ file: ledgerFile, now: () => now }).init();
+    let again = null;
+    try { new DpPublisher({ config, ledger: reloaded }).release('test', '2026-10-02').noisyCounts({ a: 1 }); } catch (e) { again = e; }
+    assert(again instanceof DpBudgetError, 'spend survives a restart');
+    now += 31 * 86400000;
+    assert(new DpPublisher({ config, ledger: reloaded }).release('test', '2026-11-01').noisyCounts({ a: 1 }).a >= 0, 'budget window rolls over');
+    assert(await createDpPublisher({ configFile: await writeConfig(dir, { enabled: false }) }) === null, 'disabled config publishes exact counts');
+    assert(await createDpPublisher() === null, 'repo config disabled until its DEC is adopted');
+    const configured = path.join(dir, 'configured-ledger.json');
+    const fromConfig = await createDpPublisher({ configFile: await writeConfig(dir, { ledger: configured }) });
+    assert(fromConfig.ledger.file === configured && fromConfig.release('test', 'x').counter().bound === 1, `ledger ${fromConfig.ledger.file}`);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// generators - weekly trends and H1 KPI noised, consistent and disclosed
+{
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dp-generators-'));
+  try {
+    const env = { ...process.env, DP_CONFIG: await writeConfig(dir, { mechanism: 'gaussian', epsilon: 0.5, budget: 5 }), DP_LEDGER_PATH: path.join(dir, 'ledger.json') };
+    // Generators run in the temp dir on copies of their inputs, so the tracked artifacts stay untouched
+    for (const file of ['artifacts/ingested-events.ndjson', 'artifacts/feedback-records.ndjson', 'schemas/events/public-event-v1.json']){
+      await fs.mkdir(path.join(dir, path.dirname(file)), { recursive: true });
+      await fs.copyFile(file, path.join(dir, file));
+    }
+    const run = script => spawnSync(process.execPath, [path.resolve(script)], { cwd: dir, env, encoding: 'utf8', timeout: 60000 });
+    const weekly = run('tools/weekly-trend-aggregator.js');
+    assert(weekly.status === 0, `weekly: ${weekly.stderr}`);
+    const trends = JSON.parse(await fs.readFile(path.join(dir, 'artifacts/weekly-trends.json'),'utf8'));
+    assert(trends.weeks.length > 0, 'weeks from the copied events');
+    assert(trends.differential_privacy?.dataset === 'weekly_trends' && trends.differential_privacy.mechanism === 'gaussian' && trends.differential_privacy.epsilon === 0.5, `disclosure ${JSON.stringify(trends.differential_privacy)}`);
+    for (const { totals: t } of trends.weeks){
+      const ints = ['events','canonical_ok','hero_views','feedback','prohibited'].every(f => Number.isInteger(t[f]) && t[f] >= 0);
+      assert(ints && t.canonical_ok <= t.events && t.prohibited <= t.events && t.hero_views + t.feedback <= t.events, `week totals ${JSON.stringify(t)}`);
+    }
+    const kpi = run('tools/generate-h1-kpi-summary.js');
+    assert(kpi.status === 0, `kpi: ${kpi.stderr}`);
+    const summary = JSON.parse(await fs.readFile(path.join(dir, 'artifacts/h1-kpi-summary.json'),'utf8'));
+    const { ingested, categories } = summary.feedback;
+    assert(Object.keys(categories).sort().join() === 'fairness,governance,improvement,other' && Object.values(categories).every(n => n <= ingested), `feedback ${JSON.stringify(summary.feedback)}`);
+    assert(summary.weekly.throughput_latest === trends.weeks.at(-1).totals.events, 'KPI reuses the noised weekly release');
+    const ledger = JSON.parse(await fs.readFile(env.DP_LEDGER_PATH,'utf8'));
+    assert(ledger.entries.map(e => e.dataset).join() === 'weekly_trends,h1_kpi_feedback' && ledger.budgets.weekly_trends.epsilon_spent === 0.5, `ledger ${JSON.stringify(ledger.budgets)}`);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+console.log('[test] differential-privacy OK');
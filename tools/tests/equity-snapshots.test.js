@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * equity-snapshots.test.js
+ * Equity snapshots from collected events: tools/fairness/snapshot-core.js windows, ratios and the minimum cell
+ * threshold, and tools/fairness/build-equity-snapshots.js building windows incrementally from the event store and
+ * from the collector's query API (builder runs in a temp working dir; the collector on a test port with a threshold of 3)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { spawnSync } from 'child_process';
+import { randomUUID } from 'crypto';
+import { WINDOW_MS, countExposures, windowSnapshots, windowStart } from '../fairness/snapshot-core.js';
+import { startCollector } from './helpers/services.js';
+
+const PORT = 4647; // use test port to avoid conflicts
+const THRESHOLD = 3;
+const BUILDER = path.resolve('tools/fairness/build-equity-snapshots.js');
+
+const exposure = (unit, occurred_at, event_name = 'pub_registry_unit_view') => ({ event_name, event_id: randomUUID(), occurred_at, meta: { unit_id: unit } });
+const repeat = (n, unit, at) => Array.from({ length: n }, () => exposure(unit, at));
+const provenance = { source: 'test', source_sha256: 'x', params_sha256: 'y' };
+
+// Working dir with the hysteresis config the builder reads
+async function workDir(prefix){
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  await fs.mkdir(path.join(dir, 'docs/fairness'), { recursive: true });
+  await fs.copyFile('docs/fairness/hysteresis-config-v1.yml', path.join(dir, 'docs/fairness/hysteresis-config-v1.yml'));
+  return dir;
+}
+
+function build(cwd, args){
+  const res = spawnSync(process.execPath, [BUILDER, ...args], { cwd, env: { ...process.env, POLICY_MIN_CELL_THRESHOLD: String(THRESHOLD) }, encoding: 'utf8', timeout: 30000 });
+  assert(res.status === 0, `builder: ${res.stderr}`);
+  return res.stdout;
+}
+
+const readArtifact = async (dir, name) => JSON.parse(await fs.readFile(path.join(dir, 'artifacts', name),'utf8'));
+
+// core - ratios against the mean, small cells floored, thin windows skipped
+{
+  const start = Date.parse('2025-08-11T00:00:00Z');
+  const counts = new Map([['a', 24], ['b', 12], ['c', 2]]);
+  const { window, snapshots, buckets } = windowSnapshots({ start, counts, units: ['d'], threshold: THRESHOLD, T_enter_major: 0.5, provenance });
+  assert(window.status === 'BUILT' && window.units === 4 && window.window_end === '2025-08-12T00:00:00.000Z', `window ${JSON.stringify(window)}`);
+  const byUnit = Object.fromEntries(snapshots.map(s => [s.unit, s]));
+  assert(byUnit.a.ratio === 1 && byUnit.b.ratio === 1 && byUnit.c.ratio === 0 && byUnit.d.ratio === 0, `ratios ${JSON.stringify(snapshots.map(s => s.ratio))}`);
+  assert(byUnit.c.below_min_cell && byUnit.c.exposures === null && buckets.c === 0 && byUnit.b.exposures === 12, 'count below the threshold not published');
+  assert(snapshots.every(s => s.ts === window.window_end && s.provenance === provenance), 'snapshots stamped at window end');
+  const thin = windowSnapshots({ start, counts: new Map([['a', 5], ['b', 4]]), units: ['c', 'd'], threshold: THRESHOLD, T_enter_major: 0.5, provenance });
+  assert(thin.window.status === 'INSUFFICIENT_DATA' && thin.window.min_mean_exposures === 6 && thin.snapshots.length === 0, `thin ${JSON.stringify(thin.window)}`);
+  const windows = await countExposures([...repeat(2, 'a', '2025-08-11T23:59:59Z'), exposure('a', '2025-08-12T00:00:00Z', 'pub_unit_profile_view'), exposure('b', '2025-08-11T01:00:00Z', 'pub_hero_view'), exposure('', '2025-08-11T01:00:00Z')], { from: -Infinity, to: start + 2 * WINDOW_MS });
+  assert(windows.get(start).counts.get('a') === 2 && windows.get(start).counts.size === 1 && windows.get(start + WINDOW_MS).counts.get('a') === 1, 'exposures counted per UTC day');
+  assert(windowStart(start + WINDOW_MS - 1) === start, 'window boundaries');
+}
+
+// builder - closed windows appended incrementally from the event store
+{
+  const dir = await workDir('equity-store-');
+  try {
+    const data = path.join(dir, 'data');
+    await fs.mkdir(data);
+    const events = [...repeat(12, 'u1', '2025-08-11T08:00:00Z'), ...repeat(6, 'u2', '2025-08-11T09:00:00Z'), exposure('u3', '2025-08-11T10:00:00Z'), exposure('u1', '2025-08-12T08:00:00Z'), ...repeat(6, 'u1', '2025-08-13T08:00:00Z'), ...repeat(6, 'u2', '2025-08-13T09:00:00Z'), ...repeat(6, 'u3', '2025-08-13T10:00:00Z')];
+    const legacy = path.join(data, 'ingested-events.ndjson');
+    await fs.writeFile(legacy, events.slice(0, 20).map(e => JSON.stringify(e)).join('\n'));
+    await fs.mkdir(path.join(dir, 'artifacts'));
+    await fs.writeFile(path.join(dir, 'artifacts/equity-snapshots.json'), JSON.stringify([{ unit: 'synthetic', ratio: 0.2, ts: '2025-08-10T00:00:00Z' }]));
+    build(dir, [`--data-dir=${data}`, '--now=2025-08-13T12:00:00Z']);
+    let log = await readArtifact(dir, 'equity-snapshot-windows.json');
+    assert(log.watermark_utc === '2025-08-13T00:00:00.000Z' && log.windows.map(w => w.status).join() === 'BUILT,INSUFFICIENT_DATA', `windows ${JSON.stringify(log)}`);
+    let snapshots = await readArtifact(dir, 'equity-snapshots.json');
+    assert(snapshots.map(s => `${s.unit}:${s.ratio}`).join() === 'u1:1,u2:1,u3:0' && snapshots.every(s => s.window_start === '2025-08-11T00:00:00.000Z'), `snapshots ${JSON.stringify(snapshots)}`);
+    assert(/^[0-9a-f]{64}$/.test(snapshots[0].provenance.source_sha256) && snapshots[0].provenance.source === 'event-store', 'provenance hashes');
+    const summary = await readArtifact(dir, 'equity-summary.json');
+    assert(summary.window_start === '2025-08-11T00:00:00.000Z' && summary.buckets.u3 === 0 && typeof summary.equity_index === 'number', `summary ${JSON.stringify(summary)}`);
+
+    await fs.writeFile(legacy, events.map(e => JSON.stringify(e)).join('\n'));
+    build(dir, [`--data-dir=${data}`, '--now=2025-08-14T00:00:01Z']);
+    log = await readArtifact(dir, 'equity-snapshot-windows.json');
+    snapshots = await readArtifact(dir, 'equity-snapshots.json');
+    assert(log.watermark_utc === '2025-08-14T00:00:00.000Z' && log.windows.length === 3, `windows ${JSON.stringify(log.windows.map(w => w.window_start))}`);
+    assert(snapshots.length === 6 && snapshots.slice(3).every(s => s.window_start === '2025-08-13T00:00:00.000Z' && s.ratio === 1), `appended ${JSON.stringify(snapshots.slice(3))}`);
+    build(dir, [`--data-dir=${data}`, '--now=2025-08-14T06:00:00Z']);
+    assert((await readArtifact(dir, 'equity-snapshots.json')).length === 6, 'built windows not rebuilt');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const dir = await workDir('equity-query-');
+const collector = startCollector(PORT, path.join(dir, 'data'), { POLICY_MIN_CELL_THRESHOLD: String(THRESHOLD) });
+try {
+  if (!await collector.ready) {throw new Error('collector did not start');}
+
+  // builder - query API source with a unit roster
+  {
+    const events = [...repeat(18, 'u1', '2025-08-11T08:00:00Z'), ...repeat(6, 'u2', '2025-08-11T09:00:00Z'), exposure('u3', '2025-08-11T10:00:00Z')];
+    const res = await fetch(`http://127.0.0.1:${PORT}/ingest-batch`, { method: 'POST', body: events.map(e => JSON.stringify(e)).join('\n') });
+    const body = await res.json();
+    assert(body.ingested === events.length, `seed ${JSON.stringify(body).slice(0, 300)}`);
+    await fs.writeFile(path.join(dir, 'units.json'), JSON.stringify(['u3', 'u4']));
+    build(dir, [`--collector=http://127.0.0.1:${PORT}`, '--units=units.json', '--from=2025-08-11T00:00:00Z', '--now=2025-08-12T01:00:00Z']);
+    const snapshots = await readArtifact(dir, 'equity-snapshots.json');
+    assert(snapshots.map(s => `${s.unit}:${s.ratio}`).join() === 'u1:1,u2:1,u3:0,u4:0', `snapshots ${JSON.stringify(snapshots)}`);
+    assert(snapshots[0].provenance.source === 'query-api' && snapshots[2].below_min_cell && snapshots[2].exposures === null, 'small cell suppressed by the collector');
+  }
+} finally {
+  collector.child.kill('SIGKILL');
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+console.log('[test] equity-snapshots OK');
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * event-store.test.js
+ * Tests for the collector's partitioned event store (tools/lib/event-store.js): partitioning, O(1) counters,
+ * crash recovery, legacy import, retention by classification level and tombstoned compaction
+ */
+import assert from 'assert';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { classifyEvent, createEventStore, isExpired, loadStoragePolicy, readStoredEvents } from '../lib/event-store.js';
+
+const DAY = 86400000;
+const T0 = Date.parse('2025-01-01T10:00:00.000Z');
+const policy = await loadStoragePolicy();
+const evt = (event_name, hash) => ({ event_name, occurred_at: '2025-01-01T00:00:00Z', integrity: { event_hash: hash } });
+
+async function tempDir() {
+  return fs.mkdtemp(path.join(os.tmpdir(), 'event-store-'));
+}
+
+// policy - event names map to classification levels with retention
+{
+  assert(classifyEvent(policy, evt('sys_fairness_under_served_enter')) === 'L0', 'system events are L0');
+  assert(classifyEvent(policy, evt('pub_feedback_submit')) === 'L3', 'feedback text is L3');
+  assert(classifyEvent(policy, evt('pub_hero_card_impression')) === policy.default_level, 'default level');
+  assert(!isExpired(policy, 'L0', '2020-01-01', Date.now()), 'L0 is kept forever');
+  assert(isExpired(policy, 'L3', '2025-01-01', T0 + 91 * DAY) && !isExpired(policy, 'L3', '2025-01-01', T0 + 89 * DAY), 'L3 keeps 90 days after partition end');
+}
+
+// append - day partitions, counters served from the index
+{
+  const dir = await tempDir();
+  let now = T0;
+  const store = await createEventStore({ dataDir: dir, policy, indexEvery: 2, now: () => now });
+  await store.append(evt('pub_hero_card_impression', 'a'));
+  await store.append(evt('pub_feedback_submit', 'b'));
+  now += DAY;
+  await store.append(evt('pub_hero_card_impression', 'c'));
+  const stats = store.stats();
+  assert(stats.total === 3 && stats.byEvent.pub_hero_card_impression === 2 && stats.byLevel.L3 === 1, `unexpected stats ${JSON.stringify(stats)}`);
+  assert(stats.segments === 2, 'two day segments');
+  const files = (await fs.readdir(path.join(dir, 'events'))).sort();
+  assert(files.includes('2025-01-01.ndjson') && files.includes('2025-01-02.ndjson'), `segments ${files}`);
+  await store.close();
+  const reopened = await createEventStore({ dataDir: dir, policy, now: () => now });
+  assert(reopened.stats().total === 3, 'counters survive a restart');
+  const read = [];
+  for await (const e of readStoredEvents(dir)) {read.push(e.integrity.event_hash);}
+  assert(read.join() === 'a,b,c', 'events read back in partition order');
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+// recovery - segments written after the last index flush are recounted
+{
+  const dir = await tempDir();
+  const store = await createEventStore({ dataDir: dir, policy, indexEvery: 100, now: () => T0 });
+  await store.append(evt('pub_hero_card_impression', 'a'));
+  await store.flush();
+  await store.append(evt('pub_feedback_submit', 'b'));
+  // no close(): simulate a crash before the index write
+  const reopened = await createEventStore({ dataDir: dir, policy, now: () => T0 });
+  assert(reopened.stats().total === 2 && reopened.stats().byLevel.L3 === 1, 'unflushed append should be recounted');
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+// legacy log - imported once by received_at and left in place
+{
+  const dir = await tempDir();
+  const legacy = [
+    { event_name: 'pub_hero_card_impression', received_at: '2024-12-30T12:00:00Z' },
+    { event_name: 'pub_hero_card_impression', received_at: '2024-12-31T12:00:00Z' },
+  ].map(e => JSON.stringify(e)).join('\n') + '\n';
+  await fs.writeFile(path.join(dir, 'ingested-events.ndjson'), legacy);
+  const store = await createEventStore({ dataDir: dir, policy, now: () => T0 });
+  assert(store.stats().total === 2 && store.stats().segments === 2, 'legacy events partitioned by received_at');
+  assert(store.index.legacy_import.sha256 === createHash('sha256').update(legacy).digest('hex'), 'import records the legacy file hash');
+  await store.close();
+  const again = await createEventStore({ dataDir: dir, policy, now: () => T0 });
+  assert(again.stats().total === 2, 'legacy log is not imported twice');
+  assert(await fs.readFile(path.join(dir, 'ingested-events.ndjson'), 'utf8') === legacy, 'legacy file untouched');
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+// compaction - expired events dropped, tombstone keeps their hashes
+{
+  const dir = await tempDir();
+  const store = await createEventStore({ dataDir: dir, policy, now: () => T0 });
+  await store.append(evt('pub_feedback_submit', 'fb'));
+  await store.append(evt('pub_hero_card_impression', 'hero'));
+  await store.append(evt('sys_fairness_under_served_enter', 'sys'));
+  const segment = path.join(dir, 'events', '2025-01-01.ndjson');
+  const before = await fs.readFile(segment);
+  const none = await store.compact({ now: T0 + 30 * DAY });
+  assert(none.removed === 0 && none.segments_scanned === 1, 'nothing expires within 30 days');
+  const report = await store.compact({ now: T0 + 100 * DAY });
+  assert(report.removed === 1 && report.removed_by_level.L3 === 1, `unexpected report ${JSON.stringify(report)}`);
+  const stats = store.stats();
+  assert(stats.total === 2 && !stats.byEvent.pub_feedback_submit && stats.tombstones === 1, 'counters follow compaction');
+  const [tombstone] = (await fs.readFile(path.join(dir, 'events', 'tombstones.ndjson'), 'utf8')).trim().split('\n').map(l => JSON.parse(l));
+  assert(tombstone.segment_sha256_before === createHash('sha256').update(before).digest('hex'), 'tombstone pins the pre-compaction segment');
+  assert(tombstone.removed[0].event_hash === 'fb' && tombstone.kept === 2, 'tombstone lists the dropped event hash');
+  assert(tombstone.segment_sha256_after === createHash('sha256').update(await fs.readFile(segment)).digest('hex'), 'tombstone pins the compacted segment');
+  await store.compact({ now: T0 + 400 * DAY });
+  assert(store.stats().total === 1 && store.stats().byLevel.L0 === 1, 'only L0 survives past a year');
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+console.log('[test] event-store OK');
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * fairness-explain.test.js
+ * Decision traces: tools/fairness/engine-trace.js agreeing with engine-core.decide() on every branch, traces recorded
+ * by the engine runner in trace mode and replayed from the log otherwise, and the fairness:explain timeline
+ * (CLIs run in a temp working dir)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { spawnSync } from 'child_process';
+import yaml from 'yaml';
+import { decide } from '../fairness/engine-core.js';
+import { decideTraced, unitTimeline } from '../fairness/engine-trace.js';
+import { HysteresisLog, runEngine } from '../fairness/engine-runner.js';
+import { loadParamRegistry } from '../fairness/param-registry.js';
+
+const CONFIG = path.resolve('docs/fairness/hysteresis-config-v1.yml');
+const params = yaml.parse(await fs.readFile(CONFIG,'utf8')).parameters;
+const day = i => new Date(Date.UTC(2025, 7, 11 + i)).toISOString();
+// U2: candidate, enters, exits, blocked by cooldown, candidate again, enters, stalls
+const U2 = [0.58, 0.58, 0.7, 0.58, 0.58, 0.58, 0.56, 0.57, 0.6, 0.59, 0.62];
+const SNAPSHOTS = U2.map((ratio, i) => ({ unit: 'U2', ratio, ts: day(i) }));
+
+// trace - agrees with decide() on every step, cooldown and stall branches named
+{
+  let seed = 42;
+  const next = () => { seed = (seed * 1103515245 + 12345) % 2147483648; return seed / 2147483648; };
+  const branches = new Set();
+  let prev;
+  for (let i = 0; i < 5000; i++){
+    const ratio = Number((0.4 + next() * 0.35).toFixed(2));
+    const traced = decideTraced(params, prev, ratio);
+    const plain = decide(params, prev, ratio);
+    assert(traced.trace.consistent && traced.state === plain.state && traced.trace.output.state === plain.state, `step ${i}: ${traced.trace.branch} -> ${plain.state}`);
+    assert(Object.keys(traced.trace.deltas).every(k => traced.trace.output[k] - traced.trace.input[k] === traced.trace.deltas[k]), 'deltas');
+    branches.add(traced.trace.branch);
+    prev = plain;
+  }
+  for (const b of ['NONE.severe', 'CANDIDATE.consecutive', 'CANDIDATE.reset', 'ACTIVE.exit', 'ACTIVE.stall', 'STALLED.break_severe', 'CLEARED.cooldown_blocked', 'CLEARED.severe']){
+    assert(branches.has(b), `branch ${b} not reached (${[...branches].sort().join()})`);
+  }
+  const blocked = decideTraced(params, { state: 'CLEARED', consecutive: 0, cooldownLeft: 1, stallConsec: 0 }, 0.58).trace;
+  assert(blocked.branch === 'CLEARED.cooldown_blocked' && blocked.checks.find(c => c.name === 'cooldown_over').value === false && blocked.params.cooldown_snapshots_after_exit === params.cooldown_snapshots_after_exit, `blocked ${JSON.stringify(blocked)}`);
+  assert(blocked.checks.find(c => c.name === 'borderline').operands.T_enter_standard === params.T_enter_standard && blocked.deltas.cooldownLeft === -1, 'operands and counter deltas recorded');
+}
+
+// runner - trace mode records traces, untraced records replayed to the same timeline
+{
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fairness-explain-'));
+  try {
+    const files = name => ({ configPath: CONFIG, snapshotsPath: path.join(dir, 'snapshots.json'), logPath: path.join(dir, `${name}.ndjson`), statePath: path.join(dir, `${name}-state.json`), eventsPath: path.join(dir, `${name}-events.json`) });
+    await fs.writeFile(path.join(dir, 'snapshots.json'), JSON.stringify(SNAPSHOTS));
+    await runEngine({ ...files('traced'), trace: true });
+    await runEngine({ ...files('plain'), trace: false });
+    const traced = await new HysteresisLog({ file: files('traced').logPath }).init();
+    const plain = await new HysteresisLog({ file: files('plain').logPath }).init();
+    assert(traced.records.every(r => r.trace?.branch) && plain.records.every(r => !r.trace), 'trace only in trace mode');
+    const opts = { registry: await loadParamRegistry({ configPath: CONFIG }) };
+    const a = unitTimeline(traced.records, 'U2', opts);
+    const b = unitTimeline(plain.records, 'U2', opts);
+    assert(a.every(e => e.source === 'recorded') && b.every(e => e.source === 'replayed' && e.params_match), 'sources');
+    assert(JSON.stringify(a.map(e => e.trace)) === JSON.stringify(b.map(e => e.trace)), 'replayed traces equal recorded ones');
+    const registry = await loadParamRegistry({ configPath: CONFIG });
+    registry.versions[0].params = { ...params, T_exit: 0.75 };
+    registry.versions[0].params_sha256 = 'other';
+    const changed = unitTimeline(plain.records, 'U2', { registry });
+    assert(changed.every(e => e.params_match === false) && changed.some(e => !e.trace.consistent), 'config change flagged');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// CLI - fairness:explain renders the unit timeline
+{
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fairness-explain-cli-'));
+  try {
+    await fs.mkdir(path.join(dir, 'docs/fairness'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'artifacts'));
+    await fs.copyFile(CONFIG, path.join(dir, 'docs/fairness/hysteresis-config-v1.yml'));
+    await fs.writeFile(path.join(dir, 'artifacts/equity-snapshots.json'), JSON.stringify(SNAPSHOTS));
+    const run = (script, args = [], env = {}) => spawnSync(process.execPath, [path.resolve(script), ...args], { cwd: dir, env: { ...process.env, ...env }, encoding: 'utf8', timeout: 30000 });
+    assert(run('tools/fairness/hysteresis-engine.js', [], { HYST_TRACE: '1' }).status === 0, 'engine run');
+    const text = run('tools/fairness/explain-unit.js', ['--unit', 'U2']);
+    assert(text.status === 0 && text.stdout.startsWith('Unit U2: STALLED (listed as under-served) since 2025-08-16'), `text ${text.stdout.slice(0, 200)} ${text.stderr}`);
+    assert(text.stdout.includes('CANDIDATE -> ACTIVE  [ENTER consecutive]') && text.stdout.includes('cooldown has 1 snapshot(s) left') && text.stdout.includes('cooldown_over no (1 == 0)'), 'transitions and cooldown explained');
+    assert(!text.stdout.includes('replayed'), 'recorded traces used');
+    const json = JSON.parse(run('tools/fairness/explain-unit.js', ['--unit=U2', '--last=2', '--json']).stdout);
+    assert(json.under_served && json.snapshots === U2.length && json.timeline.length === 2 && json.timeline[1].trace.branch === 'ACTIVE.stall', `json ${JSON.stringify(json).slice(0, 300)}`);
+    const logFile = path.join(dir, 'artifacts/hysteresis-log.ndjson');
+    await fs.appendFile(logFile, '{"seq":99');
+    const torn = run('tools/fairness/explain-unit.js', ['--unit', 'U2']);
+    assert(torn.status === 0 && torn.stderr.includes('incomplete record') && (await fs.readFile(logFile,'utf8')).endsWith('{"seq":99'), 'torn tail reported, log left as it was');
+    const unknown = run('tools/fairness/explain-unit.js', ['--unit', 'U9']);
+    assert(unknown.status === 2 && unknown.stderr.includes('U9'), 'unknown unit');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+console.log('[test] fairness-explain OK');
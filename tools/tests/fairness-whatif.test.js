@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * fairness-whatif.test.js
+ * What-if replay: tools/fairness/whatif-core.js diffing a history under current and candidate parameters (entries,
+ * exits, time per state, churn), and the fairness:whatif evidence artifact from the engine log or a snapshots file,
+ * validated against schemas/evidence/hysteresis-whatif-v1.json (CLIs run in a temp working dir)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createHash } from 'crypto';
+import { spawnSync } from 'child_process';
+import yaml from 'yaml';
+import Ajv from 'ajv';
+import { compareRuns, orderHistory, replayHistory } from '../fairness/whatif-core.js';
+
+const CONFIG = path.resolve('docs/fairness/hysteresis-config-v1.yml');
+const params = yaml.parse(await fs.readFile(CONFIG,'utf8')).parameters;
+const day = i => new Date(Date.UTC(2025, 8, 1 + i)).toISOString();
+const series = (unit, ratios) => ratios.map((ratio, i) => ({ unit, ratio, ts: day(i) }));
+// U1 borderline only under a higher T_enter_standard; U2 re-enters one snapshot after exit under cooldown 1, not 2;
+// U3 unaffected
+const SNAPSHOTS = [...series('U1', [0.61, 0.61, 0.61]), ...series('U2', [0.49, 0.7, 0.58, 0.58, 0.58]), ...series('U3', [0.7, 0.7])];
+const CANDIDATE = { ...params, T_enter_standard: 0.62, cooldown_snapshots_after_exit: 2 };
+
+// core - units entering / exiting, time per state and churn diffed
+{
+  const { history, skipped } = orderHistory([...SNAPSHOTS, SNAPSHOTS[0], { unit: 'U9', ratio: 'x', ts: day(0) }]);
+  assert(history.length === SNAPSHOTS.length && skipped === 2, `history ${history.length} skipped ${skipped}`);
+  const baseline = replayHistory(params, history);
+  const candidate = replayHistory(CANDIDATE, history);
+  const { summary, units } = compareRuns(baseline, candidate);
+  assert(summary.units_total === 3 && summary.snapshots_total === 10 && summary.units_changed === 2, `summary ${JSON.stringify(summary)}`);
+  assert(summary.would_enter.join() === 'U1' && summary.would_exit.join() === 'U2', 'would enter / exit');
+  const u2 = units.find(u => u.unit === 'U2');
+  assert(u2.first_divergence_ts === day(3) && u2.baseline.enters === 2 && u2.candidate.enters === 1 && u2.baseline.flips === 3 && u2.candidate.flips === 2, `U2 ${JSON.stringify(u2)}`);
+  assert(units.find(u => u.unit === 'U1').candidate.snapshots_in_state.ACTIVE === 2 && summary.delta.snapshots_in_state.NONE === -3 && summary.delta.snapshots_in_state.CLEARED === 1, 'time per state');
+  for (const t of [summary.baseline, summary.candidate]) {assert(Object.values(t.snapshots_in_state).reduce((a, b) => a + b, 0) === 10, 'every snapshot counted once');}
+  assert(summary.baseline.flip_rate === 0.3 && summary.candidate.flip_rate === 0.3, 'flip rate');
+  const same = compareRuns(baseline, replayHistory({ ...params }, history));
+  assert(same.summary.units_changed === 0 && same.units.length === 0 && same.summary.delta.flips === 0, 'same parameters, no difference');
+  // Seeded: U2 already ACTIVE from an imported state
+  const seeded = replayHistory(params, history, { U2: { state: 'ACTIVE', consecutive: 0, cooldownLeft: 0, stallConsec: 0 } });
+  assert(seeded.U2.start === 'ACTIVE' && compareRuns(seeded, seeded).summary.baseline.flips === 2, 'seed state is the starting point');
+}
+
+// CLI - fairness:whatif writes schema-valid evidence from the engine log or a snapshots file
+{
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fairness-whatif-'));
+  try {
+    await fs.mkdir(path.join(dir, 'docs/fairness'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'artifacts'));
+    await fs.copyFile(CONFIG, path.join(dir, 'docs/fairness/hysteresis-config-v1.yml'));
+    await fs.writeFile(path.join(dir, 'artifacts/equity-snapshots.json'), JSON.stringify(SNAPSHOTS));
+    const run = (script, args = []) => spawnSync(process.execPath, [path.resolve(script), ...args], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    const validate = ajv.compile(JSON.parse(await fs.readFile('schemas/evidence/hysteresis-whatif-v1.json','utf8')));
+    const read = async file => { const text = await fs.readFile(path.join(dir, file),'utf8'); return { text, report: JSON.parse(text) }; };
+
+    const fromFile = run('tools/fairness/whatif.js', ['--set=T_enter_standard=0.62,cooldown_snapshots_after_exit=2', '--dec=DEC-20991231-01']);
+    assert(fromFile.status === 0, `whatif ${fromFile.stderr}`);
+    const first = await read('artifacts/hysteresis-whatif.json');
+    assert(validate(first.report), `schema ${JSON.stringify(validate.errors)}`);
+    assert(first.report.input.source === 'snapshots' && first.report.dec_ref === 'DEC-20991231-01' && first.report.baseline.params_version === '1.0.0', 'input and references');
+    assert(first.report.candidate.changed.T_enter_standard.to === 0.62 && first.report.summary.would_enter.join() === 'U1' && first.report.summary.would_exit.join() === 'U2', 'diff');
+    assert(fromFile.stdout.includes(`sha256:${createHash('sha256').update(first.text).digest('hex')}`), 'artifact hash printed for the DEC');
+
+    assert(run('tools/fairness/hysteresis-engine.js').status === 0, 'engine run');
+    await fs.writeFile(path.join(dir, 'candidate.yml'), (await fs.readFile(CONFIG,'utf8')).replace('version: 1.0.0', 'version: 1.1.0').replace('T_enter_standard: 0.60', 'T_enter_standard: 0.62'));
+    const fromLog = run('tools/fairness/whatif.js', ['--candidate=candidate.yml', '--set=cooldown_snapshots_after_exit=2', '--out=artifacts/whatif-1.1.0.json']);
+    assert(fromLog.status === 0, `whatif log ${fromLog.stderr}`);
+    const second = (await read('artifacts/whatif-1.1.0.json')).report;
+    assert(validate(second) && second.input.source === 'log' && second.input.log_head_hash && second.input.baseline_log_mismatches === 0, `log input ${JSON.stringify(second.input)}`);
+    assert(second.candidate.version === '1.1.0' && second.candidate.config_sha256 && second.input.history_sha256 === first.report.input.history_sha256 && JSON.stringify(second.summary) === JSON.stringify(first.report.summary), 'same history, same diff');
+
+    const logFile = path.join(dir, 'artifacts/hysteresis-log.ndjson');
+    await fs.appendFile(logFile, '{"seq":99');
+    const torn = run('tools/fairness/whatif.js', ['--candidate=candidate.yml', '--out=artifacts/whatif-torn.json']);
+    assert(torn.status === 0 && torn.stderr.includes('incomplete record') && (await fs.readFile(logFile,'utf8')).endsWith('{"seq":99'), 'torn tail reported, log left as it was');
+    const unknown = run('tools/fairness/whatif.js', ['--set=T_enter=0.6']);
+    assert(unknown.status === 2 && unknown.stderr.includes('unknown parameter T_enter'), 'unknown parameter refused');
+    assert(run('tools/fairness/whatif.js').status === 2, 'candidate required');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+console.log('[test] fairness-whatif OK');
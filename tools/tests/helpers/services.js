@@ -0,0 +1,58 @@
+/**
+ * services.js
+ * Shared helpers for tests that run services on test ports: spawn a service script and wait for its
+ * "listening" line, start the collector against a temp data dir, and send JSON requests.
+ */
+import http from 'http';
+import { spawn } from 'child_process';
+
+/**
+ * Spawn a service script with extra env
+ * @param {string} script - Path from the repo root, e.g. tools/services/signer.js
+ * @param {object} [env]
+ * @param {number} [timeoutMs] - ready resolves false when nothing is listening by then
+ * @returns {{child: import('child_process').ChildProcess, ready: Promise<boolean>}}
+ */
+export function startService(script, env = {}, timeoutMs = 5000){
+  const child = spawn(process.execPath, [script], { env: { ...process.env, ...env }, stdio: ['ignore','pipe','pipe'] });
+  const ready = new Promise(resolve=>{
+    const timeout = setTimeout(()=> resolve(false), timeoutMs);
+    child.stdout.on('data', d=>{ if (d.toString().includes('listening')) { clearTimeout(timeout); resolve(true); } });
+  });
+  return { child, ready };
+}
+
+/**
+ * Start the collector on 127.0.0.1 with signed receipts and sealing off (env can turn them back on)
+ * @param {number} port
+ * @param {string} dataDir - EVENTS_DATA_DIR
+ * @param {object} [env]
+ */
+export function startCollector(port, dataDir, env = {}){
+  return startService('tools/services/collector.js', {
+    COLLECTOR_PORT: String(port),
+    COLLECTOR_HOST: '127.0.0.1',
+    EVENTS_DATA_DIR: dataDir,
+    COLLECTOR_RECEIPTS: '0',
+    COLLECTOR_SEAL_INTERVAL_MS: '0',
+    ...env,
+  });
+}
+
+/**
+ * Send a request to 127.0.0.1:port; an object body is sent as JSON, a string as is
+ * @returns {Promise<{status:number, json:any}>}
+ */
+export function httpRequest(port, urlPath, method = 'GET', body, headers = {}){
+  return new Promise((resolve,reject)=>{
+    const data = body === undefined ? null : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+    const req = http.request({ hostname:'127.0.0.1', port, path: urlPath, method, headers: { ...(data ? { 'content-type':'application/json', 'content-length': data.length } : {}), ...headers } }, res =>{
+      let out='';
+      res.on('data', chunk => out += chunk);
+      res.on('end', ()=> resolve({ status: res.statusCode, json: out ? JSON.parse(out) : null }));
+    });
+    req.on('error', reject);
+    if (data) {req.write(data);}
+    req.end();
+  });
+}
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * hysteresis-runner.test.js
+ * Incremental hysteresis engine: tools/fairness/engine-runner.js watermarks, idempotent reruns, the hash-chained log
+ * (torn tail, tampering, import of a pre-log state file, a v2 state without its log), and hysteresis-engine.js / derive-under-served-list.js
+ * deriving their artifacts from that log (CLIs run in a temp working dir)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { spawnSync } from 'child_process';
+import { EngineLogError, HysteresisLog, runEngine } from '../fairness/engine-runner.js';
+
+const CONFIG = path.resolve('docs/fairness/hysteresis-config-v1.yml');
+const day = i => new Date(Date.UTC(2025, 7, 11 + i)).toISOString();
+// U1 enters on a severe ratio and exits; U2 enters after consecutive borderline ratios
+const SNAPSHOTS = [0.4, 0.55, 0.7, 0.7].flatMap((r, i) => [{ unit: 'U1', ratio: r, ts: day(i) }, { unit: 'U2', ratio: [0.58, 0.58, 0.58, 0.6][i], ts: day(i) }]);
+
+async function withDir(prefix, fn){
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  const files = { configPath: CONFIG, snapshotsPath: path.join(dir, 'snapshots.json'), logPath: path.join(dir, 'log.ndjson'), statePath: path.join(dir, 'state.json'), eventsPath: path.join(dir, 'events.json') };
+  try { await fn(dir, files); } finally { await fs.rm(dir, { recursive: true, force: true }); }
+}
+
+const readJson = async file => JSON.parse(await fs.readFile(file,'utf8'));
+const events = list => list.map(e => `${e.unit}:${e.type}@${e.ts.slice(0, 10)}`).join(',');
+
+// runner - only snapshots past the watermark applied, reruns append nothing
+{
+  await withDir('hyst-incremental-', async (dir, files) => {
+    await fs.writeFile(files.snapshotsPath, JSON.stringify(SNAPSHOTS.slice(0, 4)));
+    const first = await runEngine(files);
+    assert(first.processed === 4 && first.state.units.U1.watermark === day(1), `first ${JSON.stringify(first.state.units.U1)}`);
+    await fs.writeFile(files.snapshotsPath, JSON.stringify(SNAPSHOTS));
+    const second = await runEngine(files);
+    assert(second.processed === 4 && second.duplicates === 4 && second.late.length === 0, `second processed=${second.processed} duplicates=${second.duplicates}`);
+    const third = await runEngine(files);
+    assert(third.processed === 0 && third.duplicates === 8 && third.state.log.head_hash === second.state.log.head_hash, 'rerun idempotent');
+    const list = await readJson(files.eventsPath);
+    assert(events(list) === 'U1:ENTER@2025-08-11,U2:ENTER@2025-08-12,U1:EXIT@2025-08-13', `events ${events(list)}`);
+    assert(list.every(e => /^[0-9a-f]{64}$/.test(e.record_hash) && Number.isInteger(e.seq)), 'events point into the log');
+
+    await withDir('hyst-full-', async (_dir, full) => {
+      await fs.writeFile(full.snapshotsPath, JSON.stringify([...SNAPSHOTS].reverse()));
+      const once = await runEngine(full);
+      assert(once.state.log.head_hash === third.state.log.head_hash, 'incremental log identical to a single run over all snapshots');
+    });
+
+    await fs.writeFile(files.snapshotsPath, JSON.stringify([...SNAPSHOTS, { unit: 'U1', ratio: 0.1, ts: day(2) }, { unit: 'U1', ratio: 0.2, ts: day(0) }]));
+    const late = await runEngine(files);
+    assert(late.processed === 0 && late.late.map(l => l.ts).join() === `${day(0)},${day(2)}` && late.late[0].watermark === day(3), `late ${JSON.stringify(late.late)}`);
+  });
+}
+
+// log - torn tail cut off, tampered record refused, pre-log state imported
+{
+  await withDir('hyst-log-', async (dir, files) => {
+    await fs.writeFile(files.snapshotsPath, JSON.stringify(SNAPSHOTS));
+    await runEngine(files);
+    const text = await fs.readFile(files.logPath,'utf8');
+    await fs.appendFile(files.logPath, '{"seq":9,"unit":"U1"');
+    const peek = await new HysteresisLog({ file: files.logPath }).init({ readOnly: true });
+    assert(peek.records.length === 8 && peek.tornTail?.line === 9 && (await fs.readFile(files.logPath,'utf8')) !== text, 'read-only load reports the torn tail and keeps it');
+    const log = await new HysteresisLog({ file: files.logPath }).init();
+    assert(log.records.length === 8 && (await fs.readFile(files.logPath,'utf8')) === text, 'torn tail truncated');
+
+    const lines = text.split('\n');
+    lines[2] = lines[2].replace('"ratio":0.55', '"ratio":0.75');
+    await fs.writeFile(files.logPath, lines.join('\n'));
+    let refused = null;
+    try { await runEngine(files); } catch (e) { refused = e; }
+    assert(refused instanceof EngineLogError && refused.line === 3 && refused.code === 'HYSTERESIS_LOG_INVALID', `tampered ${refused?.message}`);
+
+    await fs.rm(files.logPath);
+    await fs.writeFile(files.statePath, JSON.stringify({ U1: { state: 'ACTIVE', consecutive: 0, cooldownLeft: 0, stallConsec: 0, events: [], lastRatio: 0.45, lastTs: day(1) } }));
+    const imported = await runEngine(files);
+    const log2 = await new HysteresisLog({ file: files.logPath }).init();
+    assert(log2.records[0].kind === 'import' && log2.records[0].unit === 'U1' && imported.processed === 6, `imported ${JSON.stringify(log2.records[0])}`);
+    assert(imported.late.length === 2 && imported.state.units.U1.state === 'CLEARED', 'imported state resumed from its last snapshot');
+  });
+}
+
+// log - v2 state without its log refused unless imported explicitly
+{
+  await withDir('hyst-lost-', async (dir, files) => {
+    await fs.writeFile(files.snapshotsPath, JSON.stringify(SNAPSHOTS.slice(0, 6)));
+    const before = await runEngine(files);
+    await fs.rm(files.logPath);
+    let refused = null;
+    try { await runEngine(files); } catch (e) { refused = e; }
+    assert(refused instanceof EngineLogError && refused.code === 'HYSTERESIS_LOG_MISSING', `missing log ${refused?.message}`);
+    assert((await readJson(files.statePath)).log.head_hash === before.state.log.head_hash, 'state left as it was');
+
+    await fs.writeFile(files.snapshotsPath, JSON.stringify(SNAPSHOTS));
+    const imported = await runEngine({ ...files, importState: true });
+    const log = await new HysteresisLog({ file: files.logPath }).init();
+    assert(log.records.slice(0, 2).every(r => r.kind === 'import') && imported.processed === 2 && imported.late.length === 6, `imported processed=${imported.processed} late=${imported.late.length}`);
+    assert(imported.state.units.U1.state === before.state.units.U1.state && imported.state.units.U2.state === 'ACTIVE', 'units resumed from the state');
+  });
+}
+
+// CLIs - under-served list and events derived from the engine log
+{
+  await withDir('hyst-cli-', async dir => {
+    await fs.mkdir(path.join(dir, 'docs/fairness'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'artifacts'));
+    await fs.copyFile(CONFIG, path.join(dir, 'docs/fairness/hysteresis-config-v1.yml'));
+    await fs.writeFile(path.join(dir, 'artifacts/equity-snapshots.json'), JSON.stringify(SNAPSHOTS.slice(0, 6)));
+    const run = script => {
+      const res = spawnSync(process.execPath, [path.resolve(script)], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+      assert(res.status === 0, `${script}: ${res.stderr}`);
+      return res.stdout;
+    };
+    run('tools/fairness/hysteresis-engine.js');
+    run('tools/derive-under-served-list.js');
+    run('tools/fairness/hysteresis-engine.js');
+    const under = await readJson(path.join(dir, 'artifacts/under-served.json'));
+    const state = await readJson(path.join(dir, 'artifacts/hysteresis-state.json'));
+    assert(under.units.map(u => `${u.unit}:${u.state}`).join() === 'U2:ACTIVE' && under.source.log_head_hash === state.log.head_hash, `under-served ${JSON.stringify(under)}`);
+    assert(events(await readJson(path.join(dir, 'artifacts/hysteresis-events.json'))) === 'U1:ENTER@2025-08-11,U2:ENTER@2025-08-12,U1:EXIT@2025-08-13', 'no duplicate events across runs');
+  });
+}
+
+console.log('[test] hysteresis-runner OK');
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * merkle-proof.test.js
+ * Unit tests for tools/lib/merkle.js (RFC 6962 roots, inclusion & consistency proofs)
+ */
+import assert from 'assert';
+import {
+  leafHash,
+  merkleRoot,
+  inclusionProof,
+  inclusionProofs,
+  consistencyProof,
+  verifyInclusion,
+  verifyConsistency,
+} from '../lib/merkle.js';
+
+// Reference vectors from the RFC 6962 / certificate-transparency test suite
+const RFC_INPUTS = ['', '00', '10', '2021', '3031', '40414243', '5051525354555657', '606162636465666768696a6b6c6d6e6f'];
+const RFC_ROOTS = [
+  '6e340b9cffb37a989ca544e6bb780a2c78901d3fb33738768511a30617afa01d',
+  'fac54203e7cc696cf0dfcb42c92a1d9dbaf70ad9e621f4bd8d98662f00e3c125',
+  'aeb6bcfe274b70a14fb067a5e5578264db0fa9b51af5e0ba159158f329e06e77',
+  'd37ee418976dd95753c1c73862b9398fa2a2cf9b4ff0fdfe8b30cd95209614b7',
+  '4e3bbb1f7b478dcfe71fb631631519a3bca12c9aefca1612bfce4c13a86264d4',
+  '76e67dadbcdf1e10e1b74ddc608abd2f98dfb16fbce75277b5232a127f2087ef',
+  'ddb89be403809e325750d3d263cd78929c2942b7942a34b77e122c9594a74c8c',
+  '5dc9da79a70659a9ad559cb701ded9a2ab9d823aad2f4960cfe370eff4604328',
+];
+const rfcLeaves = RFC_INPUTS.map(h => leafHash(Buffer.from(h, 'hex')));
+const leaves = Array.from({ length: 21 }, (_, i) => leafHash(`entry-${i}`));
+
+// merkleRoot - matches RFC 6962 reference roots
+{
+  RFC_ROOTS.forEach((root, i) => {
+    assert(merkleRoot(rfcLeaves, i + 1) === root, `root mismatch at size ${i + 1}`);
+  });
+}
+
+// merkleRoot - empty tree is SHA-256 of empty string
+{
+  assert(merkleRoot([]) === 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855', 'empty root mismatch');
+}
+
+// inclusionProof - verifies for every leaf of every size
+{
+  for (let size = 1; size <= leaves.length; size++) {
+    const root = merkleRoot(leaves, size);
+    for (let i = 0; i < size; i++) {
+      const proof = inclusionProof(leaves, i, size);
+      assert(verifyInclusion(leaves[i], i, size, proof, root), `inclusion failed index=${i} size=${size}`);
+    }
+  }
+}
+
+// inclusionProofs - one-pass audit paths equal inclusionProof for every size
+{
+  for (let size = 1; size <= leaves.length; size++) {
+    const all = inclusionProofs(leaves.slice(0, size));
+    for (let i = 0; i < size; i++) {
+      assert(all[i].join() === inclusionProof(leaves, i, size).join(), `path mismatch index=${i} size=${size}`);
+    }
+  }
+}
+
+// verifyInclusion - rejects wrong leaf, index or root
+{
+  const size = 13;
+  const root = merkleRoot(leaves, size);
+  const proof = inclusionProof(leaves, 5, size);
+  assert(!verifyInclusion(leaves[6], 5, size, proof, root), 'wrong leaf accepted');
+  assert(!verifyInclusion(leaves[5], 4, size, proof, root), 'wrong index accepted');
+  assert(!verifyInclusion(leaves[5], 5, size, proof, merkleRoot(leaves, size + 1)), 'wrong root accepted');
+  assert(!verifyInclusion(leaves[5], 5, size, proof.slice(1), root), 'truncated proof accepted');
+}
+
+// inclusionProof - rejects out of range requests
+{
+  let threw = false;
+  try { inclusionProof(leaves, 3, 3); } catch { threw = true; }
+  assert(threw, 'expected RangeError for index >= size');
+}
+
+// consistencyProof - verifies for every pair of sizes
+{
+  for (let second = 1; second <= leaves.length; second++) {
+    const secondRoot = merkleRoot(leaves, second);
+    for (let first = 1; first <= second; first++) {
+      const proof = consistencyProof(leaves, first, second);
+      assert(verifyConsistency(first, second, merkleRoot(leaves, first), secondRoot, proof), `consistency failed ${first}->${second}`);
+    }
+  }
+}
+
+// verifyConsistency - rejects a forked history
+{
+  const forked = leaves.slice(0, 12);
+  forked[3] = leafHash('tampered');
+  const proof = consistencyProof(leaves, 7, 12);
+  assert(!verifyConsistency(7, 12, merkleRoot(forked, 7), merkleRoot(leaves, 12), proof), 'forked first root accepted');
+  assert(!verifyConsistency(7, 12, merkleRoot(leaves, 7), merkleRoot(forked, 12), proof), 'forked second root accepted');
+}
+
+console.log('[test] merkle-proof OK');
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+/**
+ * param-registry.test.js
+ * Hysteresis parameter registry: tools/fairness/param-registry.js validation, seals and version selection by
+ * effective_from, the engine runner deciding each snapshot with the version effective at its ts and naming it in its
+ * records, events and decision trace, and param-lock-verify.js over a registry (temp working dir)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { promises as fs, readFileSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { HysteresisLog, runEngine } from '../fairness/engine-runner.js';
+import { unitTimeline } from '../fairness/engine-trace.js';
+import { loadParamRegistry, readParamRegistry } from '../fairness/param-registry.js';
+
+const V1 = await fs.readFile('docs/fairness/hysteresis-config-v1.yml','utf8');
+// 1.1.0 raises T_enter_standard so a 0.61 ratio becomes borderline
+const V11 = V1.replace('version: 1.0.0', 'version: 1.1.0').replace('dec_id: DEC-20250812-02', 'dec_id: DEC-20991231-01').replace('T_enter_standard: 0.60', 'T_enter_standard: 0.62');
+const day = i => new Date(Date.UTC(2025, 8, 1 + i)).toISOString();
+const sha = text => createHash('sha256').update(text).digest('hex');
+const refused = async fn => { try { await fn(); return null; } catch (e) { return e; } };
+
+// Registry dir with v1 and 1.1.0 (effective from day 2)
+async function registryDir(prefix){
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  const reg = path.join(dir, 'docs/fairness');
+  await fs.mkdir(reg, { recursive: true });
+  await fs.writeFile(path.join(reg, 'hysteresis-config-v1.yml'), V1);
+  await fs.writeFile(path.join(reg, 'hysteresis-config-v1.1.yml'), V11);
+  const index = { registry_version: 1, versions: [
+    { version: '1.0.0', config: 'hysteresis-config-v1.yml', dec_id: 'DEC-20250812-02', effective_from: '2025-08-12T04:25:29Z', hash_sha256: sha(V1) },
+    { version: '1.1.0', config: 'hysteresis-config-v1.1.yml', dec_id: 'DEC-20991231-01', effective_from: day(2), hash_sha256: sha(V11) },
+  ] };
+  await fs.writeFile(path.join(reg, 'hysteresis-param-registry.json'), JSON.stringify(index, null, 2));
+  return { dir, file: path.join(reg, 'hysteresis-param-registry.json'), index };
+}
+
+// registry - versions picked by effective_from, seals and declarations enforced
+{
+  const { dir, file, index } = await registryDir('param-registry-');
+  try {
+    const registry = await loadParamRegistry({ file });
+    assert(registry.at('2025-01-01T00:00:00Z').version === '1.0.0' && registry.at(day(1)).version === '1.0.0' && registry.at(day(2)).version === '1.1.0', 'selection by ts');
+    assert(registry.current.version === '1.1.0' && registry.get('1.1.0').params.T_enter_standard === 0.62 && registry.get('1.0.0').params_sha256 !== registry.current.params_sha256, 'params per version');
+    const repo = await loadParamRegistry();
+    assert(repo.versions.length === 1 && repo.current.dec_id === 'DEC-20250812-02', 'repo registry loads under its seal');
+
+    const write = versions => fs.writeFile(file, JSON.stringify({ ...index, versions }));
+    await write([index.versions[1], index.versions[0]]);
+    assert((await refused(() => readParamRegistry(file)))?.message.includes('effective_from'), 'versions out of effective_from order');
+    await write([index.versions[0], { ...index.versions[1], version: '1.0.0' }]);
+    assert((await refused(() => readParamRegistry(file)))?.message.includes('twice'), 'duplicate version');
+    await write([{ ...index.versions[0], hash_sha256: sha('other') }]);
+    assert((await refused(() => loadParamRegistry({ file })))?.message.includes('sealed hash'), 'edited config not loaded');
+    await write([{ ...index.versions[1], dec_id: 'DEC-20250812-02' }]);
+    assert((await refused(() => loadParamRegistry({ file })))?.message.includes('declares'), 'config must declare its registry entry');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// engine - each snapshot decided and reported with the version effective at its ts
+{
+  const { dir, file, index } = await registryDir('param-engine-');
+  try {
+    const files = { registryPath: file, snapshotsPath: path.join(dir, 'snapshots.json'), logPath: path.join(dir, 'log.ndjson'), statePath: path.join(dir, 'state.json'), eventsPath: path.join(dir, 'events.json') };
+    // 0.61 is no action under 1.0.0 and borderline under 1.1.0
+    await fs.writeFile(files.snapshotsPath, JSON.stringify([0.61, 0.61, 0.61, 0.61].map((ratio, i) => ({ unit: 'U1', ratio, ts: day(i) }))));
+    const result = await runEngine(files);
+    const log = await new HysteresisLog({ file: files.logPath }).init();
+    assert(log.records.map(r => `${r.params_version}:${r.state.state}`).join() === '1.0.0:NONE,1.0.0:NONE,1.1.0:CANDIDATE,1.1.0:ACTIVE', `records ${log.records.map(r => `${r.params_version}:${r.state.state}`)}`);
+    assert(log.records[3].dec_id === 'DEC-20991231-01' && result.state.params.current === '1.1.0' && result.state.units.U1.params_version === '1.1.0', 'version and DEC in records and state');
+    const events = JSON.parse(await fs.readFile(files.eventsPath,'utf8'));
+    assert(events.length === 1 && events[0].type === 'ENTER' && events[0].params_version === '1.1.0' && events[0].dec_id === 'DEC-20991231-01', `events ${JSON.stringify(events)}`);
+    const timeline = unitTimeline(log.records, 'U1', { registry: await loadParamRegistry({ file }) });
+    assert(timeline.every(e => e.params_match && e.trace.consistent) && timeline[2].trace.params.T_enter_standard === 0.62 && timeline[0].trace.params.T_enter_standard === 0.6, 'replayed with the recorded version');
+
+    await fs.writeFile(file, JSON.stringify({ ...index, versions: [index.versions[0], { ...index.versions[1], effective_from: day(1) }] }));
+    const again = await runEngine(files);
+    assert(again.processed === 0 && again.superseded.length === 1 && again.superseded[0].ts === day(1) && again.superseded[0].effective_version === '1.1.0', `superseded ${JSON.stringify(again.superseded)}`);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// param-lock - registry seals, declarations and DEC links verified
+{
+  const { dir, file } = await registryDir('param-lock-');
+  try {
+    await fs.mkdir(path.join(dir, 'docs/integrity'), { recursive: true });
+    await fs.mkdir(path.join(dir, 'docs/governance/dec'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'docs/integrity/spec-hash-manifest-v1.json'), JSON.stringify({ files: [{ path: 'docs/fairness/hysteresis-config-v1.yml', hash_sha256: sha(V1) }] }));
+    for (const dec of ['DEC-20250812-02-hysteresis-adoption.md', 'DEC-20991231-01-hysteresis-v1-1.md']) {await fs.writeFile(path.join(dir, 'docs/governance/dec', dec), '---\n');}
+    const lock = () => {
+      const res = spawnSync(process.execPath, [path.resolve('tools/param-lock-verify.js')], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+      return { status: res.status, stderr: res.stderr, report: JSON.parse(readFileSync(path.join(dir, 'artifacts/param-lock-status.json'), 'utf8')) };
+    };
+    const pass = lock();
+    assert(pass.status === 0 && pass.report.status === 'PASS' && pass.report.registry.versions.length === 2, `pass ${pass.stderr}`);
+    await fs.writeFile(path.join(dir, 'docs/fairness/hysteresis-config-v1.1.yml'), V11.replace('T_exit: 0.65', 'T_exit: 0.7'));
+    await fs.rm(path.join(dir, 'docs/governance/dec/DEC-20991231-01-hysteresis-v1-1.md'));
+    const fail = lock();
+    const v11 = fail.report.registry.versions[1];
+    assert(fail.status === 5 && fail.report.status === 'FAIL' && v11.issues.includes('SEAL_MISMATCH') && v11.issues.includes('DEC_MISSING DEC-20991231-01'), `fail ${JSON.stringify(v11)}`);
+    assert(fail.report.registry.versions[0].status === 'PASS' && fail.stderr.includes('1.1.0'), 'other versions unaffected');
+    await fs.writeFile(file, '{"versions":[]}');
+    assert(lock().report.registry.error?.includes('no versions'), 'invalid registry reported');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+console.log('[test] param-registry OK');
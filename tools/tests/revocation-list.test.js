@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * revocation-list.test.js
+ * Unit tests for tools/lib/revocation.js (transitions, status list bitstrings, offline list verification)
+ */
+import assert from 'assert';
+import crypto from 'crypto';
+import { canonicalize } from '../lib/canonical.js';
+import {
+  RevocationError,
+  applyStatusChange,
+  attachListProof,
+  buildRevocationList,
+  credentialStatus,
+  decodeStatusList,
+  emptyRegistry,
+  encodeStatusList,
+  registerCredential,
+  statusBit,
+  verifyRevocationList,
+} from '../lib/revocation.js';
+
+function throwsCode(fn, code) {
+  try { fn(); } catch (e) { return e instanceof RevocationError && e.code === code; }
+  return false;
+}
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const key = { id: 'k-test', publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }) };
+
+// Mirrors the signer service: canonicalize payload, sign, return key_id
+function signerSign(payload) {
+  const canonical = canonicalize(payload);
+  return { canonical, signature: crypto.sign(null, Buffer.from(canonical), privateKey).toString('base64'), key_id: key.id };
+}
+
+function signedList(registry) {
+  const list = buildRevocationList(registry, { issuer: 'did:web:test', chainAnchor: { seq: 3, entryHash: 'ab' } });
+  const { proof: _proof, ...body } = list;
+  return attachListProof(list, signerSign(body));
+}
+
+// registerCredential - assigns a stable index
+{
+  const reg = emptyRegistry();
+  const a = registerCredential(reg, 'urn:cred:a');
+  assert(registerCredential(reg, 'urn:cred:a').status_index === a.status_index, 'index should be stable');
+  assert(a.status === 'active', 'new credential should be active');
+}
+
+// applyStatusChange - suspend, reinstate, revoke; revoked is final
+{
+  const reg = emptyRegistry();
+  registerCredential(reg, 'c1');
+  applyStatusChange(reg, { action: 'suspend', credential_id: 'c1', reason: 'POLICY_VIOLATION' });
+  const back = applyStatusChange(reg, { action: 'reinstate', credential_id: 'c1' });
+  assert(back.from === 'suspended' && back.to === 'active' && reg.credentials.c1.reason === null, 'reinstate should clear reason');
+  applyStatusChange(reg, { action: 'revoke', credential_id: 'c1', reason: 'COMPROMISED' });
+  assert(reg.list_version === 3, 'each change should bump list_version');
+  assert(throwsCode(() => applyStatusChange(reg, { action: 'reinstate', credential_id: 'c1' }), 'invalid_transition'), 'revoked should be final');
+}
+
+// applyStatusChange - validates reason codes and refuses unregistered credentials
+{
+  const reg = emptyRegistry();
+  registerCredential(reg, 'c1');
+  assert(throwsCode(() => applyStatusChange(reg, { action: 'revoke', credential_id: 'c1' }), 'invalid_reason'), 'revoke needs a reason');
+  assert(throwsCode(() => applyStatusChange(reg, { action: 'revoke', credential_id: 'c1', reason: 'BECAUSE' }), 'invalid_reason'), 'unknown reason rejected');
+  assert(throwsCode(() => applyStatusChange(reg, { action: 'delete', credential_id: 'c1' }), 'unknown_action'), 'unknown action rejected');
+  assert(throwsCode(() => applyStatusChange(reg, { action: 'revoke', credential_id: 'c2', reason: 'COMPROMISED' }), 'unknown_credential'), 'unregistered credential rejected');
+  assert(!reg.credentials.c2 && reg.list_version === 0, 'rejected change leaves the registry untouched');
+}
+
+// status list - MSB-first bit order round-trips through gzip/base64url
+{
+  const bits = decodeStatusList(encodeStatusList([0, 9, 131071]));
+  assert(bits[0] === 0x80 && bits[1] === 0x40, 'bit 0 and 9 should be MSB-first');
+  assert(statusBit(bits, 131071) && !statusBit(bits, 1), 'bit lookups should match');
+}
+
+// verifyRevocationList - accepts signer-signed list and reports statuses
+{
+  const reg = emptyRegistry();
+  for (const id of ['ok', 'gone', 'paused']) {registerCredential(reg, id);}
+  applyStatusChange(reg, { action: 'revoke', credential_id: 'gone', reason: 'DATA_SUPERSEDED' });
+  applyStatusChange(reg, { action: 'suspend', credential_id: 'paused', reason: 'USER_REQUEST' });
+  const list = signedList(reg);
+  const v = verifyRevocationList(list, [key]);
+  assert(v.ok && v.key_id === 'k-test', `list should verify: ${v.issues.join(',')}`);
+  assert(credentialStatus(list, { credential_id: 'gone' }).status === 'revoked', 'revoked by id');
+  assert(credentialStatus(list, { status_index: reg.credentials.paused.status_index }).reason === 'USER_REQUEST', 'suspended by index');
+  assert(credentialStatus(list, { status_index: reg.credentials.ok.status_index }).status === 'active', 'active credential');
+  assert(!list.entries.some(e => e.credential_id === 'ok'), 'active credentials are not listed');
+}
+
+// verifyRevocationList - detects tampering and unknown keys
+{
+  const reg = emptyRegistry();
+  registerCredential(reg, 'gone');
+  applyStatusChange(reg, { action: 'revoke', credential_id: 'gone', reason: 'COMPROMISED' });
+  const list = signedList(reg);
+  const tampered = { ...list, status_lists: { ...list.status_lists, revocation: encodeStatusList([]) } };
+  assert(verifyRevocationList(tampered, [key]).issues.includes('signature_invalid'), 'cleared bit should break the signature');
+  assert(verifyRevocationList(list, [{ ...key, id: 'other' }]).issues.includes('signer_key_unknown'), 'unknown key_id');
+  assert(verifyRevocationList({ ...list, proof: undefined }, [key]).issues.includes('proof_missing'), 'missing proof');
+}
+
+console.log('[test] revocation-list OK');
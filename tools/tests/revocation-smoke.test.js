@@ -2,43 +2,135 @@
 /**
  * revocation-smoke.test.js
  * H1-I1/I2: Smoke test that server responds and schema matches expectations.
+ * Also runs signer + chain on test ports and checks that a revoke is anchored and the
+ * published list verifies offline against the signer's keys, that /register takes its bearer token and rate
+ * limit, and (against stub signer and chain services) that a change anchored but not published is logged
+ * and retried without a second anchor.
  */
 import http from 'http';
-import { spawn } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import { canonicalize } from '../lib/canonical.js';
+import { credentialStatus, verifyRevocationList } from '../lib/revocation.js';
+import { httpRequest, startService } from './helpers/services.js';
 
 const PORT = 4630; // use test port to avoid conflicts
+const SIGNER_PORT = 4631;
+const CHAIN_PORT = 4632;
+const STUB_PORT = 4633;
+const TOKEN = 'smoke-register-token';
 
-function httpGet(path){
-  return new Promise((resolve,reject)=>{
-    const req = http.request({ hostname:'127.0.0.1', port: PORT, path, method:'GET' }, res =>{
-      let data='';
-      res.on('data', chunk => data += chunk);
-      res.on('end', ()=> resolve({ status: res.statusCode, json: data ? JSON.parse(data) : null }));
-    });
-    req.on('error', reject);
-    req.end();
-  });
-}
+const httpGet = path => httpRequest(PORT, path);
 
 async function main(){
-  const child = spawn(process.execPath, ['tools/services/revocation.js'], { env: { ...process.env, REVOCATION_PORT: String(PORT) }, stdio: ['ignore','pipe','pipe'] });
-  const ready = await new Promise(resolve=>{
-    const timeout = setTimeout(()=> resolve(false), 3000);
-    child.stdout.on('data', d=>{ if (d.toString().includes('listening')) { clearTimeout(timeout); resolve(true); } });
-  });
-  if (!ready){
-    child.kill('SIGKILL');
-    console.error('[revocation-smoke] FAIL: server did not start');
-    process.exit(1);
-  }
+  const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'revocation-smoke-'));
+  const signer = startService('tools/services/signer.js', { SIGNER_PORT: String(SIGNER_PORT) });
+  const children = [signer.child];
   try {
+    if (!await signer.ready) {throw new Error('signer did not start');}
+    const chain = startService('tools/services/chain.js', { CHAIN_PORT: String(CHAIN_PORT), CHAIN_DATA_DIR: path.join(tmp,'chain'), SIGNER_ORIGIN: `http://127.0.0.1:${SIGNER_PORT}` });
+    children.push(chain.child);
+    if (!await chain.ready) {throw new Error('chain did not start');}
+    const revocation = startService('tools/services/revocation.js', {
+      REVOCATION_PORT: String(PORT),
+      REVOCATION_DATA_DIR: path.join(tmp,'revocation'),
+      SIGNER_ORIGIN: `http://127.0.0.1:${SIGNER_PORT}`,
+      CHAIN_ORIGIN: `http://127.0.0.1:${CHAIN_PORT}`,
+      REVOCATION_REGISTER_TOKEN: TOKEN,
+    });
+    children.push(revocation.child);
+    if (!await revocation.ready){
+      console.error('[revocation-smoke] FAIL: server did not start');
+      process.exitCode = 1;
+      return;
+    }
     const health = await httpGet('/health');
     if (health.status !== 200 || !health.json?.ok) {throw new Error('health check failed');}
     const rev = await httpGet('/revocations');
     if (rev.status !== 200 || !Array.isArray(rev.json)) {throw new Error('revocations not array');}
+
+    const unknown = await httpRequest(PORT, '/revoke', 'POST', { credential_id: 'urn:merajutasa:cred:unregistered', reason: 'COMPROMISED' });
+    if (unknown.status !== 404 || unknown.json?.error !== 'unknown_credential') {throw new Error('revoking an unregistered credential should be 404 unknown_credential');}
+    const anonymous = await httpRequest(PORT, '/register', 'POST', { credential_id: 'urn:merajutasa:cred:smoke' });
+    if (anonymous.status !== 401) {throw new Error('register without the bearer token should be 401');}
+    const reg = await httpRequest(PORT, '/register', 'POST', { credential_id: 'urn:merajutasa:cred:smoke' }, { authorization: `Bearer ${TOKEN}` });
+    if (reg.status !== 200 || !Number.isInteger(reg.json?.status_index)) {throw new Error('register failed');}
+    const revoke = await httpRequest(PORT, '/revoke', 'POST', { credential_id: 'urn:merajutasa:cred:smoke', reason: 'COMPROMISED' });
+    if (revoke.status !== 200 || !Number.isInteger(revoke.json?.chain_anchor?.seq)) {throw new Error(`revoke not anchored: ${JSON.stringify(revoke.json)}`);}
+    const again = await httpRequest(PORT, '/reinstate', 'POST', { credential_id: 'urn:merajutasa:cred:smoke' });
+    if (again.status !== 409) {throw new Error('reinstating a revoked credential should be rejected');}
+
+    const list = (await httpGet('/status-list')).json;
+    const keys = (await httpRequest(SIGNER_PORT, '/pubkeys')).json.keys;
+    const verdict = verifyRevocationList(list, keys);
+    if (!verdict.ok) {throw new Error(`published list does not verify: ${verdict.issues.join(',')}`);}
+    const status = credentialStatus(list, { status_index: reg.json.status_index });
+    if (status.status !== 'revoked' || status.reason !== 'COMPROMISED') {throw new Error('offline status should be revoked');}
+
+    await unpublishedChange(path.join(tmp,'stubbed'));
     console.log('[revocation-smoke] PASS');
   } finally {
-    child.kill('SIGKILL');
+    children.forEach(c=>c.kill('SIGKILL'));
+    await fs.rm(tmp, { recursive: true, force: true });
+  }
+}
+
+// Stub signer (refuses to sign lists while failLists is set) and chain (counts appends) in this process
+function startStubs(){
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  const stubs = { failLists: false, appends: 0, servers: [] };
+  const serve = (port, handle) => new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let b = ''; req.on('data', d => b += d);
+      req.on('end', () => { const [status, json] = handle(JSON.parse(b || '{}')); res.writeHead(status, { 'content-type':'application/json' }); res.end(JSON.stringify(json)); });
+    });
+    stubs.servers.push(server);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  return Promise.all([
+    serve(SIGNER_PORT + 10, ({ payload }) => {
+      if (stubs.failLists && payload.type === 'RevocationList') {return [503, { error:'unavailable' }];}
+      const canonical = canonicalize(payload);
+      return [200, { canonical, hash_sha256: crypto.createHash('sha256').update(canonical).digest('hex'), signature: crypto.sign(null, Buffer.from(canonical), privateKey).toString('base64'), key_id: 'k-stub', signed_at: new Date().toISOString() }];
+    }),
+    serve(CHAIN_PORT + 10, () => [200, { seq: ++stubs.appends, entryHash: crypto.randomBytes(32).toString('hex') }]),
+  ]).then(() => stubs);
+}
+
+async function unpublishedChange(dataDir){
+  const stubs = await startStubs();
+  const revocation = startService('tools/services/revocation.js', {
+    REVOCATION_PORT: String(STUB_PORT),
+    REVOCATION_DATA_DIR: dataDir,
+    SIGNER_ORIGIN: `http://127.0.0.1:${SIGNER_PORT + 10}`,
+    CHAIN_ORIGIN: `http://127.0.0.1:${CHAIN_PORT + 10}`,
+    REVOCATION_REGISTER_PER_MIN: '1',
+  });
+  try {
+    if (!await revocation.ready) {throw new Error('stubbed revocation service did not start');}
+    const id = 'urn:merajutasa:cred:unpublished';
+    if ((await httpRequest(STUB_PORT, '/register', 'POST', { credential_id: id })).status !== 200) {throw new Error('register failed');}
+    if ((await httpRequest(STUB_PORT, '/register', 'POST', { credential_id: 'urn:merajutasa:cred:flood' })).status !== 429) {throw new Error('register above REVOCATION_REGISTER_PER_MIN should be 429');}
+    if ((await httpRequest(STUB_PORT, '/register', 'POST', { credential_id: id })).status !== 200) {throw new Error('re-registering a known id is not rate limited');}
+
+    stubs.failLists = true;
+    const revoke = () => httpRequest(STUB_PORT, '/revoke', 'POST', { credential_id: id, reason: 'COMPROMISED' });
+    const failed = await revoke();
+    if (failed.status !== 502 || failed.json?.error !== 'publish_failed' || failed.json.chain_anchor?.seq !== 1) {throw new Error(`unpublished change: ${JSON.stringify(failed.json)}`);}
+    if ((await revoke()).status !== 502 || stubs.appends !== 1) {throw new Error(`a failed retry must not anchor again (appends ${stubs.appends})`);}
+    if ((await httpRequest(STUB_PORT, `/status?credential_id=${encodeURIComponent(id)}`)).json?.status !== 'active') {throw new Error('an unpublished change must not be applied');}
+
+    stubs.failLists = false;
+    const applied = await revoke();
+    if (applied.status !== 200 || applied.json.chain_anchor.seq !== 1 || stubs.appends !== 1) {throw new Error(`retry should reuse the anchor: ${JSON.stringify(applied.json)} appends ${stubs.appends}`);}
+    const log = (await fs.readFile(path.join(dataDir, 'revocation-log.ndjson'),'utf8')).trim().split('\n').map(l => JSON.parse(l));
+    if (log.length !== 2 || log[0].applied !== false || log[1].applied !== undefined || log[0].ts !== log[1].ts) {throw new Error(`log ${JSON.stringify(log)}`);}
+    if (await fs.stat(path.join(dataDir, 'revocation-pending.json')).then(() => true, () => false)) {throw new Error('pending change should be cleared once published');}
+  } finally {
+    revocation.child.kill('SIGKILL');
+    stubs.servers.forEach(s => s.close());
   }
 }
 
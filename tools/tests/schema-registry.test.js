@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * schema-registry.test.js
+ * Versioned event schemas: compatibility diff and version resolution (tools/lib/schema-registry.js), the CI gate
+ * (tools/event-schema-compat.js) with and without a DEC, and the collector validating each event against the version it
+ * declares (runs the collector on a test port with a temp registry and data dir)
+ */
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { spawnSync } from 'child_process';
+import { randomUUID } from 'crypto';
+import { breakingIssues, checkCompatibility, createSchemaRegistry, readSchemaSet, readRegistryIndex, versionKey } from '../lib/schema-registry.js';
+import { META_SCHEMAS } from '../event-meta-schemas.js';
+import { httpRequest, startCollector } from './helpers/services.js';
+
+const PORT = 4643; // use test port to avoid conflicts
+
+const codes = issues => issues.map(i => `${i.code}@${i.path}`).sort();
+
+// Temp registry: 1.0 as in the repo plus 1.1, the given edit applied to a copy of the 1.0 schema
+async function writeRegistry(dir, edit, decs = []){
+  await fs.cp('schemas/events/meta', path.join(dir, 'meta'), { recursive: true });
+  const v1 = JSON.parse(await fs.readFile('schemas/events/public-event-v1.json','utf8'));
+  await fs.writeFile(path.join(dir, 'public-event-v1.json'), JSON.stringify(v1));
+  const v11 = JSON.parse(JSON.stringify(v1));
+  v11.properties.schema_version.pattern = '^1\\.1(\\.\\d+)?$';
+  v11.properties.integrity.properties.schema_version_ack.pattern = '^1\\.1(\\.\\d+)?$';
+  edit(v11);
+  await fs.writeFile(path.join(dir, 'public-event-v1.1.json'), JSON.stringify(v11));
+  const index = { compatibility: 'BACKWARD', current: '1.1', versions: {
+    '1.0': { schema: 'public-event-v1.json', meta_dir: 'meta', decs: [] },
+    '1.1': { schema: 'public-event-v1.1.json', meta_dir: 'meta', decs },
+  } };
+  await fs.writeFile(path.join(dir, 'registry.json'), JSON.stringify(index));
+  return path.join(dir, 'registry.json');
+}
+
+const addConsent = s => { s.properties.consent_state = { type: 'string', enum: ['granted', 'denied'] }; };
+
+// compatibility - narrowing changes break backward, widening breaks forward
+{
+  const base = { type: 'object', required: ['a'], additionalProperties: false, properties: { a: { type: 'string', enum: ['x', 'y'] }, b: { type: 'integer', maximum: 10 } } };
+  const next = { type: 'object', required: ['a', 'b'], additionalProperties: false, properties: { a: { type: 'string', enum: ['x', 'y', 'z'] }, b: { type: 'number', maximum: 5 }, c: { type: 'string' } } };
+  const result = checkCompatibility({ event: base, meta: {} }, { event: next, meta: {} });
+  assert(codes(result.backward).join() === 'bound_narrowed@/b/maximum,required_added@/b', `backward ${JSON.stringify(result.backward)}`);
+  assert(codes(result.forward).join() === 'enum_narrowed@/a,property_removed@/c,type_narrowed@/b', `forward ${JSON.stringify(result.forward)}`);
+  assert(breakingIssues('FORWARD', result).every(i => i.direction === 'forward') && breakingIssues('NONE', result).length === 0, 'mode selects the direction');
+  const meta = checkCompatibility({ event: base, meta: { e: { type: 'object' } } }, { event: base, meta: { e: { type: 'object', required: ['p'] } } });
+  assert(codes(meta.backward).join() === 'required_added@/meta:e/p' && !meta.forward.length, 'meta schemas compared per event');
+}
+
+// registry - meta schemas from the JSON files, versions resolved by major.minor
+{
+  const index = await readRegistryIndex();
+  const set = await readSchemaSet(index, index.current);
+  const files = (await fs.readdir('schemas/events/meta')).filter(n => n.endsWith('.json'));
+  assert(Object.keys(set.meta).length === files.length && Object.keys(META_SCHEMAS).length === files.length, 'one meta schema per file');
+  assert(versionKey('1.0.7') === '1.0' && versionKey('01.2') === '1.2' && versionKey('1') === null, 'version keys');
+  const registry = await createSchemaRegistry();
+  assert(registry.resolve('1.0.3')?.version === '1.0' && registry.resolve('9.9') === null, 'resolve');
+  assert(registry.resolve('1.0').metaValidators.get('pub_hero_card_cta_click')({ card_id: 'C9' }) === false, 'meta validators compiled');
+}
+
+// compat gate - breaking version needs a DEC that exists
+{
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'schema-compat-'));
+  const run = (file, decDir = 'docs/governance/dec') => spawnSync(process.execPath, ['tools/event-schema-compat.js', `--registry=${file}`, `--dec-dir=${decDir}`, `--out=${path.join(dir, 'report.json')}`], { encoding: 'utf8' });
+  try {
+    const additive = run(await writeRegistry(dir, addConsent));
+    assert(additive.status === 0, `optional field is backward compatible: ${additive.stderr}`);
+    const breaking = run(await writeRegistry(dir, s => { addConsent(s); s.required.push('consent_state'); }));
+    const report = JSON.parse(await fs.readFile(path.join(dir, 'report.json'),'utf8'));
+    assert(breaking.status === 1 && report.violations[0].code === 'BREAKING_VERSION_WITHOUT_DEC', `breaking ${JSON.stringify(report.violations)}`);
+    const unknownDec = run(await writeRegistry(dir, s => { addConsent(s); s.required.push('consent_state'); }, ['DEC-20990101-01']));
+    assert(unknownDec.status === 1, 'DEC must exist');
+    await fs.mkdir(path.join(dir, 'dec'));
+    await fs.writeFile(path.join(dir, 'dec', 'DEC-20990101-01-consent-state-required.md'), '---\nid: DEC-20990101-01\n---\n');
+    const withDec = run(path.join(dir, 'registry.json'), path.join(dir, 'dec'));
+    assert(withDec.status === 0, `DEC allows the break: ${withDec.stderr}`);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'collector-schemas-'));
+const registryFile = await writeRegistry(tmp, addConsent);
+const collector = startCollector(PORT, path.join(tmp, 'data'), { EVENT_SCHEMA_REGISTRY: registryFile });
+try {
+  if (!await collector.ready) {throw new Error('collector did not start');}
+
+  // collector - each event validated against its declared version
+  {
+    const event = extra => ({ event_name: 'pub_landing_impression', event_id: randomUUID(), meta: { path: '/' }, ...extra });
+    const v11 = await httpRequest(PORT, '/ingest', 'POST', event({ schema_version: '1.1.2', consent_state: 'granted' }));
+    assert(v11.status === 200 && v11.json.status === 'INGESTED', `1.1 event ${JSON.stringify(v11.json)}`);
+    const v10 = await httpRequest(PORT, '/ingest', 'POST', event({ schema_version: '1.0', consent_state: 'granted' }));
+    assert(v10.status === 400 && v10.json.status === 'SCHEMA_ERROR', 'field unknown to 1.0');
+    const unknown = await httpRequest(PORT, '/ingest', 'POST', event({ schema_version: '2.0' }));
+    assert(unknown.status === 400 && unknown.json.status === 'UNSUPPORTED_SCHEMA_VERSION' && unknown.json.supported.join() === '1.0,1.1', `2.0 ${JSON.stringify(unknown.json)}`);
+    const batch = await httpRequest(PORT, '/ingest-batch', 'POST', [event({ schema_version: '1.1' }), event({ schema_version: '3.1' })].map(e => JSON.stringify(e)).join('\n'));
+    assert(batch.json.items.map(i => i.status).join() === 'INGESTED,UNSUPPORTED_SCHEMA_VERSION', `batch ${JSON.stringify(batch.json.items)}`);
+    assert((await httpRequest(PORT, '/health')).json.schema_versions.join() === '1.0,1.1', 'health lists versions');
+  }
+} finally {
+  collector.child.kill('SIGKILL');
+  await fs.rm(tmp, { recursive: true, force: true });
+}
+
+console.log('[test] schema-registry OK');
@@ -3,13 +3,16 @@
  * services-integration.test.js
  * Integration test for core services functionality
  */
+import os from 'os';
+import path from 'path';
 import { spawn } from 'child_process';
 import { promises as fs } from 'fs';
 import assert from 'assert';
 
-async function startService(scriptPath, timeout = 1000) {
+async function startService(scriptPath, timeout = 1000, env = {}) {
   return new Promise((resolve, reject) => {
     const proc = spawn('node', [scriptPath], {
+      env: { ...process.env, ...env },
       stdio: ['pipe', 'pipe', 'pipe'],
     });
 
@@ -46,7 +49,10 @@ async function main() {
   assert(!chainResult.stderr.includes('Cannot'), `Chain service critical error: ${chainResult.stderr}`);
 
   // Test 3: Collector service should start without critical errors (port conflicts are acceptable)
-  const collectorResult = await startService('tools/services/collector.js');
+  // (events stored in a temp dir, not artifacts/events)
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'services-integration-'));
+  const collectorResult = await startService('tools/services/collector.js', 1000, { EVENTS_DATA_DIR: dataDir });
+  await fs.rm(dataDir, { recursive: true, force: true });
   const hasPortConflict = collectorResult.stderr.includes('EADDRINUSE');
   const hasCriticalError = collectorResult.stderr.includes('Cannot') && !hasPortConflict;
   assert(!hasCriticalError, `Collector service critical error: ${collectorResult.stderr}`);
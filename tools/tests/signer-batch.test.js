@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+/**
+ * signer-batch.test.js
+ * Tests for detached JWS output (tools/lib/jws.js) and batch signing with Merkle-root statements (tools/lib/sign-batch.js),
+ * and event-anchor-chain.js splitting its events into batches the signer accepts (stub signer and chain, temp working dir)
+ */
+import assert from 'assert';
+import crypto from 'crypto';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { spawn } from 'child_process';
+import { detachedJws, jwsSigningInput, signDetachedJws, verifyDetachedJws } from '../lib/jws.js';
+import { BATCH_STATEMENT_TYPE, signBatch, verifyBatchItem } from '../lib/sign-batch.js';
+import { leafHash, merkleRoot } from '../lib/merkle.js';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+const sign = data => crypto.sign(null, Buffer.from(data, 'utf8'), privateKey).toString('base64');
+const payloads = [{ event: 'a', n: 1 }, { n: 2, event: 'b' }, 'already-canonical', { event: 'c' }, { event: 'd' }];
+
+// jws - matches the RFC 8037 appendix A.4 Ed25519 example
+{
+  const jwk = { kty: 'OKP', crv: 'Ed25519', d: 'nWGxne_9WmC6hEr0kuwsxERJxWl7MmkZcDusAxyuf2A', x: '11qYAYKxCrfVS_7TyWQHOg7hcvPapiMlrwIaaPcHURo' };
+  const key = crypto.createPrivateKey({ key: jwk, format: 'jwk' });
+  const jws = signDetachedJws(key, 'Example of Ed25519 signing');
+  assert(jws === 'eyJhbGciOiJFZERTQSJ9..hgyY0il_MGCjP0JzlnLWG1PPOt7-09PGcvMg3AIbQR6dWbhijcNR4ki4iylGjg5BhVsPt9g7sVvpAr_MuM0KAg', `unexpected JWS ${jws}`);
+  assert(verifyDetachedJws(jws, 'Example of Ed25519 signing', crypto.createPublicKey(key)).ok, 'vector should verify');
+}
+
+// jws - signer-style signing input verifies, other payload or alg does not
+{
+  const input = jwsSigningInput({ alg: 'EdDSA', kid: 'k-1' }, '{"a":1}');
+  const jws = detachedJws(input, sign(input));
+  const r = verifyDetachedJws(jws, '{"a":1}', publicKeyPem);
+  assert(r.ok && r.header.kid === 'k-1', 'detached JWS should verify with its payload');
+  assert(verifyDetachedJws(jws, '{"a":2}', publicKeyPem).issues.includes('signature_invalid'), 'other payload');
+  const none = `${Buffer.from('{"alg":"none"}').toString('base64url')}..${jws.split('.')[2]}`;
+  assert(verifyDetachedJws(none, '{"a":1}', publicKeyPem).issues.includes('jws_alg_unsupported'), 'alg none must be refused');
+  assert(verifyDetachedJws(input + '.x', '{"a":1}', publicKeyPem).issues.includes('jws_malformed'), 'attached payload form is not detached');
+}
+
+// batch - per-item signatures and root statement over the Merkle root
+{
+  const batch = signBatch(payloads, { sign, keyId: 'k-1', signedAt: '2025-09-01T00:00:00.000Z' });
+  assert(batch.items.length === payloads.length && batch.items[1].canonical === '{"event":"b","n":2}', 'items canonicalized in order');
+  assert(batch.items[2].canonical === 'already-canonical', 'string payloads are signed as-is');
+  const root = merkleRoot(batch.items.map(i => leafHash(i.canonical)));
+  assert(batch.root.statement.type === BATCH_STATEMENT_TYPE && batch.root.statement.merkle_root === root && batch.root.statement.tree_size === 5, 'statement commits to the root');
+  assert(crypto.verify(null, Buffer.from(batch.root.canonical), publicKeyPem, Buffer.from(batch.root.signature, 'base64')), 'root signature is raw over the canonical (chain-appendable)');
+  for (const item of batch.items) {assert(verifyBatchItem(item, batch.root, publicKeyPem).ok, `item ${item.index} should verify`);}
+}
+
+// batch - jws format carries detached JWS per item and on the root
+{
+  const batch = signBatch(payloads, { sign, keyId: 'k-1', format: 'jws' });
+  assert(batch.alg === 'EdDSA' && batch.items.every(i => i.jws && !i.signature), 'items carry jws only');
+  assert(verifyDetachedJws(batch.root.jws, batch.root.canonical, publicKeyPem).ok && batch.root.signature, 'root has JWS and raw signature');
+  for (const item of batch.items) {assert(verifyBatchItem(item, batch.root, publicKeyPem).ok, `item ${item.index} should verify`);}
+  let threw = false;
+  try { signBatch(payloads, { sign, keyId: 'k-1', format: 'cose' }); } catch { threw = true; }
+  assert(threw, 'unknown format should be refused');
+}
+
+// batch - tampered item, moved item or forged root is detected
+{
+  const batch = signBatch(payloads, { sign, keyId: 'k-1' });
+  const tampered = { ...batch.items[0], canonical: '{"event":"x","n":1}' };
+  const r1 = verifyBatchItem(tampered, batch.root, publicKeyPem);
+  assert(r1.issues.includes('inclusion_invalid') && r1.issues.includes('item_signature_invalid'), `tampered item: ${r1.issues}`);
+  assert(verifyBatchItem({ ...batch.items[0], index: 1 }, batch.root, publicKeyPem).issues.includes('inclusion_invalid'), 'moved item');
+  const statement = { ...batch.root.statement, tree_size: 4 };
+  assert(verifyBatchItem(batch.items[0], { ...batch.root, statement }, publicKeyPem).issues.includes('statement_invalid'), 'statement must match its canonical');
+  const other = signBatch(payloads.slice(0, 4), { sign, keyId: 'k-1' });
+  assert(verifyBatchItem(batch.items[0], other.root, publicKeyPem).issues.includes('inclusion_invalid'), 'item from another batch');
+}
+
+// anchor chain - events split into batches within the signer max, one anchored root each
+{
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'event-anchor-'));
+  const sizes = [];
+  const appended = [];
+  // Stub signer refusing more than 2 items (as /sign-batch with SIGNER_BATCH_MAX=2) and stub chain
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', d => body += d);
+    req.on('end', () => {
+      const json = JSON.parse(body);
+      res.setHeader('content-type', 'application/json');
+      if (req.url === '/sign-batch'){
+        sizes.push(json.items.length);
+        if (json.items.length > 2){ res.statusCode = 413; return res.end(JSON.stringify({ error: 'batch_too_large', max: 2 })); }
+        return res.end(JSON.stringify(signBatch(json.items, { sign, keyId: 'k-test' })));
+      }
+      appended.push(json);
+      res.end(JSON.stringify({ seq: appended.length, contentHash: 'c', prevHash: null, ts: new Date().toISOString() }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const events = [1, 2, 3, 4, 5].map(n => ({ event_name: 'pub_hash_verify_click', occurred_at: `2025-09-0${n}T00:00:00Z`, meta: { result: 'ok' } }));
+    await fs.writeFile(path.join(dir, 'events.ndjson'), events.map(e => JSON.stringify(e)).join('\n'));
+    const { port } = server.address();
+    const code = await new Promise(resolve => {
+      const child = spawn(process.execPath, [path.resolve('tools/event-anchor-chain.js'), '--file', 'events.ndjson'], { cwd: dir, env: { ...process.env, SIGNER_PORT: port, CHAIN_PORT: port, SIGNER_BATCH_MAX: 4 }, stdio: 'ignore' });
+      const timer = setTimeout(() => child.kill(), 30000);
+      child.on('exit', c => { clearTimeout(timer); resolve(c); });
+    });
+    const report = JSON.parse(await fs.readFile(path.join(dir, 'artifacts/event-anchor-latest.json'), 'utf8'));
+    assert(code === 0 && !report.skipped && !report.incomplete, `anchor run ${code} ${report.reason || ''}`);
+    assert(sizes.join() === '4,2,2,1', `batch sizes ${sizes}`);
+    assert(report.batches.length === 3 && appended.length === 3 && report.batches.map(b => b.appended.seq).join() === '1,2,3', 'one anchored root per batch');
+    assert(report.batches.every(b => b.items.every(item => verifyBatchItem(item, b.root, publicKeyPem).ok)), 'items provable against their batch root');
+    assert(report.batches.flatMap(b => b.items).length === 5 && report.counts.pub_hash_verify_click === 5, 'every event anchored once');
+  } finally {
+    server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+console.log('[test] signer-batch OK');
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * signer-keys.test.js
+ * Unit tests for tools/lib/signer-keys.js (validity windows, legacy upgrade, dual-signed rotation statements)
+ */
+import assert from 'assert';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { canonicalize } from '../lib/canonical.js';
+import { createKmsProvider } from '../lib/kms.js';
+import {
+  activeSigningKey,
+  applyRotation,
+  keyValidAt,
+  loadKeyState,
+  newKeyRecord,
+  planRotation,
+  publicKeyInfo,
+  signSigningTime,
+  upgradeKeyState,
+  verifyRotationRecord,
+  verifyWithKeys,
+} from '../lib/signer-keys.js';
+import { verifyChainExport } from '../lib/verify.js';
+import { buildEntry } from '../lib/chain-entry.js';
+
+function sign(key, canonical) {
+  return crypto.sign(null, Buffer.from(canonical), key.privPem).toString('base64');
+}
+
+const T0 = '2025-01-01T00:00:00.000Z';
+
+// window - not_before inclusive, not_after exclusive, expired key cannot sign
+{
+  const key = newKeyRecord({ now: T0, ttlDays: 10 });
+  assert(key.not_after === '2025-01-11T00:00:00.000Z', `unexpected not_after ${key.not_after}`);
+  assert(keyValidAt(key, T0) && !keyValidAt(key, key.not_after) && !keyValidAt(key, '2024-12-31T23:59:59Z'), 'window bounds');
+  const state = { activeIndex: 0, keys: [key], rotations: [] };
+  assert(activeSigningKey(state, '2025-01-05T00:00:00Z').key === key, 'key should sign inside its window');
+  assert(activeSigningKey(state, '2025-02-01T00:00:00Z').error === 'active_key_expired', 'expired key should be refused');
+  assert(newKeyRecord({ ttlDays: 0 }).not_after === null, 'ttl 0 means no expiry');
+}
+
+// verify - refuses signatures made outside the key window
+{
+  const key = newKeyRecord({ now: T0, ttlDays: 10 });
+  const canonical = canonicalize({ a: 1 });
+  const signature = sign(key, canonical);
+  const at = signed_at => ({ signed_at, signed_at_signature: signSigningTime(key, canonical, signed_at) });
+  assert(verifyWithKeys([key], { canonical, signature, ...at('2025-01-02T00:00:00Z') }).verified, 'inside window');
+  const late = verifyWithKeys([key], { canonical, signature, ...at('2025-03-01T00:00:00Z') });
+  assert(!late.verified && late.reason === 'outside_key_validity' && late.key_id === key.id, 'late signature should be refused');
+  const claimed = verifyWithKeys([key], { canonical, signature, signed_at: '2025-01-02T00:00:00Z', signed_at_signature: at('2025-03-01T00:00:00Z').signed_at_signature });
+  assert(claimed.reason === 'signed_at_unattested' && verifyWithKeys([key], { canonical, signature, signed_at: T0 }).reason === 'signed_at_unattested', 'signed_at must be attested by the key');
+  assert(verifyWithKeys([key], { canonical, signature, key_id: 'k-other' }).reason === 'key_unknown', 'unknown key id');
+  assert(verifyWithKeys([key], { canonical: '{"a":2}', signature, ...at(T0) }).reason === 'signature_invalid', 'changed content');
+}
+
+// rotation - statement signed by old and new keys, old key retired at commit
+{
+  const state = { activeIndex: 0, keys: [newKeyRecord({ now: T0 })], rotations: [] };
+  const oldKey = state.keys[0];
+  const plan = planRotation(state, { now: '2025-06-01T00:00:00.000Z', reason: 'scheduled' });
+  assert(state.keys.length === 1, 'planning must not change the state');
+  assert(verifyRotationRecord(plan.record).ok, 'fresh rotation record should verify');
+  const stored = applyRotation(state, plan, { seq: 7, entryHash: 'ab' }, '2025-06-01T00:00:01.000Z');
+  assert(state.activeIndex === 1 && oldKey.status === 'retired' && oldKey.not_after === '2025-06-01T00:00:01.000Z', 'old key should be retired');
+  assert(stored.chain_anchor.seq === 7 && state.rotations.length === 1, 'record should be kept with its anchor');
+  const sigs = plan.record.signatures.map(s => s.key_id);
+  assert(sigs.includes(oldKey.id) && sigs.includes(plan.newKey.id), 'both keys should sign');
+  const forged = { ...plan.record, statement: { ...plan.record.statement, new_public_key: publicKeyInfo(newKeyRecord()).publicKeyPem } };
+  assert(verifyRotationRecord(forged).issues.includes('new_key_signature_invalid'), 'swapped successor key should fail');
+  const signedBy = (signed_at) => ({ canonical: 'x', signature: sign(oldKey, 'x'), signed_at, signed_at_signature: signSigningTime(oldKey, 'x', signed_at) });
+  assert(!verifyWithKeys(state.keys, signedBy('2025-06-02T00:00:00Z')).verified, 'retired key cannot vouch for later signatures');
+  assert(verifyWithKeys(state.keys, { canonical: 'x', signature: sign(oldKey, 'x') }).reason === 'signed_at_required', 'retired key needs the signed_at of the signature');
+  assert(verifyWithKeys(state.keys, signedBy('2025-05-01T00:00:00Z')).verified, 'retired key still verifies what it signed in its window');
+  const backdated = { ...signedBy('2025-06-02T00:00:00Z'), signed_at: '2025-05-01T00:00:00Z' };
+  assert(verifyWithKeys(state.keys, backdated).reason === 'signed_at_unattested', 'a new signature cannot claim an older signed_at');
+}
+
+// rotation - anchored statements are checked by the offline verifier
+{
+  const state = { activeIndex: 0, keys: [newKeyRecord()], rotations: [] };
+  const oldKey = state.keys[0];
+  const { record } = planRotation(state);
+  const canonical = canonicalize(record);
+  const chain = [buildEntry({ prev: null, canonical, signature: sign(oldKey, canonical), extra: { key_id: oldKey.id } })];
+  const keys = [{ id: oldKey.id, publicKeyPem: oldKey.pubPem }];
+  assert(verifyChainExport(chain, { keys }).find(c => c.name === 'chain.key_rotations').status === 'pass', 'anchored rotation should verify');
+  const badRecord = { ...record, signatures: record.signatures.slice(0, 1) };
+  const badCanonical = canonicalize(badRecord);
+  const bad = [buildEntry({ prev: null, canonical: badCanonical, signature: sign(oldKey, badCanonical), extra: { key_id: oldKey.id } })];
+  assert(verifyChainExport(bad, { keys }).find(c => c.name === 'chain.key_rotations').status === 'fail', 'single-signed rotation should fail');
+}
+
+// legacy state - metadata derived from key ids and persisted
+{
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'signer-keys-'));
+  const file = path.join(dir, 'keys.json');
+  const a = newKeyRecord(); const b = newKeyRecord();
+  const legacy = { activeIndex: 1, keys: [{ id: 'k-1735689600000', privPem: a.privPem, pubPem: a.pubPem }, { id: 'k-1748736000000', privPem: b.privPem, pubPem: b.pubPem }] };
+  await fs.writeFile(file, JSON.stringify(legacy));
+  const kms = await createKmsProvider({ provider: 'env', env: { SIGNER_KMS_KEK: crypto.randomBytes(32).toString('base64') } });
+  const state = await loadKeyState(file, { kms });
+  assert(state.keys[0].status === 'retired' && state.keys[0].not_after === '2025-06-01T00:00:00.000Z', 'replaced key should end where its successor starts');
+  assert(state.keys[1].status === 'active' && state.keys[1].not_before === '2025-06-01T00:00:00.000Z' && state.keys[1].not_after === null, 'legacy active key keeps no expiry');
+  assert(!upgradeKeyState(JSON.parse(await fs.readFile(file, 'utf8'))), 'persisted state should already be upgraded');
+  await fs.rm(dir, { recursive: true, force: true });
+}
+
+console.log('[test] signer-keys OK');
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * signer-kms.test.js
+ * Tests for KMS envelope encryption of signer keys (tools/lib/kms.js, tools/lib/file-hsm.js, signer-keys state at rest)
+ */
+import assert from 'assert';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { HsmError, openSession } from '../lib/file-hsm.js';
+import { KmsError, createKmsProvider, openPrivateKey, sealPrivateKey } from '../lib/kms.js';
+import { loadKeyState, newKeyRecord, saveKeyState } from '../lib/signer-keys.js';
+
+async function rejects(promise, check) {
+  try { await promise; } catch (e) { return check(e); }
+  return false;
+}
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'signer-kms-'));
+const envKek = () => ({ SIGNER_KMS_KEK: crypto.randomBytes(32).toString('base64') });
+const hsmEnv = { SIGNER_HSM_TOKEN: path.join(dir, 'token.json'), SIGNER_HSM_PIN: '1234' };
+const { privPem } = newKeyRecord();
+
+// providers - dev-kms-mock, file-hsm and env round-trip an envelope
+{
+  const providers = [
+    await createKmsProvider({ provider: 'dev-kms-mock' }),
+    await createKmsProvider({ provider: 'file-hsm', env: hsmEnv }),
+    await createKmsProvider({ provider: 'env', env: envKek() }),
+  ];
+  for (const kms of providers) {
+    const envelope = await sealPrivateKey(kms, privPem);
+    assert(!JSON.stringify(envelope).includes('PRIVATE KEY'), `${kms.name} envelope leaks plaintext`);
+    assert(envelope.provider === kms.name && envelope.kek_id === kms.kekId, `${kms.name} envelope should name its KEK`);
+    assert(await openPrivateKey(kms, envelope) === privPem, `${kms.name} round-trip`);
+  }
+}
+
+// envelopes - other KEK or tampered ciphertext cannot be opened
+{
+  const a = await createKmsProvider({ provider: 'env', env: envKek() });
+  const b = await createKmsProvider({ provider: 'env', env: envKek() });
+  const envelope = await sealPrivateKey(a, privPem);
+  assert(await rejects(openPrivateKey(b, envelope), e => e instanceof KmsError && e.code === 'kms_mismatch'), 'other KEK should be refused');
+  const impostor = { ...b, kekId: a.kekId };
+  assert(await rejects(openPrivateKey(impostor, envelope), e => e.code === 'unwrap_failed'), 'same id, other key material should fail to unwrap');
+  const tampered = { ...envelope, key: { ...envelope.key, ciphertext: Buffer.from('x'.repeat(40)).toString('base64') } };
+  assert(await rejects(openPrivateKey(a, tampered), e => e.code === 'unwrap_failed'), 'tampered ciphertext should fail');
+  assert(await rejects(createKmsProvider({ provider: 'env', env: { SIGNER_KMS_KEK: 'short' } }), e => e.code === 'kms_config'), 'bad env KEK');
+}
+
+// file-hsm - PIN required and checked, key object persisted in the token
+{
+  assert(await rejects(openSession(hsmEnv.SIGNER_HSM_TOKEN, '0000'), e => e instanceof HsmError && e.code === 'CKR_PIN_INCORRECT'), 'wrong PIN should be refused');
+  assert(await rejects(createKmsProvider({ provider: 'file-hsm', env: { ...hsmEnv, SIGNER_HSM_PIN: '' } }), e => e.code === 'kms_config'), 'missing PIN');
+  const token = await fs.readFile(hsmEnv.SIGNER_HSM_TOKEN, 'utf8');
+  const session = await openSession(hsmEnv.SIGNER_HSM_TOKEN, '1234');
+  assert(session.findObject('signer-kek') === 'signer-kek', 'key object should survive a new session');
+  const kek = JSON.parse(token).objects[0];
+  assert(kek.class === 'CKO_SECRET_KEY' && !('value' in kek), 'key material should only be stored encrypted');
+}
+
+// key state - only wrapped keys on disk, plaintext legacy file sealed on load
+{
+  const file = path.join(dir, 'keys.json');
+  const kms = await createKmsProvider({ provider: 'env', env: envKek() });
+  const legacyKey = newKeyRecord();
+  await fs.writeFile(file, JSON.stringify({ activeIndex: 0, keys: [{ id: legacyKey.id, privPem: legacyKey.privPem, pubPem: legacyKey.pubPem }] }));
+  const state = await loadKeyState(file, { kms });
+  const disk = await fs.readFile(file, 'utf8');
+  assert(!disk.includes('PRIVATE KEY') && JSON.parse(disk).keys[0].privWrapped, 'file should hold only the envelope');
+  assert(state.keys[0].privPem === legacyKey.privPem, 'active key should be unwrapped in memory');
+  state.keys.push({ ...newKeyRecord(), status: 'retired' });
+  await saveKeyState(file, state, kms);
+  const reloaded = await loadKeyState(file, { kms });
+  assert(!(await fs.readFile(file, 'utf8')).includes('PRIVATE KEY'), 'new keys should be sealed on save');
+  assert(reloaded.keys[0].privPem && !reloaded.keys[1].privPem, 'only the active key is unwrapped');
+  const otherKms = await createKmsProvider({ provider: 'env', env: envKek() });
+  assert(await rejects(loadKeyState(file, { kms: otherKms }), e => e.code === 'kms_mismatch'), 'wrong KEK should stop startup');
+}
+
+await fs.rm(dir, { recursive: true, force: true });
+
+console.log('[test] signer-kms OK');
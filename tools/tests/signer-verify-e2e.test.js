@@ -35,8 +35,13 @@ function req(method, path, body){
   assert(signed.signature && signed.canonical);
   const verify = await req('POST','/verify',{ canonical: signed.canonical, signature: signed.signature });
   assert(verify.verified === true);
+  const timed = await req('POST','/verify',{ canonical: signed.canonical, signature: signed.signature, signed_at: signed.signed_at, signed_at_signature: signed.signed_at_signature });
+  assert(timed.verified === true);
+  const backdated = await req('POST','/verify',{ canonical: signed.canonical, signature: signed.signature, signed_at: '2000-01-01T00:00:00.000Z', signed_at_signature: signed.signed_at_signature });
+  assert(backdated.reason === 'signed_at_unattested');
   await fs.mkdir('artifacts',{recursive:true});
   await fs.writeFile('artifacts/signer-e2e.json', JSON.stringify({ signed, verify }, null, 2));
   console.log('[signer-e2e] OK');
+  proc?.kill();
   process.exit(0);
 })().catch(e=>{ console.error('[signer-e2e] fail', e); process.exit(2); });
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * verify-cli.test.js
+ * Tests for the offline verifier (tools/lib/verify.js and tools/merajutasa-verify.js).
+ * Material is signed with a local key standing in for the signer service; the CLI runs without any service.
+ */
+import assert from 'assert';
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { canonicalize } from '../lib/canonical.js';
+import { buildEntry } from '../lib/chain-entry.js';
+import {
+  attachCredentialProof,
+  buildCredential,
+  credentialContentHash,
+  jwsSigningInput,
+  verificationMethodFor,
+} from '../lib/credential.js';
+import {
+  applyStatusChange,
+  attachListProof,
+  buildRevocationList,
+  emptyRegistry,
+  registerCredential,
+} from '../lib/revocation.js';
+import { parseChainExport, verifyChainExport, verifyEvidenceBundle } from '../lib/verify.js';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const keys = [{ id: 'k-test', publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }) }];
+
+function signerSign(payload) {
+  const canonical = canonicalize(payload);
+  return { canonical, signature: crypto.sign(null, Buffer.from(canonical), privateKey).toString('base64'), key_id: 'k-test' };
+}
+
+function appendEntry(chain, payload) {
+  const { canonical, signature, key_id } = signerSign(payload);
+  chain.push(buildEntry({ prev: chain[chain.length - 1] || null, canonical, signature, extra: { key_id } }));
+}
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'verify-cli-'));
+const file = name => path.join(dir, name);
+
+const sample = JSON.parse(await fs.readFile('data/credential-subject-sample.json', 'utf8'));
+const registry = emptyRegistry();
+const draft = buildCredential(sample);
+const { status_index: index } = registerCredential(registry, draft.id);
+draft.credentialStatus = { id: `https://example.test/status-list#${index}`, type: 'StatusList2021Entry', statusPurpose: 'revocation', statusListIndex: String(index), statusListCredential: 'https://example.test/status-list' };
+const vm = verificationMethodFor(keys, 'k-test');
+const credential = attachCredentialProof(draft, { verificationMethod: vm, signature: signerSign(jwsSigningInput(draft, vm).signingInput).signature });
+
+const chain = [];
+appendEntry(chain, { a: 1 });
+appendEntry(chain, { type: 'CREDENTIAL_ISSUED', credId: credential.id, contentHash: credentialContentHash(credential), issuer: credential.issuer, ts: credential.issuanceDate });
+
+function signedList() {
+  const list = buildRevocationList(registry, { issuer: 'did:web:test' });
+  const { proof: _proof, ...body } = list;
+  return attachListProof(list, signerSign(body));
+}
+
+await fs.writeFile(file('keys.json'), JSON.stringify({ activeIndex: 0, keys }));
+await fs.writeFile(file('cred.json'), JSON.stringify(credential));
+await fs.writeFile(file('chain.ndjson'), chain.map(e => JSON.stringify(e)).join('\n') + '\n');
+await fs.writeFile(file('list.json'), JSON.stringify(signedList()));
+
+function runCli(args, { cwd } = {}) {
+  try {
+    const stdout = execFileSync(process.execPath, [path.resolve('tools/merajutasa-verify.js'), ...args, `--report=${file('report.json')}`, '--json'], { cwd, encoding: 'utf8', timeout: 20000, stdio: ['ignore', 'pipe', 'pipe'] });
+    return { code: 0, report: JSON.parse(stdout) };
+  } catch (e) {
+    return { code: e.status, report: e.stdout ? JSON.parse(e.stdout) : null, stderr: String(e.stderr) };
+  }
+}
+
+// chain export - page, array and ndjson parse; partial slice links
+{
+  assert(parseChainExport(JSON.stringify({ from: 0, entries: chain })).length === 2, 'GET /chain page');
+  assert(parseChainExport(JSON.stringify(chain)).length === 2, 'JSON array');
+  assert(parseChainExport('{"a":1}') === null, 'non-chain JSON');
+  const slice = verifyChainExport(chain.slice(1), { keys });
+  assert(slice.every(c => c.status === 'pass'), 'partial export should verify');
+  const forged = verifyChainExport([chain[0], { ...chain[1], ts: '2020-01-01T00:00:00Z' }], { keys });
+  assert(forged.find(c => c.name === 'chain.linkage').status === 'fail', 'edited entry should break linkage');
+}
+
+// evidence bundle - artifact and bundle hashes recomputed
+{
+  const sha = s => crypto.createHash('sha256').update(s).digest('hex');
+  const hashes = [sha('a'), sha('b')];
+  const bundle = {
+    artifacts: [{ id: 'A1', path: 'a.json', exists: true, sha256: hashes[0] }, { id: 'A2', path: 'b.json', exists: true, sha256: hashes[1] }, { id: 'A3', path: 'c.json', exists: false, sha256: null }],
+    summary: { bundle_hash: sha(hashes.join('\n')) },
+  };
+  const files = { 'a.json': Buffer.from('a'), 'b.json': Buffer.from('b') };
+  assert(verifyEvidenceBundle(bundle, p => files[p] || null).every(c => c.status === 'pass'), 'intact bundle should pass');
+  files['b.json'] = Buffer.from('changed');
+  assert(verifyEvidenceBundle(bundle, p => files[p] || null).find(c => c.name === 'artifact.A2').status === 'fail', 'changed artifact should fail');
+}
+
+// cli - credential with keys, revocation list and chain anchor passes
+{
+  const { code, report } = runCli([file('cred.json'), `--keys=${file('keys.json')}`, `--revocation-list=${file('list.json')}`, `--chain=${file('chain.ndjson')}`]);
+  assert(code === 0 && report.verdict === 'PASS', `expected PASS, got ${code} ${JSON.stringify(report?.checks)}`);
+  const names = report.checks.map(c => c.name);
+  for (const n of ['credential.schema', 'credential.signature', 'credential.revocation', 'credential.anchor']) {
+    assert(report.checks.find(c => c.name === n)?.status === 'pass', `${n} should pass (${names.join(',')})`);
+  }
+}
+
+// cli - tampered, revoked and unanchored credentials fail
+{
+  await fs.writeFile(file('tampered.json'), JSON.stringify({ ...credential, credentialSubject: { ...credential.credentialSubject, region: 'Bali' } }));
+  const tampered = runCli([file('tampered.json'), `--keys=${file('keys.json')}`, `--chain=${file('chain.ndjson')}`]);
+  assert(tampered.code === 1, 'tampered credential should exit 1');
+  assert(tampered.report.checks.find(c => c.name === 'credential.signature').status === 'fail', 'signature should fail');
+  assert(tampered.report.checks.find(c => c.name === 'credential.anchor').status === 'fail', 'anchored hash should not match');
+
+  applyStatusChange(registry, { action: 'revoke', credential_id: credential.id, reason: 'COMPROMISED' });
+  await fs.writeFile(file('list.json'), JSON.stringify(signedList()));
+  const revoked = runCli([file('cred.json'), `--keys=${file('keys.json')}`, `--revocation-list=${file('list.json')}`]);
+  assert(revoked.code === 1 && /revoked \(COMPROMISED\)/.test(revoked.report.checks.find(c => c.name === 'credential.revocation').detail), 'revoked credential should fail with reason');
+}
+
+// cli - unknown input exits 2, signed input without keys is inconclusive
+{
+  await fs.writeFile(file('other.json'), '{"hello":"world"}');
+  assert(runCli([file('other.json')]).code === 2, 'unrecognised input should exit 2');
+  const { code, report } = runCli([file('chain.ndjson')]);
+  assert(code === 3 && report.verdict === 'INCONCLUSIVE' && report.checks.find(c => c.name === 'chain.signatures').status === 'skip', 'signatures should be skipped without keys');
+  for (const input of ['cred.json', 'list.json']) {assert(runCli([file(input)]).report.verdict === 'INCONCLUSIVE', `${input} without keys`);}
+}
+
+// cli - runs from any working directory (package bin)
+{
+  const { code, report } = runCli([file('cred.json'), `--keys=${file('keys.json')}`], { cwd: os.tmpdir() });
+  assert(code === 0 && report.checks.find(c => c.name === 'credential.schema').status === 'pass', `from ${os.tmpdir()}: ${code}`);
+}
+
+await fs.rm(dir, { recursive: true, force: true });
+
+console.log('[test] verify-cli OK');
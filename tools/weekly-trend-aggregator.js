@@ -1,13 +1,17 @@
 #!/usr/bin/env node
 /**
  * weekly-trend-aggregator.js
- * D2: Aggregate ingested events (NDJSON) into ISO week buckets and compute coverage.
+ * D2: Aggregate ingested events (collector event store segments, or the legacy NDJSON log) into ISO week buckets and compute coverage.
  * Output: artifacts/weekly-trends.json
+ * With differential privacy enabled (docs/privacy/differential-privacy-config-v1.yml) each session_id contributes at most
+ * contribution_bound events to a week (the rest are dropped before counting), the week totals are noised as one query
+ * of dataset weekly_trends and the release is disclosed under differential_privacy.
  */
 import { promises as fs } from 'fs';
-import path from 'path';
 import Ajv2020 from 'ajv/dist/2020.js';
 import addFormats from 'ajv-formats';
+import { readStoredEvents } from './lib/event-store.js';
+import { createDpPublisher, fitToTotal } from './lib/differential-privacy.js';
 
 function isoWeek(date) {
   // Returns e.g., '2025-W33' and week start/end in UTC (Mon-Sun)
@@ -52,12 +56,22 @@ async function buildSchemaValidator(){
   }
 }
 
+// One event adds to at most 4 totals of its week (events, canonical_ok, prohibited, hero_views or feedback); the
+// breakdowns are then kept within the noisy events total
+function noiseWeekTotals(release, weeks){
+  const fields = ['events','canonical_ok','hero_views','feedback','prohibited'];
+  const flat = {};
+  for (const [key, w] of weeks) {for (const f of fields) {flat[`${key}|${f}`] = w.totals[f];}}
+  const noisy = release.noisyCounts(flat, { cells: 4 });
+  for (const [key, w] of weeks){
+    const events = noisy[`${key}|events`];
+    const parts = fitToTotal(events, { hero_views: noisy[`${key}|hero_views`], feedback: noisy[`${key}|feedback`] });
+    w.totals = { events, canonical_ok: Math.min(noisy[`${key}|canonical_ok`], events), ...parts, prohibited: Math.min(noisy[`${key}|prohibited`], events) };
+  }
+}
+
 async function main(){
   await fs.mkdir('artifacts', { recursive: true });
-  const ndjsonPath = path.resolve('artifacts/ingested-events.ndjson');
-  let content = '';
-  try { content = await fs.readFile(ndjsonPath, 'utf8'); }
-  catch { content = ''; }
   // Try to get latest adoption percent snapshot for reference
   let adoptionPercent = null;
   try {
@@ -66,23 +80,33 @@ async function main(){
   } catch {}
 
   const isCanonical = await buildSchemaValidator();
+  const generated_utc = new Date().toISOString();
+  const dp = await createDpPublisher();
+  const release = dp ? dp.release('weekly_trends', generated_utc.slice(0,10)) : null;
+  const contributions = release?.counter();
   const weeks = new Map();
-  if (content) {
-    const lines = content.split(/\r?\n/).filter(Boolean);
-    for (const line of lines){
-      let ev; try { ev = JSON.parse(line); } catch { continue; }
-      const ts = ev.occurred_at || ev.received_at;
-      if (!ts) {continue;}
-      const wk = isoWeek(new Date(ts));
-      const bucket = weeks.get(wk.key) || { week: wk.key, start_utc: wk.start_utc, end_utc: wk.end_utc, totals: { events:0, canonical_ok:0, hero_views:0, feedback:0, prohibited:0 } };
-      bucket.totals.events += 1;
-      if (isCanonical(ev)) {bucket.totals.canonical_ok += 1;}
-      if (PROHIBITED_META_RE.test(JSON.stringify(ev.meta||{}))) {bucket.totals.prohibited += 1;}
-      const name = String(ev.event_name||'');
-      if (name === 'pub_hero_view') {bucket.totals.hero_views += 1;}
-      if (name.startsWith('feedback_')) {bucket.totals.feedback += 1;}
-      weeks.set(wk.key, bucket);
-    }
+  for await (const ev of readStoredEvents('artifacts')){
+    const ts = ev.occurred_at || ev.received_at;
+    if (!ts) {continue;}
+    const wk = isoWeek(new Date(ts));
+    if (contributions && !contributions.add(wk.key, ev.session_id)) {continue;}
+    const bucket = weeks.get(wk.key) || { week: wk.key, start_utc: wk.start_utc, end_utc: wk.end_utc, totals: { events:0, canonical_ok:0, hero_views:0, feedback:0, prohibited:0 } };
+    bucket.totals.events += 1;
+    if (isCanonical(ev)) {bucket.totals.canonical_ok += 1;}
+    if (PROHIBITED_META_RE.test(JSON.stringify(ev.meta||{}))) {bucket.totals.prohibited += 1;}
+    const name = String(ev.event_name||'');
+    if (name === 'pub_hero_view') {bucket.totals.hero_views += 1;}
+    if (name.startsWith('feedback_')) {bucket.totals.feedback += 1;}
+    weeks.set(wk.key, bucket);
+  }
+
+  let differential_privacy = null;
+  if (release){
+    noiseWeekTotals(release, weeks);
+    await release.commit();
+    differential_privacy = release.summary();
+    // Exact, so kept out of the published artifact
+    if (contributions.dropped) {console.log(`[weekly-trends] ${contributions.dropped} events past contribution_bound dropped`);}
   }
 
   const out = Array.from(weeks.values()).sort((a,b)=> a.week.localeCompare(b.week)).map(w=>({
@@ -135,7 +159,7 @@ async function main(){
     return { ...w, decisions: { counts: { POS:dec.POS, BND:dec.BND, NEG:dec.NEG }, ratios } };
   });
 
-  const result = { version:'1.2.0', generated_utc: new Date().toISOString(), weeks: outWithDecisions, adoption_percent_latest: adoptionPercent, decision_mix };
+  const result = { version:'1.2.0', generated_utc, weeks: outWithDecisions, adoption_percent_latest: adoptionPercent, decision_mix, ...(differential_privacy ? { differential_privacy } : {}) };
   await fs.writeFile('artifacts/weekly-trends.json', JSON.stringify(result,null,2));
   const last = out[out.length-1];
   console.log(`[weekly-trends] weeks=${out.length} last_coverage=${last? last.totals.coverage : 'n/a'} last_events=${last? last.totals.events : 0}`);
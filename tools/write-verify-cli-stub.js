@@ -1,15 +1,36 @@
 #!/usr/bin/env node
+/** Writes the public guide for the offline verifier (tools/merajutasa-verify.js) to docs/verify-cli.md */
 import { promises as fs } from 'fs';
 
 const PATH = 'docs/verify-cli.md';
-const CONTENT = `# Verify CLI (Draft)
+const CONTENT = `# Verify CLI
+
+\`merajutasa-verify\` checks our published claims offline: it never contacts our services.
+Download the material first, then verify it on your own machine.
 
 ## Steps
-- Install Node.js 18+
-- Run npm run verify:cli
-- Inspect artifacts under artifacts/ for signatures & hashes.
 
-> Draft: expand with platform-specific instructions and signature verification walkthrough.
+- Install Node.js 18+ and clone the repository (\`npm ci\`)
+- Save the published signer keys: \`GET /pubkeys\` of the signer service -> \`pubkeys.json\`
+- Save what you want to check (credential, \`GET /chain\` export, \`artifacts/evidence-bundle.json\`, \`GET /status-list\`)
+- Run \`npm run verify:cli -- <file> --keys=pubkeys.json\` (or \`npx merajutasa-verify <file> ...\`)
+
+## What is checked
+
+| Input | Checks |
+|-------|--------|
+| Integrity Credential | JSON Schema, detached JWS signature against the key named by \`proof.verificationMethod\`, expiry, revocation status (\`--revocation-list=\`), \`CREDENTIAL_ISSUED\` anchor and content hash in a chain export (\`--chain=\`) |
+| Chain export (page, array or \`chain.ndjson\`) | seq/prevHash linkage, content and entry hashes, entry signatures, Merkle root (compare with \`GET /root\`) |
+| Evidence bundle | sha256 of every listed artifact (paths relative to \`--root=\`, default \`.\`) and the aggregate \`bundle_hash\` |
+| Revocation list | signature and canonical hash against the published keys |
+
+Checks that need missing input (no \`--keys\`, no list, no chain) are reported as SKIP, never as PASS. A signed input checked without \`--keys\` gets the verdict INCONCLUSIVE: its signatures were not verified, so nothing was.
+
+## Output
+
+- A verdict per check and overall (PASS/FAIL/INCONCLUSIVE) on stdout; \`--json\` prints the JSON report instead
+- The JSON report is written to \`--report=\` (default \`artifacts/verify-report.json\`)
+- Exit codes: \`0\` verified, \`1\` a check failed, \`2\` usage or unreadable input, \`3\` inconclusive (signatures not checked)
 `;
 
 async function main(){